@@ -0,0 +1,144 @@
+/**
+ * Auth Session Management
+ * Handles login, signup, logout and the current user for all pages.
+ * The session token lives in an HttpOnly cookie set by /api/auth/*,
+ * so requests only need to be same-origin to be authenticated.
+ */
+
+const AuthManager = {
+    // Cached user for the current page
+    user: null,
+
+    /**
+     * Send a JSON request to an auth endpoint
+     * @param {string} url - Endpoint URL
+     * @param {Object} body - Request body
+     * @returns {Promise<Object>} Response data
+     */
+    async post(url, body = {}) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            body: JSON.stringify(body)
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.success) {
+            throw new Error(result.error?.message || `Server error: ${response.status}`);
+        }
+
+        return result.data;
+    },
+
+    /**
+     * Log in with email and password
+     * @param {string} email - Email address
+     * @param {string} password - Password
+     * @returns {Promise<Object>} Logged in user
+     */
+    async login(email, password) {
+        const data = await this.post('/api/auth/login', { email, password });
+        this.setUser(data.user);
+        return data.user;
+    },
+
+    /**
+     * Create an account (also starts a session)
+     * @param {Object} details - { firstName, lastName, email, password }
+     * @returns {Promise<Object>} Created user
+     */
+    async signup(details) {
+        const data = await this.post('/api/auth/signup', details);
+        this.setUser(data.user);
+        return data.user;
+    },
+
+    /**
+     * End the session and go back to the login page
+     */
+    async logout() {
+        try {
+            await this.post('/api/auth/logout');
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+        this.user = null;
+        window.location.href = '/login.html';
+    },
+
+    /**
+     * Get the logged in user, redirecting to the login page if there is no session
+     * @returns {Promise<Object|null>} { userId, email, firstName, lastName }
+     */
+    async requireUser() {
+        if (this.user) {
+            return this.user;
+        }
+
+        try {
+            const response = await fetch('/api/auth/me', { credentials: 'same-origin' });
+
+            if (response.status === 401) {
+                this.redirectToLogin();
+                return null;
+            }
+
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error?.message || 'Failed to load session');
+            }
+
+            this.setUser(result.data.user);
+            return this.user;
+        } catch (error) {
+            console.error('Session check error:', error);
+            this.redirectToLogin();
+            return null;
+        }
+    },
+
+    /**
+     * Remember the user and seed the local profile with account details
+     * @param {Object} user - User returned by the API
+     */
+    setUser(user) {
+        this.user = user;
+
+        try {
+            const profile = JSON.parse(localStorage.getItem('userProfile') || '{}');
+            if (profile.email !== user.email) {
+                localStorage.setItem('userProfile', JSON.stringify({
+                    firstName: user.firstName || '',
+                    lastName: user.lastName || '',
+                    email: user.email || '',
+                    address: '',
+                    contactNumber: '',
+                    profileImage: ''
+                }));
+            }
+        } catch (error) {
+            console.error('Error saving profile to storage:', error);
+        }
+    },
+
+    /**
+     * Send the user to the login page, returning here afterwards
+     */
+    redirectToLogin() {
+        const next = window.location.pathname + window.location.search;
+        window.location.href = '/login.html?next=' + encodeURIComponent(next);
+    },
+
+    /**
+     * Get a safe same-site path to return to after login
+     * @returns {string} Path to redirect to
+     */
+    getNextPage() {
+        const next = new URLSearchParams(window.location.search).get('next');
+        return next && next.startsWith('/') && !next.startsWith('//') ? next : '/home.html';
+    }
+};
+
+// Export for global access
+window.AuthManager = AuthManager;
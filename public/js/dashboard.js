@@ -11,30 +11,37 @@ let incomeExpensesChart = null;
  * Main Dashboard Controller
  */
 const Dashboard = {
+    // Logged in user ID (from the session)
+    userId: null,
+
+    // Aggregated monthly data (kept for re-rendering budgets)
+    monthlyData: {},
+
+    // Budgets for the selected month
+    budgets: [],
+
+    // Currency every total is shown in (the user's base currency, from /api/settings)
+    baseCurrency: 'USD',
+
+    // The user's category tree (top-level categories with children, from /api/categories)
+    categoryTree: [],
+
     /**
      * Initialize dashboard on page load
      */
-    init() {
-        // Load userId from URL params if present
-        const urlParams = new URLSearchParams(window.location.search);
-        const userId = urlParams.get('userId');
-        if (userId) {
-            const userIdInput = document.getElementById('userIdInput');
-            if (userIdInput) {
-                userIdInput.value = userId;
-            }
-        }
+    async init() {
+        // Dashboard data always belongs to the logged in user
+        const user = await AuthManager.requireUser();
+        if (!user) return;
 
-        // Set up Enter key handler for userId input
+        this.userId = user.userId;
         const userIdInput = document.getElementById('userIdInput');
         if (userIdInput) {
-            userIdInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    this.loadDashboard();
-                }
-            });
+            userIdInput.value = user.email;
         }
 
+        this.initBudgetControls();
+
         // Load dashboard on initialization
         this.loadDashboard();
     },
@@ -43,15 +50,9 @@ const Dashboard = {
      * Fetch transactions from API and load dashboard
      */
     async loadDashboard() {
-        const userIdInput = document.getElementById('userIdInput');
-        if (!userIdInput) {
-            console.error('User ID input not found');
-            return;
-        }
-
-        const userId = userIdInput.value.trim();
+        const userId = this.userId;
         if (!userId) {
-            this.showError('Please enter a User ID');
+            AuthManager.redirectToLogin();
             return;
         }
 
@@ -62,7 +63,9 @@ const Dashboard = {
         this.hideEmpty();
 
         try {
-            // Fetch transactions from API
+            // Fetch the base currency, categories and transactions from API
+            await this.loadSettings();
+            await this.loadCategories();
             const transactions = await this.fetchTransactions(userId);
 
             if (!transactions || transactions.length === 0) {
@@ -82,6 +85,66 @@ const Dashboard = {
         }
     },
 
+    /**
+     * Fetch the user's base currency (totals stay in the previous one if this fails)
+     */
+    async loadSettings() {
+        try {
+            const data = await this.apiRequest('/api/settings');
+            this.baseCurrency = data.settings?.baseCurrency || this.baseCurrency;
+        } catch (error) {
+            console.error('Load settings error:', error);
+        }
+    },
+
+    /**
+     * Fetch the user's category tree and offer its categories in the budget form
+     */
+    async loadCategories() {
+        try {
+            const data = await this.apiRequest('/api/categories');
+            this.categoryTree = data.tree || [];
+        } catch (error) {
+            console.error('Load categories error:', error);
+            return;
+        }
+
+        const options = document.getElementById('budgetCategoryOptions');
+        if (!options) return;
+
+        options.innerHTML = '';
+        this.categoryTree
+            .filter(root => root.kind === 'expense')
+            .flatMap(root => [root, ...(root.children || [])])
+            .forEach(category => {
+                const option = document.createElement('option');
+                option.value = category.name;
+                option.label = `${category.icon || ''} ${category.name}`.trim();
+                options.appendChild(option);
+            });
+    },
+
+    /**
+     * Format an amount with its currency symbol
+     * @param {number} amount - Amount
+     * @param {string} currency - Currency code (defaults to the base currency)
+     * @param {number} digits - Decimal places
+     * @returns {string} Formatted amount, e.g. "€12.50"
+     */
+    formatMoney(amount, currency = this.baseCurrency, digits = 2) {
+        const value = Number(amount) || 0;
+        try {
+            return new Intl.NumberFormat('en-US', {
+                style: 'currency',
+                currency: currency || 'USD',
+                minimumFractionDigits: digits,
+                maximumFractionDigits: digits
+            }).format(value);
+        } catch (error) {
+            return `${value.toFixed(digits)} ${currency}`;
+        }
+    },
+
     /**
      * Fetch transactions from API endpoint
      * @param {string} userId - User ID to fetch transactions for
@@ -89,7 +152,14 @@ const Dashboard = {
      */
     async fetchTransactions(userId) {
         try {
-            const response = await fetch(`/api/transactions/${encodeURIComponent(userId)}`);
+            const response = await fetch(`/api/transactions/${encodeURIComponent(userId)}`, {
+                credentials: 'same-origin'
+            });
+
+            if (response.status === 401) {
+                AuthManager.redirectToLogin();
+                return [];
+            }
             
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
@@ -115,10 +185,12 @@ const Dashboard = {
     processAndDisplay(transactions) {
         try {
             // Group transactions by year and month
-            const monthlyData = DataAggregator.groupByMonth(transactions);
+            // Totals use each transaction's amount converted to the base currency
+            const monthlyData = DataAggregator.groupByMonth(transactions, this.baseCurrency);
+            this.monthlyData = monthlyData;
 
             // Calculate current month totals
-            const currentMonthTotals = DataAggregator.getCurrentMonthTotals(transactions);
+            const currentMonthTotals = DataAggregator.getCurrentMonthTotals(transactions, this.baseCurrency);
 
             // Update summary cards
             this.updateSummaryCards(currentMonthTotals, monthlyData);
@@ -133,6 +205,12 @@ const Dashboard = {
             // Generate and display insight
             this.generateInsight(currentMonthTotals, monthlyData);
 
+            // Budget vs actual for the selected month (loaded separately)
+            this.loadBudgets();
+
+            // Detected subscriptions and price increases (loaded separately)
+            this.loadSubscriptions();
+
         } catch (error) {
             console.error('Process dashboard data error:', error);
             throw new Error('Failed to process dashboard data: ' + error.message);
@@ -150,20 +228,20 @@ const Dashboard = {
         // Update expense card
         const expensesElement = document.getElementById('monthlyExpenses');
         if (expensesElement) {
-            expensesElement.textContent = '$' + expenses.toFixed(2);
+            expensesElement.textContent = this.formatMoney(expenses);
         }
 
         // Update income card
         const incomeElement = document.getElementById('monthlyIncome');
         if (incomeElement) {
-            incomeElement.textContent = '$' + income.toFixed(2);
+            incomeElement.textContent = this.formatMoney(income);
         }
 
         // Update balance card
         const netBalance = income - expenses;
         const balanceElement = document.getElementById('netBalance');
         if (balanceElement) {
-            balanceElement.textContent = '$' + netBalance.toFixed(2);
+            balanceElement.textContent = this.formatMoney(netBalance);
             balanceElement.style.color = netBalance >= 0 ? '#28a745' : '#dc3545';
         }
 
@@ -199,17 +277,17 @@ const Dashboard = {
         // Calculate change
         const change = currentExpenses - previousMonthExpenses;
         const changePercent = ((change / previousMonthExpenses) * 100).toFixed(1);
-        const changeAmount = Math.abs(change).toFixed(2);
+        const changeAmount = this.formatMoney(Math.abs(change));
 
         // Determine if increase or decrease
         if (change > 0) {
             // Increase: show in red with up arrow
-            changeElement.textContent = `↑ $${changeAmount} (${changePercent}%) vs last month`;
+            changeElement.textContent = `↑ ${changeAmount} (${changePercent}%) vs last month`;
             changeElement.classList.add('show', 'increase');
             changeElement.classList.remove('decrease');
         } else if (change < 0) {
             // Decrease: show in green with down arrow
-            changeElement.textContent = `↓ $${changeAmount} (${changePercent}%) vs last month`;
+            changeElement.textContent = `↓ ${changeAmount} (${changePercent}%) vs last month`;
             changeElement.classList.add('show', 'decrease');
             changeElement.classList.remove('increase');
         } else {
@@ -218,6 +296,269 @@ const Dashboard = {
         }
     },
 
+    /**
+     * Set up the budget month picker and form
+     */
+    initBudgetControls() {
+        const monthInput = document.getElementById('budgetMonth');
+        if (monthInput) {
+            const now = new Date();
+            monthInput.value = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+            monthInput.addEventListener('change', () => this.loadBudgets());
+        }
+
+        const form = document.getElementById('budgetForm');
+        if (form) {
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.addBudget();
+            });
+        }
+    },
+
+    /**
+     * Get the month selected in the budget section
+     * @returns {string} Month key (YYYY-MM)
+     */
+    getBudgetMonth() {
+        return document.getElementById('budgetMonth')?.value || '';
+    },
+
+    /**
+     * Call a JSON API endpoint (budgets, recurring)
+     * @param {string} url - API path
+     * @param {Object} options - fetch options
+     * @returns {Promise<Object>} Response data
+     */
+    async apiRequest(url, options = {}) {
+        const response = await fetch(url, {
+            credentials: 'same-origin',
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+        });
+
+        if (response.status === 401) {
+            AuthManager.redirectToLogin();
+            throw new Error('Session expired');
+        }
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error?.message || `HTTP error! status: ${response.status}`);
+        }
+
+        return result.data;
+    },
+
+    /**
+     * Fetch budgets for the selected month and render them
+     */
+    async loadBudgets() {
+        const month = this.getBudgetMonth();
+        if (!month) return;
+
+        try {
+            const data = await this.apiRequest(`/api/budgets?month=${encodeURIComponent(month)}`);
+            this.budgets = data.budgets || [];
+            this.hideBudgetError();
+        } catch (error) {
+            console.error('Load budgets error:', error);
+            this.budgets = [];
+            this.showBudgetError('Failed to load budgets: ' + error.message);
+        }
+
+        this.renderBudgets();
+    },
+
+    /**
+     * Create a budget from the form
+     */
+    async addBudget() {
+        const categoryInput = document.getElementById('budgetCategory');
+        const amountInput = document.getElementById('budgetAmount');
+
+        try {
+            await this.apiRequest('/api/budgets', {
+                method: 'POST',
+                body: JSON.stringify({
+                    category: categoryInput.value.trim(),
+                    month: this.getBudgetMonth(),
+                    amount: parseFloat(amountInput.value)
+                })
+            });
+
+            categoryInput.value = '';
+            amountInput.value = '';
+            await this.loadBudgets();
+        } catch (error) {
+            console.error('Add budget error:', error);
+            this.showBudgetError(error.message);
+        }
+    },
+
+    /**
+     * Delete a budget
+     * @param {string} budgetId - Budget ID
+     */
+    async deleteBudget(budgetId) {
+        try {
+            await this.apiRequest(`/api/budgets/${encodeURIComponent(budgetId)}`, { method: 'DELETE' });
+            await this.loadBudgets();
+        } catch (error) {
+            console.error('Delete budget error:', error);
+            this.showBudgetError(error.message);
+        }
+    },
+
+    /**
+     * Render budget vs actual rows for the selected month
+     */
+    renderBudgets() {
+        const list = document.getElementById('budgetList');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        const rows = DataAggregator.getBudgetVsActual(this.budgets, this.monthlyData, this.getBudgetMonth(), this.categoryTree);
+
+        if (rows.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'budget-empty';
+            empty.textContent = 'No budgets for this month yet. Add one above.';
+            list.appendChild(empty);
+            return;
+        }
+
+        rows.forEach(row => {
+            const item = document.createElement('div');
+            item.className = `budget-row ${row.status}`;
+
+            const header = document.createElement('div');
+            header.className = 'budget-row-header';
+
+            const name = document.createElement('span');
+            name.className = 'budget-category';
+            name.textContent = row.category;
+
+            const figures = document.createElement('span');
+            figures.className = 'budget-figures';
+            figures.textContent = `${this.formatMoney(row.spent)} of ${this.formatMoney(row.amount)} (${row.percent}%)`;
+
+            const remove = document.createElement('button');
+            remove.className = 'budget-delete';
+            remove.title = 'Delete budget';
+            remove.textContent = '✕';
+            remove.addEventListener('click', () => this.deleteBudget(row.budgetId));
+
+            header.append(name, figures, remove);
+
+            const bar = document.createElement('div');
+            bar.className = 'budget-bar';
+            const fill = document.createElement('div');
+            fill.className = 'budget-bar-fill';
+            fill.style.width = `${Math.min(row.percent, 100)}%`;
+            bar.appendChild(fill);
+
+            const remaining = document.createElement('div');
+            remaining.className = 'budget-remaining';
+            remaining.textContent = row.remaining >= 0
+                ? `${this.formatMoney(row.remaining)} left`
+                : `${this.formatMoney(Math.abs(row.remaining))} over budget`;
+
+            item.append(header, bar, remaining);
+            list.appendChild(item);
+        });
+    },
+
+    /**
+     * Fetch detected recurring expenses and render the Subscriptions panel
+     */
+    async loadSubscriptions() {
+        const list = document.getElementById('subscriptionList');
+        if (!list) return;
+
+        try {
+            const data = await this.apiRequest('/api/recurring?status=active');
+            const subscriptions = (data.recurring || []).filter(item => item.type === 'expense');
+            this.renderSubscriptions(subscriptions, data.priceIncreases || [], data.monthlyCost || 0, data.baseCurrency);
+        } catch (error) {
+            console.error('Load subscriptions error:', error);
+            list.textContent = 'Unable to load subscriptions: ' + error.message;
+        }
+    },
+
+    /**
+     * Render subscriptions, their next charge and price increase alerts
+     * @param {Array} subscriptions - Active recurring expenses
+     * @param {Array} priceIncreases - Patterns whose latest charge went up
+     * @param {number} monthlyCost - Estimated monthly total
+     * @param {string} baseCurrency - Currency of monthlyCost
+     */
+    renderSubscriptions(subscriptions, priceIncreases, monthlyCost, baseCurrency = this.baseCurrency) {
+        const list = document.getElementById('subscriptionList');
+        const alerts = document.getElementById('subscriptionAlerts');
+        const total = document.getElementById('subscriptionTotal');
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (alerts) alerts.innerHTML = '';
+        if (total) {
+            total.textContent = subscriptions.length > 0 ? `≈ ${this.formatMoney(monthlyCost, baseCurrency)} / month` : '';
+        }
+
+        if (alerts) {
+            priceIncreases.forEach(item => {
+                const alert = document.createElement('div');
+                alert.className = 'subscription-alert';
+                alert.textContent = `⚠️ ${item.merchant} went up from ${this.formatMoney(item.priceChange.previousAmount, item.currency)} to ${this.formatMoney(item.priceChange.currentAmount, item.currency)} (+${item.priceChange.percent}%) on ${item.priceChange.changedOn}`;
+                alerts.appendChild(alert);
+            });
+        }
+
+        if (subscriptions.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'budget-empty';
+            empty.textContent = 'No recurring charges detected yet.';
+            list.appendChild(empty);
+            return;
+        }
+
+        subscriptions.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'subscription-row';
+
+            const name = document.createElement('span');
+            name.className = 'subscription-merchant';
+            name.textContent = item.merchant;
+
+            const cadence = document.createElement('span');
+            cadence.className = 'subscription-cadence';
+            cadence.textContent = item.cadence;
+
+            const next = document.createElement('span');
+            next.className = 'subscription-next';
+            next.textContent = `Next: ${this.formatMoney(item.nextExpectedAmount, item.currency)} on ${item.nextExpectedDate}`;
+
+            row.append(name, cadence, next);
+            list.appendChild(row);
+        });
+    },
+
+    showBudgetError(message) {
+        const errorElement = document.getElementById('budgetError');
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+        }
+    },
+
+    hideBudgetError() {
+        const errorElement = document.getElementById('budgetError');
+        if (errorElement) {
+            errorElement.style.display = 'none';
+        }
+    },
+
     /**
      * UI State Management
      */
@@ -352,13 +693,30 @@ const Dashboard = {
  * Handles grouping and calculating transaction data
  */
 const DataAggregator = {
+    /**
+     * Get a transaction's amount in the base currency
+     * Uses the converted amount stored with the transaction; transactions in another
+     * currency without a conversion (no exchange rate) are left out of totals.
+     * @param {Object} transaction - Transaction object
+     * @param {string} baseCurrency - Currency to total in
+     * @returns {number} Amount in baseCurrency, or NaN if it was not converted
+     */
+    getBaseAmount(transaction, baseCurrency) {
+        if (transaction.baseCurrency === baseCurrency && transaction.baseAmount !== null && transaction.baseAmount !== undefined) {
+            return parseFloat(transaction.baseAmount);
+        }
+
+        return (transaction.currency || 'USD') === baseCurrency ? parseFloat(transaction.amount) : NaN;
+    },
+
     /**
      * Group transactions by year and month
      * @param {Array} transactions - Array of transaction objects
+     * @param {string} baseCurrency - Currency to total in
      * @returns {Object} Object with month keys and aggregated data
-     * @example { "2025-01": { expenses: 100, income: 200, label: "Jan 2025" } }
+     * @example { "2025-01": { expenses: 100, income: 200, label: "Jan 2025", categories: { Food: 60, Transport: 40 } } }
      */
-    groupByMonth(transactions) {
+    groupByMonth(transactions, baseCurrency = 'USD') {
         const monthlyData = {};
 
         if (!Array.isArray(transactions) || transactions.length === 0) {
@@ -391,14 +749,15 @@ const DataAggregator = {
                         income: 0,
                         label: this.getMonthLabel(year, month),
                         year,
-                        month
+                        month,
+                        categories: {}
                     };
                 }
 
                 // Parse and validate amount
-                const amount = parseFloat(transaction.amount);
+                const amount = this.getBaseAmount(transaction, baseCurrency);
                 if (isNaN(amount) || amount < 0) {
-                    console.warn('Invalid amount:', transaction.amount);
+                    console.warn(`No ${baseCurrency} amount:`, transaction.amount, transaction.currency);
                     return;
                 }
 
@@ -406,6 +765,10 @@ const DataAggregator = {
                 const type = transaction.type?.toLowerCase();
                 if (type === 'expense') {
                     monthlyData[monthKey].expenses += amount;
+
+                    // Expenses per category (budget vs actual)
+                    const category = transaction.category || 'Other';
+                    monthlyData[monthKey].categories[category] = (monthlyData[monthKey].categories[category] || 0) + amount;
                 } else if (type === 'income') {
                     monthlyData[monthKey].income += amount;
                 }
@@ -422,9 +785,10 @@ const DataAggregator = {
     /**
      * Get current month totals
      * @param {Array} transactions - Array of transaction objects
+     * @param {string} baseCurrency - Currency to total in
      * @returns {Object} { expenses: number, income: number }
      */
-    getCurrentMonthTotals(transactions) {
+    getCurrentMonthTotals(transactions, baseCurrency = 'USD') {
         const now = new Date();
         const currentMonth = now.getMonth() + 1; // 1-12
         const currentYear = now.getFullYear();
@@ -446,7 +810,7 @@ const DataAggregator = {
                 
                 // Only process current month transactions
                 if (year === currentYear && month === currentMonth) {
-                    const amount = parseFloat(transaction.amount) || 0;
+                    const amount = this.getBaseAmount(transaction, baseCurrency) || 0;
                     const type = transaction.type?.toLowerCase();
 
                     if (type === 'expense') {
@@ -480,6 +844,54 @@ const DataAggregator = {
         return { labels, expenses, income };
     },
 
+    /**
+     * Compare budgets with the month's actual expenses
+     * Categories match case-insensitively, like the server-side budget alerts,
+     * and a budget on a top-level category includes its subcategories
+     * @param {Array} budgets - Budgets for the month ({ budgetId, category, amount })
+     * @param {Object} monthlyData - Output of groupByMonth
+     * @param {string} monthKey - Month (YYYY-MM)
+     * @param {Array} categoryTree - Top-level categories with children
+     * @returns {Array} [{ budgetId, category, amount, spent, remaining, percent, status: 'ok'|'warning'|'over' }]
+     */
+    getBudgetVsActual(budgets, monthlyData, monthKey, categoryTree = []) {
+        if (!Array.isArray(budgets)) {
+            return [];
+        }
+
+        const categories = monthlyData?.[monthKey]?.categories || {};
+
+        return budgets.map(budget => {
+            const key = String(budget.category).toLowerCase();
+            const root = categoryTree.find(category => category.name.toLowerCase() === key);
+            const keys = [key, ...(root?.children || []).map(child => child.name.toLowerCase())];
+
+            const spent = Object.entries(categories)
+                .filter(([category]) => keys.includes(category.toLowerCase()))
+                .reduce((sum, [, amount]) => sum + amount, 0);
+
+            const amount = Number(budget.amount) || 0;
+            const percent = amount > 0 ? Math.round((spent / amount) * 100) : 0;
+
+            let status = 'ok';
+            if (percent >= 100) {
+                status = 'over';
+            } else if (percent >= 80) {
+                status = 'warning';
+            }
+
+            return {
+                budgetId: budget.budgetId,
+                category: budget.category,
+                amount,
+                spent,
+                remaining: amount - spent,
+                percent,
+                status
+            };
+        }).sort((a, b) => b.percent - a.percent);
+    },
+
     /**
      * Get formatted month label
      * @param {number} year - Year (e.g., 2025)
@@ -569,7 +981,7 @@ const ChartRenderer = {
                             intersect: false,
                             callbacks: {
                                 label: function(context) {
-                                    return 'Expenses: $' + context.parsed.y.toFixed(2);
+                                    return 'Expenses: ' + Dashboard.formatMoney(context.parsed.y);
                                 }
                             }
                         }
@@ -579,7 +991,7 @@ const ChartRenderer = {
                             beginAtZero: true,
                             ticks: {
                                 callback: function(value) {
-                                    return '$' + value.toFixed(0);
+                                    return Dashboard.formatMoney(value, Dashboard.baseCurrency, 0);
                                 }
                             },
                             grid: {
@@ -667,7 +1079,7 @@ const ChartRenderer = {
                             intersect: false,
                             callbacks: {
                                 label: function(context) {
-                                    return context.dataset.label + ': $' + context.parsed.y.toFixed(2);
+                                    return context.dataset.label + ': ' + Dashboard.formatMoney(context.parsed.y);
                                 }
                             }
                         }
@@ -677,7 +1089,7 @@ const ChartRenderer = {
                             beginAtZero: true,
                             ticks: {
                                 callback: function(value) {
-                                    return '$' + value.toFixed(0);
+                                    return Dashboard.formatMoney(value, Dashboard.baseCurrency, 0);
                                 }
                             },
                             grid: {
@@ -1,6 +1,7 @@
 /**
  * Profile UI Management
  * Handles dropdown, panel, and localStorage for user profile
+ * (the base currency is a server-side setting, loaded from /api/settings)
  */
 
 const ProfileManager = {
@@ -115,6 +116,7 @@ const ProfileManager = {
         if (panel) {
             panel.classList.add('show');
             this.loadProfileToForm();
+            this.loadCurrencySettings();
         }
     },
 
@@ -200,8 +202,63 @@ const ProfileManager = {
         }
     },
 
+    // Load the base currency options and the user's current choice
+    async loadCurrencySettings() {
+        const select = document.getElementById('profileBaseCurrency');
+        if (!select) return;
+
+        try {
+            const response = await fetch('/api/settings', { credentials: 'same-origin' });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error?.message || `HTTP error! status: ${response.status}`);
+            }
+
+            const { baseCurrency, currencies } = result.data.settings;
+            select.innerHTML = '';
+            currencies.forEach(code => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = code;
+                select.appendChild(option);
+            });
+            select.value = baseCurrency;
+            this.baseCurrency = baseCurrency;
+        } catch (error) {
+            console.error('Error loading currency settings:', error);
+        }
+    },
+
+    // Save the base currency if it changed (stored transactions are re-converted server-side)
+    async saveBaseCurrency() {
+        const select = document.getElementById('profileBaseCurrency');
+        if (!select || !select.value || select.value === this.baseCurrency) {
+            return true;
+        }
+
+        try {
+            const response = await fetch('/api/settings', {
+                method: 'PATCH',
+                credentials: 'same-origin',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ baseCurrency: select.value })
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error?.message || `HTTP error! status: ${response.status}`);
+            }
+
+            this.baseCurrency = result.data.settings.baseCurrency;
+            return true;
+        } catch (error) {
+            console.error('Error saving base currency:', error);
+            alert('Failed to save base currency: ' + error.message);
+            return false;
+        }
+    },
+
     // Save profile from form
-    saveProfile() {
+    async saveProfile() {
         // Get form values
         this.profile.firstName = document.getElementById('profileFirstName').value.trim();
         this.profile.lastName = document.getElementById('profileLastName').value.trim();
@@ -222,6 +279,10 @@ const ProfileManager = {
             return;
         }
 
+        if (!(await this.saveBaseCurrency())) {
+            return;
+        }
+
         // Save to localStorage
         if (this.saveProfileToStorage()) {
             this.updateProfileDisplay();
@@ -308,8 +369,12 @@ const ProfileManager = {
             sessionStorage.removeItem('oauthUserData');
             sessionStorage.removeItem('userSession');
             
-            // Redirect to login page
-            window.location.href = '/login.html';
+            // End the server session (clears the session cookie), then redirect to login page
+            if (window.AuthManager) {
+                window.AuthManager.logout();
+            } else {
+                window.location.href = '/login.html';
+            }
         } catch (error) {
             console.error('Logout error:', error);
             // Still redirect even if clearing storage fails
@@ -0,0 +1,97 @@
+// src/config/accounting.js
+import fs from 'fs';
+import dotenv from 'dotenv';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Account names valid in both beancount and ledger-cli
+// (a root type, then components starting with a capital letter or digit)
+export const ACCOUNT_NAME_PATTERN = /^(Assets|Liabilities|Equity|Income|Expenses)(:[A-Z0-9][A-Za-z0-9-]*)+$/;
+
+// Optional JSON file mapping categories to accounts and currencies to commodities:
+// {
+//   "assetAccount": "Assets:Bank:Checking",
+//   "expenseAccounts": { "Food": "Expenses:Food:Restaurants" },
+//   "incomeAccounts": { "Salary": "Income:Salary:Acme" },
+//   "commodities": { "USD": "USD" }
+// }
+export const ACCOUNTING_CONFIG_FILE = process.env.ACCOUNTING_CONFIG_FILE || '';
+
+/**
+ * Reads the accounting config file (if one is configured)
+ * @returns {Object} { config, error } - parse errors are reported by checkAccountingConfig
+ */
+const loadConfigFile = () => {
+  if (!ACCOUNTING_CONFIG_FILE) {
+    return { config: {}, error: null };
+  }
+
+  try {
+    return { config: JSON.parse(fs.readFileSync(ACCOUNTING_CONFIG_FILE, 'utf8')), error: null };
+  } catch (error) {
+    return { config: {}, error: new Error(`Could not read ACCOUNTING_CONFIG_FILE "${ACCOUNTING_CONFIG_FILE}": ${error.message}`) };
+  }
+};
+
+const { config: fileConfig, error: fileError } = loadConfigFile();
+
+// Ledger / beancount export settings. Categories without an explicit mapping become
+// <expenseRoot or incomeRoot>:<Category>; currencies without one keep their code.
+export const ACCOUNTING_CONFIG = {
+  assetAccount: process.env.ACCOUNTING_ASSET_ACCOUNT || fileConfig.assetAccount || 'Assets:Checking',
+  expenseRoot: process.env.ACCOUNTING_EXPENSE_ROOT || fileConfig.expenseRoot || 'Expenses',
+  incomeRoot: process.env.ACCOUNTING_INCOME_ROOT || fileConfig.incomeRoot || 'Income',
+  expenseAccounts: fileConfig.expenseAccounts || {},
+  incomeAccounts: fileConfig.incomeAccounts || {},
+  commodities: fileConfig.commodities || {}
+};
+
+/**
+ * Helper function to check if accounting export configuration is valid
+ * @returns {boolean} true if configuration is valid
+ * @throws {Error} if the config file can't be read or an account name is invalid
+ */
+export const checkAccountingConfig = () => {
+  if (fileError) {
+    throw fileError;
+  }
+
+  const accounts = [
+    ['assetAccount', ACCOUNTING_CONFIG.assetAccount],
+    ...Object.entries(ACCOUNTING_CONFIG.expenseAccounts).map(([category, account]) => [`expenseAccounts.${category}`, account]),
+    ...Object.entries(ACCOUNTING_CONFIG.incomeAccounts).map(([category, account]) => [`incomeAccounts.${category}`, account])
+  ];
+
+  accounts.forEach(([name, account]) => {
+    if (!ACCOUNT_NAME_PATTERN.test(account)) {
+      throw new Error(`Invalid account name for ${name}: "${account}" (e.g. "Expenses:Food:Groceries")`);
+    }
+  });
+
+  [['expenseRoot', ACCOUNTING_CONFIG.expenseRoot], ['incomeRoot', ACCOUNTING_CONFIG.incomeRoot]].forEach(([name, root]) => {
+    if (!/^(Assets|Liabilities|Equity|Income|Expenses)(:[A-Z0-9][A-Za-z0-9-]*)*$/.test(root)) {
+      throw new Error(`Invalid ${name}: "${root}" (e.g. "Expenses")`);
+    }
+  });
+
+  Object.entries(ACCOUNTING_CONFIG.commodities).forEach(([currency, commodity]) => {
+    if (!/^[A-Z][A-Z0-9'._-]{0,22}[A-Z0-9]$/.test(commodity)) {
+      throw new Error(`Invalid commodity for ${currency}: "${commodity}" (use 2-24 capital letters, digits or '._-)`);
+    }
+  });
+
+  if (ACCOUNTING_CONFIG_FILE) {
+    console.log('Accounting config file:', ACCOUNTING_CONFIG_FILE);
+  }
+  console.log('Ledger/beancount asset account:', ACCOUNTING_CONFIG.assetAccount);
+
+  return true;
+};
+
+export default {
+  ACCOUNT_NAME_PATTERN,
+  ACCOUNTING_CONFIG_FILE,
+  ACCOUNTING_CONFIG,
+  checkAccountingConfig
+};
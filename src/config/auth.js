@@ -0,0 +1,37 @@
+// src/config/auth.js
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Secret used to sign session tokens. Without a configured secret a random one
+// is generated, which means every restart logs all users out.
+export const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// How long a session stays valid (hours)
+export const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 24 * 7;
+
+// Name of the cookie carrying the session token
+export const SESSION_COOKIE_NAME = 'session';
+
+/**
+ * Helper function to check if authentication configuration is valid
+ * Warns when the session secret is missing (tokens won't survive a restart)
+ * @returns {boolean} true if a session secret is configured
+ */
+export const checkAuthConfig = () => {
+  if (!process.env.SESSION_SECRET) {
+    console.warn('Warning: SESSION_SECRET not set. Using a random secret; sessions will not survive a restart.');
+    return false;
+  }
+
+  return true;
+};
+
+export default {
+  SESSION_SECRET,
+  SESSION_TTL_HOURS,
+  SESSION_COOKIE_NAME,
+  checkAuthConfig
+};
@@ -15,10 +15,35 @@ AWS.config.update({
 // Initialize AWS services
 export const dynamoDB = new AWS.DynamoDB.DocumentClient();
 export const textract = new AWS.Textract();
+export const s3 = new AWS.S3();
 
 // DynamoDB table name from environment variable
 export const TABLE_NAME = process.env.DYNAMODB_TABLE_NAME || 'transactions';
 
+// DynamoDB table holding user accounts (partition key: email)
+export const USERS_TABLE_NAME = process.env.DYNAMODB_USERS_TABLE_NAME || 'users';
+
+// DynamoDB table holding monthly budgets (partition key: userId, sort key: budgetId)
+export const BUDGETS_TABLE_NAME = process.env.DYNAMODB_BUDGETS_TABLE_NAME || 'budgets';
+
+// DynamoDB table holding scheduled recurring transaction rules (partition key: userId, sort key: ruleId)
+export const RECURRING_RULES_TABLE_NAME = process.env.DYNAMODB_RECURRING_RULES_TABLE_NAME || 'recurring_rules';
+
+// DynamoDB table holding per-user settings such as the base currency (partition key: userId)
+export const USER_SETTINGS_TABLE_NAME = process.env.DYNAMODB_USER_SETTINGS_TABLE_NAME || 'user_settings';
+
+// DynamoDB table holding each user's category tree (partition key: userId, sort key: categoryId)
+export const CATEGORIES_TABLE_NAME = process.env.DYNAMODB_CATEGORIES_TABLE_NAME || 'categories';
+
+// DynamoDB table holding each user's merchant aliases (partition key: userId, sort key: aliasId)
+export const MERCHANT_ALIASES_TABLE_NAME = process.env.DYNAMODB_MERCHANT_ALIASES_TABLE_NAME || 'merchant_aliases';
+
+// DynamoDB table holding each user's auto-categorization rules (partition key: userId, sort key: ruleId)
+export const CATEGORIZATION_RULES_TABLE_NAME = process.env.DYNAMODB_CATEGORIZATION_RULES_TABLE_NAME || 'categorization_rules';
+
+// DynamoDB table holding each user's corrections of extracted transactions (partition key: userId, sort key: correctionId)
+export const CORRECTIONS_TABLE_NAME = process.env.DYNAMODB_CORRECTIONS_TABLE_NAME || 'corrections';
+
 /**
  * Helper function to check if AWS configuration is valid
  * Throws an error if credentials are missing
@@ -37,6 +62,14 @@ export const checkAWSConfig = () => {
   console.log('AWS Configuration loaded successfully');
   console.log('Region:', process.env.AWS_REGION || 'us-east-1');
   console.log('Table Name:', TABLE_NAME);
+  console.log('Users Table Name:', USERS_TABLE_NAME);
+  console.log('Budgets Table Name:', BUDGETS_TABLE_NAME);
+  console.log('Recurring Rules Table Name:', RECURRING_RULES_TABLE_NAME);
+  console.log('User Settings Table Name:', USER_SETTINGS_TABLE_NAME);
+  console.log('Categories Table Name:', CATEGORIES_TABLE_NAME);
+  console.log('Merchant Aliases Table Name:', MERCHANT_ALIASES_TABLE_NAME);
+  console.log('Categorization Rules Table Name:', CATEGORIZATION_RULES_TABLE_NAME);
+  console.log('Corrections Table Name:', CORRECTIONS_TABLE_NAME);
   
   return true;
 };
@@ -45,6 +78,15 @@ export const checkAWSConfig = () => {
 export default {
   dynamoDB,
   textract,
+  s3,
   TABLE_NAME,
+  USERS_TABLE_NAME,
+  BUDGETS_TABLE_NAME,
+  RECURRING_RULES_TABLE_NAME,
+  USER_SETTINGS_TABLE_NAME,
+  CATEGORIES_TABLE_NAME,
+  MERCHANT_ALIASES_TABLE_NAME,
+  CATEGORIZATION_RULES_TABLE_NAME,
+  CORRECTIONS_TABLE_NAME,
   checkAWSConfig
 };
\ No newline at end of file
@@ -0,0 +1,95 @@
+// src/config/currency.js
+import fs from 'fs';
+import dotenv from 'dotenv';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Base currency for users who have not picked one (dashboard totals, budgets)
+export const DEFAULT_BASE_CURRENCY = (process.env.DEFAULT_BASE_CURRENCY || 'USD').toUpperCase();
+
+// Optional JSON file with historical exchange rates, keyed by date.
+// Each rate is the number of units of that currency per one unit of "base":
+// {
+//   "base": "USD",
+//   "rates": {
+//     "2026-01-01": { "EUR": 0.92, "GBP": 0.79 },
+//     "2026-02-01": { "EUR": 0.93, "GBP": 0.78 }
+//   }
+// }
+// A transaction uses the latest rate on or before its date.
+export const EXCHANGE_RATES_FILE = process.env.EXCHANGE_RATES_FILE || '';
+
+/**
+ * Reads the exchange rate file (if one is configured)
+ * @returns {Object} { rates, error } - parse errors are reported by checkCurrencyConfig
+ */
+const loadRatesFile = () => {
+  if (!EXCHANGE_RATES_FILE) {
+    return { rates: { base: DEFAULT_BASE_CURRENCY, rates: {} }, error: null };
+  }
+
+  try {
+    return { rates: JSON.parse(fs.readFileSync(EXCHANGE_RATES_FILE, 'utf8')), error: null };
+  } catch (error) {
+    return {
+      rates: { base: DEFAULT_BASE_CURRENCY, rates: {} },
+      error: new Error(`Could not read EXCHANGE_RATES_FILE "${EXCHANGE_RATES_FILE}": ${error.message}`)
+    };
+  }
+};
+
+const { rates: fileRates, error: fileError } = loadRatesFile();
+
+// Exchange rate table: { base, rates: { 'YYYY-MM-DD': { CODE: rate } } }
+export const EXCHANGE_RATES = {
+  base: String(fileRates.base || DEFAULT_BASE_CURRENCY).toUpperCase(),
+  rates: fileRates.rates || {}
+};
+
+/**
+ * Helper function to check if currency configuration is valid
+ * @returns {boolean} true if configuration is valid
+ * @throws {Error} if the rate file can't be read or contains invalid dates, codes or rates
+ */
+export const checkCurrencyConfig = () => {
+  if (fileError) {
+    throw fileError;
+  }
+
+  [['DEFAULT_BASE_CURRENCY', DEFAULT_BASE_CURRENCY], ['base', EXCHANGE_RATES.base]].forEach(([name, code]) => {
+    if (!/^[A-Z]{3}$/.test(code)) {
+      throw new Error(`Invalid ${name}: "${code}" (use a 3-letter ISO code, e.g. "USD")`);
+    }
+  });
+
+  if (typeof EXCHANGE_RATES.rates !== 'object' || Array.isArray(EXCHANGE_RATES.rates)) {
+    throw new Error('Exchange rate file must contain a "rates" object keyed by date');
+  }
+
+  Object.entries(EXCHANGE_RATES.rates).forEach(([date, rates]) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new Error(`Invalid exchange rate date: "${date}" (use YYYY-MM-DD)`);
+    }
+
+    Object.entries(rates || {}).forEach(([code, rate]) => {
+      if (!/^[A-Z]{3}$/.test(code) || typeof rate !== 'number' || !(rate > 0)) {
+        throw new Error(`Invalid exchange rate on ${date}: ${code} = ${rate}`);
+      }
+    });
+  });
+
+  if (EXCHANGE_RATES_FILE) {
+    console.log(`Exchange rates: ${EXCHANGE_RATES_FILE} (${Object.keys(EXCHANGE_RATES.rates).length} date(s), base ${EXCHANGE_RATES.base})`);
+  }
+  console.log('Default base currency:', DEFAULT_BASE_CURRENCY);
+
+  return true;
+};
+
+export default {
+  DEFAULT_BASE_CURRENCY,
+  EXCHANGE_RATES_FILE,
+  EXCHANGE_RATES,
+  checkCurrencyConfig
+};
@@ -0,0 +1,62 @@
+// src/config/duplicates.js
+import dotenv from 'dotenv';
+
+// Load environment variables from .env file
+dotenv.config();
+
+/**
+ * Parses a numeric env var, falling back to a default
+ * @param {string} value - Raw env value
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed number
+ */
+const numberFromEnv = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+// Days either side of a transaction's date searched for duplicates
+// (a receipt is often dated a day before the card posting)
+export const DUPLICATE_DATE_WINDOW_DAYS = numberFromEnv(process.env.DUPLICATE_DATE_WINDOW_DAYS, 1);
+
+// Largest relative amount difference still treated as the same purchase (0.05 = 5%, e.g. a tip)
+export const DUPLICATE_AMOUNT_TOLERANCE = numberFromEnv(process.env.DUPLICATE_AMOUNT_TOLERANCE, 0.05);
+
+// Minimum similarity (0-1) of two merchant names ("Starbucks" vs "STARBUCKS #123" is 1)
+export const DUPLICATE_MERCHANT_SIMILARITY = numberFromEnv(process.env.DUPLICATE_MERCHANT_SIMILARITY, 0.8);
+
+// Minimum overall score (0-1) for a candidate to be reported as a duplicate
+export const DUPLICATE_MIN_SCORE = numberFromEnv(process.env.DUPLICATE_MIN_SCORE, 0.6);
+
+/**
+ * Helper function to check if duplicate detection configuration is valid
+ * @returns {boolean} true if configuration is valid
+ * @throws {Error} if a setting is out of range
+ */
+export const checkDuplicateConfig = () => {
+  if (!Number.isInteger(DUPLICATE_DATE_WINDOW_DAYS) || DUPLICATE_DATE_WINDOW_DAYS < 0 || DUPLICATE_DATE_WINDOW_DAYS > 31) {
+    throw new Error('DUPLICATE_DATE_WINDOW_DAYS must be a whole number from 0 to 31');
+  }
+
+  if (!(DUPLICATE_AMOUNT_TOLERANCE >= 0 && DUPLICATE_AMOUNT_TOLERANCE < 1)) {
+    throw new Error('DUPLICATE_AMOUNT_TOLERANCE must be a number from 0 up to (not including) 1');
+  }
+
+  [['DUPLICATE_MERCHANT_SIMILARITY', DUPLICATE_MERCHANT_SIMILARITY], ['DUPLICATE_MIN_SCORE', DUPLICATE_MIN_SCORE]].forEach(([name, value]) => {
+    if (!(value > 0 && value <= 1)) {
+      throw new Error(`${name} must be a number above 0 and at most 1`);
+    }
+  });
+
+  console.log('Duplicate detection:', `±${DUPLICATE_DATE_WINDOW_DAYS} day(s), amounts within ${DUPLICATE_AMOUNT_TOLERANCE * 100}%, merchant similarity ≥ ${DUPLICATE_MERCHANT_SIMILARITY}, score ≥ ${DUPLICATE_MIN_SCORE}`);
+
+  return true;
+};
+
+export default {
+  DUPLICATE_DATE_WINDOW_DAYS,
+  DUPLICATE_AMOUNT_TOLERANCE,
+  DUPLICATE_MERCHANT_SIMILARITY,
+  DUPLICATE_MIN_SCORE,
+  checkDuplicateConfig
+};
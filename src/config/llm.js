@@ -0,0 +1,104 @@
+// src/config/llm.js
+import dotenv from 'dotenv';
+
+// Load environment variables from .env file
+dotenv.config();
+
+/**
+ * Parses a numeric env var, falling back to a default
+ * @param {string} value - Raw env value
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed number
+ */
+const numberFromEnv = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+// Which provider handles extraction ("openai" or "local")
+export const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+
+/**
+ * Per-provider settings
+ * - openai: the hosted OpenAI API
+ * - local: any OpenAI-compatible server (llama.cpp server, Ollama, vLLM, LM Studio...)
+ *   so financial text never leaves your network
+ */
+export const LLM_PROVIDERS = {
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL || undefined,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    temperature: numberFromEnv(process.env.OPENAI_TEMPERATURE, 0.1),
+    maxTokens: numberFromEnv(process.env.OPENAI_MAX_TOKENS, 500),
+    jsonMode: true,
+    requiresApiKey: true
+  },
+  local: {
+    // Local servers usually ignore the key, but the client needs a non-empty value
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+    baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1', // Ollama default
+    model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    temperature: numberFromEnv(process.env.LOCAL_LLM_TEMPERATURE, 0.1),
+    maxTokens: numberFromEnv(process.env.LOCAL_LLM_MAX_TOKENS, 500),
+    // Set to "false" for servers that don't support response_format: json_object
+    jsonMode: process.env.LOCAL_LLM_JSON_MODE !== 'false',
+    requiresApiKey: false
+  }
+};
+
+/**
+ * How chat messages are turned into transactions
+ * - "llm-first" (default): LLM, falling back to the rule-based parser if the LLM fails
+ * - "rules-first": rule-based parser for simple, unambiguous messages; LLM for the rest
+ * - "llm-only": LLM only, errors are returned to the user
+ */
+export const EXTRACTION_MODES = ['llm-first', 'rules-first', 'llm-only'];
+export const EXTRACTION_MODE = (process.env.EXTRACTION_MODE || 'llm-first').toLowerCase();
+
+// How many of the user's most similar past corrections are added to the extraction prompt
+// as examples (0 turns personalization off)
+export const LLM_CORRECTION_EXAMPLES = numberFromEnv(process.env.LLM_CORRECTION_EXAMPLES, 3);
+
+/**
+ * Helper function to check if LLM configuration is valid
+ * Warns (doesn't throw) when the provider is missing credentials,
+ * since the rest of the app still works without LLM features
+ * @returns {boolean} true if the configured provider is usable
+ * @throws {Error} if LLM_PROVIDER is not a supported provider
+ */
+export const checkLLMConfig = () => {
+  const config = LLM_PROVIDERS[LLM_PROVIDER];
+
+  if (!config) {
+    throw new Error(`Unsupported LLM_PROVIDER "${LLM_PROVIDER}". Use one of: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+  }
+
+  if (!EXTRACTION_MODES.includes(EXTRACTION_MODE)) {
+    throw new Error(`Unsupported EXTRACTION_MODE "${EXTRACTION_MODE}". Use one of: ${EXTRACTION_MODES.join(', ')}`);
+  }
+
+  if (!Number.isInteger(LLM_CORRECTION_EXAMPLES) || LLM_CORRECTION_EXAMPLES < 0) {
+    throw new Error(`Invalid LLM_CORRECTION_EXAMPLES "${process.env.LLM_CORRECTION_EXAMPLES}". Use a whole number of 0 or more`);
+  }
+
+  console.log('Extraction mode:', EXTRACTION_MODE);
+  console.log('Correction examples per prompt:', LLM_CORRECTION_EXAMPLES);
+  console.log('LLM provider:', LLM_PROVIDER, `(model: ${config.model}${config.baseURL ? `, url: ${config.baseURL}` : ''})`);
+
+  if (config.requiresApiKey && !config.apiKey) {
+    console.warn('Warning: OPENAI_API_KEY not set. LLM features will not work.');
+    return false;
+  }
+
+  return true;
+};
+
+export default {
+  LLM_PROVIDER,
+  LLM_PROVIDERS,
+  EXTRACTION_MODES,
+  EXTRACTION_MODE,
+  LLM_CORRECTION_EXAMPLES,
+  checkLLMConfig
+};
@@ -0,0 +1,69 @@
+// src/config/ocr.js
+import dotenv from 'dotenv';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Supported OCR engines
+export const OCR_PROVIDERS = ['textract', 'tesseract'];
+
+// Which engine reads receipts ("textract" or "tesseract")
+export const OCR_PROVIDER = (process.env.OCR_PROVIDER || 'textract').toLowerCase();
+
+// Use structured expense analysis (line items, subtotal, tax, tip) when the engine
+// supports it (Textract AnalyzeExpense). Set to "false" to use plain text detection only.
+export const OCR_ANALYZE_EXPENSE = process.env.OCR_ANALYZE_EXPENSE !== 'false';
+
+// Local Tesseract settings (used when OCR_PROVIDER=tesseract)
+// PDFs are rendered to one PNG per page with pdftoppm (poppler-utils) first
+export const TESSERACT_CONFIG = {
+  binaryPath: process.env.TESSERACT_PATH || 'tesseract',
+  language: process.env.TESSERACT_LANG || 'eng',
+  timeoutMs: parseInt(process.env.TESSERACT_TIMEOUT_MS) || 60000,
+  pdftoppmPath: process.env.PDFTOPPM_PATH || 'pdftoppm',
+  pdfDpi: parseInt(process.env.PDF_RENDER_DPI) || 300
+};
+
+// Textract multi-page PDF settings (asynchronous analysis reads documents from S3)
+// Without TEXTRACT_S3_BUCKET, PDFs are sent inline and only single-page documents work
+export const TEXTRACT_ASYNC_CONFIG = {
+  s3Bucket: process.env.TEXTRACT_S3_BUCKET || '',
+  s3Prefix: process.env.TEXTRACT_S3_PREFIX || 'textract-uploads/',
+  pollIntervalMs: parseInt(process.env.TEXTRACT_POLL_INTERVAL_MS) || 2000,
+  timeoutMs: parseInt(process.env.TEXTRACT_JOB_TIMEOUT_MS) || 10 * 60 * 1000
+};
+
+/**
+ * Helper function to check if OCR configuration is valid
+ * @returns {boolean} true if configuration is valid
+ * @throws {Error} if OCR_PROVIDER is not a supported engine
+ */
+export const checkOCRConfig = () => {
+  if (!OCR_PROVIDERS.includes(OCR_PROVIDER)) {
+    throw new Error(`Unsupported OCR_PROVIDER "${OCR_PROVIDER}". Use one of: ${OCR_PROVIDERS.join(', ')}`);
+  }
+
+  console.log('OCR provider:', OCR_PROVIDER);
+  if (OCR_PROVIDER === 'textract') {
+    console.log('Receipt analysis:', OCR_ANALYZE_EXPENSE ? 'AnalyzeExpense (itemized)' : 'text detection only');
+    if (TEXTRACT_ASYNC_CONFIG.s3Bucket) {
+      console.log('Multi-page PDFs: asynchronous Textract via s3://' + TEXTRACT_ASYNC_CONFIG.s3Bucket + '/' + TEXTRACT_ASYNC_CONFIG.s3Prefix);
+    } else {
+      console.warn('Warning: TEXTRACT_S3_BUCKET not set, multi-page PDFs cannot be processed with Textract');
+    }
+  }
+  if (OCR_PROVIDER === 'tesseract') {
+    console.log('Tesseract binary:', TESSERACT_CONFIG.binaryPath, `(lang: ${TESSERACT_CONFIG.language})`);
+  }
+
+  return true;
+};
+
+export default {
+  OCR_PROVIDERS,
+  OCR_PROVIDER,
+  OCR_ANALYZE_EXPENSE,
+  TESSERACT_CONFIG,
+  TEXTRACT_ASYNC_CONFIG,
+  checkOCRConfig
+};
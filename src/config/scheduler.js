@@ -0,0 +1,35 @@
+// src/config/scheduler.js
+import dotenv from 'dotenv';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Post scheduled recurring transactions (rent, salary, ...) from inside the server.
+// Set to "false" on every instance but one when running several servers.
+export const RECURRING_SCHEDULER_ENABLED = process.env.RECURRING_SCHEDULER_ENABLED !== 'false';
+
+// How often due recurring rules are checked (the first run happens at startup)
+export const RECURRING_SCHEDULER_INTERVAL_MINUTES = parseFloat(process.env.RECURRING_SCHEDULER_INTERVAL_MINUTES) || 60;
+
+/**
+ * Helper function to check if scheduler configuration is valid
+ * @returns {boolean} true if configuration is valid
+ * @throws {Error} if the interval is not a positive number
+ */
+export const checkSchedulerConfig = () => {
+  if (!(RECURRING_SCHEDULER_INTERVAL_MINUTES > 0)) {
+    throw new Error('RECURRING_SCHEDULER_INTERVAL_MINUTES must be a positive number');
+  }
+
+  console.log('Recurring transaction scheduler:', RECURRING_SCHEDULER_ENABLED
+    ? `every ${RECURRING_SCHEDULER_INTERVAL_MINUTES} minute(s)`
+    : 'disabled');
+
+  return true;
+};
+
+export default {
+  RECURRING_SCHEDULER_ENABLED,
+  RECURRING_SCHEDULER_INTERVAL_MINUTES,
+  checkSchedulerConfig
+};
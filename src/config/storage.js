@@ -0,0 +1,78 @@
+// src/config/storage.js
+import dotenv from 'dotenv';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Supported storage backends
+export const STORAGE_BACKENDS = ['dynamodb', 'local'];
+
+// Which backend persists transactions and users ("dynamodb" or "local")
+export const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'dynamodb').toLowerCase();
+
+// JSON file used by the local backend
+export const LOCAL_DATA_FILE = process.env.LOCAL_DATA_FILE || 'data/local-db.json';
+
+// Optional transaction fields every backend stores when present (itemized receipts)
+export const RECEIPT_FIELDS = ['lineItems', 'subtotal', 'tax', 'tip', 'paymentMethod'];
+
+// Optional transaction fields every backend stores when present (statement imports)
+// externalId: the bank's transaction ID (OFX FITID), used as an exact duplicate key
+export const IMPORT_FIELDS = ['externalId'];
+
+// Optional transaction fields every backend stores when present (multi-currency)
+// baseAmount: amount converted to the user's baseCurrency at exchangeRate (rate for the transaction date)
+export const CONVERSION_FIELDS = ['baseAmount', 'baseCurrency', 'exchangeRate'];
+
+// Optional transaction fields every backend stores when present (category tree and tags)
+// categoryId: the user's category the transaction's category name was mapped onto
+// tags: free-form labels, e.g. set by auto-categorization rules ("business", "reimbursable")
+export const TAXONOMY_FIELDS = ['categoryId', 'tags'];
+
+// Optional transaction fields every backend stores when present (merchant normalization)
+// rawMerchant: the merchant exactly as extracted ("STARBUCKS STORE #11873") when it differs from the canonical one
+export const MERCHANT_FIELDS = ['rawMerchant'];
+
+// Optional transaction fields every backend stores when present (draft-and-confirm)
+// expiresAt: when an unconfirmed draft (status 'draft') is dropped; removed once it is confirmed
+export const DRAFT_FIELDS = ['expiresAt'];
+
+// How long a draft waits for POST /api/transactions/:transactionId/confirm before it expires
+export const DRAFT_TTL_HOURS = process.env.DRAFT_TTL_HOURS === undefined ? 24 : parseFloat(process.env.DRAFT_TTL_HOURS);
+
+/**
+ * Helper function to check if storage configuration is valid
+ * @returns {boolean} true if configuration is valid
+ * @throws {Error} if STORAGE_BACKEND is not a supported backend or DRAFT_TTL_HOURS is not a positive number
+ */
+export const checkStorageConfig = () => {
+  if (!STORAGE_BACKENDS.includes(STORAGE_BACKEND)) {
+    throw new Error(`Unsupported STORAGE_BACKEND "${STORAGE_BACKEND}". Use one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  if (!(DRAFT_TTL_HOURS > 0)) {
+    throw new Error('DRAFT_TTL_HOURS must be a positive number');
+  }
+
+  console.log('Storage backend:', STORAGE_BACKEND);
+  if (STORAGE_BACKEND === 'local') {
+    console.log('Local data file:', LOCAL_DATA_FILE);
+  }
+  console.log('Unconfirmed drafts expire after:', `${DRAFT_TTL_HOURS} hour(s)`);
+
+  return true;
+};
+
+export default {
+  STORAGE_BACKENDS,
+  STORAGE_BACKEND,
+  LOCAL_DATA_FILE,
+  RECEIPT_FIELDS,
+  IMPORT_FIELDS,
+  CONVERSION_FIELDS,
+  TAXONOMY_FIELDS,
+  MERCHANT_FIELDS,
+  DRAFT_FIELDS,
+  DRAFT_TTL_HOURS,
+  checkStorageConfig
+};
@@ -0,0 +1,84 @@
+// src/middleware/auth.js
+import { SESSION_COOKIE_NAME } from '../config/auth.js';
+import { verifySessionToken } from '../services/authService.js';
+import { AuthenticationError, AuthorizationError } from '../utils/errors.js';
+
+/**
+ * Reads a cookie value from the raw Cookie header
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value or null if not present or malformed
+ */
+const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) {
+    return null;
+  }
+
+  for (const part of header.split(';')) {
+    const separatorIndex = part.indexOf('=');
+    if (separatorIndex === -1) continue;
+
+    if (part.slice(0, separatorIndex).trim() === name) {
+      // A malformed value (e.g. "%E0%A4%A") is treated as no cookie, so the request gets a 401, not a 500
+      try {
+        return decodeURIComponent(part.slice(separatorIndex + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Gets the session token from the request
+ * Only the HttpOnly session cookie is read: the token is never handed to page
+ * scripts or API clients, so clearing the cookie on logout ends the session
+ * @param {Object} req - Express request
+ * @returns {string|null} Session token or null if not present
+ */
+export const getSessionToken = (req) => readCookie(req, SESSION_COOKIE_NAME);
+
+/**
+ * Authentication middleware
+ * Verifies the session token and attaches the session to req.user
+ * ({ userId, email }). Routes must take the user ID from req.user,
+ * never from the request body or URL.
+ * 
+ * Usage:
+ * router.get('/transactions/:userId', requireAuth, asyncHandler(...));
+ */
+export const requireAuth = (req, res, next) => {
+  try {
+    req.user = verifySessionToken(getSessionToken(req));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Authorization middleware (use after requireAuth)
+ * Ties every transaction read and write to the caller's identity:
+ * a userId given in the URL, query string or body must match the session user.
+ * 
+ * Usage:
+ * router.get('/transactions/:userId', requireAuth, authorizeUser, asyncHandler(...));
+ */
+export const authorizeUser = (req, res, next) => {
+  if (!req.user) {
+    return next(new AuthenticationError());
+  }
+
+  const claimedUserIds = [req.params?.userId, req.query?.userId, req.body?.userId]
+    .filter(value => value !== undefined && value !== null && value !== '');
+
+  const mismatch = claimedUserIds.some(claimed => String(claimed).trim() !== req.user.userId);
+  if (mismatch) {
+    return next(new AuthorizationError('You can only access your own transactions'));
+  }
+
+  next();
+};
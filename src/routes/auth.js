@@ -0,0 +1,92 @@
+// src/routes/auth.js
+import express from 'express';
+import { signup, login, getSessionUser } from '../services/authService.js';
+import { requireAuth } from '../middleware/auth.js';
+import { SESSION_COOKIE_NAME, SESSION_TTL_HOURS } from '../config/auth.js';
+import { asyncHandler } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Session cookie options (HttpOnly so page scripts can't read the token)
+const cookieOptions = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/'
+};
+
+/**
+ * Sets the session cookie on the response
+ * @param {Object} res - Express response
+ * @param {string} token - Session token
+ */
+const setSessionCookie = (res, token) => {
+  res.cookie(SESSION_COOKIE_NAME, token, {
+    ...cookieOptions,
+    maxAge: SESSION_TTL_HOURS * 60 * 60 * 1000
+  });
+};
+
+/**
+ * POST /auth/signup - Create an account and start a session
+ * Request Body: { firstName, lastName, email, password }
+ * Response: { success, data: { user } } (the session token is only set as an HttpOnly cookie, so logging out ends it)
+ */
+router.post('/auth/signup', asyncHandler(async (req, res) => {
+  const { user, token } = await signup(req.body || {});
+
+  setSessionCookie(res, token);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      user: user
+    }
+  });
+}));
+
+/**
+ * POST /auth/login - Start a session
+ * Request Body: { email, password }
+ * Response: { success, data: { user } } (the session token is only set as an HttpOnly cookie, so logging out ends it)
+ */
+router.post('/auth/login', asyncHandler(async (req, res) => {
+  const { user, token } = await login(req.body || {});
+
+  setSessionCookie(res, token);
+
+  res.json({
+    success: true,
+    data: {
+      user: user
+    }
+  });
+}));
+
+/**
+ * POST /auth/logout - End the session by clearing the session cookie
+ */
+router.post('/auth/logout', (req, res) => {
+  res.clearCookie(SESSION_COOKIE_NAME, cookieOptions);
+
+  res.json({
+    success: true,
+    message: 'Logged out'
+  });
+});
+
+/**
+ * GET /auth/me - Get the currently logged in user
+ */
+router.get('/auth/me', requireAuth, asyncHandler(async (req, res) => {
+  const user = await getSessionUser(req.user);
+
+  res.json({
+    success: true,
+    data: {
+      user: user
+    }
+  });
+}));
+
+export default router;
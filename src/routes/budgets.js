@@ -0,0 +1,99 @@
+// src/routes/budgets.js
+import express from 'express';
+import {
+  listBudgets,
+  getBudgetDetails,
+  addBudget,
+  editBudget,
+  removeBudget
+} from '../services/budgetService.js';
+import { asyncHandler } from '../utils/errors.js';
+import { requireAuth, authorizeUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Budgets always belong to the session user; a userId in the body or query must match it
+const protect = [requireAuth, authorizeUser];
+
+/**
+ * GET /budgets - List the user's budgets
+ * Query: month (YYYY-MM, optional)
+ *
+ * Response: { success, data: { budgets: [{ budgetId, category, month, amount, createdAt, updatedAt }], count } }
+ */
+router.get('/budgets', protect, asyncHandler(async (req, res) => {
+  const budgets = await listBudgets(req.user.userId, req.query.month);
+
+  res.json({
+    success: true,
+    data: {
+      budgets: budgets,
+      count: budgets.length
+    }
+  });
+}));
+
+/**
+ * POST /budgets - Create a budget
+ * Request Body: { category: string, month: 'YYYY-MM', amount: number }
+ *
+ * There can be one budget per category and month (400 if it already exists)
+ */
+router.post('/budgets', protect, asyncHandler(async (req, res) => {
+  const budget = await addBudget(req.user.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      budget: budget,
+      message: `✅ Budget set: ${budget.category} ${budget.month}`
+    }
+  });
+}));
+
+/**
+ * GET /budgets/:budgetId - Get a single budget
+ */
+router.get('/budgets/:budgetId', protect, asyncHandler(async (req, res) => {
+  const budget = await getBudgetDetails(req.user.userId, req.params.budgetId);
+
+  res.json({
+    success: true,
+    data: {
+      budget: budget
+    }
+  });
+}));
+
+/**
+ * PATCH /budgets/:budgetId - Edit a budget
+ * Request Body: any of { category, month, amount }
+ */
+router.patch('/budgets/:budgetId', protect, asyncHandler(async (req, res) => {
+  const budget = await editBudget(req.user.userId, req.params.budgetId, req.body);
+
+  res.json({
+    success: true,
+    data: {
+      budget: budget,
+      message: `✅ Budget updated: ${budget.budgetId}`
+    }
+  });
+}));
+
+/**
+ * DELETE /budgets/:budgetId - Delete a budget
+ */
+router.delete('/budgets/:budgetId', protect, asyncHandler(async (req, res) => {
+  const budget = await removeBudget(req.user.userId, req.params.budgetId);
+
+  res.json({
+    success: true,
+    data: {
+      budget: budget,
+      message: `🗑️ Budget deleted: ${budget.budgetId}`
+    }
+  });
+}));
+
+export default router;
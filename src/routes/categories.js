@@ -0,0 +1,109 @@
+// src/routes/categories.js
+import express from 'express';
+import {
+  getCategoryTree,
+  getCategoryDetails,
+  addCategory,
+  editCategory,
+  removeCategory
+} from '../services/categoryService.js';
+import { asyncHandler } from '../utils/errors.js';
+import { requireAuth, authorizeUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Categories always belong to the session user; a userId in the body or query must match it
+const protect = [requireAuth, authorizeUser];
+
+/**
+ * GET /categories - Get the user's category tree
+ * A user without categories gets the default tree on first access
+ *
+ * Response: {
+ *   success, data: {
+ *     categories: [{ categoryId, name, parentId, kind, icon, aliases, createdAt, updatedAt }],
+ *     tree: [{ ...category, children: [category] }],
+ *     count
+ *   }
+ * }
+ */
+router.get('/categories', protect, asyncHandler(async (req, res) => {
+  const { categories, tree } = await getCategoryTree(req.user.userId);
+
+  res.json({
+    success: true,
+    data: {
+      categories: categories,
+      tree: tree,
+      count: categories.length
+    }
+  });
+}));
+
+/**
+ * POST /categories - Add a category
+ * Request Body: { name: string, parentId?: string, kind?: 'expense'|'income', icon?: string, aliases?: string[] }
+ *
+ * Subcategories go under a top-level category and inherit its kind.
+ * Names and aliases must be unique across the tree (400 otherwise).
+ */
+router.post('/categories', protect, asyncHandler(async (req, res) => {
+  const category = await addCategory(req.user.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      category: category,
+      message: `✅ Category added: ${category.name}`
+    }
+  });
+}));
+
+/**
+ * GET /categories/:categoryId - Get a single category
+ */
+router.get('/categories/:categoryId', protect, asyncHandler(async (req, res) => {
+  const category = await getCategoryDetails(req.user.userId, req.params.categoryId);
+
+  res.json({
+    success: true,
+    data: {
+      category: category
+    }
+  });
+}));
+
+/**
+ * PATCH /categories/:categoryId - Edit a category
+ * Request Body: any of { name, parentId, kind, icon, aliases }
+ *
+ * A rename keeps the old name as an alias and is applied to stored transactions and budgets
+ */
+router.patch('/categories/:categoryId', protect, asyncHandler(async (req, res) => {
+  const category = await editCategory(req.user.userId, req.params.categoryId, req.body);
+
+  res.json({
+    success: true,
+    data: {
+      category: category,
+      message: `✅ Category updated: ${category.name}`
+    }
+  });
+}));
+
+/**
+ * DELETE /categories/:categoryId - Delete a category (400 while it has subcategories)
+ */
+router.delete('/categories/:categoryId', protect, asyncHandler(async (req, res) => {
+  const category = await removeCategory(req.user.userId, req.params.categoryId);
+
+  res.json({
+    success: true,
+    data: {
+      category: category,
+      message: `🗑️ Category deleted: ${category.name}`
+    }
+  });
+}));
+
+export default router;
@@ -1,18 +1,35 @@
 // src/routes/chat.js
 import express from 'express';
 import multer from 'multer';
+import fs from 'fs';
 import path from 'path';
 import { 
   processTransactionFromText, 
   processTransactionFromImage,
   processTransactionFromBuffer,
-  getUserTransactionHistory 
+  getUserTransactionHistory,
+  getUserDraftTransactions,
+  getTransactionDetails,
+  editTransaction,
+  confirmTransaction,
+  removeTransaction
 } from '../services/transactionService.js';
+import { createJob } from '../services/jobService.js';
+import {
+  EXPORT_FORMATS,
+  validateExportOptions,
+  getExportFileName,
+  exportTransactions
+} from '../services/exportService.js';
 import { asyncHandler } from '../utils/errors.js';
 import { ValidationError } from '../utils/errors.js';
+import { requireAuth, authorizeUser } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Every transaction read/write requires a session whose user matches any userId in the request
+const protect = [requireAuth, authorizeUser];
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -44,6 +61,28 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+/**
+ * Authorization for upload routes (use after upload.single)
+ * authorizeUser runs before multer for the URL and query string; this checks a
+ * userId sent as a form field, which multer only parses along with the file, and
+ * removes the already-saved file when the request is rejected.
+ */
+const authorizeUpload = (req, res, next) => {
+  authorizeUser(req, res, (error) => {
+    if (error && req.file) {
+      return fs.unlink(req.file.path, () => next(error));
+    }
+    next(error);
+  });
+};
+
+/**
+ * Reads the draft flag of a request (JSON boolean or "true" form field)
+ * @param {*} value - req.body.draft
+ * @returns {boolean} true if extracted transactions should wait for confirmation
+ */
+const wantsDraft = (value) => value === true || value === 'true';
+
 /**
  * POST /api/chat - Process transaction from text message
  * 
@@ -52,31 +91,47 @@ const upload = multer({
  * - Processes transaction using LLM
  * - Returns confirmation response with transaction details
  * 
- * Request Body: { userId: string, message: string }
+ * Requires an authenticated session; the user ID comes from the session
+ * (a userId in the body is optional and must match the session, else 403)
+ * 
+ * Request Body: { message: string, draft?: boolean }
+ * 
+ * With draft: true nothing is saved yet: each transaction is kept as a draft
+ * (status 'draft') for the user to review, edit (PATCH) and confirm with
+ * POST /api/transactions/:transactionId/confirm. Unconfirmed drafts expire after DRAFT_TTL_HOURS.
  * 
  * Response: {
  *   success: boolean,
  *   data: {
- *     transaction: Object,
+ *     results: [{ status: 'created'|'draft'|'duplicate'|'invalid', transaction, message, duplicateTransaction?, pendingDuplicate?, error?, budgetAlert? }],
+ *     transactions: Array (created transactions),
+ *     drafts: Array (drafts waiting for confirmation),
+ *     transaction: Object (first created transaction, or null),
  *     message: string,
  *     isDuplicate: boolean
  *   }
  * }
  * 
+ * A single message may contain several transactions; each one gets its own
+ * entry in results (in the order mentioned).
+ * 
+ * A potential duplicate is held as pendingDuplicate ({ pendingId, suggestion, ... })
+ * until the user saves, merges or skips it with POST /api/duplicates/:pendingId/resolve.
+ * 
+ * When a created expense pushes its category past 80% or 100% of the month's
+ * budget, the warning is appended to its message and returned as budgetAlert.
+ * 
  * Message handling:
  * - Supports single-line and multi-line input
  * - Trims leading/trailing whitespace
  * - Normalizes internal whitespace (multiple spaces/newlines collapsed)
  * - Validates non-empty message after trimming
  */
-router.post('/chat', asyncHandler(async (req, res) => {
-  const { userId, message } = req.body;
+router.post('/chat', protect, asyncHandler(async (req, res) => {
+  const { userId } = req.user;
+  const { message, draft } = req.body;
 
   // Validate required fields
-  if (!userId || typeof userId !== 'string' || userId.trim().length === 0) {
-    throw new ValidationError('User ID is required and cannot be empty', 'userId');
-  }
-
   if (!message || typeof message !== 'string') {
     throw new ValidationError('Message is required and must be a string', 'message');
   }
@@ -95,12 +150,15 @@ router.post('/chat', asyncHandler(async (req, res) => {
   normalizedMessage = normalizedMessage.replace(/\s+/g, ' ').trim();
 
   // Process transaction with normalized message
-  const result = await processTransactionFromText(userId, normalizedMessage);
+  const result = await processTransactionFromText(userId, normalizedMessage, { draft: wantsDraft(draft) });
 
   // Send response
   res.json({
     success: true,
     data: {
+      results: result.results,
+      transactions: result.transactions,
+      drafts: result.drafts,
       transaction: result.transaction,
       message: result.message,
       isDuplicate: result.isDuplicate
@@ -110,22 +168,20 @@ router.post('/chat', asyncHandler(async (req, res) => {
 
 /**
  * POST /chat/upload - Process transaction from uploaded receipt image
- * Form data: userId, file (image)
+ * Requires an authenticated session
+ * Form data: file (image), draft ("true" to keep the transaction as a draft until confirmed, see POST /chat)
+ * A potential duplicate is returned as pendingDuplicate (see POST /chat)
  */
-router.post('/chat/upload', upload.single('file'), asyncHandler(async (req, res) => {
-  const { userId } = req.body;
+router.post('/chat/upload', requireAuth, authorizeUser, upload.single('file'), authorizeUpload, asyncHandler(async (req, res) => {
+  const { userId } = req.user;
 
   // Validate required fields
-  if (!userId) {
-    throw new ValidationError('User ID is required', 'userId');
-  }
-
   if (!req.file) {
     throw new ValidationError('Image file is required', 'file');
   }
 
   // Process transaction from uploaded image
-  const result = await processTransactionFromImage(userId, req.file.path);
+  const result = await processTransactionFromImage(userId, req.file.path, { draft: wantsDraft(req.body.draft) });
 
   // Send response
   res.json({
@@ -133,18 +189,65 @@ router.post('/chat/upload', upload.single('file'), asyncHandler(async (req, res)
     data: {
       transaction: result.transaction,
       message: result.message,
-      isDuplicate: result.isDuplicate
+      isDuplicate: result.isDuplicate,
+      isDraft: Boolean(result.isDraft),
+      duplicateTransaction: result.duplicateTransaction,
+      pendingDuplicate: result.pendingDuplicate
+    }
+  });
+}));
+
+/**
+ * POST /chat/upload/async - Process an uploaded receipt or multi-page PDF in the background
+ * Reading every page of a long invoice can take minutes, so this responds right
+ * away with a job to poll at GET /api/jobs/:jobId (see routes/jobs.js).
+ * Requires an authenticated session
+ * Form data: file (image or PDF), draft (see POST /chat/upload)
+ * 
+ * Response (202): { success, data: { jobId, status, statusUrl } }
+ * The finished job's result is the same data POST /chat/upload returns.
+ */
+router.post('/chat/upload/async', requireAuth, authorizeUser, upload.single('file'), authorizeUpload, asyncHandler(async (req, res) => {
+  const { userId } = req.user;
+
+  // Validate required fields
+  if (!req.file) {
+    throw new ValidationError('Image file is required', 'file');
+  }
+
+  const filePath = req.file.path;
+  const draft = wantsDraft(req.body.draft);
+  const job = createJob(userId, 'receipt', async ({ updateProgress }) => {
+    const result = await processTransactionFromImage(userId, filePath, { onProgress: updateProgress, draft });
+
+    return {
+      transaction: result.transaction,
+      message: result.message,
+      isDuplicate: result.isDuplicate,
+      isDraft: Boolean(result.isDraft),
+      duplicateTransaction: result.duplicateTransaction,
+      pendingDuplicate: result.pendingDuplicate
+    };
+  });
+
+  res.status(202).json({
+    success: true,
+    data: {
+      jobId: job.jobId,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.jobId}`
     }
   });
 }));
 
 /**
  * GET /transactions/:userId - Get user transaction history
+ * Requires an authenticated session; :userId must be the session user (else 403)
  * Params: userId
  * Query: limit (optional, default: 100)
  */
-router.get('/transactions/:userId', asyncHandler(async (req, res) => {
-  const { userId } = req.params;
+router.get('/transactions/:userId', protect, asyncHandler(async (req, res) => {
+  const { userId } = req.user;
   const limit = parseInt(req.query.limit) || 100;
 
   // Get transaction history
@@ -159,6 +262,138 @@ router.get('/transactions/:userId', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /transactions/:userId/export - Download all transactions
+ * Requires an authenticated session; :userId must be the session user (else 403)
+ * Params: userId
+ * Query: format ('csv' | 'xlsx' | 'ofx' | 'json' | 'ledger' | 'beancount', default 'csv'),
+ *        startDate, endDate (YYYY-MM-DD, inclusive, optional), category (optional)
+ * 
+ * Every storage page is streamed into the response, so the export is not capped by limit.
+ * Must be registered before /transactions/:userId/:transactionId
+ */
+router.get('/transactions/:userId/export', protect, asyncHandler(async (req, res) => {
+  const { userId } = req.user;
+
+  // Validate before any bytes are sent so errors still get a JSON response
+  const options = validateExportOptions(req.query);
+
+  res.setHeader('Content-Type', EXPORT_FORMATS[options.format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${getExportFileName(options)}"`);
+
+  try {
+    await exportTransactions(userId, options, res);
+    res.end();
+  } catch (error) {
+    if (!res.headersSent) {
+      throw error;
+    }
+    // The download has started; cutting the connection tells the client it is incomplete
+    res.destroy(error);
+  }
+}));
+
+/**
+ * GET /transactions/:userId/drafts - List drafts waiting for confirmation (newest first)
+ * Requires an authenticated session; :userId must be the session user (else 403)
+ * Must be registered before /transactions/:userId/:transactionId
+ */
+router.get('/transactions/:userId/drafts', protect, asyncHandler(async (req, res) => {
+  const { userId } = req.user;
+
+  const drafts = await getUserDraftTransactions(userId);
+
+  res.json({
+    success: true,
+    data: {
+      drafts: drafts,
+      count: drafts.length
+    }
+  });
+}));
+
+/**
+ * POST /transactions/:transactionId/confirm - Save a draft as a confirmed transaction
+ * Params: transactionId (a draft's ID)
+ * Request Body: optional edits, any of { amount, date, merchant, category, type, currency, description, tags }
+ * 
+ * Response: { success, data: { transaction, message, budgetAlert? } }
+ * 400 if the transaction is already confirmed or now duplicates a saved one; 404 once the draft has expired
+ */
+router.post('/transactions/:transactionId/confirm', protect, asyncHandler(async (req, res) => {
+  const { userId } = req.user;
+  const { transactionId } = req.params;
+
+  // A userId in the body was already checked against the session; everything else is an edit
+  const { userId: bodyUserId, ...updates } = req.body || {};
+
+  const result = await confirmTransaction(userId, transactionId, updates);
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+/**
+ * GET /transactions/:userId/:transactionId - Get a single transaction
+ * Params: userId, transactionId
+ */
+router.get('/transactions/:userId/:transactionId', protect, asyncHandler(async (req, res) => {
+  const { userId } = req.user;
+  const { transactionId } = req.params;
+
+  const transaction = await getTransactionDetails(userId, transactionId);
+
+  res.json({
+    success: true,
+    data: {
+      transaction: transaction
+    }
+  });
+}));
+
+/**
+ * PATCH /transactions/:userId/:transactionId - Edit a transaction
+ * Params: userId, transactionId
+ * Request Body: any of { amount, date, merchant, category, type, currency, description }
+ * 
+ * The edited transaction is re-validated with the same rules used on creation
+ */
+router.patch('/transactions/:userId/:transactionId', protect, asyncHandler(async (req, res) => {
+  const { userId } = req.user;
+  const { transactionId } = req.params;
+
+  const transaction = await editTransaction(userId, transactionId, req.body);
+
+  res.json({
+    success: true,
+    data: {
+      transaction: transaction,
+      message: `✅ Transaction updated: ${transactionId}`
+    }
+  });
+}));
+
+/**
+ * DELETE /transactions/:userId/:transactionId - Delete a transaction
+ * Params: userId, transactionId
+ */
+router.delete('/transactions/:userId/:transactionId', protect, asyncHandler(async (req, res) => {
+  const { userId } = req.user;
+  const { transactionId } = req.params;
+
+  const transaction = await removeTransaction(userId, transactionId);
+
+  res.json({
+    success: true,
+    data: {
+      transaction: transaction,
+      message: `🗑️ Transaction deleted: ${transactionId}`
+    }
+  });
+}));
+
 /**
  * Health check endpoint
  */
@@ -0,0 +1,52 @@
+// src/routes/corrections.js
+import express from 'express';
+import { listCorrections, removeCorrection } from '../services/correctionService.js';
+import { asyncHandler } from '../utils/errors.js';
+import { requireAuth, authorizeUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Corrections always belong to the session user; a userId in the body or query must match it
+const protect = [requireAuth, authorizeUser];
+
+/**
+ * GET /corrections - List what the assistant learned from the user's edits, newest first
+ * Corrections are recorded when an extracted transaction's merchant, category or type is edited,
+ * and the most similar ones are shown to the LLM as examples on later extractions.
+ *
+ * Response: {
+ *   success, data: {
+ *     corrections: [{ correctionId, transactionId, source, text, original: { merchant, category, type, rawMerchant? },
+ *                     corrected: { merchant, category, type }, createdAt }],
+ *     count
+ *   }
+ * }
+ */
+router.get('/corrections', protect, asyncHandler(async (req, res) => {
+  const corrections = await listCorrections(req.user.userId);
+
+  res.json({
+    success: true,
+    data: {
+      corrections: corrections,
+      count: corrections.length
+    }
+  });
+}));
+
+/**
+ * DELETE /corrections/:correctionId - Forget a correction (it is no longer used as an example)
+ */
+router.delete('/corrections/:correctionId', protect, asyncHandler(async (req, res) => {
+  const correction = await removeCorrection(req.user.userId, req.params.correctionId);
+
+  res.json({
+    success: true,
+    data: {
+      correction: correction,
+      message: `🗑️ Correction forgotten: ${correction.original.merchant} -> ${correction.corrected.merchant} (${correction.corrected.category})`
+    }
+  });
+}));
+
+export default router;
@@ -0,0 +1,74 @@
+// src/routes/duplicates.js
+import express from 'express';
+import { listPendingDuplicates, getPendingDuplicate } from '../services/duplicateService.js';
+import { resolveDuplicate } from '../services/transactionService.js';
+import { asyncHandler, NotFoundError } from '../utils/errors.js';
+import { requireAuth, authorizeUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Pending duplicates always belong to the session user; a userId in the body or query must match it
+const protect = [requireAuth, authorizeUser];
+
+/**
+ * GET /duplicates - List the user's potential duplicates waiting for a decision
+ *
+ * Response: {
+ *   success, data: {
+ *     duplicates: [{ pendingId, transaction, duplicateTransaction, match: { score, matches }, suggestion: { action, reason, confidence }, createdAt, expiresAt }],
+ *     count
+ *   }
+ * }
+ */
+router.get('/duplicates', protect, asyncHandler(async (req, res) => {
+  const duplicates = listPendingDuplicates(req.user.userId);
+
+  res.json({
+    success: true,
+    data: {
+      duplicates: duplicates,
+      count: duplicates.length
+    }
+  });
+}));
+
+/**
+ * GET /duplicates/:pendingId - Get a single pending duplicate
+ */
+router.get('/duplicates/:pendingId', protect, asyncHandler(async (req, res) => {
+  const pendingDuplicate = getPendingDuplicate(req.user.userId, req.params.pendingId);
+
+  // Other users' duplicates are reported as missing, not forbidden, so IDs can't be probed
+  if (!pendingDuplicate) {
+    throw new NotFoundError(`Pending duplicate not found or expired: ${req.params.pendingId}`);
+  }
+
+  const { options, ...duplicate } = pendingDuplicate;
+
+  res.json({
+    success: true,
+    data: {
+      duplicate: duplicate
+    }
+  });
+}));
+
+/**
+ * POST /duplicates/:pendingId/resolve - Decide what happens to a potential duplicate
+ * Request Body: { action: 'save' | 'merge' | 'skip' }
+ * - save: record it anyway
+ * - merge: add its missing details (description, receipt items, tags) to the existing transaction
+ * - skip: discard it
+ *
+ * Response: { success, data: { action, transaction, message, budgetAlert? } }
+ */
+router.post('/duplicates/:pendingId/resolve', protect, asyncHandler(async (req, res) => {
+  const result = await resolveDuplicate(req.user.userId, req.params.pendingId, req.body.action);
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+export default router;
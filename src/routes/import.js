@@ -0,0 +1,153 @@
+// src/routes/import.js
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import {
+  previewCsvImport,
+  importCsvTransactions,
+  previewStatementImport,
+  importStatementTransactions
+} from '../services/importService.js';
+import { asyncHandler } from '../utils/errors.js';
+import { ValidationError } from '../utils/errors.js';
+import { requireAuth, authorizeUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Statements are parsed straight from memory; nothing is written to uploads/
+const fileFilter = (req, file, cb) => {
+  const extname = /\.(csv|txt|ofx|qfx|qif)$/i.test(path.extname(file.originalname));
+
+  if (extname) {
+    return cb(null, true);
+  } else {
+    cb(new ValidationError('Invalid file type. Only CSV, OFX, QFX and QIF files are allowed.'));
+  }
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5 MB limit
+  fileFilter: fileFilter
+});
+
+/**
+ * Reads the import mode from the request
+ * @param {Object} body - Request body
+ * @returns {string} 'preview' or 'commit'
+ * @throws {ValidationError} If the mode is unknown
+ */
+const parseMode = (body) => {
+  const mode = body.mode || 'preview';
+
+  if (!['preview', 'commit'].includes(mode)) {
+    throw new ValidationError('Mode must be either "preview" or "commit"', 'mode');
+  }
+
+  return mode;
+};
+
+/**
+ * Parses the mapping form field (JSON string in multipart requests, object in JSON requests)
+ * @param {string|Object|undefined} mapping - Raw mapping
+ * @returns {Object|null} Mapping, or null if not provided
+ * @throws {ValidationError} If the mapping is not valid JSON
+ */
+const parseMapping = (mapping) => {
+  if (!mapping) {
+    return null;
+  }
+
+  if (typeof mapping === 'object') {
+    return mapping;
+  }
+
+  try {
+    return JSON.parse(mapping);
+  } catch (error) {
+    throw new ValidationError('Mapping must be valid JSON', 'mapping');
+  }
+};
+
+/**
+ * POST /import/csv - Import transactions from a bank statement CSV
+ * Requires an authenticated session
+ *
+ * Form data: file (CSV), mapping (JSON string, optional), mode ('preview' | 'commit')
+ * or JSON body: { csv: string, mapping?: Object, mode?: 'preview' | 'commit' }
+ *
+ * mode 'preview' (default): nothing is saved
+ * - without a mapping: { headers, sampleRows, suggestedMapping }
+ * - with a mapping: also { rows: [{ row, status: 'new'|'duplicate'|'invalid', transaction, error?, duplicateTransaction? }], summary }
+ *
+ * mode 'commit': saves every 'new' row with source 'import'
+ * - { rows: [{ row, status: 'created'|'duplicate'|'invalid', ... }], summary }
+ */
+router.post('/import/csv', requireAuth, upload.single('file'), authorizeUser, asyncHandler(async (req, res) => {
+  const { userId } = req.user;
+  const mode = parseMode(req.body);
+
+  const csvText = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+  if (!csvText || typeof csvText !== 'string') {
+    throw new ValidationError('CSV file is required', 'file');
+  }
+
+  const mapping = parseMapping(req.body.mapping);
+
+  const data = mode === 'commit'
+    ? await importCsvTransactions(userId, csvText, mapping)
+    : await previewCsvImport(userId, csvText, mapping);
+
+  res.json({
+    success: true,
+    data
+  });
+}));
+
+/**
+ * POST /import/statement - Import transactions from an OFX/QFX or QIF statement
+ * Requires an authenticated session
+ *
+ * Form data: file (.ofx, .qfx or .qif), mode ('preview' | 'commit'),
+ *            format ('ofx' | 'qif', optional - detected from the file),
+ *            dateFormat ('auto' | 'MM/DD/YYYY' | 'DD/MM/YYYY', QIF only), currency (QIF only)
+ * or JSON body: { statement: string, ...same fields }
+ *
+ * Bank transaction IDs (OFX FITID) are exact duplicate keys: importing the same
+ * statement twice creates nothing the second time.
+ *
+ * Response data: { format, rows: [{ row, status, transaction, error?, duplicateTransaction?, matchedBy? }], summary }
+ * - status is 'new' | 'duplicate' | 'invalid' in preview and 'created' | 'duplicate' | 'invalid' in commit
+ */
+router.post('/import/statement', requireAuth, upload.single('file'), authorizeUser, asyncHandler(async (req, res) => {
+  const { userId } = req.user;
+  const mode = parseMode(req.body);
+
+  const text = req.file ? req.file.buffer.toString('utf8') : req.body.statement;
+  if (!text || typeof text !== 'string') {
+    throw new ValidationError('Statement file is required', 'file');
+  }
+
+  const { format, dateFormat, currency } = req.body;
+  if (format && !['ofx', 'qif'].includes(format)) {
+    throw new ValidationError('Format must be either "ofx" or "qif"', 'format');
+  }
+
+  const options = {
+    format,
+    fileName: req.file ? req.file.originalname : '',
+    dateFormat: dateFormat || 'auto',
+    currency: currency || 'USD'
+  };
+
+  const data = mode === 'commit'
+    ? await importStatementTransactions(userId, text, options)
+    : await previewStatementImport(userId, text, options);
+
+  res.json({
+    success: true,
+    data
+  });
+}));
+
+export default router;
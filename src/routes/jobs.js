@@ -0,0 +1,39 @@
+// src/routes/jobs.js
+import express from 'express';
+import { getJob } from '../services/jobService.js';
+import { asyncHandler, NotFoundError } from '../utils/errors.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * GET /jobs/:jobId - Get the status of a background job (e.g. a multi-page PDF upload)
+ * Requires an authenticated session; jobs are only visible to the user who started them
+ * 
+ * Response: {
+ *   success: boolean,
+ *   data: {
+ *     jobId, type,
+ *     status: 'queued' | 'processing' | 'succeeded' | 'failed',
+ *     progress: { stage, message, page?, pages? } | null,
+ *     result: Object | null,
+ *     error: { message, type, statusCode } | null,
+ *     createdAt, updatedAt
+ *   }
+ * }
+ */
+router.get('/jobs/:jobId', requireAuth, asyncHandler(async (req, res) => {
+  const job = getJob(req.user.userId, req.params.jobId);
+
+  // Other users' jobs are reported as missing, not forbidden, so IDs can't be probed
+  if (!job) {
+    throw new NotFoundError(`Job not found: ${req.params.jobId}`);
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
+}));
+
+export default router;
@@ -0,0 +1,118 @@
+// src/routes/merchants.js
+import express from 'express';
+import {
+  previewMerchant,
+  listMerchantAliases,
+  getMerchantAliasDetails,
+  addMerchantAlias,
+  editMerchantAlias,
+  removeMerchantAlias
+} from '../services/merchantService.js';
+import { asyncHandler } from '../utils/errors.js';
+import { requireAuth, authorizeUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Merchant aliases always belong to the session user; a userId in the body or query must match it
+const protect = [requireAuth, authorizeUser];
+
+/**
+ * GET /merchants/normalize - Show how a merchant string would be saved
+ * Query: merchant (e.g. "AMZN Mktp US*2K4")
+ *
+ * Response: { success, data: { merchant, rawMerchant, matchedBy: 'alias'|'builtin'|'cleanup'|'none', aliasId? } }
+ */
+router.get('/merchants/normalize', protect, asyncHandler(async (req, res) => {
+  const result = await previewMerchant(req.user.userId, req.query.merchant);
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+/**
+ * GET /merchant-aliases - List the user's merchant aliases
+ *
+ * Response: { success, data: { aliases: [{ aliasId, pattern, merchant, createdAt, updatedAt }], count } }
+ */
+router.get('/merchant-aliases', protect, asyncHandler(async (req, res) => {
+  const aliases = await listMerchantAliases(req.user.userId);
+
+  res.json({
+    success: true,
+    data: {
+      aliases: aliases,
+      count: aliases.length
+    }
+  });
+}));
+
+/**
+ * POST /merchant-aliases - Add a merchant alias
+ * Request Body: { pattern: 'AMZN MKTP', merchant: 'Amazon' }
+ *
+ * The pattern matches whole words anywhere in the extracted merchant, ignoring case and punctuation.
+ * Stored transactions it matches are renamed; updatedTransactions counts them.
+ */
+router.post('/merchant-aliases', protect, asyncHandler(async (req, res) => {
+  const { updatedTransactions, ...alias } = await addMerchantAlias(req.user.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      alias: alias,
+      updatedTransactions: updatedTransactions,
+      message: `✅ "${alias.pattern}" will be saved as ${alias.merchant} (${updatedTransactions} existing transaction(s) updated)`
+    }
+  });
+}));
+
+/**
+ * GET /merchant-aliases/:aliasId - Get a single merchant alias
+ */
+router.get('/merchant-aliases/:aliasId', protect, asyncHandler(async (req, res) => {
+  const alias = await getMerchantAliasDetails(req.user.userId, req.params.aliasId);
+
+  res.json({
+    success: true,
+    data: {
+      alias: alias
+    }
+  });
+}));
+
+/**
+ * PATCH /merchant-aliases/:aliasId - Edit a merchant alias
+ * Request Body: any of { pattern, merchant }
+ */
+router.patch('/merchant-aliases/:aliasId', protect, asyncHandler(async (req, res) => {
+  const { updatedTransactions, ...alias } = await editMerchantAlias(req.user.userId, req.params.aliasId, req.body);
+
+  res.json({
+    success: true,
+    data: {
+      alias: alias,
+      updatedTransactions: updatedTransactions,
+      message: `✅ Merchant alias updated: "${alias.pattern}" -> ${alias.merchant}`
+    }
+  });
+}));
+
+/**
+ * DELETE /merchant-aliases/:aliasId - Delete a merchant alias
+ * Transactions it renamed keep their merchant
+ */
+router.delete('/merchant-aliases/:aliasId', protect, asyncHandler(async (req, res) => {
+  const alias = await removeMerchantAlias(req.user.userId, req.params.aliasId);
+
+  res.json({
+    success: true,
+    data: {
+      alias: alias,
+      message: `🗑️ Merchant alias deleted: "${alias.pattern}"`
+    }
+  });
+}));
+
+export default router;
@@ -0,0 +1,144 @@
+// src/routes/recurring.js
+import express from 'express';
+import { detectRecurringTransactions } from '../services/recurringService.js';
+import {
+  listRecurringRules,
+  getRecurringRuleDetails,
+  addRecurringRule,
+  editRecurringRule,
+  removeRecurringRule
+} from '../services/recurringRuleService.js';
+import { asyncHandler } from '../utils/errors.js';
+import { requireAuth, authorizeUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Recurring data always belongs to the session user; a userId in the body or query must match it
+const protect = [requireAuth, authorizeUser];
+
+/**
+ * GET /recurring - Recurring transactions detected in the user's history
+ * Requires an authenticated session; a userId in the query must be the session user (else 403)
+ * Query: status ('active' | 'lapsed', optional - default: both)
+ *
+ * Response: {
+ *   success: boolean,
+ *   data: {
+ *     recurring: [{
+ *       merchant, category, type, currency,
+ *       cadence: 'weekly' | 'monthly' | 'yearly',
+ *       occurrences, averageAmount, lastAmount, lastDate, firstDate,
+ *       nextExpectedDate, nextExpectedAmount,
+ *       status: 'active' | 'lapsed',
+ *       priceChange: { previousAmount, currentAmount, change, percent, changedOn, direction } | null,
+ *       transactionIds
+ *     }],
+ *     priceIncreases: Array (active patterns whose latest charge went up),
+ *     monthlyCost: number (estimated monthly total of active recurring expenses),
+ *     count: number
+ *   }
+ * }
+ */
+router.get('/recurring', protect, asyncHandler(async (req, res) => {
+  const { recurring, priceIncreases, monthlyCost } = await detectRecurringTransactions(req.user.userId);
+
+  const { status } = req.query;
+  const patterns = status ? recurring.filter(pattern => pattern.status === status) : recurring;
+
+  res.json({
+    success: true,
+    data: {
+      recurring: patterns,
+      priceIncreases,
+      monthlyCost,
+      count: patterns.length
+    }
+  });
+}));
+
+/**
+ * GET /recurring/rules - List the user's scheduled recurring transaction rules
+ *
+ * Response: { success, data: { rules: [{ ruleId, amount, currency, merchant, category, type, description,
+ *   cadence, startDate, endDate, nextRunDate (null once ended), lastRunDate, active, createdAt, updatedAt }], count } }
+ */
+router.get('/recurring/rules', protect, asyncHandler(async (req, res) => {
+  const rules = await listRecurringRules(req.user.userId);
+
+  res.json({
+    success: true,
+    data: {
+      rules: rules,
+      count: rules.length
+    }
+  });
+}));
+
+/**
+ * POST /recurring/rules - Create a rule; the scheduler posts each occurrence as a transaction
+ * with source 'recurring' on its due date
+ * Request Body: { amount, merchant, category, type: 'expense'|'income', currency?, description?,
+ *                 cadence: 'weekly'|'monthly'|'yearly', startDate: 'YYYY-MM-DD', endDate?: 'YYYY-MM-DD' }
+ *
+ * Occurrences already due (startDate today or in the past) are posted right away
+ */
+router.post('/recurring/rules', protect, asyncHandler(async (req, res) => {
+  const rule = await addRecurringRule(req.user.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      rule: rule,
+      message: `✅ Recurring ${rule.type} scheduled: ${rule.merchant} (${rule.cadence})`
+    }
+  });
+}));
+
+/**
+ * GET /recurring/rules/:ruleId - Get a single rule
+ */
+router.get('/recurring/rules/:ruleId', protect, asyncHandler(async (req, res) => {
+  const rule = await getRecurringRuleDetails(req.user.userId, req.params.ruleId);
+
+  res.json({
+    success: true,
+    data: {
+      rule: rule
+    }
+  });
+}));
+
+/**
+ * PATCH /recurring/rules/:ruleId - Edit a rule
+ * Request Body: any of { amount, currency, merchant, category, type, description, endDate, active }
+ *
+ * active: false pauses the rule; resuming it skips the occurrences missed while paused
+ */
+router.patch('/recurring/rules/:ruleId', protect, asyncHandler(async (req, res) => {
+  const rule = await editRecurringRule(req.user.userId, req.params.ruleId, req.body);
+
+  res.json({
+    success: true,
+    data: {
+      rule: rule,
+      message: `✅ Recurring rule updated: ${rule.ruleId}`
+    }
+  });
+}));
+
+/**
+ * DELETE /recurring/rules/:ruleId - Delete a rule (transactions it posted are kept)
+ */
+router.delete('/recurring/rules/:ruleId', protect, asyncHandler(async (req, res) => {
+  const rule = await removeRecurringRule(req.user.userId, req.params.ruleId);
+
+  res.json({
+    success: true,
+    data: {
+      rule: rule,
+      message: `🗑️ Recurring rule deleted: ${rule.ruleId}`
+    }
+  });
+}));
+
+export default router;
@@ -0,0 +1,153 @@
+// src/routes/rules.js
+import express from 'express';
+import {
+  listCategorizationRules,
+  getCategorizationRuleDetails,
+  addCategorizationRule,
+  editCategorizationRule,
+  reorderCategorizationRules,
+  removeCategorizationRule,
+  dryRunCategorizationRule
+} from '../services/categorizationRuleService.js';
+import { asyncHandler } from '../utils/errors.js';
+import { requireAuth, authorizeUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Rules always belong to the session user; a userId in the body or query must match it
+const protect = [requireAuth, authorizeUser];
+
+/**
+ * GET /rules - List the user's auto-categorization rules in the order they run
+ *
+ * Response: {
+ *   success, data: {
+ *     rules: [{ ruleId, name, priority, active, conditions, actions, createdAt, updatedAt }],
+ *     count
+ *   }
+ * }
+ */
+router.get('/rules', protect, asyncHandler(async (req, res) => {
+  const rules = await listCategorizationRules(req.user.userId);
+
+  res.json({
+    success: true,
+    data: {
+      rules: rules,
+      count: rules.length
+    }
+  });
+}));
+
+/**
+ * POST /rules - Add a rule
+ * Request Body: {
+ *   name?: string, priority?: number (lower runs first; default: after the existing rules), active?: boolean,
+ *   conditions: { merchantContains?, amountMin?, amountMax?, descriptionMatches? (RE2 regex: no backreferences or lookarounds), type? },
+ *   actions: { category?, type?, tags?: string[], description? }
+ * }
+ *
+ * Every condition given must match. The category must exist in the user's category tree.
+ */
+router.post('/rules', protect, asyncHandler(async (req, res) => {
+  const rule = await addCategorizationRule(req.user.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      rule: rule,
+      message: `✅ Rule added: ${rule.name}`
+    }
+  });
+}));
+
+/**
+ * POST /rules/dry-run - Show which stored transactions a rule would change, without saving it
+ * Request Body: same as POST /rules
+ *
+ * Response: { success, data: { rule, matched, changed, transactions: [{ transactionId, date, merchant, amount,
+ *   currency, changes: { field: { from, to } } }], truncated } }
+ */
+router.post('/rules/dry-run', protect, asyncHandler(async (req, res) => {
+  const result = await dryRunCategorizationRule(req.user.userId, req.body);
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+/**
+ * PUT /rules/order - Set the order rules run in
+ * Request Body: { ruleIds: [ruleId, ...] } (every rule, first to run first)
+ */
+router.put('/rules/order', protect, asyncHandler(async (req, res) => {
+  const rules = await reorderCategorizationRules(req.user.userId, req.body.ruleIds);
+
+  res.json({
+    success: true,
+    data: {
+      rules: rules,
+      count: rules.length
+    }
+  });
+}));
+
+/**
+ * GET /rules/:ruleId - Get a single rule
+ */
+router.get('/rules/:ruleId', protect, asyncHandler(async (req, res) => {
+  const rule = await getCategorizationRuleDetails(req.user.userId, req.params.ruleId);
+
+  res.json({
+    success: true,
+    data: {
+      rule: rule
+    }
+  });
+}));
+
+/**
+ * GET /rules/:ruleId/dry-run - Show which stored transactions a saved rule would change
+ */
+router.get('/rules/:ruleId/dry-run', protect, asyncHandler(async (req, res) => {
+  const result = await dryRunCategorizationRule(req.user.userId, req.params.ruleId);
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+/**
+ * PATCH /rules/:ruleId - Edit a rule
+ * Request Body: any of { name, priority, active, conditions, actions }
+ */
+router.patch('/rules/:ruleId', protect, asyncHandler(async (req, res) => {
+  const rule = await editCategorizationRule(req.user.userId, req.params.ruleId, req.body);
+
+  res.json({
+    success: true,
+    data: {
+      rule: rule,
+      message: `✅ Rule updated: ${rule.name}`
+    }
+  });
+}));
+
+/**
+ * DELETE /rules/:ruleId - Delete a rule
+ */
+router.delete('/rules/:ruleId', protect, asyncHandler(async (req, res) => {
+  const rule = await removeCategorizationRule(req.user.userId, req.params.ruleId);
+
+  res.json({
+    success: true,
+    data: {
+      rule: rule,
+      message: `🗑️ Rule deleted: ${rule.name}`
+    }
+  });
+}));
+
+export default router;
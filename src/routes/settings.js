@@ -0,0 +1,58 @@
+// src/routes/settings.js
+import express from 'express';
+import { getCurrencySettings, setBaseCurrency } from '../services/currencyService.js';
+import { ValidationError, asyncHandler } from '../utils/errors.js';
+import { requireAuth, authorizeUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Settings always belong to the session user; a userId in the body or query must match it
+const protect = [requireAuth, authorizeUser];
+
+// Settings a user may change
+const SETTINGS_FIELDS = ['baseCurrency'];
+
+/**
+ * GET /settings - Get the user's settings
+ *
+ * Response: { success, data: { settings: { baseCurrency, defaultBaseCurrency, currencies } } }
+ * currencies lists every code the exchange rate table can convert
+ */
+router.get('/settings', protect, asyncHandler(async (req, res) => {
+  const settings = await getCurrencySettings(req.user.userId);
+
+  res.json({
+    success: true,
+    data: {
+      settings: settings
+    }
+  });
+}));
+
+/**
+ * PATCH /settings - Change the user's settings
+ * Request Body: { baseCurrency: 'EUR' }
+ *
+ * Changing the base currency re-converts every stored transaction;
+ * converted / unconverted count the transactions with and without a rate.
+ */
+router.patch('/settings', protect, asyncHandler(async (req, res) => {
+  const unknownFields = Object.keys(req.body || {}).filter(key => key !== 'userId' && !SETTINGS_FIELDS.includes(key));
+  if (unknownFields.length > 0) {
+    throw new ValidationError(`Settings cannot be changed: ${unknownFields.join(', ')}`, unknownFields[0]);
+  }
+
+  const { converted, unconverted, ...settings } = await setBaseCurrency(req.user.userId, req.body.baseCurrency);
+
+  res.json({
+    success: true,
+    data: {
+      settings: settings,
+      converted: converted,
+      unconverted: unconverted,
+      message: `✅ Base currency set to ${settings.baseCurrency}`
+    }
+  });
+}));
+
+export default router;
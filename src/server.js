@@ -4,8 +4,28 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import chatRoutes from './routes/chat.js';
+import authRoutes from './routes/auth.js';
+import jobRoutes from './routes/jobs.js';
+import importRoutes from './routes/import.js';
+import budgetRoutes from './routes/budgets.js';
+import recurringRoutes from './routes/recurring.js';
+import settingsRoutes from './routes/settings.js';
+import categoryRoutes from './routes/categories.js';
+import merchantRoutes from './routes/merchants.js';
+import ruleRoutes from './routes/rules.js';
+import correctionRoutes from './routes/corrections.js';
+import duplicateRoutes from './routes/duplicates.js';
 import { errorHandler } from './utils/errors.js';
 import { checkAWSConfig } from './config/aws.js';
+import { checkAuthConfig } from './config/auth.js';
+import { checkStorageConfig, STORAGE_BACKEND } from './config/storage.js';
+import { checkLLMConfig } from './config/llm.js';
+import { checkOCRConfig, OCR_PROVIDER } from './config/ocr.js';
+import { checkAccountingConfig } from './config/accounting.js';
+import { checkSchedulerConfig } from './config/scheduler.js';
+import { checkCurrencyConfig } from './config/currency.js';
+import { checkDuplicateConfig } from './config/duplicates.js';
+import { startRecurringScheduler } from './services/recurringRuleService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -27,8 +47,8 @@ app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 // CORS middleware (enable if needed for frontend)
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
   } else {
@@ -37,7 +57,18 @@ app.use((req, res, next) => {
 });
 
 // Routes
+app.use('/api', authRoutes);
 app.use('/api', chatRoutes);
+app.use('/api', jobRoutes);
+app.use('/api', importRoutes);
+app.use('/api', budgetRoutes);
+app.use('/api', recurringRoutes);
+app.use('/api', settingsRoutes);
+app.use('/api', categoryRoutes);
+app.use('/api', merchantRoutes);
+app.use('/api', ruleRoutes);
+app.use('/api', correctionRoutes);
+app.use('/api', duplicateRoutes);
 
 // Serve mainpage.html at root endpoint (must be before static middleware)
 app.get('/', (req, res) => {
@@ -66,14 +97,35 @@ app.use(errorHandler);
 // Start server
 const startServer = async () => {
   try {
-    // Check AWS configuration
-    checkAWSConfig();
+    // Check storage configuration
+    checkStorageConfig();
 
-    // Check OpenAI API key
-    if (!process.env.OPENAI_API_KEY) {
-      console.warn('Warning: OPENAI_API_KEY not set. LLM features will not work.');
+    // Check OCR configuration
+    checkOCRConfig();
+
+    // Check AWS configuration (only required when DynamoDB or Textract is used)
+    if (STORAGE_BACKEND === 'dynamodb' || OCR_PROVIDER === 'textract') {
+      checkAWSConfig();
     }
 
+    // Check session signing secret
+    checkAuthConfig();
+
+    // Check LLM provider configuration (OpenAI API key or local server)
+    checkLLMConfig();
+
+    // Check ledger/beancount export account mapping
+    checkAccountingConfig();
+
+    // Check recurring transaction scheduler settings
+    checkSchedulerConfig();
+
+    // Check base currency and exchange rate table
+    checkCurrencyConfig();
+
+    // Check duplicate detection window and thresholds
+    checkDuplicateConfig();
+
     app.listen(PORT, () => {
       console.log(`🚀 Server is running on port ${PORT}`);
       console.log(`🏠 Landing page: http://localhost:${PORT}/`);
@@ -81,7 +133,11 @@ const startServer = async () => {
       console.log(`💡 Health check: http://localhost:${PORT}/api/health`);
       console.log(`📊 View transactions: http://localhost:${PORT}/transactions.html`);
       console.log(`📄 Upload receipt: http://localhost:${PORT}/upload.html`);
+      console.log(`📥 Import statement: http://localhost:${PORT}/import.html`);
       console.log(`📈 Dashboard: http://localhost:${PORT}/dashboard.html`);
+
+      // Post scheduled recurring transactions that are due (and keep checking)
+      startRecurringScheduler();
     });
   } catch (error) {
     console.error('Failed to start server:', error);
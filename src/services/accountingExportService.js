@@ -0,0 +1,166 @@
+// src/services/accountingExportService.js
+import { ACCOUNTING_CONFIG } from '../config/accounting.js';
+
+/**
+ * Plain-text accounting export (ledger-cli and beancount journals)
+ * Each stored transaction becomes a balanced two-posting entry between the
+ * configured asset account and an expense/income account derived from its
+ * category (see config/accounting.js for the mapping). The transactionId is
+ * written as metadata, so re-exports produce the same entries and journals can
+ * be diffed or merged.
+ *
+ * The writers follow the exportService writer contract:
+ * start(), page(transactions) and end() each return the next chunk of text.
+ */
+
+/**
+ * Turns free text into one account name component ("Food & Dining" -> "Food-Dining")
+ * @param {string} text - Category (or part of one)
+ * @returns {string} Component valid in both ledger and beancount
+ */
+const toAccountComponent = (text) => {
+  const cleaned = String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (!cleaned) {
+    return 'Uncategorized';
+  }
+
+  return cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+};
+
+/**
+ * Gets the expense or income account for a transaction
+ * Explicit mappings win; otherwise the category becomes a sub-account of the
+ * expense/income root ("Food:Groceries" -> "Expenses:Food:Groceries")
+ * @param {Object} transaction - Stored transaction
+ * @returns {string} Account name
+ */
+export const getCategoryAccount = (transaction) => {
+  const isIncome = transaction.type === 'income';
+  const mapping = isIncome ? ACCOUNTING_CONFIG.incomeAccounts : ACCOUNTING_CONFIG.expenseAccounts;
+  const root = isIncome ? ACCOUNTING_CONFIG.incomeRoot : ACCOUNTING_CONFIG.expenseRoot;
+
+  if (mapping[transaction.category]) {
+    return mapping[transaction.category];
+  }
+
+  const components = String(transaction.category || '').split(':').map(toAccountComponent);
+  return [root, ...components].join(':');
+};
+
+/**
+ * Gets the commodity for a currency code
+ * @param {string} currency - ISO currency code
+ * @returns {string} Commodity name
+ */
+export const getCommodity = (currency) => {
+  const code = String(currency || 'USD').toUpperCase();
+  return ACCOUNTING_CONFIG.commodities[code] || code.replace(/[^A-Z0-9'._-]/g, '');
+};
+
+/**
+ * Formats an amount with two decimals
+ * @param {number} amount - Amount
+ * @returns {string} e.g. "-4.50"
+ */
+const formatAmount = (amount) => Number(amount).toFixed(2);
+
+/**
+ * Returns the postings of an entry: [[account, signed amount], ...]
+ * Expenses move money from the asset account to the expense account;
+ * income moves it from the income account into the asset account.
+ * @param {Object} transaction - Stored transaction
+ * @returns {Array} Postings
+ */
+const getPostings = (transaction) => {
+  const account = getCategoryAccount(transaction);
+  const amount = Number(transaction.amount);
+
+  return transaction.type === 'income'
+    ? [[ACCOUNTING_CONFIG.assetAccount, amount], [account, -amount]]
+    : [[account, amount], [ACCOUNTING_CONFIG.assetAccount, -amount]];
+};
+
+/**
+ * Keeps journal text on one line
+ * @param {string} value - Text
+ * @returns {string} Single-line text
+ */
+const singleLine = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Creates a ledger-cli journal writer
+ * @returns {Object} Writer ({ start, page, end })
+ */
+export const createLedgerWriter = () => ({
+  start: () => '; Exported from AI Transaction Bot\n\n',
+
+  page: (transactions) => transactions.map(transaction => {
+    const commodity = getCommodity(transaction.currency);
+    const description = singleLine(transaction.description);
+
+    const lines = [
+      `${transaction.date} * ${singleLine(transaction.merchant) || 'Unknown'}`,
+      `    ; transactionId: ${transaction.transactionId}`,
+      `    ; source: ${transaction.source || 'manual'}`,
+      ...(description && description !== singleLine(transaction.merchant) ? [`    ; description: ${description}`] : []),
+      ...getPostings(transaction).map(([account, amount]) => `    ${account.padEnd(40)}  ${formatAmount(amount)} ${commodity}`)
+    ];
+
+    return `${lines.join('\n')}\n\n`;
+  }).join(''),
+
+  end: () => ''
+});
+
+/**
+ * Escapes a beancount string literal
+ * @param {string} value - Text
+ * @returns {string} Quoted string
+ */
+const beancountString = (value) => `"${singleLine(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Creates a beancount journal writer
+ * Accounts must be opened before they are used; since pages are streamed, the
+ * open directives are written at the end, dated on the first day each account
+ * is used (beancount orders directives by date, not file position).
+ * @returns {Object} Writer ({ start, page, end })
+ */
+export const createBeancountWriter = () => {
+  const firstUse = new Map();
+
+  const trackAccount = (account, date) => {
+    if (!firstUse.has(account) || date < firstUse.get(account)) {
+      firstUse.set(account, date);
+    }
+  };
+
+  return {
+    start: () => '; Exported from AI Transaction Bot\n\n',
+
+    page: (transactions) => transactions.map(transaction => {
+      const commodity = getCommodity(transaction.currency);
+      const postings = getPostings(transaction);
+      postings.forEach(([account]) => trackAccount(account, transaction.date));
+
+      const lines = [
+        `${transaction.date} * ${beancountString(transaction.merchant)} ${beancountString(transaction.description)}`,
+        `  transactionId: ${beancountString(transaction.transactionId)}`,
+        `  source: ${beancountString(transaction.source || 'manual')}`,
+        ...postings.map(([account, amount]) => `  ${account.padEnd(40)}  ${formatAmount(amount)} ${commodity}`)
+      ];
+
+      return `${lines.join('\n')}\n\n`;
+    }).join(''),
+
+    end: () => [...firstUse.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([account, date]) => `${date} open ${account}\n`)
+      .join('')
+  };
+};
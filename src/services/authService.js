@@ -0,0 +1,188 @@
+// src/services/authService.js
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { SESSION_SECRET, SESSION_TTL_HOURS } from '../config/auth.js';
+import { createUser, getUserByEmail } from './storageService.js';
+import { validateEmail, validatePassword, validateName } from '../utils/validation.js';
+import { AuthenticationError } from '../utils/errors.js';
+
+// Convert callback-based crypto functions to promise-based
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt output length in bytes
+const KEY_LENGTH = 64;
+
+/**
+ * Hashes a password with a random salt using scrypt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Hash in the form "scrypt$<salt>$<hash>"
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${derivedKey.toString('hex')}`;
+};
+
+/**
+ * Checks a password against a stored hash (constant-time comparison)
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Hash produced by hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export const verifyPassword = async (password, storedHash) => {
+  const [scheme, salt, hash] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const derivedKey = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, derivedKey);
+};
+
+/**
+ * Signs a payload with the session secret
+ * @param {string} data - Data to sign
+ * @returns {string} base64url HMAC-SHA256 signature
+ */
+const sign = (data) => {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(data).digest('base64url');
+};
+
+/**
+ * Creates a signed session token for a user
+ * Token format: "<base64url JSON payload>.<base64url signature>"
+ * @param {Object} user - User record ({ userId, email })
+ * @returns {string} Signed session token
+ */
+export const createSessionToken = (user) => {
+  const payload = {
+    sub: user.userId,
+    email: user.email,
+    exp: Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000
+  };
+
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${sign(encoded)}`;
+};
+
+/**
+ * Verifies a session token and returns the session it represents
+ * @param {string} token - Session token
+ * @returns {Object} Session ({ userId, email, expiresAt })
+ * @throws {AuthenticationError} If the token is missing, tampered with or expired
+ */
+export const verifySessionToken = (token) => {
+  if (!token || typeof token !== 'string') {
+    throw new AuthenticationError();
+  }
+
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) {
+    throw new AuthenticationError('Invalid session token');
+  }
+
+  const expected = Buffer.from(sign(encoded));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new AuthenticationError('Invalid session token');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthenticationError('Invalid session token');
+  }
+
+  if (!payload.sub || !payload.exp || payload.exp < Date.now()) {
+    throw new AuthenticationError('Session has expired. Please log in again.');
+  }
+
+  return {
+    userId: payload.sub,
+    email: payload.email,
+    expiresAt: new Date(payload.exp).toISOString()
+  };
+};
+
+/**
+ * Removes secrets from a user record before returning it to a client
+ * @param {Object} user - User record
+ * @returns {Object} Public user fields
+ */
+const toPublicUser = (user) => ({
+  userId: user.userId,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName
+});
+
+/**
+ * Registers a new user account
+ * @param {Object} signupData - { firstName, lastName, email, password }
+ * @returns {Promise<Object>} { user, token }
+ * @throws {ValidationError} If input is invalid or the email is taken
+ */
+export const signup = async ({ firstName, lastName, email, password }) => {
+  const validEmail = validateEmail(email);
+  validatePassword(password);
+
+  const user = await createUser({
+    userId: `user-${uuidv4()}`,
+    email: validEmail,
+    firstName: validateName(firstName, 'firstName'),
+    lastName: validateName(lastName, 'lastName'),
+    passwordHash: await hashPassword(password)
+  });
+
+  console.log('User signed up:', user.userId);
+
+  return {
+    user: toPublicUser(user),
+    token: createSessionToken(user)
+  };
+};
+
+/**
+ * Logs a user in with email and password
+ * @param {Object} credentials - { email, password }
+ * @returns {Promise<Object>} { user, token }
+ * @throws {AuthenticationError} If the credentials are wrong
+ */
+export const login = async ({ email, password }) => {
+  if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
+    throw new AuthenticationError('Email and password are required');
+  }
+
+  const user = await getUserByEmail(email.trim().toLowerCase());
+
+  // Same message for unknown email and wrong password
+  if (!user || !(await verifyPassword(password, user.passwordHash))) {
+    throw new AuthenticationError('Invalid email or password');
+  }
+
+  console.log('User logged in:', user.userId);
+
+  return {
+    user: toPublicUser(user),
+    token: createSessionToken(user)
+  };
+};
+
+/**
+ * Gets the public profile for a session
+ * @param {Object} session - Session from verifySessionToken
+ * @returns {Promise<Object>} Public user fields
+ * @throws {AuthenticationError} If the account no longer exists
+ */
+export const getSessionUser = async (session) => {
+  const user = await getUserByEmail(session.email);
+
+  if (!user || user.userId !== session.userId) {
+    throw new AuthenticationError('Account not found. Please log in again.');
+  }
+
+  return toPublicUser(user);
+};
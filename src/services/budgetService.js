@@ -0,0 +1,293 @@
+// src/services/budgetService.js
+import {
+  createBudget,
+  getBudget,
+  getUserBudgets,
+  updateBudget,
+  deleteBudget,
+  getTransactionPages
+} from './storageService.js';
+import { getBaseCurrency, getBaseAmount, formatMoney } from './currencyService.js';
+import { getCategoryFamily } from './categoryService.js';
+import { validateUserId, validateCategory, validateAmount, validateMonth } from '../utils/validation.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * Monthly category budgets
+ * A budget caps the expenses of one category in one month ("Food", "2026-03", 400).
+ * Spending is always computed from the stored transactions, so edits and deletes
+ * are reflected without keeping running totals. Budgets are in the user's base
+ * currency and foreign-currency expenses count at their converted amount.
+ * A budget on a top-level category also covers its subcategories.
+ */
+
+// Fields a user may set on a budget
+const BUDGET_FIELDS = ['category', 'month', 'amount'];
+
+// Share of a budget at which a new expense triggers a warning (highest first)
+export const BUDGET_ALERT_THRESHOLDS = [1, 0.8];
+
+/**
+ * Validates budget fields
+ * @param {Object} budgetData - { category, month, amount }
+ * @returns {Object} Validated { category, month, amount }
+ * @throws {ValidationError} If a field is missing or invalid
+ */
+const validateBudget = (budgetData) => {
+  if (!budgetData || typeof budgetData !== 'object') {
+    throw new ValidationError('Budget must be an object');
+  }
+
+  return {
+    category: validateCategory(budgetData.category),
+    month: validateMonth(budgetData.month),
+    amount: validateAmount(budgetData.amount)
+  };
+};
+
+/**
+ * Categories are compared case-insensitively ("food" budget covers "Food" expenses)
+ * @param {string} category - Category
+ * @returns {string} Comparison key
+ */
+const categoryKey = (category) => String(category || '').trim().toLowerCase();
+
+/**
+ * Maps a budget's category onto the user's category tree ("food" -> "Food")
+ * @param {string} userId - User identifier
+ * @param {Object} budget - Validated budget
+ * @returns {Promise<Object>} Budget with the tree's category name
+ * @throws {ValidationError} If the category is not in the tree
+ */
+const withTreeCategory = async (userId, budget) => {
+  const family = await getCategoryFamily(userId, budget.category);
+  if (!family) {
+    throw new ValidationError(`Unknown category: ${budget.category}. Add it to your categories first`, 'category');
+  }
+
+  return { ...budget, category: family.category.name };
+};
+
+/**
+ * Throws if the user already has a budget for the same category and month
+ * @param {string} userId - User identifier
+ * @param {Object} budget - Validated budget
+ * @param {string} exceptBudgetId - Budget being edited (not a conflict with itself)
+ * @throws {ValidationError} If another budget exists
+ */
+const assertNoConflict = async (userId, budget, exceptBudgetId = null) => {
+  const existing = (await getUserBudgets(userId, budget.month))
+    .find(item => item.budgetId !== exceptBudgetId && categoryKey(item.category) === categoryKey(budget.category));
+
+  if (existing) {
+    throw new ValidationError(`A ${existing.category} budget for ${budget.month} already exists (${existing.budgetId})`, 'category');
+  }
+};
+
+/**
+ * Lists the categories a budget covers (its category and that category's subcategories)
+ * @param {string} userId - User identifier
+ * @param {string} category - Budget category
+ * @returns {Promise<Array<string>>} Comparison keys
+ */
+const getBudgetCategoryKeys = async (userId, category) => {
+  const family = await getCategoryFamily(userId, category);
+  return family ? family.names.map(categoryKey) : [categoryKey(category)];
+};
+
+/**
+ * Sums a user's expenses in some categories and one month
+ * @param {string} userId - User identifier
+ * @param {Array<string>} categoryKeys - Categories to include (see getBudgetCategoryKeys)
+ * @param {string} month - Month (YYYY-MM)
+ * @param {string} baseCurrency - Currency to total in (expenses without a rate are skipped)
+ * @returns {Promise<number>} Total spent
+ */
+const getCategorySpending = async (userId, categoryKeys, month, baseCurrency) => {
+  let spent = 0;
+
+  for await (const page of getTransactionPages(userId, { startDate: `${month}-01`, endDate: `${month}-31` })) {
+    page
+      .filter(transaction => transaction.type === 'expense' && categoryKeys.includes(categoryKey(transaction.category)))
+      .forEach(transaction => {
+        spent += getBaseAmount(transaction, baseCurrency) || 0;
+      });
+  }
+
+  return Math.round(spent * 100) / 100;
+};
+
+/**
+ * Lists a user's budgets
+ * @param {string} userId - User identifier
+ * @param {string} month - Month (YYYY-MM), optional
+ * @returns {Promise<Array>} Budgets sorted by month, then category
+ * @throws {ValidationError} If the month is malformed
+ */
+export const listBudgets = async (userId, month = null) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const validMonth = month ? validateMonth(month) : null;
+
+    const budgets = await getUserBudgets(validUserId, validMonth);
+    return budgets.sort((a, b) => a.month.localeCompare(b.month) || a.category.localeCompare(b.category));
+  } catch (error) {
+    console.error('Error listing budgets:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets a single budget
+ * @param {string} userId - User identifier
+ * @param {string} budgetId - Budget identifier
+ * @returns {Promise<Object>} Budget object
+ * @throws {NotFoundError} If the budget does not exist
+ */
+export const getBudgetDetails = async (userId, budgetId) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const budget = await getBudget(validUserId, budgetId);
+
+    if (!budget) {
+      throw new NotFoundError(`Budget not found: ${budgetId}`);
+    }
+
+    return budget;
+  } catch (error) {
+    console.error('Error getting budget details:', error);
+    throw error;
+  }
+};
+
+/**
+ * Creates a budget (one per category and month)
+ * @param {string} userId - User identifier
+ * @param {Object} budgetData - { category, month (YYYY-MM), amount }
+ * @returns {Promise<Object>} Created budget
+ * @throws {ValidationError} If a field is invalid or the budget already exists
+ */
+export const addBudget = async (userId, budgetData) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const budget = await withTreeCategory(validUserId, validateBudget(budgetData));
+
+    await assertNoConflict(validUserId, budget);
+
+    return await createBudget(validUserId, budget);
+  } catch (error) {
+    console.error('Error adding budget:', error);
+    throw error;
+  }
+};
+
+/**
+ * Edits a budget; the merged record is re-validated as a whole
+ * @param {string} userId - User identifier
+ * @param {string} budgetId - Budget identifier
+ * @param {Object} updates - Any of { category, month, amount }
+ * @returns {Promise<Object>} Updated budget
+ * @throws {ValidationError} If no editable fields are given, the result is invalid or conflicts
+ * @throws {NotFoundError} If the budget does not exist
+ */
+export const editBudget = async (userId, budgetId, updates) => {
+  try {
+    const validUserId = validateUserId(userId);
+
+    if (!updates || typeof updates !== 'object') {
+      throw new ValidationError('Updates must be an object');
+    }
+
+    const unknownFields = Object.keys(updates).filter(key => !BUDGET_FIELDS.includes(key));
+    if (unknownFields.length > 0) {
+      throw new ValidationError(`Fields cannot be edited: ${unknownFields.join(', ')}`, unknownFields[0]);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      throw new ValidationError(`Provide at least one field to update: ${BUDGET_FIELDS.join(', ')}`);
+    }
+
+    const existing = await getBudgetDetails(validUserId, budgetId);
+    const budget = await withTreeCategory(validUserId, validateBudget({ ...existing, ...updates }));
+
+    await assertNoConflict(validUserId, budget, budgetId);
+
+    return await updateBudget(validUserId, budgetId, budget);
+  } catch (error) {
+    console.error('Error editing budget:', error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes a budget
+ * @param {string} userId - User identifier
+ * @param {string} budgetId - Budget identifier
+ * @returns {Promise<Object>} The deleted budget
+ * @throws {NotFoundError} If the budget does not exist
+ */
+export const removeBudget = async (userId, budgetId) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const existing = await getBudgetDetails(validUserId, budgetId);
+
+    await deleteBudget(validUserId, budgetId);
+
+    return existing;
+  } catch (error) {
+    console.error('Error removing budget:', error);
+    throw error;
+  }
+};
+
+/**
+ * Checks whether a newly saved expense pushed its category past a budget threshold
+ * Only the highest threshold crossed by this transaction is reported, so a
+ * category that was already over 80% only warns again when it passes 100%.
+ * @param {string} userId - User identifier
+ * @param {Object} transaction - Stored transaction (already counted in storage)
+ * @returns {Promise<Object|null>} { budget, threshold, spent, remaining, percent, message } or null
+ */
+export const checkBudgetThresholds = async (userId, transaction) => {
+  if (!transaction || transaction.type !== 'expense' || !transaction.date) {
+    return null;
+  }
+
+  // A budget on the transaction's own category wins over one on its parent category
+  const month = transaction.date.slice(0, 7);
+  const budgets = await getUserBudgets(userId, month);
+  let budget = budgets.find(item => categoryKey(item.category) === categoryKey(transaction.category));
+  let categoryKeys = budget ? await getBudgetCategoryKeys(userId, budget.category) : [];
+
+  for (const item of budget ? [] : budgets) {
+    const keys = await getBudgetCategoryKeys(userId, item.category);
+    if (keys.includes(categoryKey(transaction.category))) {
+      budget = item;
+      categoryKeys = keys;
+      break;
+    }
+  }
+
+  if (!budget) {
+    return null;
+  }
+
+  const baseCurrency = await getBaseCurrency(userId);
+  const spent = await getCategorySpending(userId, categoryKeys, month, baseCurrency);
+  const spentBefore = spent - (getBaseAmount(transaction, baseCurrency) || 0);
+
+  const threshold = BUDGET_ALERT_THRESHOLDS.find(level => spent >= budget.amount * level && spentBefore < budget.amount * level);
+  if (!threshold) {
+    return null;
+  }
+
+  const percent = Math.round((spent / budget.amount) * 100);
+  const remaining = Math.round((budget.amount - spent) * 100) / 100;
+
+  const money = (value) => formatMoney(value, baseCurrency);
+  const message = threshold >= 1
+    ? `🚨 ${budget.category} budget exceeded: ${money(spent)} of ${money(budget.amount)} spent in ${month} (${percent}%)`
+    : `⚠️ ${budget.category} budget at ${percent}%: ${money(spent)} of ${money(budget.amount)} spent in ${month}, ${money(remaining)} left`;
+
+  return { budget, threshold, spent, remaining, percent, message };
+};
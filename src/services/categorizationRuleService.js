@@ -0,0 +1,537 @@
+// src/services/categorizationRuleService.js
+import {
+  createCategorizationRule,
+  getCategorizationRule,
+  getUserCategorizationRules,
+  updateCategorizationRule,
+  deleteCategorizationRule,
+  getTransactionPages
+} from './storageService.js';
+import { getCategoryTree, resolveCategory } from './categoryService.js';
+import { validateUserId, validateTransactionType, validateTags } from '../utils/validation.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+import { RE2JS } from 're2js';
+
+/**
+ * Auto-categorization rules
+ * A rule has conditions (all must match) and actions. Rules run on every extracted
+ * transaction (chat, receipts, imports) after extraction and merchant normalization,
+ * before validation, so a user can override what the LLM picked ("Uber" -> "Business Travel").
+ *
+ * Rules run in priority order (lowest number first). When several rules match, the
+ * first one to set a field wins it; tags from every matching rule are combined.
+ */
+
+// Fields a user may set on a rule
+const RULE_FIELDS = ['name', 'priority', 'active', 'conditions', 'actions'];
+
+// Conditions: merchant contains text, amount between min and max (inclusive), description matches a regex
+// (RE2 syntax, so no backreferences or lookarounds), type
+const CONDITION_FIELDS = ['merchantContains', 'amountMin', 'amountMax', 'descriptionMatches', 'type'];
+
+// Actions: fields a rule sets on a matching transaction (tags are added, the others replaced)
+const ACTION_FIELDS = ['category', 'type', 'tags', 'description'];
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_DRY_RUN_RESULTS = 100;
+const MAX_CACHED_PATTERNS = 500;
+
+// Compiled descriptionMatches patterns by source (null for patterns that are never run)
+// Patterns come from users and run on every extraction, so they use RE2, which matches in
+// linear time instead of backtracking
+const compiledPatterns = new Map();
+
+/**
+ * Compiles a descriptionMatches pattern once and reuses it for every transaction
+ * Patterns RE2 can't run (saved before they were rejected) compile to null and never match
+ * @param {string} pattern - Regular expression source
+ * @returns {RE2JS|null} Case-insensitive pattern, or null if the pattern can't be run
+ */
+const compilePattern = (pattern) => {
+  if (!compiledPatterns.has(pattern)) {
+    if (compiledPatterns.size >= MAX_CACHED_PATTERNS) {
+      compiledPatterns.delete(compiledPatterns.keys().next().value);
+    }
+
+    let regex = null;
+    try {
+      regex = RE2JS.compile(pattern, RE2JS.CASE_INSENSITIVE);
+    } catch (error) {
+      regex = null;
+    }
+    compiledPatterns.set(pattern, regex);
+  }
+
+  return compiledPatterns.get(pattern);
+};
+
+/**
+ * Checks whether a transaction meets every condition of a rule
+ * The merchant condition also looks at the merchant as extracted (rawMerchant)
+ * @param {Object} conditions - Rule conditions
+ * @param {Object} transaction - Transaction (extracted or stored)
+ * @returns {boolean} true if all conditions match
+ */
+const matchesConditions = (conditions, transaction) => {
+  if (conditions.merchantContains) {
+    const needle = conditions.merchantContains.toLowerCase();
+    const merchants = [transaction.merchant, transaction.rawMerchant].filter(Boolean).map(value => String(value).toLowerCase());
+    if (!merchants.some(merchant => merchant.includes(needle))) {
+      return false;
+    }
+  }
+
+  const amount = Number(transaction.amount);
+  if (conditions.amountMin !== undefined && !(amount >= conditions.amountMin)) {
+    return false;
+  }
+  if (conditions.amountMax !== undefined && !(amount <= conditions.amountMax)) {
+    return false;
+  }
+
+  if (conditions.descriptionMatches) {
+    const pattern = compilePattern(conditions.descriptionMatches);
+    if (!pattern || !pattern.test(transaction.description || '')) {
+      return false;
+    }
+  }
+
+  if (conditions.type && String(transaction.type || '').toLowerCase() !== conditions.type) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Sorts rules into the order they run in
+ * @param {Array} rules - Rule records
+ * @returns {Array} Rules by priority, then creation time
+ */
+const byPriority = (rules) => [...rules].sort((a, b) => a.priority - b.priority || String(a.createdAt).localeCompare(String(b.createdAt)));
+
+/**
+ * Applies rules to extracted transaction data (before it is validated)
+ * @param {Array} rules - The user's rules (inactive ones are skipped)
+ * @param {Object} transactionData - Extracted transaction
+ * @returns {Object} Copy with the actions of every matching rule applied
+ */
+export const applyCategorizationRules = (rules, transactionData) => {
+  const result = { ...transactionData };
+  const setFields = new Set();
+
+  byPriority(rules.filter(rule => rule.active !== false)).forEach(rule => {
+    if (!matchesConditions(rule.conditions, transactionData)) {
+      return;
+    }
+
+    Object.entries(rule.actions).forEach(([field, value]) => {
+      if (field === 'tags') {
+        result.tags = validateTags([...(result.tags || []), ...value]);
+      } else if (!setFields.has(field)) {
+        result[field] = value;
+        setFields.add(field);
+      }
+    });
+  });
+
+  return result;
+};
+
+/**
+ * Gets a user's rules in the order they run in
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Rule records
+ */
+export const getCategorizationRules = async (userId) => byPriority(await getUserCategorizationRules(userId));
+
+/**
+ * Validates rule conditions
+ * @param {Object} conditions - { merchantContains?, amountMin?, amountMax?, descriptionMatches?, type? }
+ * @returns {Object} Validated conditions (only the ones given)
+ * @throws {ValidationError} If there are none, or one is unknown or invalid
+ */
+const validateConditions = (conditions) => {
+  if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+    throw new ValidationError('Conditions must be an object', 'conditions');
+  }
+
+  const unknown = Object.keys(conditions).filter(key => !CONDITION_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown conditions: ${unknown.join(', ')}. Use: ${CONDITION_FIELDS.join(', ')}`, 'conditions');
+  }
+
+  const validated = {};
+
+  ['merchantContains', 'descriptionMatches'].forEach(field => {
+    if (conditions[field] === undefined || conditions[field] === null || conditions[field] === '') {
+      return;
+    }
+
+    const value = typeof conditions[field] === 'string' ? conditions[field].trim() : '';
+    if (value.length === 0 || value.length > MAX_PATTERN_LENGTH) {
+      throw new ValidationError(`${field} must be text of 1 to ${MAX_PATTERN_LENGTH} characters`, 'conditions');
+    }
+    validated[field] = value;
+  });
+
+  if (validated.descriptionMatches) {
+    try {
+      RE2JS.compile(validated.descriptionMatches, RE2JS.CASE_INSENSITIVE);
+    } catch (error) {
+      throw new ValidationError(`descriptionMatches is not a supported regular expression (backreferences and lookarounds can't be used): ${error.message}`, 'conditions');
+    }
+  }
+
+  ['amountMin', 'amountMax'].forEach(field => {
+    if (conditions[field] === undefined || conditions[field] === null || conditions[field] === '') {
+      return;
+    }
+
+    const value = Number(conditions[field]);
+    if (!isFinite(value) || value < 0) {
+      throw new ValidationError(`${field} must be a number of 0 or more`, 'conditions');
+    }
+    validated[field] = value;
+  });
+
+  if (validated.amountMin !== undefined && validated.amountMax !== undefined && validated.amountMin > validated.amountMax) {
+    throw new ValidationError('amountMin cannot be greater than amountMax', 'conditions');
+  }
+
+  if (conditions.type) {
+    validated.type = validateTransactionType(conditions.type);
+  }
+
+  if (Object.keys(validated).length === 0) {
+    throw new ValidationError(`A rule needs at least one condition: ${CONDITION_FIELDS.join(', ')}`, 'conditions');
+  }
+
+  return validated;
+};
+
+/**
+ * Validates rule actions; the category must exist in the user's category tree
+ * @param {Array} categories - The user's categories
+ * @param {Object} actions - { category?, type?, tags?, description? }
+ * @returns {Object} Validated actions (category as named in the tree)
+ * @throws {ValidationError} If there are none, or one is unknown or invalid
+ */
+const validateActions = (categories, actions) => {
+  if (!actions || typeof actions !== 'object' || Array.isArray(actions)) {
+    throw new ValidationError('Actions must be an object', 'actions');
+  }
+
+  const unknown = Object.keys(actions).filter(key => !ACTION_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown actions: ${unknown.join(', ')}. Use: ${ACTION_FIELDS.join(', ')}`, 'actions');
+  }
+
+  const validated = {};
+
+  if (actions.type) {
+    validated.type = validateTransactionType(actions.type);
+  }
+
+  if (actions.category) {
+    const category = resolveCategory(categories, actions.category, validated.type || 'expense', { fallback: false });
+    if (!category) {
+      throw new ValidationError(`Unknown category: ${actions.category}. Add it to your categories first`, 'actions');
+    }
+    if (validated.type && category.kind !== validated.type) {
+      throw new ValidationError(`${category.name} is an ${category.kind} category; it can't be used with type ${validated.type}`, 'actions');
+    }
+    validated.category = category.name;
+  }
+
+  if (actions.tags !== undefined && actions.tags !== null) {
+    const tags = validateTags(actions.tags);
+    if (tags.length > 0) {
+      validated.tags = tags;
+    }
+  }
+
+  if (actions.description !== undefined && actions.description !== null && actions.description !== '') {
+    const description = String(actions.description).trim();
+    if (description.length > 500) {
+      throw new ValidationError('Description is too long (max 500 characters)', 'actions');
+    }
+    validated.description = description;
+  }
+
+  if (Object.keys(validated).length === 0) {
+    throw new ValidationError(`A rule needs at least one action: ${ACTION_FIELDS.join(', ')}`, 'actions');
+  }
+
+  return validated;
+};
+
+/**
+ * Describes a rule's conditions, used as its name when none is given
+ * @param {Object} conditions - Validated conditions
+ * @returns {string} e.g. 'merchant contains "uber", amount 10-50'
+ */
+const describeConditions = (conditions) => [
+  conditions.merchantContains && `merchant contains "${conditions.merchantContains}"`,
+  (conditions.amountMin !== undefined || conditions.amountMax !== undefined) && `amount ${conditions.amountMin ?? 0}-${conditions.amountMax ?? 'any'}`,
+  conditions.descriptionMatches && `description matches /${conditions.descriptionMatches}/`,
+  conditions.type && `type ${conditions.type}`
+].filter(Boolean).join(', ');
+
+/**
+ * Validates a complete rule
+ * @param {Array} categories - The user's categories
+ * @param {Object} ruleData - { name?, priority?, active?, conditions, actions }
+ * @param {number} defaultPriority - Priority used when none is given
+ * @returns {Object} Validated { name, priority, active, conditions, actions }
+ * @throws {ValidationError} If a field is invalid
+ */
+const validateRule = (categories, ruleData, defaultPriority) => {
+  const conditions = validateConditions(ruleData.conditions);
+  const actions = validateActions(categories, ruleData.actions);
+
+  const name = ruleData.name ? String(ruleData.name).trim() : describeConditions(conditions);
+  if (name.length === 0 || name.length > 100) {
+    throw new ValidationError('Rule name must be between 1 and 100 characters', 'name');
+  }
+
+  const priority = ruleData.priority === undefined || ruleData.priority === null ? defaultPriority : Number(ruleData.priority);
+  if (!Number.isInteger(priority) || priority < 0) {
+    throw new ValidationError('Priority must be a whole number of 0 or more (lower runs first)', 'priority');
+  }
+
+  if (ruleData.active !== undefined && typeof ruleData.active !== 'boolean') {
+    throw new ValidationError('active must be true or false', 'active');
+  }
+
+  return { name, priority, active: ruleData.active !== false, conditions, actions };
+};
+
+/**
+ * Lists a user's rules in the order they run in
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Rule records
+ */
+export const listCategorizationRules = async (userId) => {
+  try {
+    const validUserId = validateUserId(userId);
+    return await getCategorizationRules(validUserId);
+  } catch (error) {
+    console.error('Error listing categorization rules:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets a single rule
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @returns {Promise<Object>} Rule record
+ * @throws {NotFoundError} If the rule does not exist
+ */
+export const getCategorizationRuleDetails = async (userId, ruleId) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const rule = await getCategorizationRule(validUserId, ruleId);
+
+    if (!rule) {
+      throw new NotFoundError(`Rule not found: ${ruleId}`);
+    }
+
+    return rule;
+  } catch (error) {
+    console.error('Error getting categorization rule details:', error);
+    throw error;
+  }
+};
+
+/**
+ * Adds a rule; without a priority it runs after the existing ones
+ * @param {string} userId - User identifier
+ * @param {Object} ruleData - { name?, priority?, active?, conditions: { merchantContains?, amountMin?, amountMax?,
+ *                              descriptionMatches?, type? }, actions: { category?, type?, tags?, description? } }
+ * @returns {Promise<Object>} Created rule
+ * @throws {ValidationError} If a field is invalid
+ */
+export const addCategorizationRule = async (userId, ruleData) => {
+  try {
+    const validUserId = validateUserId(userId);
+
+    if (!ruleData || typeof ruleData !== 'object') {
+      throw new ValidationError('Rule must be an object');
+    }
+
+    const rules = await getUserCategorizationRules(validUserId);
+    const { categories } = await getCategoryTree(validUserId);
+    const nextPriority = rules.reduce((max, rule) => Math.max(max, rule.priority), 0) + 1;
+
+    return await createCategorizationRule(validUserId, validateRule(categories, ruleData, nextPriority));
+  } catch (error) {
+    console.error('Error adding categorization rule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Edits a rule; the merged record is re-validated as a whole
+ * Only transactions saved afterwards are affected (see dryRunCategorizationRule)
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @param {Object} updates - Any of { name, priority, active, conditions, actions }
+ * @returns {Promise<Object>} Updated rule
+ * @throws {ValidationError} If no editable fields are given or the result is invalid
+ * @throws {NotFoundError} If the rule does not exist
+ */
+export const editCategorizationRule = async (userId, ruleId, updates) => {
+  try {
+    const validUserId = validateUserId(userId);
+
+    if (!updates || typeof updates !== 'object') {
+      throw new ValidationError('Updates must be an object');
+    }
+
+    const unknownFields = Object.keys(updates).filter(key => !RULE_FIELDS.includes(key));
+    if (unknownFields.length > 0) {
+      throw new ValidationError(`Fields cannot be edited: ${unknownFields.join(', ')}`, unknownFields[0]);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      throw new ValidationError(`Provide at least one field to update: ${RULE_FIELDS.join(', ')}`);
+    }
+
+    const existing = await getCategorizationRuleDetails(validUserId, ruleId);
+    const { categories } = await getCategoryTree(validUserId);
+
+    const rule = validateRule(categories, { ...existing, ...updates }, existing.priority);
+
+    return await updateCategorizationRule(validUserId, ruleId, rule);
+  } catch (error) {
+    console.error('Error editing categorization rule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Sets the order rules run in
+ * @param {string} userId - User identifier
+ * @param {Array<string>} ruleIds - Every rule ID of the user, first to run first
+ * @returns {Promise<Array>} Rules in their new order (priorities 1, 2, 3, ...)
+ * @throws {ValidationError} If the list doesn't contain each of the user's rules exactly once
+ */
+export const reorderCategorizationRules = async (userId, ruleIds) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const rules = await getUserCategorizationRules(validUserId);
+
+    if (!Array.isArray(ruleIds) || ruleIds.length !== rules.length || new Set(ruleIds).size !== ruleIds.length
+      || ruleIds.some(ruleId => !rules.find(rule => rule.ruleId === ruleId))) {
+      throw new ValidationError(`ruleIds must list each of your ${rules.length} rule(s) exactly once`, 'ruleIds');
+    }
+
+    for (const [index, ruleId] of ruleIds.entries()) {
+      const rule = rules.find(item => item.ruleId === ruleId);
+      if (rule.priority !== index + 1) {
+        await updateCategorizationRule(validUserId, ruleId, { priority: index + 1 });
+      }
+    }
+
+    return await getCategorizationRules(validUserId);
+  } catch (error) {
+    console.error('Error reordering categorization rules:', error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes a rule (transactions it already changed keep their values)
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @returns {Promise<Object>} The deleted rule
+ * @throws {NotFoundError} If the rule does not exist
+ */
+export const removeCategorizationRule = async (userId, ruleId) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const existing = await getCategorizationRuleDetails(validUserId, ruleId);
+
+    await deleteCategorizationRule(validUserId, ruleId);
+
+    return existing;
+  } catch (error) {
+    console.error('Error removing categorization rule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Lists the fields a rule would change on a stored transaction
+ * @param {Object} rule - Validated rule
+ * @param {Object} transaction - Stored transaction
+ * @returns {Object} { field: { from, to } } (empty if nothing changes)
+ */
+const ruleChanges = (rule, transaction) => {
+  const updated = applyCategorizationRules([{ ...rule, active: true }], transaction);
+
+  return ACTION_FIELDS.reduce((changes, field) => {
+    if (JSON.stringify(updated[field]) !== JSON.stringify(transaction[field])) {
+      changes[field] = { from: transaction[field] ?? null, to: updated[field] };
+    }
+    return changes;
+  }, {});
+};
+
+/**
+ * Shows which stored transactions a rule would change, without changing anything
+ * The rule is tested on its own (other rules and its active flag are ignored)
+ * @param {string} userId - User identifier
+ * @param {Object|string} ruleOrId - A rule definition (as for addCategorizationRule) or a saved rule's ID
+ * @returns {Promise<Object>} { rule, matched, changed, transactions: [{ transactionId, date, merchant, amount, currency, changes }], truncated }
+ * @throws {ValidationError} If the rule definition is invalid
+ * @throws {NotFoundError} If a rule ID does not exist
+ */
+export const dryRunCategorizationRule = async (userId, ruleOrId) => {
+  try {
+    const validUserId = validateUserId(userId);
+
+    let rule;
+    if (typeof ruleOrId === 'string') {
+      rule = await getCategorizationRuleDetails(validUserId, ruleOrId);
+    } else {
+      if (!ruleOrId || typeof ruleOrId !== 'object') {
+        throw new ValidationError('Rule must be an object');
+      }
+      const { categories } = await getCategoryTree(validUserId);
+      rule = validateRule(categories, ruleOrId, 0);
+    }
+
+    let matched = 0;
+    const transactions = [];
+    for await (const page of getTransactionPages(validUserId)) {
+      page.forEach(transaction => {
+        if (!matchesConditions(rule.conditions, transaction)) {
+          return;
+        }
+        matched++;
+
+        const changes = ruleChanges(rule, transaction);
+        if (Object.keys(changes).length > 0) {
+          const { transactionId, date, merchant, amount, currency } = transaction;
+          transactions.push({ transactionId, date, merchant, amount, currency, changes });
+        }
+      });
+    }
+
+    transactions.sort((a, b) => b.date.localeCompare(a.date));
+
+    return {
+      rule,
+      matched,
+      changed: transactions.length,
+      transactions: transactions.slice(0, MAX_DRY_RUN_RESULTS),
+      truncated: transactions.length > MAX_DRY_RUN_RESULTS
+    };
+  } catch (error) {
+    console.error('Error dry-running categorization rule:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,538 @@
+// src/services/categoryService.js
+import {
+  createCategory,
+  getCategory,
+  getUserCategories,
+  updateCategory,
+  deleteCategory,
+  getTransactionPages,
+  updateTransaction,
+  getUserBudgets,
+  updateBudget,
+  getUserCategorizationRules,
+  updateCategorizationRule,
+  getUserRecurringRules,
+  updateRecurringRule
+} from './storageService.js';
+import { validateUserId, validateCategory } from '../utils/validation.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * Category taxonomy
+ * Every user has a two-level category tree (e.g. Food > Groceries). Each category
+ * has a kind (expense or income), an optional icon and aliases. Categories coming
+ * from the LLM, the rule parser or imports are mapped onto the tree by name or
+ * alias ("dining" -> "Dining Out"), so spelling variants never become new buckets.
+ * A new user starts with DEFAULT_CATEGORY_TREE.
+ */
+
+// Category kinds (a category only holds transactions of its kind)
+export const CATEGORY_KINDS = ['expense', 'income'];
+
+// Fields a user may set on a category
+const CATEGORY_FIELDS = ['name', 'parentId', 'kind', 'icon', 'aliases'];
+
+// Limits for user-supplied values
+const MAX_ICON_LENGTH = 16;
+const MAX_ALIASES = 20;
+
+// Starting tree for new users (the LLM prompt's former category list, with subcategories)
+export const DEFAULT_CATEGORY_TREE = [
+  {
+    name: 'Food', icon: '🍔', kind: 'expense', aliases: ['meals', 'food & drink'],
+    children: [
+      { name: 'Groceries', icon: '🛒', aliases: ['grocery', 'supermarket'] },
+      { name: 'Dining Out', icon: '🍽️', aliases: ['dining', 'restaurant', 'restaurants', 'takeout'] },
+      { name: 'Coffee', icon: '☕', aliases: ['cafe', 'coffee shop'] }
+    ]
+  },
+  {
+    name: 'Transport', icon: '🚗', kind: 'expense', aliases: ['transportation', 'travel'],
+    children: [
+      { name: 'Fuel', icon: '⛽', aliases: ['gas', 'petrol'] },
+      { name: 'Public Transit', icon: '🚆', aliases: ['transit', 'train', 'bus'] },
+      { name: 'Taxi & Rideshare', icon: '🚕', aliases: ['taxi', 'rideshare', 'uber', 'lyft'] }
+    ]
+  },
+  {
+    name: 'Shopping', icon: '🛍️', kind: 'expense', aliases: ['retail'],
+    children: [
+      { name: 'Clothing', icon: '👕', aliases: ['clothes', 'apparel'] },
+      { name: 'Electronics', icon: '💻', aliases: [] }
+    ]
+  },
+  {
+    name: 'Entertainment', icon: '🎬', kind: 'expense', aliases: ['leisure', 'fun'],
+    children: [
+      { name: 'Streaming', icon: '📺', aliases: ['streaming services'] },
+      { name: 'Events', icon: '🎟️', aliases: ['concerts', 'tickets'] }
+    ]
+  },
+  {
+    name: 'Bills', icon: '🧾', kind: 'expense', aliases: ['bill'],
+    children: [
+      { name: 'Rent', icon: '🏠', aliases: ['housing', 'mortgage'] },
+      { name: 'Utilities', icon: '💡', aliases: ['electricity', 'water'] },
+      { name: 'Phone & Internet', icon: '📱', aliases: ['internet', 'phone', 'mobile'] },
+      { name: 'Insurance', icon: '🛡️', aliases: [] }
+    ]
+  },
+  {
+    name: 'Healthcare', icon: '🏥', kind: 'expense', aliases: ['health', 'medical'],
+    children: [
+      { name: 'Pharmacy', icon: '💊', aliases: ['medicine', 'prescriptions'] },
+      { name: 'Doctor', icon: '🩺', aliases: ['dentist', 'clinic'] }
+    ]
+  },
+  { name: 'Education', icon: '🎓', kind: 'expense', aliases: ['school', 'tuition'], children: [] },
+  { name: 'Other', icon: '📦', kind: 'expense', aliases: ['misc', 'miscellaneous', 'uncategorized'], children: [] },
+  {
+    name: 'Income', icon: '💰', kind: 'income', aliases: ['earnings'],
+    children: [
+      { name: 'Salary', icon: '💼', aliases: ['paycheck', 'wages'] },
+      { name: 'Refunds', icon: '↩️', aliases: ['refund', 'reimbursement'] },
+      { name: 'Interest', icon: '🏦', aliases: ['dividends'] }
+    ]
+  }
+];
+
+// Default trees being created, so concurrent first requests don't seed twice
+const seeding = new Map();
+
+/**
+ * Names and aliases are compared case-insensitively with collapsed spaces
+ * @param {string} name - Category name or alias
+ * @returns {string} Comparison key
+ */
+const nameKey = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Lists the keys a category answers to (its name and aliases)
+ * @param {Object} category - Category
+ * @returns {Array<string>} Comparison keys
+ */
+const categoryKeys = (category) => [category.name, ...(category.aliases || [])].map(nameKey);
+
+/**
+ * Creates the default tree for a user
+ * @param {string} userId - Validated user ID
+ * @returns {Promise<Array>} Created categories
+ */
+const seedDefaultCategories = async (userId) => {
+  const created = [];
+
+  for (const { children, ...root } of DEFAULT_CATEGORY_TREE) {
+    const parent = await createCategory(userId, root);
+    created.push(parent);
+
+    for (const child of children) {
+      created.push(await createCategory(userId, { ...child, kind: root.kind, parentId: parent.categoryId }));
+    }
+  }
+
+  console.log(`Created default category tree for ${userId} (${created.length} categories)`);
+  return created;
+};
+
+/**
+ * Gets a user's categories, creating the default tree on first use
+ * @param {string} userId - Validated user ID
+ * @returns {Promise<Array>} Flat list of categories
+ */
+const loadCategories = async (userId) => {
+  const categories = await getUserCategories(userId);
+  if (categories.length > 0) {
+    return categories;
+  }
+
+  if (!seeding.has(userId)) {
+    seeding.set(userId, seedDefaultCategories(userId).finally(() => seeding.delete(userId)));
+  }
+
+  return seeding.get(userId);
+};
+
+/**
+ * Builds the nested tree from a flat list
+ * @param {Array} categories - Flat list of categories
+ * @returns {Array} Root categories (by kind, then name) with a sorted children array
+ */
+const toTree = (categories) => {
+  const byName = (a, b) => a.name.localeCompare(b.name);
+
+  return categories
+    .filter(category => !category.parentId)
+    .sort((a, b) => CATEGORY_KINDS.indexOf(a.kind) - CATEGORY_KINDS.indexOf(b.kind) || byName(a, b))
+    .map(root => ({
+      ...root,
+      children: categories.filter(category => category.parentId === root.categoryId).sort(byName)
+    }));
+};
+
+/**
+ * Finds the category that a free-text category maps onto
+ * Tries the exact name or alias, then each part of compound names
+ * ("Food > Groceries", "Food & Dining") and simple plurals. Matches of the
+ * transaction's kind win; with fallback, unmatched income goes to the first
+ * income root and unmatched expenses to "Other".
+ * @param {Array} categories - The user's categories
+ * @param {string} rawCategory - Category from the LLM, parser, import or user
+ * @param {string} type - Transaction type ('expense' | 'income')
+ * @param {Object} options - { fallback: boolean } (default true)
+ * @returns {Object|null} Matching category, or null if nothing matches (or the tree is empty)
+ */
+export const resolveCategory = (categories, rawCategory, type = 'expense', { fallback = true } = {}) => {
+  const key = nameKey(rawCategory);
+  const parts = key.split(/\s*(?:>|\/|:|\||&|,|\band\b)\s*/).filter(Boolean);
+
+  // Most specific first: whole name, last path segment, then the remaining parts
+  const candidates = [...new Set([key, ...parts.reverse()])]
+    .flatMap(candidate => [candidate, candidate.replace(/(ies)$/, 'y').replace(/(?<=[^s])s$/, '')]);
+
+  for (const candidate of candidates) {
+    const matches = categories.filter(category => categoryKeys(category).includes(candidate));
+    if (matches.length > 0) {
+      return matches.find(category => category.kind === type) || matches[0];
+    }
+  }
+
+  if (!fallback) {
+    return null;
+  }
+
+  const roots = categories.filter(category => !category.parentId && category.kind === type);
+  return roots.find(category => nameKey(category.name) === (type === 'income' ? 'income' : 'other'))
+    || roots[0]
+    || categories.find(category => nameKey(category.name) === 'other')
+    || null;
+};
+
+/**
+ * Maps a transaction's category onto a category list (synchronous, for batches)
+ * @param {Array} categories - The user's categories
+ * @param {Object} transactionData - Validated transaction
+ * @returns {Object} Copy with the tree's category name and categoryId (unchanged if the tree is empty)
+ */
+export const mapOntoTree = (categories, transactionData) => {
+  const category = resolveCategory(categories, transactionData.category, transactionData.type);
+
+  return category
+    ? { ...transactionData, category: category.name, categoryId: category.categoryId }
+    : transactionData;
+};
+
+/**
+ * Maps a transaction's category onto the user's tree (before it is stored)
+ * @param {string} userId - User identifier
+ * @param {Object} transactionData - Validated transaction
+ * @returns {Promise<Object>} Copy with the tree's category name and categoryId
+ */
+export const applyCategoryTree = async (userId, transactionData) => mapOntoTree(await loadCategories(userId), transactionData);
+
+/**
+ * Gets the user's categories as a list and as a tree
+ * @param {string} userId - User identifier
+ * @returns {Promise<Object>} { categories: flat list, tree: roots with children }
+ */
+export const getCategoryTree = async (userId) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const categories = await loadCategories(validUserId);
+
+    return { categories, tree: toTree(categories) };
+  } catch (error) {
+    console.error('Error getting category tree:', error);
+    throw error;
+  }
+};
+
+/**
+ * Finds a category and its subcategories by name or alias (used by budgets)
+ * @param {string} userId - User identifier
+ * @param {string} name - Category name or alias
+ * @returns {Promise<Object|null>} { category, names: names of the category and its children } or null
+ */
+export const getCategoryFamily = async (userId, name) => {
+  const categories = await loadCategories(userId);
+  const category = resolveCategory(categories, name, 'expense', { fallback: false });
+
+  if (!category) {
+    return null;
+  }
+
+  const children = categories.filter(item => item.parentId === category.categoryId);
+  return { category, names: [category, ...children].map(item => item.name) };
+};
+
+/**
+ * Validates category fields
+ * @param {Object} categoryData - { name, parentId, kind, icon, aliases }
+ * @returns {Object} Validated category
+ * @throws {ValidationError} If a field is missing or invalid
+ */
+const validateCategoryData = (categoryData) => {
+  if (!categoryData || typeof categoryData !== 'object') {
+    throw new ValidationError('Category must be an object');
+  }
+
+  const kind = categoryData.kind || 'expense';
+  if (!CATEGORY_KINDS.includes(kind)) {
+    throw new ValidationError(`Kind must be one of: ${CATEGORY_KINDS.join(', ')}`, 'kind');
+  }
+
+  const icon = categoryData.icon ? String(categoryData.icon).trim() : '';
+  if (icon.length > MAX_ICON_LENGTH) {
+    throw new ValidationError(`Icon is too long (max ${MAX_ICON_LENGTH} characters)`, 'icon');
+  }
+
+  const aliases = categoryData.aliases || [];
+  if (!Array.isArray(aliases) || aliases.length > MAX_ALIASES) {
+    throw new ValidationError(`Aliases must be a list of up to ${MAX_ALIASES} names`, 'aliases');
+  }
+
+  return {
+    name: validateCategory(categoryData.name),
+    parentId: categoryData.parentId || null,
+    kind,
+    icon,
+    aliases: [...new Set(aliases.map(alias => validateCategory(alias)))]
+  };
+};
+
+/**
+ * Checks a category against the rest of the tree
+ * Names and aliases must be unique (so every category maps to one place),
+ * parents must be top-level categories of the same kind, and a category with
+ * subcategories can't become a subcategory itself.
+ * @param {Array} categories - The user's categories
+ * @param {Object} category - Validated category
+ * @param {string} categoryId - Category being edited (null when creating)
+ * @throws {ValidationError} If the category conflicts with the tree
+ */
+const assertFitsTree = (categories, category, categoryId = null) => {
+  const others = categories.filter(item => item.categoryId !== categoryId);
+
+  const ownKeys = categoryKeys(category);
+  const clash = others.find(item => categoryKeys(item).some(key => ownKeys.includes(key)));
+  if (clash) {
+    throw new ValidationError(`"${clash.name}" already uses one of these names or aliases: ${[category.name, ...category.aliases].join(', ')}`, 'name');
+  }
+
+  if (category.parentId) {
+    const parent = others.find(item => item.categoryId === category.parentId);
+
+    if (!parent) {
+      throw new ValidationError(`Parent category not found: ${category.parentId}`, 'parentId');
+    }
+    if (parent.parentId) {
+      throw new ValidationError('Subcategories can only be added to top-level categories', 'parentId');
+    }
+    if (parent.kind !== category.kind) {
+      throw new ValidationError(`An ${category.kind} category can't be under ${parent.name} (${parent.kind})`, 'kind');
+    }
+    if (categoryId && others.some(item => item.parentId === categoryId)) {
+      throw new ValidationError('A category with subcategories can\'t become a subcategory', 'parentId');
+    }
+  }
+};
+
+/**
+ * Gets a single category
+ * @param {string} userId - User identifier
+ * @param {string} categoryId - Category identifier
+ * @returns {Promise<Object>} Category object
+ * @throws {NotFoundError} If the category does not exist
+ */
+export const getCategoryDetails = async (userId, categoryId) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const category = await getCategory(validUserId, categoryId);
+
+    if (!category) {
+      throw new NotFoundError(`Category not found: ${categoryId}`);
+    }
+
+    return category;
+  } catch (error) {
+    console.error('Error getting category details:', error);
+    throw error;
+  }
+};
+
+/**
+ * Adds a category to the user's tree
+ * @param {string} userId - User identifier
+ * @param {Object} categoryData - { name, parentId?, kind? ('expense'), icon?, aliases? }
+ * @returns {Promise<Object>} Created category
+ * @throws {ValidationError} If a field is invalid or conflicts with the tree
+ */
+export const addCategory = async (userId, categoryData) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const categories = await loadCategories(validUserId);
+
+    // Subcategories inherit their parent's kind unless one is given
+    const parent = categoryData && categories.find(item => item.categoryId === categoryData.parentId);
+    const category = validateCategoryData({ ...(parent && { kind: parent.kind }), ...categoryData });
+
+    assertFitsTree(categories, category);
+
+    return await createCategory(validUserId, category);
+  } catch (error) {
+    console.error('Error adding category:', error);
+    throw error;
+  }
+};
+
+/**
+ * Finds the budgets and rules that name a category
+ * @param {string} userId - Validated user ID
+ * @param {string} name - Category name
+ * @returns {Promise<Object>} { budgets, categorizationRules, recurringRules }
+ */
+const findCategoryReferences = async (userId, name) => {
+  const key = nameKey(name);
+
+  return {
+    budgets: (await getUserBudgets(userId)).filter(budget => nameKey(budget.category) === key),
+    categorizationRules: (await getUserCategorizationRules(userId)).filter(rule => rule.actions && nameKey(rule.actions.category) === key),
+    recurringRules: (await getUserRecurringRules(userId)).filter(rule => nameKey(rule.category) === key)
+  };
+};
+
+/**
+ * Renames a category on the user's stored transactions, budgets and rules
+ * @param {string} userId - Validated user ID
+ * @param {Object} existing - Category before the rename
+ * @param {string} name - New name
+ * @returns {Promise<number>} Number of transactions updated
+ */
+const renameInRecords = async (userId, existing, name) => {
+  const oldKey = nameKey(existing.name);
+
+  // Collect first, then update, so backends never page over records being rewritten
+  const transactions = [];
+  for await (const page of getTransactionPages(userId)) {
+    transactions.push(...page.filter(transaction => transaction.categoryId === existing.categoryId || nameKey(transaction.category) === oldKey));
+  }
+
+  for (const transaction of transactions) {
+    await updateTransaction(userId, transaction.transactionId, { category: name, categoryId: existing.categoryId });
+  }
+
+  const { budgets, categorizationRules, recurringRules } = await findCategoryReferences(userId, existing.name);
+  for (const budget of budgets) {
+    await updateBudget(userId, budget.budgetId, { category: name });
+  }
+
+  for (const rule of categorizationRules) {
+    await updateCategorizationRule(userId, rule.ruleId, { actions: { ...rule.actions, category: name } });
+  }
+
+  for (const rule of recurringRules) {
+    await updateRecurringRule(userId, rule.ruleId, { category: name });
+  }
+
+  return transactions.length;
+};
+
+/**
+ * Edits a category; the merged record is re-validated against the tree
+ * Renaming keeps the old name as an alias and renames it on stored
+ * transactions, budgets, categorization rules and recurring rules. Changing a top-level category's kind changes its
+ * subcategories too.
+ * @param {string} userId - User identifier
+ * @param {string} categoryId - Category identifier
+ * @param {Object} updates - Any of { name, parentId, kind, icon, aliases }
+ * @returns {Promise<Object>} Updated category
+ * @throws {ValidationError} If no editable fields are given or the result is invalid
+ * @throws {NotFoundError} If the category does not exist
+ */
+export const editCategory = async (userId, categoryId, updates) => {
+  try {
+    const validUserId = validateUserId(userId);
+
+    if (!updates || typeof updates !== 'object') {
+      throw new ValidationError('Updates must be an object');
+    }
+
+    const unknownFields = Object.keys(updates).filter(key => !CATEGORY_FIELDS.includes(key));
+    if (unknownFields.length > 0) {
+      throw new ValidationError(`Fields cannot be edited: ${unknownFields.join(', ')}`, unknownFields[0]);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      throw new ValidationError(`Provide at least one field to update: ${CATEGORY_FIELDS.join(', ')}`);
+    }
+
+    const existing = await getCategoryDetails(validUserId, categoryId);
+    const categories = await loadCategories(validUserId);
+
+    const renamed = updates.name !== undefined && nameKey(updates.name) !== nameKey(existing.name);
+    const merged = { ...existing, ...updates };
+    if (renamed && !(updates.aliases || []).some(alias => nameKey(alias) === nameKey(existing.name))) {
+      merged.aliases = [...(merged.aliases || []), existing.name];
+    }
+
+    const category = validateCategoryData(merged);
+    assertFitsTree(categories, category, categoryId);
+
+    const updated = await updateCategory(validUserId, categoryId, category);
+
+    if (category.kind !== existing.kind) {
+      for (const child of categories.filter(item => item.parentId === categoryId)) {
+        await updateCategory(validUserId, child.categoryId, { kind: category.kind });
+      }
+    }
+
+    if (category.name !== existing.name) {
+      const count = await renameInRecords(validUserId, existing, category.name);
+      console.log(`Renamed category ${existing.name} -> ${category.name} on ${count} transaction(s)`);
+    }
+
+    return updated;
+  } catch (error) {
+    console.error('Error editing category:', error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes a category
+ * Stored transactions keep the category name; they are mapped onto the tree
+ * again the next time they are edited. Budgets and rules would silently stop
+ * matching, so a category they still name can't be deleted.
+ * @param {string} userId - User identifier
+ * @param {string} categoryId - Category identifier
+ * @returns {Promise<Object>} The deleted category
+ * @throws {ValidationError} If the category still has subcategories or is used by a budget or rule
+ * @throws {NotFoundError} If the category does not exist
+ */
+export const removeCategory = async (userId, categoryId) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const existing = await getCategoryDetails(validUserId, categoryId);
+
+    const children = (await getUserCategories(validUserId)).filter(item => item.parentId === categoryId);
+    if (children.length > 0) {
+      throw new ValidationError(`Move or delete the subcategories of ${existing.name} first: ${children.map(item => item.name).join(', ')}`, 'categoryId');
+    }
+
+    const { budgets, categorizationRules, recurringRules } = await findCategoryReferences(validUserId, existing.name);
+    const uses = [
+      ...budgets.map(budget => `budget for ${budget.month}`),
+      ...categorizationRules.map(rule => `rule "${rule.name}"`),
+      ...recurringRules.map(rule => `recurring ${rule.merchant}`)
+    ];
+    if (uses.length > 0) {
+      throw new ValidationError(`${existing.name} is still used by: ${uses.join(', ')}. Change or delete them first`, 'categoryId');
+    }
+
+    await deleteCategory(validUserId, categoryId);
+
+    return existing;
+  } catch (error) {
+    console.error('Error removing category:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,221 @@
+// src/services/correctionService.js
+import { createCorrection, getUserCorrections, deleteCorrection } from './storageService.js';
+import { LLM_CORRECTION_EXAMPLES } from '../config/llm.js';
+import { validateUserId } from '../utils/validation.js';
+import { NotFoundError } from '../utils/errors.js';
+
+/**
+ * Learning from corrections
+ * When a user edits the merchant, category or type of an extracted transaction,
+ * the extraction and the saved values are recorded with the text it came from.
+ * Before the next extraction, the corrections most similar to the new text (same
+ * merchant, shared words) are added to the prompt as examples, so the model
+ * follows each user's habits ("Uber" is "Business Travel" for this user).
+ */
+
+// Fields whose corrections are learned (amounts and dates are one-off fixes, not habits)
+export const CORRECTED_FIELDS = ['merchant', 'category', 'type'];
+
+// Sources whose values came from an extraction (recurring rules are typed by the user)
+const LEARNED_SOURCES = ['manual', 'ocr', 'import'];
+
+// Oldest corrections beyond this are dropped
+const MAX_CORRECTIONS = 200;
+
+// Source text kept per correction (receipts can be long)
+const MAX_TEXT_LENGTH = 500;
+
+// Minimum similarity for a correction to be used as an example
+const MIN_SCORE = 0.2;
+
+// Words that say nothing about the merchant or category
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'at', 'for', 'from', 'i', 'in', 'my', 'of', 'on', 'the', 'to', 'with',
+  'today', 'yesterday', 'spent', 'paid', 'bought', 'got', 'usd', 'total'
+]);
+
+/**
+ * Splits text into distinct lowercase words, without stop words and bare numbers
+ * @param {string} text - Text
+ * @returns {Set<string>} Words
+ */
+const tokenize = (text) => new Set((String(text || '').toLowerCase().match(/[a-z0-9']+/g) || [])
+  .map(word => word.replace(/'/g, ''))
+  .filter(word => word.length > 1 && !/^\d+$/.test(word) && !STOP_WORDS.has(word)));
+
+/**
+ * Picks the learned fields of a transaction
+ * @param {Object} transaction - Transaction
+ * @returns {Object} { merchant, category, type }
+ */
+const learnedValues = (transaction) => CORRECTED_FIELDS.reduce((values, field) => {
+  values[field] = transaction[field];
+  return values;
+}, {});
+
+/**
+ * Checks whether two sets of learned values are the same
+ * @param {Object} a - Learned values
+ * @param {Object} b - Learned values
+ * @returns {boolean} true if no field differs
+ */
+const sameValues = (a, b) => CORRECTED_FIELDS.every(field => String(a[field] || '').toLowerCase() === String(b[field] || '').toLowerCase());
+
+/**
+ * Scores how similar a past correction is to new text
+ * Each merchant of the correction whose words all appear in the text counts 1;
+ * shared words add their share of all words (0-1)
+ * @param {Object} correction - Stored correction
+ * @param {Set<string>} words - Words of the new text
+ * @returns {number} Score (0 = unrelated)
+ */
+const similarity = (correction, words) => {
+  if (words.size === 0) {
+    return 0;
+  }
+
+  const merchants = [...new Set([correction.original.merchant, correction.original.rawMerchant, correction.corrected.merchant].filter(Boolean))];
+  const merchantScore = merchants.some(merchant => {
+    const merchantWords = [...tokenize(merchant)];
+    return merchantWords.length > 0 && merchantWords.every(word => words.has(word));
+  }) ? 1 : 0;
+
+  const correctionWords = tokenize(`${correction.text} ${merchants.join(' ')}`);
+  const shared = [...words].filter(word => correctionWords.has(word)).length;
+  const union = new Set([...words, ...correctionWords]).size;
+
+  return merchantScore + (union > 0 ? shared / union : 0);
+};
+
+/**
+ * Finds the past corrections most similar to new text
+ * Identical corrections (same extraction, same fix) are only returned once
+ * @param {Array} corrections - The user's corrections
+ * @param {string} text - New message or OCR text
+ * @param {number} limit - Maximum number of corrections
+ * @returns {Array} Corrections, most similar (then most recent) first
+ */
+export const findSimilarCorrections = (corrections, text, limit = LLM_CORRECTION_EXAMPLES) => {
+  const words = tokenize(text);
+  const seen = new Set();
+
+  return corrections
+    .map(correction => ({ correction, score: similarity(correction, words) }))
+    .filter(({ score }) => score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score || String(b.correction.createdAt).localeCompare(String(a.correction.createdAt)))
+    .map(({ correction }) => correction)
+    .filter(correction => {
+      const key = JSON.stringify([learnedValues(correction.original), learnedValues(correction.corrected)]).toLowerCase();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit);
+};
+
+/**
+ * Gets the user's corrections to show the LLM as examples for a text
+ * @param {string} userId - User identifier
+ * @param {string} text - Message or OCR text about to be extracted
+ * @returns {Promise<Array>} Similar corrections (empty when LLM_CORRECTION_EXAMPLES is 0)
+ */
+export const getCorrectionExamples = async (userId, text) => {
+  if (LLM_CORRECTION_EXAMPLES === 0) {
+    return [];
+  }
+
+  return findSimilarCorrections(await getUserCorrections(userId), text);
+};
+
+/**
+ * Records the correction made by editing a transaction
+ * A transaction edited again keeps its first extraction as the original; editing
+ * it back to what was extracted removes the correction.
+ * @param {string} userId - Validated user ID
+ * @param {Object} before - Stored transaction before the edit
+ * @param {Object} after - Stored transaction after the edit
+ * @returns {Promise<Object|null>} Recorded correction, or null if nothing learnable changed
+ */
+export const recordCorrection = async (userId, before, after) => {
+  if (!LEARNED_SOURCES.includes(before.source || 'manual') || sameValues(learnedValues(before), learnedValues(after))) {
+    return null;
+  }
+
+  const corrections = await getUserCorrections(userId);
+  const earlier = corrections.filter(correction => correction.transactionId === before.transactionId);
+
+  const original = earlier.length > 0
+    ? earlier[0].original
+    : { ...learnedValues(before), ...(before.rawMerchant && { rawMerchant: before.rawMerchant }) };
+  const corrected = learnedValues(after);
+
+  for (const correction of earlier) {
+    await deleteCorrection(userId, correction.correctionId);
+  }
+
+  if (sameValues(original, corrected)) {
+    return null;
+  }
+
+  const created = await createCorrection(userId, {
+    transactionId: before.transactionId,
+    source: before.source || 'manual',
+    text: String(before.rawText || '').slice(0, MAX_TEXT_LENGTH),
+    original,
+    corrected
+  });
+
+  // Keep the most recent corrections only
+  const remaining = corrections
+    .filter(correction => correction.transactionId !== before.transactionId)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .slice(MAX_CORRECTIONS - 1);
+  for (const correction of remaining) {
+    await deleteCorrection(userId, correction.correctionId);
+  }
+
+  console.log(`Recorded correction for ${before.transactionId}: ${JSON.stringify(original)} -> ${JSON.stringify(corrected)}`);
+  return created;
+};
+
+/**
+ * Lists a user's corrections, newest first
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Corrections
+ */
+export const listCorrections = async (userId) => {
+  try {
+    const validUserId = validateUserId(userId);
+    return (await getUserCorrections(validUserId)).sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  } catch (error) {
+    console.error('Error listing corrections:', error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes a correction so it is no longer used as an example
+ * @param {string} userId - User identifier
+ * @param {string} correctionId - Correction identifier
+ * @returns {Promise<Object>} The deleted correction
+ * @throws {NotFoundError} If the correction does not exist
+ */
+export const removeCorrection = async (userId, correctionId) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const existing = (await getUserCorrections(validUserId)).find(correction => correction.correctionId === correctionId);
+
+    if (!existing) {
+      throw new NotFoundError(`Correction not found: ${correctionId}`);
+    }
+
+    await deleteCorrection(validUserId, correctionId);
+
+    return existing;
+  } catch (error) {
+    console.error('Error removing correction:', error);
+    throw error;
+  }
+};
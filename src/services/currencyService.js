@@ -0,0 +1,226 @@
+// src/services/currencyService.js
+import { DEFAULT_BASE_CURRENCY, EXCHANGE_RATES } from '../config/currency.js';
+import { getUserSettings, saveUserSettings, getTransactionPages, updateTransaction } from './storageService.js';
+import { validateUserId, validateCurrency } from '../utils/validation.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Multi-currency support
+ * Transactions keep the amount and currency they were made in. Each one also
+ * stores its amount converted to the user's base currency (baseAmount) at the
+ * rate for the transaction date, so totals across currencies add up.
+ * Rates come from the EXCHANGE_RATES_FILE table; a date without a rate uses the
+ * latest earlier one (or the earliest known rate for older transactions).
+ */
+
+// Rates per currency, oldest first: { EUR: [['2026-01-01', 0.92], ...] }
+const rateHistory = Object.entries(EXCHANGE_RATES.rates)
+  .sort(([a], [b]) => a.localeCompare(b))
+  .reduce((history, [date, rates]) => {
+    Object.entries(rates || {}).forEach(([code, rate]) => {
+      history[code] = history[code] || [];
+      history[code].push([date, rate]);
+    });
+    return history;
+  }, {});
+
+/**
+ * Gets the rate of a currency against the rate table's base on a date
+ * @param {string} currency - Currency code
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {number|null} Units of currency per one unit of the table base, or null if unknown
+ */
+const rateAgainstTableBase = (currency, date) => {
+  if (currency === EXCHANGE_RATES.base) {
+    return 1;
+  }
+
+  const history = rateHistory[currency];
+  if (!history) {
+    return null;
+  }
+
+  const onOrBefore = history.filter(([rateDate]) => !date || rateDate <= date);
+  return (onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1] : history[0])[1];
+};
+
+/**
+ * Gets the exchange rate between two currencies on a date
+ * @param {string} from - Currency converted from
+ * @param {string} to - Currency converted to
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {number|null} Units of "to" per one unit of "from", or null if either rate is unknown
+ */
+export const getExchangeRate = (from, to, date) => {
+  if (from === to) {
+    return 1;
+  }
+
+  const fromRate = rateAgainstTableBase(from, date);
+  const toRate = rateAgainstTableBase(to, date);
+
+  if (!fromRate || !toRate) {
+    return null;
+  }
+
+  return Math.round((toRate / fromRate) * 1e6) / 1e6;
+};
+
+/**
+ * Converts an amount between currencies at the rate for a date
+ * @param {number} amount - Amount
+ * @param {string} from - Currency converted from
+ * @param {string} to - Currency converted to
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {number|null} Converted amount (rounded to cents), or null if no rate is known
+ */
+export const convertAmount = (amount, from, to, date) => {
+  const rate = getExchangeRate(from, to, date);
+  return rate === null ? null : Math.round(Number(amount) * rate * 100) / 100;
+};
+
+/**
+ * Lists the currencies that can be converted (the rate table's currencies and the default base)
+ * @returns {Array<string>} Sorted currency codes
+ */
+export const getAvailableCurrencies = () => [...new Set([EXCHANGE_RATES.base, DEFAULT_BASE_CURRENCY, ...Object.keys(rateHistory)])].sort();
+
+/**
+ * Formats an amount with its currency symbol ("$12.50", "€9.99", "CHF 20.00")
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency code
+ * @returns {string} Formatted amount
+ */
+export const formatMoney = (amount, currency = DEFAULT_BASE_CURRENCY) => {
+  const value = Number(amount) || 0;
+
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || DEFAULT_BASE_CURRENCY }).format(value);
+  } catch (error) {
+    return `${value.toFixed(2)} ${currency}`;
+  }
+};
+
+/**
+ * Gets a user's base currency
+ * @param {string} userId - User identifier
+ * @returns {Promise<string>} Currency code (DEFAULT_BASE_CURRENCY if the user has not set one)
+ */
+export const getBaseCurrency = async (userId) => {
+  const settings = await getUserSettings(userId);
+  return (settings && settings.baseCurrency) || DEFAULT_BASE_CURRENCY;
+};
+
+/**
+ * Adds the base-currency conversion to transaction data
+ * @param {Object} transactionData - Validated transaction (amount, currency, date)
+ * @param {string} baseCurrency - Currency to convert to
+ * @returns {Object} Copy with { baseCurrency, baseAmount, exchangeRate } (null amount/rate when no rate is known)
+ */
+export const withBaseAmount = (transactionData, baseCurrency) => {
+  const currency = transactionData.currency || 'USD';
+  const exchangeRate = getExchangeRate(currency, baseCurrency, transactionData.date);
+
+  return {
+    ...transactionData,
+    baseCurrency,
+    baseAmount: exchangeRate === null ? null : Math.round(Number(transactionData.amount) * exchangeRate * 100) / 100,
+    exchangeRate
+  };
+};
+
+/**
+ * Adds the conversion to the user's base currency to transaction data (before it is stored)
+ * @param {string} userId - User identifier
+ * @param {Object} transactionData - Validated transaction
+ * @returns {Promise<Object>} Copy with { baseCurrency, baseAmount, exchangeRate }
+ */
+export const convertToBaseCurrency = async (userId, transactionData) => withBaseAmount(transactionData, await getBaseCurrency(userId));
+
+/**
+ * Gets a stored transaction's amount in a base currency, for totals
+ * Uses the stored conversion when it matches, otherwise converts on the fly
+ * (transactions saved before a base currency change or before this feature).
+ * @param {Object} transaction - Stored transaction
+ * @param {string} baseCurrency - Currency to total in
+ * @returns {number|null} Amount in baseCurrency, or null if it cannot be converted
+ */
+export const getBaseAmount = (transaction, baseCurrency) => {
+  if (transaction.baseCurrency === baseCurrency && typeof transaction.baseAmount === 'number') {
+    return transaction.baseAmount;
+  }
+
+  return convertAmount(transaction.amount, transaction.currency || 'USD', baseCurrency, transaction.date);
+};
+
+/**
+ * Gets a user's currency settings
+ * @param {string} userId - User identifier
+ * @returns {Promise<Object>} { baseCurrency, defaultBaseCurrency, currencies }
+ */
+export const getCurrencySettings = async (userId) => {
+  try {
+    const validUserId = validateUserId(userId);
+
+    return {
+      baseCurrency: await getBaseCurrency(validUserId),
+      defaultBaseCurrency: DEFAULT_BASE_CURRENCY,
+      currencies: getAvailableCurrencies()
+    };
+  } catch (error) {
+    console.error('Error getting currency settings:', error);
+    throw error;
+  }
+};
+
+/**
+ * Changes a user's base currency and re-converts their stored transactions
+ * @param {string} userId - User identifier
+ * @param {string} baseCurrency - New base currency (must be in the rate table)
+ * @returns {Promise<Object>} { baseCurrency, defaultBaseCurrency, currencies, converted, unconverted }
+ * @throws {ValidationError} If the currency is malformed or has no exchange rates
+ */
+export const setBaseCurrency = async (userId, baseCurrency) => {
+  try {
+    const validUserId = validateUserId(userId);
+
+    if (!baseCurrency) {
+      throw new ValidationError('baseCurrency is required', 'baseCurrency');
+    }
+
+    const currency = validateCurrency(baseCurrency);
+    const currencies = getAvailableCurrencies();
+
+    if (!currencies.includes(currency)) {
+      throw new ValidationError(`No exchange rates for ${currency}. Available: ${currencies.join(', ')}`, 'baseCurrency');
+    }
+
+    await saveUserSettings(validUserId, { baseCurrency: currency });
+
+    // Collect first, then update, so backends never page over records being rewritten
+    const transactions = [];
+    for await (const page of getTransactionPages(validUserId)) {
+      transactions.push(...page.filter(transaction => transaction.baseCurrency !== currency || transaction.baseAmount == null));
+    }
+
+    let converted = 0;
+    let unconverted = 0;
+    for (const transaction of transactions) {
+      const { baseAmount, exchangeRate } = withBaseAmount(transaction, currency);
+      await updateTransaction(validUserId, transaction.transactionId, { baseCurrency: currency, baseAmount, exchangeRate });
+
+      if (baseAmount === null) {
+        unconverted++;
+      } else {
+        converted++;
+      }
+    }
+
+    console.log(`Base currency for ${validUserId} set to ${currency} (${converted} converted, ${unconverted} without a rate)`);
+
+    return { ...(await getCurrencySettings(validUserId)), converted, unconverted };
+  } catch (error) {
+    console.error('Error setting base currency:', error);
+    throw error;
+  }
+};
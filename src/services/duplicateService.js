@@ -0,0 +1,397 @@
+// src/services/duplicateService.js
+import { v4 as uuidv4 } from 'uuid';
+import { resolveTransactionIssue } from './llmservices.js';
+import { normalizeMerchant } from './merchantService.js';
+import { getTransactionsByDateRange } from './storageService.js';
+import {
+  DUPLICATE_DATE_WINDOW_DAYS,
+  DUPLICATE_AMOUNT_TOLERANCE,
+  DUPLICATE_MERCHANT_SIMILARITY,
+  DUPLICATE_MIN_SCORE
+} from '../config/duplicates.js';
+
+/**
+ * Duplicate detection
+ * A new transaction is compared with the user's saved transactions dated within
+ * ±DUPLICATE_DATE_WINDOW_DAYS (read from the user's own items only). A candidate must
+ * have the same type and currency and an amount within DUPLICATE_AMOUNT_TOLERANCE,
+ * and either a similar merchant ("Starbucks" vs "STARBUCKS #123") or the same source
+ * text (the same receipt or message twice). Candidates are scored 0-1:
+ * merchant similarity 40%, amount closeness 35%, date closeness 25%; the same source
+ * text scores 1.
+ */
+
+// Source text shorter than this is too generic to identify an input ("coffee $4")
+const MIN_FINGERPRINT_LENGTH = 20;
+
+// Share of the score each comparison contributes
+const SCORE_WEIGHTS = { merchant: 0.4, amount: 0.35, date: 0.25 };
+
+/**
+ * Reduces a merchant to a comparable key: its canonical name, lowercase, words only
+ * @param {string} merchant - Merchant name
+ * @returns {string} Key ("STARBUCKS STORE #11873" -> "starbucks")
+ */
+const merchantKey = (merchant) => normalizeMerchant(merchant).merchant
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Splits text into its two-letter pairs
+ * @param {string} text - Text
+ * @returns {Array<string>} Bigrams
+ */
+const bigrams = (text) => {
+  const compact = text.replace(/\s+/g, '');
+  const pairs = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    pairs.push(compact.slice(i, i + 2));
+  }
+  return pairs;
+};
+
+/**
+ * Scores how alike two merchant keys are
+ * Equal keys score 1, one name inside the other ("blue bottle" / "blue bottle coffee")
+ * 0.9, anything else the Dice coefficient of their letter pairs (catches typos)
+ * @param {string} a - Merchant key
+ * @param {string} b - Merchant key
+ * @returns {number} Similarity (0-1)
+ */
+const compareMerchantKeys = (a, b) => {
+  if (!a || !b) {
+    return 0;
+  }
+  if (a === b) {
+    return 1;
+  }
+
+  const wordsA = a.split(' ');
+  const wordsB = b.split(' ');
+  const [shorter, longer] = wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+  if (shorter.every(word => longer.includes(word))) {
+    return 0.9;
+  }
+
+  const pairsA = bigrams(a);
+  const pairsB = bigrams(b);
+  if (pairsA.length === 0 || pairsB.length === 0) {
+    return 0;
+  }
+
+  const remaining = [...pairsB];
+  let shared = 0;
+  pairsA.forEach(pair => {
+    const index = remaining.indexOf(pair);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  });
+
+  return (2 * shared) / (pairsA.length + pairsB.length);
+};
+
+/**
+ * Scores how alike the merchants of two transactions are (the canonical and the raw names are both compared)
+ * @param {Object} a - Transaction
+ * @param {Object} b - Transaction
+ * @returns {number} Best similarity (0-1)
+ */
+const merchantSimilarity = (a, b) => {
+  const keysA = [a.merchant, a.rawMerchant].filter(Boolean).map(merchantKey);
+  const keysB = [b.merchant, b.rawMerchant].filter(Boolean).map(merchantKey);
+
+  return keysA.reduce((best, keyA) => keysB.reduce((bestB, keyB) => Math.max(bestB, compareMerchantKeys(keyA, keyB)), best), 0);
+};
+
+/**
+ * Reduces source text (receipt OCR, chat message, statement row) to a comparable fingerprint
+ * @param {string} rawText - Source text
+ * @returns {string|null} Fingerprint, or null when the text is too short to identify an input
+ */
+const fingerprint = (rawText) => {
+  const normalized = String(rawText || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return normalized.length >= MIN_FINGERPRINT_LENGTH ? normalized : null;
+};
+
+/**
+ * Moves a date by a number of days
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const shiftDate = (date, days) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+};
+
+/**
+ * Counts the days between two dates
+ * @param {string} a - Date (YYYY-MM-DD)
+ * @param {string} b - Date (YYYY-MM-DD)
+ * @returns {number} Whole days apart
+ */
+const daysApart = (a, b) => Math.round(Math.abs(new Date(`${a}T00:00:00Z`) - new Date(`${b}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+
+/**
+ * Scores a saved transaction as a duplicate of a new one
+ * @param {Object} transactionData - New transaction
+ * @param {Object} candidate - Saved transaction
+ * @param {Object} settings - { dateWindowDays, amountTolerance, merchantSimilarity }
+ * @returns {Object|null} { transaction, score, matches }, or null if it can't be the same purchase
+ */
+const scoreCandidate = (transactionData, candidate, settings) => {
+  if ((transactionData.type && candidate.type && transactionData.type !== candidate.type) ||
+    (transactionData.currency || 'USD') !== (candidate.currency || 'USD')) {
+    return null;
+  }
+
+  const largest = Math.max(Math.abs(transactionData.amount), Math.abs(candidate.amount));
+  const amountDifference = largest > 0 ? Math.abs(transactionData.amount - candidate.amount) / largest : 0;
+  const days = daysApart(transactionData.date, candidate.date);
+  if (amountDifference > settings.amountTolerance || days > settings.dateWindowDays) {
+    return null;
+  }
+
+  const textFingerprint = fingerprint(transactionData.rawText);
+  const sameText = Boolean(textFingerprint) && textFingerprint === fingerprint(candidate.rawText);
+  const similarity = merchantSimilarity(transactionData, candidate);
+  if (!sameText && similarity < settings.merchantSimilarity) {
+    return null;
+  }
+
+  const amountScore = settings.amountTolerance > 0 ? 1 - amountDifference / settings.amountTolerance : 1;
+  const dateScore = 1 - days / (settings.dateWindowDays + 1);
+  const score = sameText
+    ? 1
+    : SCORE_WEIGHTS.merchant * similarity + SCORE_WEIGHTS.amount * amountScore + SCORE_WEIGHTS.date * dateScore;
+
+  return {
+    transaction: candidate,
+    score: Math.round(score * 100) / 100,
+    matches: {
+      merchantSimilarity: Math.round(similarity * 100) / 100,
+      amountDifference: Math.round(amountDifference * 10000) / 10000,
+      daysApart: days,
+      sameText
+    }
+  };
+};
+
+/**
+ * Finds the user's saved transactions that may be the same purchase as a new one
+ * Only the user's own transactions in the date window are read.
+ * @param {string} userId - User identifier
+ * @param {Object} transactionData - Validated new transaction (amount, date, merchant, type, currency, rawMerchant?, rawText?)
+ * @param {Object} options - Overrides of the configured { dateWindowDays, amountTolerance, merchantSimilarity, minScore }
+ * @returns {Promise<Array>} Candidates, best first: [{
+ *   transaction, score (0-1),
+ *   matches: { merchantSimilarity, amountDifference (relative), daysApart, sameText }
+ * }]
+ */
+export const checkForDuplicates = async (userId, transactionData, options = {}) => {
+  const settings = {
+    dateWindowDays: DUPLICATE_DATE_WINDOW_DAYS,
+    amountTolerance: DUPLICATE_AMOUNT_TOLERANCE,
+    merchantSimilarity: DUPLICATE_MERCHANT_SIMILARITY,
+    minScore: DUPLICATE_MIN_SCORE,
+    ...options
+  };
+
+  const saved = await getTransactionsByDateRange(
+    userId,
+    shiftDate(transactionData.date, -settings.dateWindowDays),
+    shiftDate(transactionData.date, settings.dateWindowDays)
+  );
+
+  return saved
+    .filter(candidate => candidate.transactionId !== transactionData.transactionId)
+    .map(candidate => scoreCandidate(transactionData, candidate, settings))
+    .filter(candidate => candidate && candidate.score >= settings.minScore)
+    .sort((a, b) => b.score - a.score || a.matches.daysApart - b.matches.daysApart);
+};
+
+/**
+ * Pending duplicates
+ * When an extracted transaction looks like one already saved, it is held here
+ * instead of being dropped, and the user picks what to do with it
+ * (POST /api/duplicates/:pendingId/resolve):
+ * - save: record it anyway (two coffees on the same day are legitimate)
+ * - merge: add its details (receipt items, description, tags) to the existing transaction
+ * - skip: discard it and keep the existing transaction
+ * Like background jobs, pending duplicates live in memory: only the user who
+ * made them can see them and they are forgotten PENDING_TTL_MS after they were
+ * held (or when the server restarts).
+ *
+ * Pending duplicate shape (as returned to clients):
+ * {
+ *   pendingId,
+ *   transaction,            // the held extraction (validated, not saved)
+ *   duplicateTransaction,   // the saved transaction it looks like
+ *   match: { score, matches },  // see checkForDuplicates
+ *   suggestion: { action, reason, confidence },
+ *   createdAt, expiresAt
+ * }
+ */
+
+// What can be done with a pending duplicate
+export const DUPLICATE_ACTIONS = ['save', 'merge', 'skip'];
+
+// How long a pending duplicate waits for the user's choice
+const PENDING_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Fields shown to the LLM when it suggests an action (rawText can be a whole receipt)
+const SUGGESTION_FIELDS = ['amount', 'currency', 'date', 'merchant', 'category', 'type', 'description', 'source', 'lineItems', 'createdAt'];
+
+const pending = new Map();
+
+/**
+ * Removes pending duplicates older than PENDING_TTL_MS
+ */
+const removeExpiredDuplicates = () => {
+  const now = Date.now();
+  for (const [pendingId, item] of pending) {
+    if (item.expiresAt <= now) {
+      pending.delete(pendingId);
+    }
+  }
+};
+
+// Sweep periodically; unref() so the timer never keeps the process alive
+setInterval(removeExpiredDuplicates, 10 * 60 * 1000).unref();
+
+/**
+ * Returns the client-facing copy of a pending duplicate (without the owner or internal fields)
+ * @param {Object} item - Held duplicate
+ * @returns {Object} Pending duplicate
+ */
+const toPublicDuplicate = (item) => ({
+  pendingId: item.pendingId,
+  transaction: item.transaction,
+  duplicateTransaction: item.duplicateTransaction,
+  match: item.match,
+  suggestion: item.suggestion,
+  createdAt: item.createdAt,
+  expiresAt: new Date(item.expiresAt).toISOString()
+});
+
+/**
+ * Picks the fields of a transaction worth showing the LLM
+ * @param {Object} transaction - Transaction
+ * @returns {Object} Compact transaction
+ */
+const describeForSuggestion = (transaction) => SUGGESTION_FIELDS.reduce((described, field) => {
+  if (transaction[field] !== undefined && transaction[field] !== null && transaction[field] !== '') {
+    described[field] = transaction[field];
+  }
+  return described;
+}, {});
+
+/**
+ * Asks the LLM which action fits a potential duplicate
+ * @param {Object} transactionData - New transaction
+ * @param {Object} duplicateTransaction - Saved transaction it looks like
+ * @param {Object} match - { score, matches } (see checkForDuplicates)
+ * @returns {Promise<Object>} { action: 'save'|'merge'|'skip', reason, confidence }
+ */
+const suggestAction = async (transactionData, duplicateTransaction, match) => {
+  const recommendation = await resolveTransactionIssue(
+    `Potential duplicate: a saved transaction has a similar merchant, date and amount (match score ${match.score} of 1; ${JSON.stringify(match.matches)}).`,
+    describeForSuggestion(transactionData),
+    describeForSuggestion(duplicateTransaction)
+  );
+
+  // Older prompts called merging "update"
+  const action = recommendation.action === 'update' ? 'merge' : recommendation.action;
+  const confidence = Number(recommendation.confidence);
+
+  return {
+    action: DUPLICATE_ACTIONS.includes(action) ? action : 'save',
+    reason: typeof recommendation.reason === 'string' ? recommendation.reason : '',
+    confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.5
+  };
+};
+
+/**
+ * Holds an extracted transaction that looks like a saved one until the user resolves it
+ * @param {string} userId - Owner of the extraction
+ * @param {Object} details - { transaction, candidate, options }
+ *   candidate: the best match from checkForDuplicates
+ *   options: how the transaction would have been saved ({ draft, fromReceipt })
+ * @returns {Promise<Object>} The pending duplicate, with a suggested action
+ */
+export const holdDuplicate = async (userId, { transaction, candidate, options = {} }) => {
+  const match = { score: candidate.score, matches: candidate.matches };
+  const item = {
+    pendingId: `dup-${uuidv4()}`,
+    userId,
+    transaction,
+    duplicateTransaction: candidate.transaction,
+    match,
+    options,
+    suggestion: await suggestAction(transaction, candidate.transaction, match),
+    createdAt: new Date().toISOString(),
+    expiresAt: Date.now() + PENDING_TTL_MS
+  };
+
+  pending.set(item.pendingId, item);
+
+  console.log(`Duplicate ${item.pendingId} held for user ${userId} (suggested: ${item.suggestion.action})`);
+  return toPublicDuplicate(item);
+};
+
+/**
+ * Gets a pending duplicate owned by the given user, with the options it was held with
+ * @param {string} userId - User identifier
+ * @param {string} pendingId - Pending duplicate identifier
+ * @returns {Object|null} { ...pending duplicate, options }, or null if it doesn't exist, has expired or belongs to someone else
+ */
+export const getPendingDuplicate = (userId, pendingId) => {
+  const item = pending.get(pendingId);
+
+  if (!item || item.userId !== userId || item.expiresAt <= Date.now()) {
+    return null;
+  }
+
+  return { ...toPublicDuplicate(item), options: item.options };
+};
+
+/**
+ * Lists a user's pending duplicates, oldest first
+ * @param {string} userId - User identifier
+ * @returns {Array} Pending duplicates
+ */
+export const listPendingDuplicates = (userId) => {
+  const now = Date.now();
+  return [...pending.values()]
+    .filter(item => item.userId === userId && item.expiresAt > now)
+    .map(toPublicDuplicate);
+};
+
+/**
+ * Removes a pending duplicate so it can be resolved
+ * Taking it out before any storage work means two concurrent resolves can't both act on it
+ * @param {string} userId - User identifier
+ * @param {string} pendingId - Pending duplicate identifier
+ * @returns {Object|null} { ...pending duplicate, options }, or null if it doesn't exist, has expired or belongs to someone else
+ */
+export const takePendingDuplicate = (userId, pendingId) => {
+  const pendingDuplicate = getPendingDuplicate(userId, pendingId);
+  if (pendingDuplicate) {
+    pending.delete(pendingId);
+  }
+  return pendingDuplicate;
+};
+
+/**
+ * Puts back a pending duplicate whose resolution failed, so the user can try again
+ * @param {string} userId - Owner of the pending duplicate
+ * @param {Object} pendingDuplicate - What takePendingDuplicate returned
+ */
+export const restorePendingDuplicate = (userId, pendingDuplicate) => {
+  const { expiresAt, ...item } = pendingDuplicate;
+  pending.set(item.pendingId, { ...item, userId, expiresAt: Date.parse(expiresAt) });
+};
@@ -1,8 +1,62 @@
 // src/services/dynamodbService.js
-import { dynamoDB, TABLE_NAME } from '../config/aws.js';
-import { DatabaseError } from '../utils/errors.js';
+import { dynamoDB, TABLE_NAME, USERS_TABLE_NAME, BUDGETS_TABLE_NAME, RECURRING_RULES_TABLE_NAME, USER_SETTINGS_TABLE_NAME, CATEGORIES_TABLE_NAME, MERCHANT_ALIASES_TABLE_NAME, CATEGORIZATION_RULES_TABLE_NAME, CORRECTIONS_TABLE_NAME } from '../config/aws.js';
+import { RECEIPT_FIELDS, IMPORT_FIELDS, CONVERSION_FIELDS, TAXONOMY_FIELDS, MERCHANT_FIELDS, DRAFT_FIELDS } from '../config/storage.js';
+import { DatabaseError, ValidationError } from '../utils/errors.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// Leaves out drafts waiting for confirmation (needs #status and :draft in the expression attributes)
+const SAVED_FILTER = '(attribute_not_exists(#status) OR #status <> :draft)';
+
+// Most items DynamoDB accepts in one BatchWriteItem request
+const MAX_BATCH_WRITE_ITEMS = 25;
+
+// Attempts at writing the items DynamoDB left unprocessed (throttling) before giving up
+const MAX_BATCH_WRITE_ATTEMPTS = 5;
+
+/**
+ * Builds the stored record for new transaction data
+ * @param {string} userId - User identifier
+ * @param {Object} transactionData - Transaction data object
+ * @returns {Object} Transaction item with a new transactionId
+ */
+const buildTransactionItem = (userId, transactionData) => {
+  // Get current timestamp
+  const now = new Date().toISOString();
+
+  // Build transaction item
+  const item = {
+    userId: userId,
+    transactionId: `tx-${uuidv4()}`,
+    timestamp: Date.now(),
+    amount: transactionData.amount,
+    currency: transactionData.currency || 'USD',
+    date: transactionData.date,
+    merchant: transactionData.merchant,
+    category: transactionData.category,
+    type: transactionData.type,
+    description: transactionData.description || '',
+    source: transactionData.source || 'manual',
+    rawText: transactionData.rawText || '',
+    status: transactionData.status === 'draft' ? 'draft' : 'confirmed',
+    createdAt: now,
+    updatedAt: now
+  };
+
+  // Itemized receipt details, bank transaction IDs, converted amounts, category IDs, raw merchants and draft expiry are only stored when present
+  [...RECEIPT_FIELDS, ...IMPORT_FIELDS, ...CONVERSION_FIELDS, ...TAXONOMY_FIELDS, ...MERCHANT_FIELDS, ...DRAFT_FIELDS].forEach(field => {
+    if (transactionData[field] !== undefined && transactionData[field] !== null) {
+      item[field] = transactionData[field];
+    }
+  });
+
+  // Epoch seconds copy of the draft expiry, for the table's TTL setting (TTL attribute: ttl)
+  if (item.expiresAt) {
+    item.ttl = Math.floor(new Date(item.expiresAt).getTime() / 1000);
+  }
+
+  return item;
+};
+
 /**
  * Creates a new transaction record in DynamoDB
  * @param {string} userId - User identifier
@@ -12,41 +66,17 @@ import { v4 as uuidv4 } from 'uuid';
  */
 export const createTransaction = async (userId, transactionData) => {
   try {
-    // Generate unique transaction ID
-    const transactionId = `tx-${uuidv4()}`;
-    
-    // Get current timestamp
-    const timestamp = Date.now();
-    const now = new Date().toISOString();
-
-    // Build transaction item
-    const item = {
-      userId: userId,
-      transactionId: transactionId,
-      timestamp: timestamp,
-      amount: transactionData.amount,
-      currency: transactionData.currency || 'USD',
-      date: transactionData.date,
-      merchant: transactionData.merchant,
-      category: transactionData.category,
-      type: transactionData.type,
-      description: transactionData.description || '',
-      source: transactionData.source || 'manual',
-      rawText: transactionData.rawText || '',
-      status: 'confirmed',
-      createdAt: now,
-      updatedAt: now
-    };
+    const item = buildTransactionItem(userId, transactionData);
 
     const params = {
       TableName: TABLE_NAME,
       Item: item
     };
 
-    console.log('Creating transaction in DynamoDB:', transactionId);
+    console.log('Creating transaction in DynamoDB:', item.transactionId);
     await dynamoDB.put(params).promise();
 
-    console.log('Transaction created successfully:', transactionId);
+    console.log('Transaction created successfully:', item.transactionId);
     return item;
 
   } catch (error) {
@@ -55,6 +85,45 @@ export const createTransaction = async (userId, transactionData) => {
   }
 };
 
+/**
+ * Creates several transaction records with BatchWriteItem (for imports)
+ * Items are written 25 at a time; items DynamoDB leaves unprocessed are retried.
+ * If a batch fails, the batches before it stay saved.
+ * @param {string} userId - User identifier
+ * @param {Array} transactionsData - Transaction data objects
+ * @returns {Promise<Array>} Created transaction records, in the same order
+ * @throws {DatabaseError} If creation fails
+ */
+export const createTransactions = async (userId, transactionsData) => {
+  try {
+    const items = transactionsData.map(transactionData => buildTransactionItem(userId, transactionData));
+
+    for (let start = 0; start < items.length; start += MAX_BATCH_WRITE_ITEMS) {
+      let requests = items.slice(start, start + MAX_BATCH_WRITE_ITEMS).map(item => ({ PutRequest: { Item: item } }));
+
+      for (let attempt = 1; requests.length > 0; attempt++) {
+        if (attempt > MAX_BATCH_WRITE_ATTEMPTS) {
+          throw new Error(`${requests.length} items were still unprocessed after ${MAX_BATCH_WRITE_ATTEMPTS} attempts`);
+        }
+
+        const result = await dynamoDB.batchWrite({ RequestItems: { [TABLE_NAME]: requests } }).promise();
+        requests = (result.UnprocessedItems && result.UnprocessedItems[TABLE_NAME]) || [];
+
+        if (requests.length > 0) {
+          await new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt));
+        }
+      }
+    }
+
+    console.log(`${items.length} transactions created in DynamoDB for ${userId}`);
+    return items;
+
+  } catch (error) {
+    console.error('Error creating transactions:', error);
+    throw new DatabaseError(`Failed to create transactions: ${error.message}`, error);
+  }
+};
+
 /**
  * Gets a transaction by ID
  * @param {string} userId - User identifier
@@ -83,7 +152,9 @@ export const getTransaction = async (userId, transactionId) => {
 };
 
 /**
- * Queries transactions by user ID
+ * Queries transactions by user ID (drafts are not included)
+ * Limit caps the items read before the draft filter runs, so pages are read
+ * until enough saved transactions are collected or the partition runs out
  * @param {string} userId - User identifier
  * @param {number} limit - Maximum number of results (default: 100)
  * @returns {Promise<Array>} Array of transaction objects
@@ -94,16 +165,27 @@ export const getUserTransactions = async (userId, limit = 100) => {
     const params = {
       TableName: TABLE_NAME,
       KeyConditionExpression: 'userId = :userId',
+      FilterExpression: SAVED_FILTER,
+      ExpressionAttributeNames: {
+        '#status': 'status'
+      },
       ExpressionAttributeValues: {
-        ':userId': userId
+        ':userId': userId,
+        ':draft': 'draft'
       },
       ScanIndexForward: false, // Sort by transactionId descending (newest first)
       Limit: limit
     };
 
-    const result = await dynamoDB.query(params).promise();
-    
-    return result.Items || [];
+    const items = [];
+    do {
+      const result = await dynamoDB.query(params).promise();
+      items.push(...(result.Items || []));
+
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey && items.length < limit);
+
+    return items.slice(0, limit);
 
   } catch (error) {
     console.error('Error getting user transactions:', error);
@@ -112,98 +194,84 @@ export const getUserTransactions = async (userId, limit = 100) => {
 };
 
 /**
- * Checks for duplicate transactions based on merchant, date, and amount
+ * Finds a user's transaction by the bank's transaction ID (OFX FITID)
+ * Queries the user's partition only and pages through all of it
  * @param {string} userId - User identifier
- * @param {Object} transactionData - Transaction data to check
- * @returns {Promise<Array>} Array of similar transactions found
+ * @param {string} externalId - Bank transaction ID
+ * @returns {Promise<Object|null>} Matching transaction or null
  * @throws {DatabaseError} If query fails
  */
-export const checkForDuplicates = async (userId, transactionData) => {
+export const findTransactionByExternalId = async (userId, externalId) => {
   try {
-    const { merchant, date, amount } = transactionData;
-    
-    // Use GSI (merchant-date-index) to find similar transactions
-    // Note: This requires the GSI to be created in DynamoDB
     const params = {
       TableName: TABLE_NAME,
-      IndexName: 'merchant-date-index', // GSI name
-      KeyConditionExpression: 'merchant = :merchant AND #date = :date',
+      KeyConditionExpression: 'userId = :userId',
+      FilterExpression: `externalId = :externalId AND ${SAVED_FILTER}`,
       ExpressionAttributeNames: {
-        '#date': 'date' // 'date' is a reserved word, so we use ExpressionAttributeNames
+        '#status': 'status'
       },
       ExpressionAttributeValues: {
-        ':merchant': merchant,
-        ':date': date
+        ':userId': userId,
+        ':externalId': externalId,
+        ':draft': 'draft'
       }
     };
 
-    const result = await dynamoDB.query(params).promise();
-    
-    // Filter by similar amount (within 5% tolerance)
-    const tolerance = 0.05; // 5%
-    const similarTransactions = (result.Items || []).filter(item => {
-      if (item.userId !== userId) return false; // Only same user
-      const amountDifference = Math.abs(item.amount - amount);
-      const percentDifference = amountDifference / amount;
-      return percentDifference <= tolerance; // Within 5% of amount
-    });
+    do {
+      const result = await dynamoDB.query(params).promise();
+
+      if (result.Items && result.Items.length > 0) {
+        return result.Items[0];
+      }
+
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey);
 
-    return similarTransactions;
+    return null;
 
   } catch (error) {
-    console.error('Error checking for duplicates:', error);
-    
-    // If GSI doesn't exist, fall back to scanning (less efficient)
-    // This is a fallback for when GSI is not yet created
-    if (error.code === 'ResourceNotFoundException' || error.message.includes('index')) {
-      console.warn('GSI not found, using scan fallback for duplicate check');
-      return await checkForDuplicatesFallback(userId, transactionData);
-    }
-    
-    throw new DatabaseError(`Failed to check for duplicates: ${error.message}`, error);
+    console.error('Error finding transaction by external ID:', error);
+    throw new DatabaseError(`Failed to find transaction by external ID: ${error.message}`, error);
   }
 };
 
 /**
- * Fallback method to check duplicates using scan (less efficient)
- * Used when GSI is not available
+ * Lists the external IDs of a user's transactions that start with a prefix
+ * Queries the user's partition once (paging through all of it) instead of once per ID
  * @param {string} userId - User identifier
- * @param {Object} transactionData - Transaction data to check
- * @returns {Promise<Array>} Array of similar transactions
+ * @param {string} prefix - externalId prefix (e.g. "recurring:<ruleId>:")
+ * @returns {Promise<Array<string>>} Matching external IDs
+ * @throws {DatabaseError} If query fails
  */
-const checkForDuplicatesFallback = async (userId, transactionData) => {
+export const findExternalIdsByPrefix = async (userId, prefix) => {
   try {
-    const { merchant, date, amount } = transactionData;
-    
     const params = {
       TableName: TABLE_NAME,
-      FilterExpression: 'userId = :userId AND merchant = :merchant AND #date = :date',
+      KeyConditionExpression: 'userId = :userId',
+      FilterExpression: `begins_with(externalId, :prefix) AND ${SAVED_FILTER}`,
+      ProjectionExpression: 'externalId',
       ExpressionAttributeNames: {
-        '#date': 'date'
+        '#status': 'status'
       },
       ExpressionAttributeValues: {
         ':userId': userId,
-        ':merchant': merchant,
-        ':date': date
-      },
-      Limit: 100
+        ':prefix': prefix,
+        ':draft': 'draft'
+      }
     };
 
-    const result = await dynamoDB.scan(params).promise();
-    
-    // Filter by similar amount (within 5% tolerance)
-    const tolerance = 0.05;
-    const similarTransactions = (result.Items || []).filter(item => {
-      const amountDifference = Math.abs(item.amount - amount);
-      const percentDifference = amountDifference / amount;
-      return percentDifference <= tolerance;
-    });
+    const externalIds = [];
+    do {
+      const result = await dynamoDB.query(params).promise();
+      externalIds.push(...(result.Items || []).map(item => item.externalId));
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey);
 
-    return similarTransactions;
+    return externalIds;
 
   } catch (error) {
-    console.error('Error in fallback duplicate check:', error);
-    throw new DatabaseError(`Failed to check for duplicates (fallback): ${error.message}`, error);
+    console.error('Error finding external IDs by prefix:', error);
+    throw new DatabaseError(`Failed to find external IDs by prefix: ${error.message}`, error);
   }
 };
 
@@ -211,7 +279,7 @@ const checkForDuplicatesFallback = async (userId, transactionData) => {
  * Updates a transaction record
  * @param {string} userId - User identifier
  * @param {string} transactionId - Transaction identifier
- * @param {Object} updates - Fields to update
+ * @param {Object} updates - Fields to update (expiresAt: null removes a confirmed draft's expiry)
  * @returns {Promise<Object>} Updated transaction object
  * @throws {DatabaseError} If update fails
  */
@@ -219,21 +287,27 @@ export const updateTransaction = async (userId, transactionId, updates) => {
   try {
     // Build update expression dynamically
     const updateExpressions = [];
+    const removeExpressions = [];
     const expressionAttributeNames = {};
     const expressionAttributeValues = {};
 
     // Allowed fields to update
-    const allowedFields = ['amount', 'date', 'merchant', 'category', 'type', 'description', 'status'];
+    const allowedFields = ['amount', 'date', 'merchant', 'category', 'type', 'currency', 'description', 'status', ...RECEIPT_FIELDS, ...CONVERSION_FIELDS, ...TAXONOMY_FIELDS, ...MERCHANT_FIELDS, ...DRAFT_FIELDS];
     
     Object.keys(updates).forEach((key, index) => {
-      if (allowedFields.includes(key)) {
+      if (DRAFT_FIELDS.includes(key) && updates[key] === null) {
+        // A confirmed draft no longer expires (its TTL copy goes too)
+        removeExpressions.push(`#${key}`, '#ttl');
+        expressionAttributeNames[`#${key}`] = key;
+        expressionAttributeNames['#ttl'] = 'ttl';
+      } else if (allowedFields.includes(key)) {
         updateExpressions.push(`#${key} = :val${index}`);
         expressionAttributeNames[`#${key}`] = key;
         expressionAttributeValues[`:val${index}`] = updates[key];
       }
     });
 
-    if (updateExpressions.length === 0) {
+    if (updateExpressions.length === 0 && removeExpressions.length === 0) {
       throw new DatabaseError('No valid fields to update');
     }
 
@@ -248,7 +322,7 @@ export const updateTransaction = async (userId, transactionId, updates) => {
         userId: userId,
         transactionId: transactionId
       },
-      UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+      UpdateExpression: `SET ${updateExpressions.join(', ')}` + (removeExpressions.length > 0 ? ` REMOVE ${removeExpressions.join(', ')}` : ''),
       ExpressionAttributeNames: expressionAttributeNames,
       ExpressionAttributeValues: expressionAttributeValues,
       ReturnValues: 'ALL_NEW'
@@ -266,6 +340,43 @@ export const updateTransaction = async (userId, transactionId, updates) => {
   }
 };
 
+/**
+ * Gets a user's drafts (transactions waiting for confirmation), newest first
+ * Expired drafts the table's TTL has not removed yet are included; the caller decides what to do with them
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Array of draft transactions
+ * @throws {DatabaseError} If query fails
+ */
+export const getUserDrafts = async (userId) => {
+  try {
+    const params = {
+      TableName: TABLE_NAME,
+      KeyConditionExpression: 'userId = :userId',
+      FilterExpression: '#status = :draft',
+      ExpressionAttributeNames: {
+        '#status': 'status'
+      },
+      ExpressionAttributeValues: {
+        ':userId': userId,
+        ':draft': 'draft'
+      }
+    };
+
+    const drafts = [];
+    do {
+      const result = await dynamoDB.query(params).promise();
+      drafts.push(...(result.Items || []));
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey);
+
+    return drafts.sort((a, b) => b.timestamp - a.timestamp);
+
+  } catch (error) {
+    console.error('Error getting user drafts:', error);
+    throw new DatabaseError(`Failed to get user drafts: ${error.message}`, error);
+  }
+};
+
 /**
  * Deletes a transaction record
  * @param {string} userId - User identifier
@@ -295,41 +406,1274 @@ export const deleteTransaction = async (userId, transactionId) => {
 };
 
 /**
- * Gets transactions by date range
+ * Gets a user's transactions in a date range (drafts are not included)
+ * Queries the userId-date-index GSI (partition key userId, sort key date, all attributes projected),
+ * so only this user's items in the range are read. Without the GSI, falls back to
+ * querying the user's partition with a date filter (reads more, but never other users' items).
  * @param {string} userId - User identifier
  * @param {string} startDate - Start date (YYYY-MM-DD)
  * @param {string} endDate - End date (YYYY-MM-DD)
- * @returns {Promise<Array>} Array of transactions in date range
+ * @returns {Promise<Array>} Array of transactions in date range, newest date first
  * @throws {DatabaseError} If query fails
  */
 export const getTransactionsByDateRange = async (userId, startDate, endDate) => {
+  const byNewestDate = (a, b) => b.date.localeCompare(a.date);
+
   try {
-    // This uses a scan with filter (less efficient but works without GSI)
-    // For better performance, use a GSI with date as sort key
     const params = {
       TableName: TABLE_NAME,
-      FilterExpression: 'userId = :userId AND #date BETWEEN :startDate AND :endDate',
+      IndexName: 'userId-date-index', // GSI name
+      KeyConditionExpression: 'userId = :userId AND #date BETWEEN :startDate AND :endDate',
+      FilterExpression: SAVED_FILTER,
       ExpressionAttributeNames: {
-        '#date': 'date'
+        '#date': 'date', // 'date' is a reserved word, so we use ExpressionAttributeNames
+        '#status': 'status'
       },
       ExpressionAttributeValues: {
         ':userId': userId,
         ':startDate': startDate,
-        ':endDate': endDate
+        ':endDate': endDate,
+        ':draft': 'draft'
       }
     };
 
-    const result = await dynamoDB.scan(params).promise();
-    
-    // Sort by date descending
-    const sorted = (result.Items || []).sort((a, b) => {
-      return new Date(b.date) - new Date(a.date);
-    });
+    const items = [];
+    do {
+      const result = await dynamoDB.query(params).promise();
+      items.push(...(result.Items || []));
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey);
 
-    return sorted;
+    return items.sort(byNewestDate);
 
   } catch (error) {
+    // If the GSI doesn't exist yet, read the user's own partition instead
+    if (error.code === 'ResourceNotFoundException' || error.message.includes('index')) {
+      console.warn('GSI userId-date-index not found, querying the user partition for the date range');
+
+      const items = [];
+      for await (const page of getTransactionPages(userId, { startDate, endDate })) {
+        items.push(...page);
+      }
+      return items.sort(byNewestDate);
+    }
+
     console.error('Error getting transactions by date range:', error);
     throw new DatabaseError(`Failed to get transactions by date range: ${error.message}`, error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Reads all of a user's transactions one DynamoDB page at a time
+ * Follows LastEvaluatedKey until the query is exhausted, so callers can stream
+ * any number of transactions without holding them all in memory.
+ * Pages come in storage order and may be empty when the filter removed every item.
+ * @param {string} userId - User identifier
+ * @param {Object} filters - { startDate?, endDate? (YYYY-MM-DD, inclusive), category? }
+ * @yields {Array} A page of transaction objects
+ * @throws {DatabaseError} If a query fails
+ */
+export const getTransactionPages = async function* (userId, filters = {}) {
+  const conditions = [SAVED_FILTER];
+  const expressionAttributeNames = { '#status': 'status' };
+  const expressionAttributeValues = { ':userId': userId, ':draft': 'draft' };
+
+  if (filters.startDate) {
+    conditions.push('#date >= :startDate');
+    expressionAttributeNames['#date'] = 'date';
+    expressionAttributeValues[':startDate'] = filters.startDate;
+  }
+
+  if (filters.endDate) {
+    conditions.push('#date <= :endDate');
+    expressionAttributeNames['#date'] = 'date';
+    expressionAttributeValues[':endDate'] = filters.endDate;
+  }
+
+  if (filters.category) {
+    conditions.push('category = :category');
+    expressionAttributeValues[':category'] = filters.category;
+  }
+
+  const params = {
+    TableName: TABLE_NAME,
+    KeyConditionExpression: 'userId = :userId',
+    ExpressionAttributeValues: expressionAttributeValues,
+    FilterExpression: conditions.join(' AND '),
+    ExpressionAttributeNames: expressionAttributeNames
+  };
+
+  do {
+    let result;
+    try {
+      result = await dynamoDB.query(params).promise();
+    } catch (error) {
+      console.error('Error reading transaction page:', error);
+      throw new DatabaseError(`Failed to read transactions: ${error.message}`, error);
+    }
+
+    yield result.Items || [];
+    params.ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (params.ExclusiveStartKey);
+};
+
+/**
+ * Creates a new user account record
+ * Fails if an account with the same email already exists
+ * @param {Object} userData - User data ({ userId, email, firstName, lastName, passwordHash })
+ * @returns {Promise<Object>} Created user record
+ * @throws {ValidationError} If the email is already registered
+ * @throws {DatabaseError} If creation fails
+ */
+export const createUser = async (userData) => {
+  try {
+    const now = new Date().toISOString();
+
+    const item = {
+      email: userData.email,
+      userId: userData.userId,
+      firstName: userData.firstName,
+      lastName: userData.lastName,
+      passwordHash: userData.passwordHash,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const params = {
+      TableName: USERS_TABLE_NAME,
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(email)' // Never overwrite an existing account
+    };
+
+    console.log('Creating user in DynamoDB:', item.userId);
+    await dynamoDB.put(params).promise();
+
+    return item;
+
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      throw new ValidationError('An account with this email already exists', 'email');
+    }
+    console.error('Error creating user:', error);
+    throw new DatabaseError(`Failed to create user: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a user account by email
+ * @param {string} email - Normalized (lowercase) email address
+ * @returns {Promise<Object|null>} User record or null if not found
+ * @throws {DatabaseError} If query fails
+ */
+export const getUserByEmail = async (email) => {
+  try {
+    const params = {
+      TableName: USERS_TABLE_NAME,
+      Key: {
+        email: email
+      }
+    };
+
+    const result = await dynamoDB.get(params).promise();
+
+    return result.Item || null;
+
+  } catch (error) {
+    console.error('Error getting user:', error);
+    throw new DatabaseError(`Failed to get user: ${error.message}`, error);
+  }
+};
+
+/**
+ * Creates a monthly budget record
+ * @param {string} userId - User identifier
+ * @param {Object} budgetData - { category, month (YYYY-MM), amount }
+ * @returns {Promise<Object>} Created budget record
+ * @throws {DatabaseError} If creation fails
+ */
+export const createBudget = async (userId, budgetData) => {
+  try {
+    const now = new Date().toISOString();
+
+    const item = {
+      userId: userId,
+      budgetId: `budget-${uuidv4()}`,
+      category: budgetData.category,
+      month: budgetData.month,
+      amount: budgetData.amount,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const params = {
+      TableName: BUDGETS_TABLE_NAME,
+      Item: item
+    };
+
+    console.log('Creating budget in DynamoDB:', item.budgetId);
+    await dynamoDB.put(params).promise();
+
+    return item;
+
+  } catch (error) {
+    console.error('Error creating budget:', error);
+    throw new DatabaseError(`Failed to create budget: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a budget by ID
+ * @param {string} userId - User identifier
+ * @param {string} budgetId - Budget identifier
+ * @returns {Promise<Object|null>} Budget object or null if not found
+ * @throws {DatabaseError} If query fails
+ */
+export const getBudget = async (userId, budgetId) => {
+  try {
+    const params = {
+      TableName: BUDGETS_TABLE_NAME,
+      Key: {
+        userId: userId,
+        budgetId: budgetId
+      }
+    };
+
+    const result = await dynamoDB.get(params).promise();
+
+    return result.Item || null;
+
+  } catch (error) {
+    console.error('Error getting budget:', error);
+    throw new DatabaseError(`Failed to get budget: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a user's budgets, optionally for one month
+ * @param {string} userId - User identifier
+ * @param {string} month - Month (YYYY-MM), or null for every month
+ * @returns {Promise<Array>} Array of budget objects
+ * @throws {DatabaseError} If query fails
+ */
+export const getUserBudgets = async (userId, month = null) => {
+  try {
+    const params = {
+      TableName: BUDGETS_TABLE_NAME,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: {
+        ':userId': userId
+      }
+    };
+
+    if (month) {
+      params.FilterExpression = '#month = :month';
+      params.ExpressionAttributeNames = { '#month': 'month' };
+      params.ExpressionAttributeValues[':month'] = month;
+    }
+
+    const budgets = [];
+    do {
+      const result = await dynamoDB.query(params).promise();
+      budgets.push(...(result.Items || []));
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey);
+
+    return budgets;
+
+  } catch (error) {
+    console.error('Error getting user budgets:', error);
+    throw new DatabaseError(`Failed to get user budgets: ${error.message}`, error);
+  }
+};
+
+/**
+ * Updates a budget record
+ * @param {string} userId - User identifier
+ * @param {string} budgetId - Budget identifier
+ * @param {Object} updates - Fields to update (category, month, amount)
+ * @returns {Promise<Object>} Updated budget object
+ * @throws {DatabaseError} If update fails
+ */
+export const updateBudget = async (userId, budgetId, updates) => {
+  try {
+    const updateExpressions = [];
+    const expressionAttributeNames = {};
+    const expressionAttributeValues = {};
+
+    const allowedFields = ['category', 'month', 'amount'];
+
+    Object.keys(updates).forEach((key, index) => {
+      if (allowedFields.includes(key)) {
+        updateExpressions.push(`#${key} = :val${index}`);
+        expressionAttributeNames[`#${key}`] = key;
+        expressionAttributeValues[`:val${index}`] = updates[key];
+      }
+    });
+
+    if (updateExpressions.length === 0) {
+      throw new DatabaseError('No valid fields to update');
+    }
+
+    updateExpressions.push('#updatedAt = :updatedAt');
+    expressionAttributeNames['#updatedAt'] = 'updatedAt';
+    expressionAttributeValues[':updatedAt'] = new Date().toISOString();
+
+    const params = {
+      TableName: BUDGETS_TABLE_NAME,
+      Key: {
+        userId: userId,
+        budgetId: budgetId
+      },
+      UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    };
+
+    console.log('Updating budget:', budgetId);
+    const result = await dynamoDB.update(params).promise();
+
+    return result.Attributes;
+
+  } catch (error) {
+    console.error('Error updating budget:', error);
+    throw new DatabaseError(`Failed to update budget: ${error.message}`, error);
+  }
+};
+
+/**
+ * Deletes a budget record
+ * @param {string} userId - User identifier
+ * @param {string} budgetId - Budget identifier
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If deletion fails
+ */
+export const deleteBudget = async (userId, budgetId) => {
+  try {
+    const params = {
+      TableName: BUDGETS_TABLE_NAME,
+      Key: {
+        userId: userId,
+        budgetId: budgetId
+      }
+    };
+
+    console.log('Deleting budget:', budgetId);
+    await dynamoDB.delete(params).promise();
+
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    throw new DatabaseError(`Failed to delete budget: ${error.message}`, error);
+  }
+};
+
+/**
+ * Creates a scheduled recurring transaction rule
+ * @param {string} userId - User identifier
+ * @param {Object} ruleData - { amount, currency, merchant, category, type, description, cadence, startDate, endDate, nextRunDate }
+ * @returns {Promise<Object>} Created rule record
+ * @throws {DatabaseError} If creation fails
+ */
+export const createRecurringRule = async (userId, ruleData) => {
+  try {
+    const now = new Date().toISOString();
+
+    const item = {
+      userId: userId,
+      ruleId: `rule-${uuidv4()}`,
+      amount: ruleData.amount,
+      currency: ruleData.currency || 'USD',
+      merchant: ruleData.merchant,
+      category: ruleData.category,
+      type: ruleData.type,
+      description: ruleData.description || '',
+      cadence: ruleData.cadence,
+      startDate: ruleData.startDate,
+      endDate: ruleData.endDate || null,
+      nextRunDate: ruleData.nextRunDate,
+      lastRunDate: null,
+      active: true,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const params = {
+      TableName: RECURRING_RULES_TABLE_NAME,
+      Item: item
+    };
+
+    console.log('Creating recurring rule in DynamoDB:', item.ruleId);
+    await dynamoDB.put(params).promise();
+
+    return item;
+
+  } catch (error) {
+    console.error('Error creating recurring rule:', error);
+    throw new DatabaseError(`Failed to create recurring rule: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a recurring rule by ID
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @returns {Promise<Object|null>} Rule object or null if not found
+ * @throws {DatabaseError} If query fails
+ */
+export const getRecurringRule = async (userId, ruleId) => {
+  try {
+    const params = {
+      TableName: RECURRING_RULES_TABLE_NAME,
+      Key: {
+        userId: userId,
+        ruleId: ruleId
+      }
+    };
+
+    const result = await dynamoDB.get(params).promise();
+
+    return result.Item || null;
+
+  } catch (error) {
+    console.error('Error getting recurring rule:', error);
+    throw new DatabaseError(`Failed to get recurring rule: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets all of a user's recurring rules
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Array of rule objects
+ * @throws {DatabaseError} If query fails
+ */
+export const getUserRecurringRules = async (userId) => {
+  try {
+    const params = {
+      TableName: RECURRING_RULES_TABLE_NAME,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: {
+        ':userId': userId
+      }
+    };
+
+    const rules = [];
+    do {
+      const result = await dynamoDB.query(params).promise();
+      rules.push(...(result.Items || []));
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey);
+
+    return rules;
+
+  } catch (error) {
+    console.error('Error getting user recurring rules:', error);
+    throw new DatabaseError(`Failed to get user recurring rules: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets every user's active rules with an occurrence due on or before a date
+ * Used by the scheduler; scans the (small) rules table
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Array of rule objects
+ * @throws {DatabaseError} If the scan fails
+ */
+export const getDueRecurringRules = async (date) => {
+  try {
+    const params = {
+      TableName: RECURRING_RULES_TABLE_NAME,
+      FilterExpression: 'active = :active AND nextRunDate <= :date',
+      ExpressionAttributeValues: {
+        ':active': true,
+        ':date': date
+      }
+    };
+
+    const rules = [];
+    do {
+      const result = await dynamoDB.scan(params).promise();
+      rules.push(...(result.Items || []));
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey);
+
+    return rules;
+
+  } catch (error) {
+    console.error('Error getting due recurring rules:', error);
+    throw new DatabaseError(`Failed to get due recurring rules: ${error.message}`, error);
+  }
+};
+
+/**
+ * Updates a recurring rule record
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated rule object
+ * @throws {DatabaseError} If update fails
+ */
+export const updateRecurringRule = async (userId, ruleId, updates) => {
+  try {
+    const updateExpressions = [];
+    const expressionAttributeNames = {};
+    const expressionAttributeValues = {};
+
+    const allowedFields = ['amount', 'currency', 'merchant', 'category', 'type', 'description', 'endDate', 'active', 'nextRunDate', 'lastRunDate'];
+
+    Object.keys(updates).forEach((key, index) => {
+      if (allowedFields.includes(key)) {
+        updateExpressions.push(`#${key} = :val${index}`);
+        expressionAttributeNames[`#${key}`] = key;
+        expressionAttributeValues[`:val${index}`] = updates[key];
+      }
+    });
+
+    if (updateExpressions.length === 0) {
+      throw new DatabaseError('No valid fields to update');
+    }
+
+    updateExpressions.push('#updatedAt = :updatedAt');
+    expressionAttributeNames['#updatedAt'] = 'updatedAt';
+    expressionAttributeValues[':updatedAt'] = new Date().toISOString();
+
+    const params = {
+      TableName: RECURRING_RULES_TABLE_NAME,
+      Key: {
+        userId: userId,
+        ruleId: ruleId
+      },
+      UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    };
+
+    console.log('Updating recurring rule:', ruleId);
+    const result = await dynamoDB.update(params).promise();
+
+    return result.Attributes;
+
+  } catch (error) {
+    console.error('Error updating recurring rule:', error);
+    throw new DatabaseError(`Failed to update recurring rule: ${error.message}`, error);
+  }
+};
+
+/**
+ * Deletes a recurring rule record
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If deletion fails
+ */
+export const deleteRecurringRule = async (userId, ruleId) => {
+  try {
+    const params = {
+      TableName: RECURRING_RULES_TABLE_NAME,
+      Key: {
+        userId: userId,
+        ruleId: ruleId
+      }
+    };
+
+    console.log('Deleting recurring rule:', ruleId);
+    await dynamoDB.delete(params).promise();
+
+  } catch (error) {
+    console.error('Error deleting recurring rule:', error);
+    throw new DatabaseError(`Failed to delete recurring rule: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a user's settings
+ * @param {string} userId - User identifier
+ * @returns {Promise<Object|null>} Settings object or null if the user has none yet
+ * @throws {DatabaseError} If query fails
+ */
+export const getUserSettings = async (userId) => {
+  try {
+    const params = {
+      TableName: USER_SETTINGS_TABLE_NAME,
+      Key: {
+        userId: userId
+      }
+    };
+
+    const result = await dynamoDB.get(params).promise();
+    return result.Item || null;
+
+  } catch (error) {
+    console.error('Error getting user settings:', error);
+    throw new DatabaseError(`Failed to get user settings: ${error.message}`, error);
+  }
+};
+
+/**
+ * Creates or updates a user's settings
+ * @param {string} userId - User identifier
+ * @param {Object} settings - Fields to set (baseCurrency)
+ * @returns {Promise<Object>} Stored settings object
+ * @throws {DatabaseError} If the write fails
+ */
+export const saveUserSettings = async (userId, settings) => {
+  try {
+    const allowedFields = ['baseCurrency'];
+    const fields = Object.keys(settings).filter(key => allowedFields.includes(key));
+
+    if (fields.length === 0) {
+      throw new DatabaseError('No valid settings to save');
+    }
+
+    const updateExpressions = ['#updatedAt = :updatedAt'];
+    const expressionAttributeNames = { '#updatedAt': 'updatedAt' };
+    const expressionAttributeValues = { ':updatedAt': new Date().toISOString() };
+
+    fields.forEach((key, index) => {
+      updateExpressions.push(`#${key} = :val${index}`);
+      expressionAttributeNames[`#${key}`] = key;
+      expressionAttributeValues[`:val${index}`] = settings[key];
+    });
+
+    const params = {
+      TableName: USER_SETTINGS_TABLE_NAME,
+      Key: {
+        userId: userId
+      },
+      UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    };
+
+    console.log('Saving user settings:', userId);
+    const result = await dynamoDB.update(params).promise();
+
+    return result.Attributes;
+
+  } catch (error) {
+    console.error('Error saving user settings:', error);
+    throw new DatabaseError(`Failed to save user settings: ${error.message}`, error);
+  }
+};
+
+/**
+ * Creates a category in a user's category tree
+ * @param {string} userId - User identifier
+ * @param {Object} categoryData - { name, parentId, kind, icon, aliases }
+ * @returns {Promise<Object>} Created category record
+ * @throws {DatabaseError} If creation fails
+ */
+export const createCategory = async (userId, categoryData) => {
+  try {
+    const now = new Date().toISOString();
+
+    const item = {
+      userId: userId,
+      categoryId: `cat-${uuidv4()}`,
+      name: categoryData.name,
+      parentId: categoryData.parentId || null,
+      kind: categoryData.kind,
+      icon: categoryData.icon || '',
+      aliases: categoryData.aliases || [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const params = {
+      TableName: CATEGORIES_TABLE_NAME,
+      Item: item
+    };
+
+    console.log('Creating category in DynamoDB:', item.categoryId);
+    await dynamoDB.put(params).promise();
+
+    return item;
+
+  } catch (error) {
+    console.error('Error creating category:', error);
+    throw new DatabaseError(`Failed to create category: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a category by ID
+ * @param {string} userId - User identifier
+ * @param {string} categoryId - Category identifier
+ * @returns {Promise<Object|null>} Category object or null if not found
+ * @throws {DatabaseError} If query fails
+ */
+export const getCategory = async (userId, categoryId) => {
+  try {
+    const params = {
+      TableName: CATEGORIES_TABLE_NAME,
+      Key: {
+        userId: userId,
+        categoryId: categoryId
+      }
+    };
+
+    const result = await dynamoDB.get(params).promise();
+    return result.Item || null;
+
+  } catch (error) {
+    console.error('Error getting category:', error);
+    throw new DatabaseError(`Failed to get category: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets every category of a user
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Array of category objects
+ * @throws {DatabaseError} If query fails
+ */
+export const getUserCategories = async (userId) => {
+  try {
+    const params = {
+      TableName: CATEGORIES_TABLE_NAME,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: {
+        ':userId': userId
+      }
+    };
+
+    const categories = [];
+    do {
+      const result = await dynamoDB.query(params).promise();
+      categories.push(...(result.Items || []));
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey);
+
+    return categories;
+
+  } catch (error) {
+    console.error('Error getting user categories:', error);
+    throw new DatabaseError(`Failed to get user categories: ${error.message}`, error);
+  }
+};
+
+/**
+ * Updates a category record
+ * @param {string} userId - User identifier
+ * @param {string} categoryId - Category identifier
+ * @param {Object} updates - Fields to update (name, parentId, kind, icon, aliases)
+ * @returns {Promise<Object>} Updated category object
+ * @throws {DatabaseError} If update fails
+ */
+export const updateCategory = async (userId, categoryId, updates) => {
+  try {
+    const updateExpressions = [];
+    const expressionAttributeNames = {};
+    const expressionAttributeValues = {};
+
+    const allowedFields = ['name', 'parentId', 'kind', 'icon', 'aliases'];
+
+    Object.keys(updates).forEach((key, index) => {
+      if (allowedFields.includes(key)) {
+        updateExpressions.push(`#${key} = :val${index}`);
+        expressionAttributeNames[`#${key}`] = key;
+        expressionAttributeValues[`:val${index}`] = updates[key];
+      }
+    });
+
+    if (updateExpressions.length === 0) {
+      throw new DatabaseError('No valid fields to update');
+    }
+
+    updateExpressions.push('#updatedAt = :updatedAt');
+    expressionAttributeNames['#updatedAt'] = 'updatedAt';
+    expressionAttributeValues[':updatedAt'] = new Date().toISOString();
+
+    const params = {
+      TableName: CATEGORIES_TABLE_NAME,
+      Key: {
+        userId: userId,
+        categoryId: categoryId
+      },
+      UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    };
+
+    console.log('Updating category:', categoryId);
+    const result = await dynamoDB.update(params).promise();
+
+    return result.Attributes;
+
+  } catch (error) {
+    console.error('Error updating category:', error);
+    throw new DatabaseError(`Failed to update category: ${error.message}`, error);
+  }
+};
+
+/**
+ * Deletes a category record
+ * @param {string} userId - User identifier
+ * @param {string} categoryId - Category identifier
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If deletion fails
+ */
+export const deleteCategory = async (userId, categoryId) => {
+  try {
+    const params = {
+      TableName: CATEGORIES_TABLE_NAME,
+      Key: {
+        userId: userId,
+        categoryId: categoryId
+      }
+    };
+
+    console.log('Deleting category:', categoryId);
+    await dynamoDB.delete(params).promise();
+
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    throw new DatabaseError(`Failed to delete category: ${error.message}`, error);
+  }
+};
+
+/**
+ * Creates a merchant alias for a user
+ * @param {string} userId - User identifier
+ * @param {Object} aliasData - { pattern, merchant }
+ * @returns {Promise<Object>} Created alias record
+ * @throws {DatabaseError} If creation fails
+ */
+export const createMerchantAlias = async (userId, aliasData) => {
+  try {
+    const now = new Date().toISOString();
+
+    const item = {
+      userId: userId,
+      aliasId: `malias-${uuidv4()}`,
+      pattern: aliasData.pattern,
+      merchant: aliasData.merchant,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const params = {
+      TableName: MERCHANT_ALIASES_TABLE_NAME,
+      Item: item
+    };
+
+    console.log('Creating merchant alias in DynamoDB:', item.aliasId);
+    await dynamoDB.put(params).promise();
+
+    return item;
+
+  } catch (error) {
+    console.error('Error creating merchant alias:', error);
+    throw new DatabaseError(`Failed to create merchant alias: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a merchant alias by ID
+ * @param {string} userId - User identifier
+ * @param {string} aliasId - Alias identifier
+ * @returns {Promise<Object|null>} Alias object or null if not found
+ * @throws {DatabaseError} If query fails
+ */
+export const getMerchantAlias = async (userId, aliasId) => {
+  try {
+    const params = {
+      TableName: MERCHANT_ALIASES_TABLE_NAME,
+      Key: {
+        userId: userId,
+        aliasId: aliasId
+      }
+    };
+
+    const result = await dynamoDB.get(params).promise();
+    return result.Item || null;
+
+  } catch (error) {
+    console.error('Error getting merchant alias:', error);
+    throw new DatabaseError(`Failed to get merchant alias: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets every merchant alias of a user
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Array of alias objects
+ * @throws {DatabaseError} If query fails
+ */
+export const getUserMerchantAliases = async (userId) => {
+  try {
+    const params = {
+      TableName: MERCHANT_ALIASES_TABLE_NAME,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: {
+        ':userId': userId
+      }
+    };
+
+    const aliases = [];
+    do {
+      const result = await dynamoDB.query(params).promise();
+      aliases.push(...(result.Items || []));
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey);
+
+    return aliases;
+
+  } catch (error) {
+    console.error('Error getting user merchant aliases:', error);
+    throw new DatabaseError(`Failed to get user merchant aliases: ${error.message}`, error);
+  }
+};
+
+/**
+ * Updates a merchant alias record
+ * @param {string} userId - User identifier
+ * @param {string} aliasId - Alias identifier
+ * @param {Object} updates - Fields to update (pattern, merchant)
+ * @returns {Promise<Object>} Updated alias object
+ * @throws {DatabaseError} If update fails
+ */
+export const updateMerchantAlias = async (userId, aliasId, updates) => {
+  try {
+    const updateExpressions = [];
+    const expressionAttributeNames = {};
+    const expressionAttributeValues = {};
+
+    const allowedFields = ['pattern', 'merchant'];
+
+    Object.keys(updates).forEach((key, index) => {
+      if (allowedFields.includes(key)) {
+        updateExpressions.push(`#${key} = :val${index}`);
+        expressionAttributeNames[`#${key}`] = key;
+        expressionAttributeValues[`:val${index}`] = updates[key];
+      }
+    });
+
+    if (updateExpressions.length === 0) {
+      throw new DatabaseError('No valid fields to update');
+    }
+
+    updateExpressions.push('#updatedAt = :updatedAt');
+    expressionAttributeNames['#updatedAt'] = 'updatedAt';
+    expressionAttributeValues[':updatedAt'] = new Date().toISOString();
+
+    const params = {
+      TableName: MERCHANT_ALIASES_TABLE_NAME,
+      Key: {
+        userId: userId,
+        aliasId: aliasId
+      },
+      UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    };
+
+    console.log('Updating merchant alias:', aliasId);
+    const result = await dynamoDB.update(params).promise();
+
+    return result.Attributes;
+
+  } catch (error) {
+    console.error('Error updating merchant alias:', error);
+    throw new DatabaseError(`Failed to update merchant alias: ${error.message}`, error);
+  }
+};
+
+/**
+ * Deletes a merchant alias record
+ * @param {string} userId - User identifier
+ * @param {string} aliasId - Alias identifier
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If deletion fails
+ */
+export const deleteMerchantAlias = async (userId, aliasId) => {
+  try {
+    const params = {
+      TableName: MERCHANT_ALIASES_TABLE_NAME,
+      Key: {
+        userId: userId,
+        aliasId: aliasId
+      }
+    };
+
+    console.log('Deleting merchant alias:', aliasId);
+    await dynamoDB.delete(params).promise();
+
+  } catch (error) {
+    console.error('Error deleting merchant alias:', error);
+    throw new DatabaseError(`Failed to delete merchant alias: ${error.message}`, error);
+  }
+};
+
+/**
+ * Creates an auto-categorization rule for a user
+ * @param {string} userId - User identifier
+ * @param {Object} ruleData - { name, priority, active, conditions, actions }
+ * @returns {Promise<Object>} Created rule record
+ * @throws {DatabaseError} If creation fails
+ */
+export const createCategorizationRule = async (userId, ruleData) => {
+  try {
+    const now = new Date().toISOString();
+
+    const item = {
+      userId: userId,
+      ruleId: `crule-${uuidv4()}`,
+      name: ruleData.name,
+      priority: ruleData.priority,
+      active: ruleData.active !== false,
+      conditions: ruleData.conditions,
+      actions: ruleData.actions,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const params = {
+      TableName: CATEGORIZATION_RULES_TABLE_NAME,
+      Item: item
+    };
+
+    console.log('Creating categorization rule in DynamoDB:', item.ruleId);
+    await dynamoDB.put(params).promise();
+
+    return item;
+
+  } catch (error) {
+    console.error('Error creating categorization rule:', error);
+    throw new DatabaseError(`Failed to create categorization rule: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a categorization rule by ID
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @returns {Promise<Object|null>} Rule object or null if not found
+ * @throws {DatabaseError} If query fails
+ */
+export const getCategorizationRule = async (userId, ruleId) => {
+  try {
+    const params = {
+      TableName: CATEGORIZATION_RULES_TABLE_NAME,
+      Key: {
+        userId: userId,
+        ruleId: ruleId
+      }
+    };
+
+    const result = await dynamoDB.get(params).promise();
+    return result.Item || null;
+
+  } catch (error) {
+    console.error('Error getting categorization rule:', error);
+    throw new DatabaseError(`Failed to get categorization rule: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets every categorization rule of a user
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Array of rule objects
+ * @throws {DatabaseError} If query fails
+ */
+export const getUserCategorizationRules = async (userId) => {
+  try {
+    const params = {
+      TableName: CATEGORIZATION_RULES_TABLE_NAME,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: {
+        ':userId': userId
+      }
+    };
+
+    const rules = [];
+    do {
+      const result = await dynamoDB.query(params).promise();
+      rules.push(...(result.Items || []));
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey);
+
+    return rules;
+
+  } catch (error) {
+    console.error('Error getting user categorization rules:', error);
+    throw new DatabaseError(`Failed to get user categorization rules: ${error.message}`, error);
+  }
+};
+
+/**
+ * Updates a categorization rule record
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @param {Object} updates - Fields to update (name, priority, active, conditions, actions)
+ * @returns {Promise<Object>} Updated rule object
+ * @throws {DatabaseError} If update fails
+ */
+export const updateCategorizationRule = async (userId, ruleId, updates) => {
+  try {
+    const updateExpressions = [];
+    const expressionAttributeNames = {};
+    const expressionAttributeValues = {};
+
+    const allowedFields = ['name', 'priority', 'active', 'conditions', 'actions'];
+
+    Object.keys(updates).forEach((key, index) => {
+      if (allowedFields.includes(key)) {
+        updateExpressions.push(`#${key} = :val${index}`);
+        expressionAttributeNames[`#${key}`] = key;
+        expressionAttributeValues[`:val${index}`] = updates[key];
+      }
+    });
+
+    if (updateExpressions.length === 0) {
+      throw new DatabaseError('No valid fields to update');
+    }
+
+    updateExpressions.push('#updatedAt = :updatedAt');
+    expressionAttributeNames['#updatedAt'] = 'updatedAt';
+    expressionAttributeValues[':updatedAt'] = new Date().toISOString();
+
+    const params = {
+      TableName: CATEGORIZATION_RULES_TABLE_NAME,
+      Key: {
+        userId: userId,
+        ruleId: ruleId
+      },
+      UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    };
+
+    console.log('Updating categorization rule:', ruleId);
+    const result = await dynamoDB.update(params).promise();
+
+    return result.Attributes;
+
+  } catch (error) {
+    console.error('Error updating categorization rule:', error);
+    throw new DatabaseError(`Failed to update categorization rule: ${error.message}`, error);
+  }
+};
+
+/**
+ * Deletes a categorization rule record
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If deletion fails
+ */
+export const deleteCategorizationRule = async (userId, ruleId) => {
+  try {
+    const params = {
+      TableName: CATEGORIZATION_RULES_TABLE_NAME,
+      Key: {
+        userId: userId,
+        ruleId: ruleId
+      }
+    };
+
+    console.log('Deleting categorization rule:', ruleId);
+    await dynamoDB.delete(params).promise();
+
+  } catch (error) {
+    console.error('Error deleting categorization rule:', error);
+    throw new DatabaseError(`Failed to delete categorization rule: ${error.message}`, error);
+  }
+};
+
+/**
+ * Records a user's correction of an extracted transaction
+ * @param {string} userId - User identifier
+ * @param {Object} correctionData - { transactionId, source, text, original, corrected }
+ * @returns {Promise<Object>} Created correction record
+ * @throws {DatabaseError} If creation fails
+ */
+export const createCorrection = async (userId, correctionData) => {
+  try {
+    const item = {
+      userId: userId,
+      correctionId: `corr-${uuidv4()}`,
+      transactionId: correctionData.transactionId,
+      source: correctionData.source,
+      text: correctionData.text || '',
+      original: correctionData.original,
+      corrected: correctionData.corrected,
+      createdAt: new Date().toISOString()
+    };
+
+    const params = {
+      TableName: CORRECTIONS_TABLE_NAME,
+      Item: item
+    };
+
+    console.log('Creating correction in DynamoDB:', item.correctionId);
+    await dynamoDB.put(params).promise();
+
+    return item;
+
+  } catch (error) {
+    console.error('Error creating correction:', error);
+    throw new DatabaseError(`Failed to create correction: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets every correction of a user
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Array of correction objects
+ * @throws {DatabaseError} If query fails
+ */
+export const getUserCorrections = async (userId) => {
+  try {
+    const params = {
+      TableName: CORRECTIONS_TABLE_NAME,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: {
+        ':userId': userId
+      }
+    };
+
+    const corrections = [];
+    do {
+      const result = await dynamoDB.query(params).promise();
+      corrections.push(...(result.Items || []));
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey);
+
+    return corrections;
+
+  } catch (error) {
+    console.error('Error getting user corrections:', error);
+    throw new DatabaseError(`Failed to get user corrections: ${error.message}`, error);
+  }
+};
+
+/**
+ * Deletes a correction record
+ * @param {string} userId - User identifier
+ * @param {string} correctionId - Correction identifier
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If deletion fails
+ */
+export const deleteCorrection = async (userId, correctionId) => {
+  try {
+    const params = {
+      TableName: CORRECTIONS_TABLE_NAME,
+      Key: {
+        userId: userId,
+        correctionId: correctionId
+      }
+    };
+
+    console.log('Deleting correction:', correctionId);
+    await dynamoDB.delete(params).promise();
+
+  } catch (error) {
+    console.error('Error deleting correction:', error);
+    throw new DatabaseError(`Failed to delete correction: ${error.message}`, error);
+  }
+};
@@ -0,0 +1,315 @@
+// src/services/exportService.js
+import { getTransactionPages } from './storageService.js';
+import { createLedgerWriter, createBeancountWriter } from './accountingExportService.js';
+import { getBaseCurrency, getBaseAmount, getExchangeRate } from './currencyService.js';
+import { createXlsxWorkbook } from '../utils/xlsx.js';
+import { validateUserId } from '../utils/validation.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Transaction export
+ * Reads every page of the user's transactions from storage and writes them to
+ * an output stream (the HTTP response) as they arrive, so exports are not
+ * capped like GET /api/transactions/:userId. CSV, JSON, OFX and the ledger /
+ * beancount journals are streamed page by page; XLSX is a ZIP file, so its rows
+ * are collected and zipped at the end.
+ */
+
+// Supported formats and how they are served
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  ofx: { contentType: 'application/x-ofx', extension: 'ofx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ledger: { contentType: 'text/plain; charset=utf-8', extension: 'ledger' },
+  beancount: { contentType: 'text/plain; charset=utf-8', extension: 'beancount' }
+};
+
+// Columns written to CSV and XLSX (baseAmount / baseCurrency are the amount totals use)
+const EXPORT_COLUMNS = ['transactionId', 'date', 'type', 'amount', 'currency', 'baseAmount', 'baseCurrency', 'merchant', 'category', 'description', 'source', 'createdAt'];
+
+/**
+ * Validates export query options
+ * @param {Object} query - { format?, startDate?, endDate?, category? }
+ * @returns {Object} { format, startDate, endDate, category } (missing filters are null)
+ * @throws {ValidationError} If an option is invalid
+ */
+export const validateExportOptions = (query = {}) => {
+  const format = String(query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw new ValidationError(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, 'format');
+  }
+
+  const checkDate = (value, field) => {
+    if (!value) {
+      return null;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(date.getTime()) || date.toISOString().split('T')[0] !== value) {
+      throw new ValidationError(`${field} must be a date in YYYY-MM-DD format`, field);
+    }
+    return value;
+  };
+
+  const startDate = checkDate(query.startDate, 'startDate');
+  const endDate = checkDate(query.endDate, 'endDate');
+
+  if (startDate && endDate && startDate > endDate) {
+    throw new ValidationError('startDate must be on or before endDate', 'startDate');
+  }
+
+  const category = query.category ? String(query.category).trim() : null;
+  if (category && category.length > 100) {
+    throw new ValidationError('Category is too long (max 100 characters)', 'category');
+  }
+
+  return { format, startDate, endDate, category: category || null };
+};
+
+/**
+ * Builds the download file name for an export
+ * @param {Object} options - Validated export options
+ * @returns {string} e.g. transactions-2026-01-01-to-2026-01-31.csv
+ */
+export const getExportFileName = (options) => {
+  const range = [options.startDate, options.endDate].filter(Boolean).join('-to-');
+  return `transactions${range ? `-${range}` : ''}.${EXPORT_FORMATS[options.format].extension}`;
+};
+
+/**
+ * Error for an output stream that was closed before the export finished
+ * @returns {Error} Error to stop the export with
+ */
+const streamClosedError = () => new Error('Output stream closed before the export finished');
+
+/**
+ * Writes a chunk, waiting for the stream to drain when its buffer is full
+ * Rejects if the stream is closed or fails first (e.g. the client disconnected),
+ * so the export stops instead of waiting for a 'drain' that never comes
+ * @param {Object} output - Writable stream
+ * @param {string|Buffer} chunk - Data
+ * @returns {Promise<void>}
+ */
+const write = (output, chunk) => new Promise((resolve, reject) => {
+  if (output.destroyed) {
+    reject(streamClosedError());
+    return;
+  }
+
+  if (output.write(chunk)) {
+    resolve();
+    return;
+  }
+
+  const settle = (error) => {
+    output.off('drain', onDrain);
+    output.off('close', onClose);
+    output.off('error', onError);
+    if (error) {
+      reject(error);
+    } else {
+      resolve();
+    }
+  };
+  const onDrain = () => settle();
+  const onClose = () => settle(streamClosedError());
+  const onError = (error) => settle(error);
+
+  output.on('drain', onDrain);
+  output.on('close', onClose);
+  output.on('error', onError);
+});
+
+/**
+ * Quotes a CSV field; text starting with = + - @ is prefixed with ' so
+ * spreadsheet apps don't run it as a formula
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (typeof value === 'number') {
+    return String(value);
+  }
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Escapes text for OFX (XML)
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeOfx = (value) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Formats a YYYY-MM-DD date (or Date) as an OFX date
+ * @param {string|Date} value - Date
+ * @returns {string} YYYYMMDD or YYYYMMDDHHMMSS
+ */
+const ofxDate = (value) => (value instanceof Date
+  ? value.toISOString().replace(/[-:T]/g, '').slice(0, 14)
+  : value.replace(/-/g, ''));
+
+/**
+ * Creates a writer for one format
+ * Each writer has start(), page(transactions) and end() methods that return the
+ * next chunk to write (XLSX returns the whole file from end())
+ * @param {string} format - Export format
+ * @param {string} userId - User identifier (OFX account ID)
+ * @param {Object} options - Validated export options
+ * @param {string} baseCurrency - User's base currency (OFX statement currency, CSV/XLSX base columns)
+ * @returns {Object} Writer
+ */
+const createWriter = (format, userId, options, baseCurrency) => {
+  const toRow = (transaction) => {
+    // Empty when the amount can't be converted, so it isn't mistaken for a 1:1 rate
+    const baseAmount = getBaseAmount(transaction, baseCurrency);
+    const row = { ...transaction, baseAmount, baseCurrency: baseAmount === null ? null : baseCurrency };
+    return EXPORT_COLUMNS.map(column => row[column]);
+  };
+
+  if (format === 'csv') {
+    return {
+      start: () => `${EXPORT_COLUMNS.join(',')}\r\n`,
+      page: (transactions) => transactions.map(transaction => `${toRow(transaction).map(csvField).join(',')}\r\n`).join(''),
+      end: () => ''
+    };
+  }
+
+  if (format === 'json') {
+    let count = 0;
+    const filters = { startDate: options.startDate, endDate: options.endDate, category: options.category };
+
+    return {
+      start: () => `{"exportedAt":${JSON.stringify(new Date().toISOString())},"filters":${JSON.stringify(filters)},"transactions":[`,
+      page: (transactions) => transactions.map(transaction => `${count++ > 0 ? ',' : ''}\n${JSON.stringify(transaction)}`).join(''),
+      end: () => `\n],"count":${count}}\n`
+    };
+  }
+
+  if (format === 'ledger') {
+    return createLedgerWriter();
+  }
+
+  if (format === 'beancount') {
+    return createBeancountWriter();
+  }
+
+  if (format === 'xlsx') {
+    const workbook = createXlsxWorkbook('Transactions', EXPORT_COLUMNS);
+
+    return {
+      start: () => '',
+      page: (transactions) => {
+        workbook.addRows(transactions.map(toRow));
+        return '';
+      },
+      end: () => workbook.toBuffer()
+    };
+  }
+
+  // OFX 2.2 bank statement in the base currency; the balance is the net of the exported
+  // transactions converted to it (amounts that can't be converted are left out, as in budgets)
+  let balance = 0;
+  const now = new Date();
+
+  return {
+    start: () => '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n'
+      + '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>\n'
+      + '<OFX>\n'
+      + `<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS><DTSERVER>${ofxDate(now)}</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>\n`
+      + '<BANKMSGSRSV1><STMTTRNRS><TRNUID>1</TRNUID><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>\n'
+      + `<STMTRS><CURDEF>${escapeOfx(baseCurrency)}</CURDEF>\n`
+      + `<BANKACCTFROM><BANKID>000000000</BANKID><ACCTID>${escapeOfx(userId.slice(0, 22))}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>\n`
+      + `<BANKTRANLIST><DTSTART>${options.startDate ? ofxDate(options.startDate) : '19700101'}</DTSTART><DTEND>${options.endDate ? ofxDate(options.endDate) : ofxDate(now)}</DTEND>\n`,
+    page: (transactions) => transactions.map(transaction => {
+      const sign = transaction.type === 'expense' ? -1 : 1;
+      const signedAmount = sign * transaction.amount;
+      balance += sign * (getBaseAmount(transaction, baseCurrency) || 0);
+
+      // Amounts are written as recorded; other currencies carry their rate to CURDEF.
+      // Without a known rate there is no CURRENCY aggregate and the memo says so instead
+      const transactionCurrency = transaction.currency || 'USD';
+      const rate = transactionCurrency !== baseCurrency ? getExchangeRate(transactionCurrency, baseCurrency, transaction.date) : null;
+      const currency = rate !== null
+        ? `<CURRENCY><CURRATE>${rate}</CURRATE><CURSYM>${escapeOfx(transactionCurrency)}</CURSYM></CURRENCY>`
+        : '';
+      const memo = [
+        transaction.description && transaction.description !== transaction.merchant ? transaction.description : '',
+        transactionCurrency !== baseCurrency && rate === null ? `Amount in ${transactionCurrency}, no exchange rate to ${baseCurrency}` : ''
+      ].filter(Boolean).join(' - ');
+
+      return '<STMTTRN>'
+        + `<TRNTYPE>${transaction.type === 'expense' ? 'DEBIT' : 'CREDIT'}</TRNTYPE>`
+        + `<DTPOSTED>${ofxDate(transaction.date)}</DTPOSTED>`
+        + `<TRNAMT>${signedAmount.toFixed(2)}</TRNAMT>`
+        + `<FITID>${escapeOfx(transaction.transactionId)}</FITID>`
+        + `<NAME>${escapeOfx(String(transaction.merchant || '').slice(0, 32))}</NAME>`
+        + (memo ? `<MEMO>${escapeOfx(memo.slice(0, 255))}</MEMO>` : '')
+        + currency
+        + '</STMTTRN>\n';
+    }).join(''),
+    end: () => '</BANKTRANLIST>\n'
+      + `<LEDGERBAL><BALAMT>${balance.toFixed(2)}</BALAMT><DTASOF>${ofxDate(now)}</DTASOF></LEDGERBAL>\n`
+      + '</STMTRS></STMTTRNRS></BANKMSGSRSV1>\n'
+      + '</OFX>\n'
+  };
+};
+
+/**
+ * Streams a user's transactions to an output stream in the requested format
+ * The caller sets response headers first (see EXPORT_FORMATS) and ends the stream after
+ * @param {string} userId - User identifier
+ * @param {Object} options - Validated export options (see validateExportOptions)
+ * @param {Object} output - Writable stream (e.g. Express response)
+ * @returns {Promise<number>} Number of transactions exported
+ * @throws {DatabaseError} If reading a page fails (output may be partially written)
+ * @throws {Error} If the output stream is closed before the export finishes
+ */
+export const exportTransactions = async (userId, options, output) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const writer = createWriter(options.format, validUserId, options, await getBaseCurrency(validUserId));
+    const filters = { startDate: options.startDate, endDate: options.endDate, category: options.category };
+
+    let count = 0;
+    await write(output, writer.start());
+
+    for await (const page of getTransactionPages(validUserId, filters)) {
+      // XLSX pages write nothing, so check for a closed stream before reading on
+      if (output.destroyed) {
+        throw streamClosedError();
+      }
+
+      if (page.length === 0) {
+        continue;
+      }
+
+      const chunk = writer.page(page);
+      if (chunk) {
+        await write(output, chunk);
+      }
+      count += page.length;
+    }
+
+    await write(output, writer.end());
+
+    console.log(`Exported ${count} transaction(s) as ${options.format} for ${validUserId}`);
+    return count;
+  } catch (error) {
+    console.error('Error exporting transactions:', error);
+    throw error;
+  }
+};
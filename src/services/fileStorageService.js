@@ -0,0 +1,1322 @@
+// src/services/fileStorageService.js
+import fs from 'fs';
+import path from 'path';
+import { LOCAL_DATA_FILE, RECEIPT_FIELDS, IMPORT_FIELDS, CONVERSION_FIELDS, TAXONOMY_FIELDS, MERCHANT_FIELDS, DRAFT_FIELDS } from '../config/storage.js';
+import { DatabaseError, ValidationError } from '../utils/errors.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Local storage backend
+ * Implements the same functions as dynamodbService.js on top of a single JSON
+ * file, so the app can run offline without AWS credentials.
+ *
+ * File layout:
+ * {
+ *   "transactions": { "<userId>": { "<transactionId>": { ...item } } },
+ *   "users": { "<email>": { ...user } },
+ *   "budgets": { "<userId>": { "<budgetId>": { ...budget } } },
+ *   "recurringRules": { "<userId>": { "<ruleId>": { ...rule } } },
+ *   "settings": { "<userId>": { ...settings } },
+ *   "categories": { "<userId>": { "<categoryId>": { ...category } } },
+ *   "merchantAliases": { "<userId>": { "<aliasId>": { ...alias } } },
+ *   "categorizationRules": { "<userId>": { "<ruleId>": { ...rule } } },
+ *   "corrections": { "<userId>": { "<correctionId>": { ...correction } } }
+ * }
+ */
+
+// In-memory copy of the data file (loaded on first access)
+let data = null;
+
+// Writes are chained so concurrent requests never interleave file writes
+let writeQueue = Promise.resolve();
+
+/**
+ * Loads the data file into memory (once)
+ * @returns {Object} The in-memory data
+ */
+const load = () => {
+  if (data) {
+    return data;
+  }
+
+  if (fs.existsSync(LOCAL_DATA_FILE)) {
+    data = JSON.parse(fs.readFileSync(LOCAL_DATA_FILE, 'utf8'));
+  } else {
+    data = {};
+  }
+
+  data.transactions = data.transactions || {};
+  data.users = data.users || {};
+  data.budgets = data.budgets || {};
+  data.recurringRules = data.recurringRules || {};
+  data.settings = data.settings || {};
+  data.categories = data.categories || {};
+  data.merchantAliases = data.merchantAliases || {};
+  data.categorizationRules = data.categorizationRules || {};
+  data.corrections = data.corrections || {};
+
+  return data;
+};
+
+/**
+ * Applies a change to a copy of the data and writes it to disk
+ * The in-memory data is only replaced once the file is written, so a failed
+ * write never shows up in reads. Writes to a temp file and renames it, so a
+ * crash never leaves a half-written file. A failed write does not block the
+ * writes queued after it.
+ * Only the partition being changed (one user's transactions, one user record, ...)
+ * is copied; the rest of the copy shares the in-memory data, so change must not
+ * modify anything outside that partition.
+ * @param {string} collection - Top-level collection, e.g. "transactions"
+ * @param {string} key - Partition key within it (userId, or email for users)
+ * @param {Function} change - Called with the copy to modify; may throw to cancel the write
+ * @returns {Promise<*>} What change returned, once it is on disk
+ */
+const commit = (collection, key, change) => {
+  const write = writeQueue.catch(() => {}).then(async () => {
+    const current = load();
+    const partitions = { ...current[collection] };
+    if (partitions[key] !== undefined) {
+      partitions[key] = structuredClone(partitions[key]);
+    }
+    const next = { ...current, [collection]: partitions };
+    const result = change(next);
+
+    const tempFile = `${LOCAL_DATA_FILE}.tmp`;
+    await fs.promises.mkdir(path.dirname(LOCAL_DATA_FILE), { recursive: true });
+    await fs.promises.writeFile(tempFile, JSON.stringify(next, null, 2));
+    await fs.promises.rename(tempFile, LOCAL_DATA_FILE);
+
+    data = next;
+    return result;
+  });
+
+  writeQueue = write;
+  return write;
+};
+
+/**
+ * Gets the transaction map for a user (creating it if needed)
+ * @param {string} userId - User identifier
+ * @param {Object} store - Data to read (default: the in-memory data)
+ * @returns {Object} Map of transactionId to transaction
+ */
+const userTransactions = (userId, store = load()) => {
+  store.transactions[userId] = store.transactions[userId] || {};
+  return store.transactions[userId];
+};
+
+/**
+ * Gets the budget map for a user (creating it if needed)
+ * @param {string} userId - User identifier
+ * @param {Object} store - Data to read (default: the in-memory data)
+ * @returns {Object} Map of budgetId to budget
+ */
+const userBudgets = (userId, store = load()) => {
+  store.budgets[userId] = store.budgets[userId] || {};
+  return store.budgets[userId];
+};
+
+/**
+ * Gets the recurring rule map for a user (creating it if needed)
+ * @param {string} userId - User identifier
+ * @param {Object} store - Data to read (default: the in-memory data)
+ * @returns {Object} Map of ruleId to rule
+ */
+const userRecurringRules = (userId, store = load()) => {
+  store.recurringRules[userId] = store.recurringRules[userId] || {};
+  return store.recurringRules[userId];
+};
+
+/**
+ * Gets the category map for a user (creating it if needed)
+ * @param {string} userId - User identifier
+ * @param {Object} store - Data to read (default: the in-memory data)
+ * @returns {Object} Map of categoryId to category
+ */
+const userCategories = (userId, store = load()) => {
+  store.categories[userId] = store.categories[userId] || {};
+  return store.categories[userId];
+};
+
+/**
+ * Gets the merchant alias map for a user (creating it if needed)
+ * @param {string} userId - User identifier
+ * @param {Object} store - Data to read (default: the in-memory data)
+ * @returns {Object} Map of aliasId to alias
+ */
+const userMerchantAliases = (userId, store = load()) => {
+  store.merchantAliases[userId] = store.merchantAliases[userId] || {};
+  return store.merchantAliases[userId];
+};
+
+/**
+ * Gets the categorization rule map for a user (creating it if needed)
+ * @param {string} userId - User identifier
+ * @param {Object} store - Data to read (default: the in-memory data)
+ * @returns {Object} Map of ruleId to rule
+ */
+const userCategorizationRules = (userId, store = load()) => {
+  store.categorizationRules[userId] = store.categorizationRules[userId] || {};
+  return store.categorizationRules[userId];
+};
+
+/**
+ * Gets the correction map for a user (creating it if needed)
+ * @param {string} userId - User identifier
+ * @param {Object} store - Data to read (default: the in-memory data)
+ * @returns {Object} Map of correctionId to correction
+ */
+const userCorrections = (userId, store = load()) => {
+  store.corrections[userId] = store.corrections[userId] || {};
+  return store.corrections[userId];
+};
+
+/**
+ * Checks whether a transaction is saved (drafts waiting for confirmation are not)
+ * @param {Object} item - Stored transaction
+ * @returns {boolean} true unless the transaction is a draft
+ */
+const isSaved = (item) => item.status !== 'draft';
+
+/**
+ * Builds the stored record for new transaction data
+ * @param {string} userId - User identifier
+ * @param {Object} transactionData - Transaction data object
+ * @returns {Object} Transaction record with a new transactionId
+ */
+const buildTransactionItem = (userId, transactionData) => {
+  const now = new Date().toISOString();
+
+  const item = {
+    userId: userId,
+    transactionId: `tx-${uuidv4()}`,
+    timestamp: Date.now(),
+    amount: transactionData.amount,
+    currency: transactionData.currency || 'USD',
+    date: transactionData.date,
+    merchant: transactionData.merchant,
+    category: transactionData.category,
+    type: transactionData.type,
+    description: transactionData.description || '',
+    source: transactionData.source || 'manual',
+    rawText: transactionData.rawText || '',
+    status: transactionData.status === 'draft' ? 'draft' : 'confirmed',
+    createdAt: now,
+    updatedAt: now
+  };
+
+  // Itemized receipt details, bank transaction IDs, converted amounts, category IDs, raw merchants and draft expiry are only stored when present
+  [...RECEIPT_FIELDS, ...IMPORT_FIELDS, ...CONVERSION_FIELDS, ...TAXONOMY_FIELDS, ...MERCHANT_FIELDS, ...DRAFT_FIELDS].forEach(field => {
+    if (transactionData[field] !== undefined && transactionData[field] !== null) {
+      item[field] = transactionData[field];
+    }
+  });
+
+  return item;
+};
+
+/**
+ * Creates a new transaction record in the data file
+ * @param {string} userId - User identifier
+ * @param {Object} transactionData - Transaction data object
+ * @returns {Promise<Object>} Created transaction record
+ * @throws {DatabaseError} If creation fails
+ */
+export const createTransaction = async (userId, transactionData) => {
+  try {
+    const item = buildTransactionItem(userId, transactionData);
+
+    await commit('transactions', userId, store => {
+      userTransactions(userId, store)[item.transactionId] = item;
+    });
+
+    console.log('Transaction created in local store:', item.transactionId);
+    return { ...item };
+
+  } catch (error) {
+    console.error('Error creating transaction:', error);
+    throw new DatabaseError(`Failed to create transaction: ${error.message}`, error);
+  }
+};
+
+/**
+ * Creates several transaction records with one write of the data file (for imports)
+ * Either all of them are saved or none are.
+ * @param {string} userId - User identifier
+ * @param {Array} transactionsData - Transaction data objects
+ * @returns {Promise<Array>} Created transaction records, in the same order
+ * @throws {DatabaseError} If creation fails
+ */
+export const createTransactions = async (userId, transactionsData) => {
+  try {
+    const items = transactionsData.map(transactionData => buildTransactionItem(userId, transactionData));
+    if (items.length === 0) {
+      return [];
+    }
+
+    await commit('transactions', userId, store => {
+      const transactions = userTransactions(userId, store);
+      items.forEach(item => {
+        transactions[item.transactionId] = item;
+      });
+    });
+
+    console.log(`${items.length} transactions created in local store for ${userId}`);
+    return items.map(item => ({ ...item }));
+
+  } catch (error) {
+    console.error('Error creating transactions:', error);
+    throw new DatabaseError(`Failed to create transactions: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a transaction by ID
+ * @param {string} userId - User identifier
+ * @param {string} transactionId - Transaction identifier
+ * @returns {Promise<Object|null>} Transaction object or null if not found
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getTransaction = async (userId, transactionId) => {
+  try {
+    const item = userTransactions(userId)[transactionId];
+    return item ? { ...item } : null;
+  } catch (error) {
+    console.error('Error getting transaction:', error);
+    throw new DatabaseError(`Failed to get transaction: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets transactions for a user, newest first (drafts are not included)
+ * @param {string} userId - User identifier
+ * @param {number} limit - Maximum number of results (default: 100)
+ * @returns {Promise<Array>} Array of transaction objects
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getUserTransactions = async (userId, limit = 100) => {
+  try {
+    return Object.values(userTransactions(userId))
+      .filter(isSaved)
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit)
+      .map(item => ({ ...item }));
+  } catch (error) {
+    console.error('Error getting user transactions:', error);
+    throw new DatabaseError(`Failed to get user transactions: ${error.message}`, error);
+  }
+};
+
+/**
+ * Finds a user's transaction by the bank's transaction ID (OFX FITID)
+ * @param {string} userId - User identifier
+ * @param {string} externalId - Bank transaction ID
+ * @returns {Promise<Object|null>} Matching transaction or null
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const findTransactionByExternalId = async (userId, externalId) => {
+  try {
+    const item = Object.values(userTransactions(userId)).find(item => isSaved(item) && item.externalId === externalId);
+    return item ? { ...item } : null;
+  } catch (error) {
+    console.error('Error finding transaction by external ID:', error);
+    throw new DatabaseError(`Failed to find transaction by external ID: ${error.message}`, error);
+  }
+};
+
+/**
+ * Lists the external IDs of a user's transactions that start with a prefix
+ * @param {string} userId - User identifier
+ * @param {string} prefix - externalId prefix (e.g. "recurring:<ruleId>:")
+ * @returns {Promise<Array<string>>} Matching external IDs
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const findExternalIdsByPrefix = async (userId, prefix) => {
+  try {
+    return Object.values(userTransactions(userId))
+      .filter(item => isSaved(item) && typeof item.externalId === 'string' && item.externalId.startsWith(prefix))
+      .map(item => item.externalId);
+  } catch (error) {
+    console.error('Error finding external IDs by prefix:', error);
+    throw new DatabaseError(`Failed to find external IDs by prefix: ${error.message}`, error);
+  }
+};
+
+/**
+ * Updates a transaction record
+ * @param {string} userId - User identifier
+ * @param {string} transactionId - Transaction identifier
+ * @param {Object} updates - Fields to update (expiresAt: null removes a confirmed draft's expiry)
+ * @returns {Promise<Object>} Updated transaction object
+ * @throws {DatabaseError} If update fails
+ */
+export const updateTransaction = async (userId, transactionId, updates) => {
+  try {
+    const allowedFields = ['amount', 'date', 'merchant', 'category', 'type', 'currency', 'description', 'status', ...RECEIPT_FIELDS, ...CONVERSION_FIELDS, ...TAXONOMY_FIELDS, ...MERCHANT_FIELDS, ...DRAFT_FIELDS];
+    const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+
+    if (fields.length === 0) {
+      throw new DatabaseError('No valid fields to update');
+    }
+
+    const item = await commit('transactions', userId, store => {
+      const stored = userTransactions(userId, store)[transactionId];
+      if (!stored) {
+        throw new DatabaseError(`Transaction not found: ${transactionId}`);
+      }
+
+      fields.forEach(field => {
+        if (DRAFT_FIELDS.includes(field) && updates[field] === null) {
+          delete stored[field];
+        } else {
+          stored[field] = updates[field];
+        }
+      });
+      stored.updatedAt = new Date().toISOString();
+      return stored;
+    });
+
+    console.log('Transaction updated in local store:', transactionId);
+    return { ...item };
+
+  } catch (error) {
+    console.error('Error updating transaction:', error);
+    throw new DatabaseError(`Failed to update transaction: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a user's drafts (transactions waiting for confirmation), newest first
+ * Expired drafts are included; the caller decides what to do with them
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Array of draft transactions
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getUserDrafts = async (userId) => {
+  try {
+    return Object.values(userTransactions(userId))
+      .filter(item => !isSaved(item))
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .map(item => ({ ...item }));
+  } catch (error) {
+    console.error('Error getting user drafts:', error);
+    throw new DatabaseError(`Failed to get user drafts: ${error.message}`, error);
+  }
+};
+
+/**
+ * Deletes a transaction record
+ * @param {string} userId - User identifier
+ * @param {string} transactionId - Transaction identifier
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If deletion fails
+ */
+export const deleteTransaction = async (userId, transactionId) => {
+  try {
+    await commit('transactions', userId, store => {
+      delete userTransactions(userId, store)[transactionId];
+    });
+
+    console.log('Transaction deleted from local store:', transactionId);
+
+  } catch (error) {
+    console.error('Error deleting transaction:', error);
+    throw new DatabaseError(`Failed to delete transaction: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a user's transactions in a date range (drafts are not included)
+ * @param {string} userId - User identifier
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Array of transactions in date range, newest date first
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getTransactionsByDateRange = async (userId, startDate, endDate) => {
+  try {
+    return Object.values(userTransactions(userId))
+      .filter(item => isSaved(item) && item.date >= startDate && item.date <= endDate)
+      .sort((a, b) => new Date(b.date) - new Date(a.date))
+      .map(item => ({ ...item }));
+  } catch (error) {
+    console.error('Error getting transactions by date range:', error);
+    throw new DatabaseError(`Failed to get transactions by date range: ${error.message}`, error);
+  }
+};
+
+/**
+ * Reads all of a user's transactions in pages (same contract as the DynamoDB backend)
+ * @param {string} userId - User identifier
+ * @param {Object} filters - { startDate?, endDate? (YYYY-MM-DD, inclusive), category? }
+ * @yields {Array} A page of transaction objects, oldest date first
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getTransactionPages = async function* (userId, filters = {}) {
+  const pageSize = 500;
+
+  let items;
+  try {
+    items = Object.values(userTransactions(userId))
+      .filter(isSaved)
+      .filter(item => !filters.startDate || item.date >= filters.startDate)
+      .filter(item => !filters.endDate || item.date <= filters.endDate)
+      .filter(item => !filters.category || item.category === filters.category)
+      .sort((a, b) => a.date.localeCompare(b.date) || a.timestamp - b.timestamp);
+  } catch (error) {
+    console.error('Error reading transaction page:', error);
+    throw new DatabaseError(`Failed to read transactions: ${error.message}`, error);
+  }
+
+  for (let start = 0; start < items.length; start += pageSize) {
+    yield items.slice(start, start + pageSize).map(item => ({ ...item }));
+  }
+};
+
+/**
+ * Creates a new user account record
+ * Fails if an account with the same email already exists
+ * @param {Object} userData - User data ({ userId, email, firstName, lastName, passwordHash })
+ * @returns {Promise<Object>} Created user record
+ * @throws {ValidationError} If the email is already registered
+ * @throws {DatabaseError} If creation fails
+ */
+export const createUser = async (userData) => {
+  if (load().users[userData.email]) {
+    throw new ValidationError('An account with this email already exists', 'email');
+  }
+
+  try {
+    const now = new Date().toISOString();
+
+    const item = {
+      email: userData.email,
+      userId: userData.userId,
+      firstName: userData.firstName,
+      lastName: userData.lastName,
+      passwordHash: userData.passwordHash,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await commit('users', item.email, store => {
+      // Checked again in the write queue: two signups for one email may both pass the check above
+      if (store.users[item.email]) {
+        throw new ValidationError('An account with this email already exists', 'email');
+      }
+      store.users[item.email] = item;
+    });
+
+    console.log('User created in local store:', item.userId);
+    return { ...item };
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+    console.error('Error creating user:', error);
+    throw new DatabaseError(`Failed to create user: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a user account by email
+ * @param {string} email - Normalized (lowercase) email address
+ * @returns {Promise<Object|null>} User record or null if not found
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getUserByEmail = async (email) => {
+  try {
+    const user = load().users[email];
+    return user ? { ...user } : null;
+  } catch (error) {
+    console.error('Error getting user:', error);
+    throw new DatabaseError(`Failed to get user: ${error.message}`, error);
+  }
+};
+
+/**
+ * Creates a monthly budget record
+ * @param {string} userId - User identifier
+ * @param {Object} budgetData - { category, month (YYYY-MM), amount }
+ * @returns {Promise<Object>} Created budget record
+ * @throws {DatabaseError} If creation fails
+ */
+export const createBudget = async (userId, budgetData) => {
+  try {
+    const now = new Date().toISOString();
+
+    const item = {
+      userId: userId,
+      budgetId: `budget-${uuidv4()}`,
+      category: budgetData.category,
+      month: budgetData.month,
+      amount: budgetData.amount,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await commit('budgets', userId, store => {
+      userBudgets(userId, store)[item.budgetId] = item;
+    });
+
+    console.log('Budget created in local store:', item.budgetId);
+    return { ...item };
+
+  } catch (error) {
+    console.error('Error creating budget:', error);
+    throw new DatabaseError(`Failed to create budget: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a budget by ID
+ * @param {string} userId - User identifier
+ * @param {string} budgetId - Budget identifier
+ * @returns {Promise<Object|null>} Budget object or null if not found
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getBudget = async (userId, budgetId) => {
+  try {
+    const item = userBudgets(userId)[budgetId];
+    return item ? { ...item } : null;
+  } catch (error) {
+    console.error('Error getting budget:', error);
+    throw new DatabaseError(`Failed to get budget: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a user's budgets, optionally for one month
+ * @param {string} userId - User identifier
+ * @param {string} month - Month (YYYY-MM), or null for every month
+ * @returns {Promise<Array>} Array of budget objects
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getUserBudgets = async (userId, month = null) => {
+  try {
+    return Object.values(userBudgets(userId))
+      .filter(item => !month || item.month === month)
+      .map(item => ({ ...item }));
+  } catch (error) {
+    console.error('Error getting user budgets:', error);
+    throw new DatabaseError(`Failed to get user budgets: ${error.message}`, error);
+  }
+};
+
+/**
+ * Updates a budget record
+ * @param {string} userId - User identifier
+ * @param {string} budgetId - Budget identifier
+ * @param {Object} updates - Fields to update (category, month, amount)
+ * @returns {Promise<Object>} Updated budget object
+ * @throws {DatabaseError} If update fails
+ */
+export const updateBudget = async (userId, budgetId, updates) => {
+  try {
+    const allowedFields = ['category', 'month', 'amount'];
+    const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+
+    if (fields.length === 0) {
+      throw new DatabaseError('No valid fields to update');
+    }
+
+    const item = await commit('budgets', userId, store => {
+      const stored = userBudgets(userId, store)[budgetId];
+      if (!stored) {
+        throw new DatabaseError(`Budget not found: ${budgetId}`);
+      }
+
+      fields.forEach(field => {
+        stored[field] = updates[field];
+      });
+      stored.updatedAt = new Date().toISOString();
+      return stored;
+    });
+
+    console.log('Budget updated in local store:', budgetId);
+    return { ...item };
+
+  } catch (error) {
+    console.error('Error updating budget:', error);
+    throw new DatabaseError(`Failed to update budget: ${error.message}`, error);
+  }
+};
+
+/**
+ * Deletes a budget record
+ * @param {string} userId - User identifier
+ * @param {string} budgetId - Budget identifier
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If deletion fails
+ */
+export const deleteBudget = async (userId, budgetId) => {
+  try {
+    await commit('budgets', userId, store => {
+      delete userBudgets(userId, store)[budgetId];
+    });
+
+    console.log('Budget deleted from local store:', budgetId);
+
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    throw new DatabaseError(`Failed to delete budget: ${error.message}`, error);
+  }
+};
+
+/**
+ * Creates a scheduled recurring transaction rule
+ * @param {string} userId - User identifier
+ * @param {Object} ruleData - { amount, currency, merchant, category, type, description, cadence, startDate, endDate, nextRunDate }
+ * @returns {Promise<Object>} Created rule record
+ * @throws {DatabaseError} If creation fails
+ */
+export const createRecurringRule = async (userId, ruleData) => {
+  try {
+    const now = new Date().toISOString();
+
+    const item = {
+      userId: userId,
+      ruleId: `rule-${uuidv4()}`,
+      amount: ruleData.amount,
+      currency: ruleData.currency || 'USD',
+      merchant: ruleData.merchant,
+      category: ruleData.category,
+      type: ruleData.type,
+      description: ruleData.description || '',
+      cadence: ruleData.cadence,
+      startDate: ruleData.startDate,
+      endDate: ruleData.endDate || null,
+      nextRunDate: ruleData.nextRunDate,
+      lastRunDate: null,
+      active: true,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await commit('recurringRules', userId, store => {
+      userRecurringRules(userId, store)[item.ruleId] = item;
+    });
+
+    console.log('Recurring rule created in local store:', item.ruleId);
+    return { ...item };
+
+  } catch (error) {
+    console.error('Error creating recurring rule:', error);
+    throw new DatabaseError(`Failed to create recurring rule: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a recurring rule by ID
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @returns {Promise<Object|null>} Rule object or null if not found
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getRecurringRule = async (userId, ruleId) => {
+  try {
+    const item = userRecurringRules(userId)[ruleId];
+    return item ? { ...item } : null;
+  } catch (error) {
+    console.error('Error getting recurring rule:', error);
+    throw new DatabaseError(`Failed to get recurring rule: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets all of a user's recurring rules
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Array of rule objects
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getUserRecurringRules = async (userId) => {
+  try {
+    return Object.values(userRecurringRules(userId)).map(item => ({ ...item }));
+  } catch (error) {
+    console.error('Error getting user recurring rules:', error);
+    throw new DatabaseError(`Failed to get user recurring rules: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets every user's active rules with an occurrence due on or before a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Array of rule objects
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getDueRecurringRules = async (date) => {
+  try {
+    return Object.values(load().recurringRules)
+      .flatMap(rules => Object.values(rules))
+      .filter(item => item.active && item.nextRunDate && item.nextRunDate <= date)
+      .map(item => ({ ...item }));
+  } catch (error) {
+    console.error('Error getting due recurring rules:', error);
+    throw new DatabaseError(`Failed to get due recurring rules: ${error.message}`, error);
+  }
+};
+
+/**
+ * Updates a recurring rule record
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated rule object
+ * @throws {DatabaseError} If update fails
+ */
+export const updateRecurringRule = async (userId, ruleId, updates) => {
+  try {
+    const allowedFields = ['amount', 'currency', 'merchant', 'category', 'type', 'description', 'endDate', 'active', 'nextRunDate', 'lastRunDate'];
+    const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+
+    if (fields.length === 0) {
+      throw new DatabaseError('No valid fields to update');
+    }
+
+    const item = await commit('recurringRules', userId, store => {
+      const stored = userRecurringRules(userId, store)[ruleId];
+      if (!stored) {
+        throw new DatabaseError(`Recurring rule not found: ${ruleId}`);
+      }
+
+      fields.forEach(field => {
+        stored[field] = updates[field];
+      });
+      stored.updatedAt = new Date().toISOString();
+      return stored;
+    });
+
+    console.log('Recurring rule updated in local store:', ruleId);
+    return { ...item };
+
+  } catch (error) {
+    console.error('Error updating recurring rule:', error);
+    throw new DatabaseError(`Failed to update recurring rule: ${error.message}`, error);
+  }
+};
+
+/**
+ * Deletes a recurring rule record
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If deletion fails
+ */
+export const deleteRecurringRule = async (userId, ruleId) => {
+  try {
+    await commit('recurringRules', userId, store => {
+      delete userRecurringRules(userId, store)[ruleId];
+    });
+
+    console.log('Recurring rule deleted from local store:', ruleId);
+
+  } catch (error) {
+    console.error('Error deleting recurring rule:', error);
+    throw new DatabaseError(`Failed to delete recurring rule: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a user's settings
+ * @param {string} userId - User identifier
+ * @returns {Promise<Object|null>} Settings object or null if the user has none yet
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getUserSettings = async (userId) => {
+  try {
+    const item = load().settings[userId];
+    return item ? { ...item } : null;
+  } catch (error) {
+    console.error('Error getting user settings:', error);
+    throw new DatabaseError(`Failed to get user settings: ${error.message}`, error);
+  }
+};
+
+/**
+ * Creates or updates a user's settings
+ * @param {string} userId - User identifier
+ * @param {Object} settings - Fields to set (baseCurrency)
+ * @returns {Promise<Object>} Stored settings object
+ * @throws {DatabaseError} If the write fails
+ */
+export const saveUserSettings = async (userId, settings) => {
+  try {
+    const allowedFields = ['baseCurrency'];
+    const fields = Object.keys(settings).filter(key => allowedFields.includes(key));
+
+    if (fields.length === 0) {
+      throw new DatabaseError('No valid settings to save');
+    }
+
+    const item = await commit('settings', userId, store => {
+      const stored = store.settings[userId] || { userId: userId };
+
+      fields.forEach(field => {
+        stored[field] = settings[field];
+      });
+      stored.updatedAt = new Date().toISOString();
+
+      store.settings[userId] = stored;
+      return stored;
+    });
+
+    console.log('User settings saved in local store:', userId);
+    return { ...item };
+
+  } catch (error) {
+    console.error('Error saving user settings:', error);
+    throw new DatabaseError(`Failed to save user settings: ${error.message}`, error);
+  }
+};
+
+/**
+ * Creates a category in a user's category tree
+ * @param {string} userId - User identifier
+ * @param {Object} categoryData - { name, parentId, kind, icon, aliases }
+ * @returns {Promise<Object>} Created category record
+ * @throws {DatabaseError} If creation fails
+ */
+export const createCategory = async (userId, categoryData) => {
+  try {
+    const now = new Date().toISOString();
+
+    const item = {
+      userId: userId,
+      categoryId: `cat-${uuidv4()}`,
+      name: categoryData.name,
+      parentId: categoryData.parentId || null,
+      kind: categoryData.kind,
+      icon: categoryData.icon || '',
+      aliases: categoryData.aliases || [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await commit('categories', userId, store => {
+      userCategories(userId, store)[item.categoryId] = item;
+    });
+
+    console.log('Category created in local store:', item.categoryId);
+    return { ...item };
+
+  } catch (error) {
+    console.error('Error creating category:', error);
+    throw new DatabaseError(`Failed to create category: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a category by ID
+ * @param {string} userId - User identifier
+ * @param {string} categoryId - Category identifier
+ * @returns {Promise<Object|null>} Category object or null if not found
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getCategory = async (userId, categoryId) => {
+  try {
+    const item = userCategories(userId)[categoryId];
+    return item ? { ...item } : null;
+  } catch (error) {
+    console.error('Error getting category:', error);
+    throw new DatabaseError(`Failed to get category: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets every category of a user
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Array of category objects
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getUserCategories = async (userId) => {
+  try {
+    return Object.values(userCategories(userId)).map(item => ({ ...item }));
+  } catch (error) {
+    console.error('Error getting user categories:', error);
+    throw new DatabaseError(`Failed to get user categories: ${error.message}`, error);
+  }
+};
+
+/**
+ * Updates a category record
+ * @param {string} userId - User identifier
+ * @param {string} categoryId - Category identifier
+ * @param {Object} updates - Fields to update (name, parentId, kind, icon, aliases)
+ * @returns {Promise<Object>} Updated category object
+ * @throws {DatabaseError} If update fails
+ */
+export const updateCategory = async (userId, categoryId, updates) => {
+  try {
+    const allowedFields = ['name', 'parentId', 'kind', 'icon', 'aliases'];
+    const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+
+    if (fields.length === 0) {
+      throw new DatabaseError('No valid fields to update');
+    }
+
+    const item = await commit('categories', userId, store => {
+      const stored = userCategories(userId, store)[categoryId];
+      if (!stored) {
+        throw new DatabaseError(`Category not found: ${categoryId}`);
+      }
+
+      fields.forEach(field => {
+        stored[field] = updates[field];
+      });
+      stored.updatedAt = new Date().toISOString();
+      return stored;
+    });
+
+    console.log('Category updated in local store:', categoryId);
+    return { ...item };
+
+  } catch (error) {
+    console.error('Error updating category:', error);
+    throw new DatabaseError(`Failed to update category: ${error.message}`, error);
+  }
+};
+
+/**
+ * Deletes a category record
+ * @param {string} userId - User identifier
+ * @param {string} categoryId - Category identifier
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If deletion fails
+ */
+export const deleteCategory = async (userId, categoryId) => {
+  try {
+    await commit('categories', userId, store => {
+      delete userCategories(userId, store)[categoryId];
+    });
+
+    console.log('Category deleted from local store:', categoryId);
+
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    throw new DatabaseError(`Failed to delete category: ${error.message}`, error);
+  }
+};
+
+/**
+ * Creates a merchant alias for a user
+ * @param {string} userId - User identifier
+ * @param {Object} aliasData - { pattern, merchant }
+ * @returns {Promise<Object>} Created alias record
+ * @throws {DatabaseError} If creation fails
+ */
+export const createMerchantAlias = async (userId, aliasData) => {
+  try {
+    const now = new Date().toISOString();
+
+    const item = {
+      userId: userId,
+      aliasId: `malias-${uuidv4()}`,
+      pattern: aliasData.pattern,
+      merchant: aliasData.merchant,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await commit('merchantAliases', userId, store => {
+      userMerchantAliases(userId, store)[item.aliasId] = item;
+    });
+
+    console.log('Merchant alias created in local store:', item.aliasId);
+    return { ...item };
+
+  } catch (error) {
+    console.error('Error creating merchant alias:', error);
+    throw new DatabaseError(`Failed to create merchant alias: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a merchant alias by ID
+ * @param {string} userId - User identifier
+ * @param {string} aliasId - Alias identifier
+ * @returns {Promise<Object|null>} Alias object or null if not found
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getMerchantAlias = async (userId, aliasId) => {
+  try {
+    const item = userMerchantAliases(userId)[aliasId];
+    return item ? { ...item } : null;
+  } catch (error) {
+    console.error('Error getting merchant alias:', error);
+    throw new DatabaseError(`Failed to get merchant alias: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets every merchant alias of a user
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Array of alias objects
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getUserMerchantAliases = async (userId) => {
+  try {
+    return Object.values(userMerchantAliases(userId)).map(item => ({ ...item }));
+  } catch (error) {
+    console.error('Error getting user merchant aliases:', error);
+    throw new DatabaseError(`Failed to get user merchant aliases: ${error.message}`, error);
+  }
+};
+
+/**
+ * Updates a merchant alias record
+ * @param {string} userId - User identifier
+ * @param {string} aliasId - Alias identifier
+ * @param {Object} updates - Fields to update (pattern, merchant)
+ * @returns {Promise<Object>} Updated alias object
+ * @throws {DatabaseError} If update fails
+ */
+export const updateMerchantAlias = async (userId, aliasId, updates) => {
+  try {
+    const allowedFields = ['pattern', 'merchant'];
+    const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+
+    if (fields.length === 0) {
+      throw new DatabaseError('No valid fields to update');
+    }
+
+    const item = await commit('merchantAliases', userId, store => {
+      const stored = userMerchantAliases(userId, store)[aliasId];
+      if (!stored) {
+        throw new DatabaseError(`Merchant alias not found: ${aliasId}`);
+      }
+
+      fields.forEach(field => {
+        stored[field] = updates[field];
+      });
+      stored.updatedAt = new Date().toISOString();
+      return stored;
+    });
+
+    console.log('Merchant alias updated in local store:', aliasId);
+    return { ...item };
+
+  } catch (error) {
+    console.error('Error updating merchant alias:', error);
+    throw new DatabaseError(`Failed to update merchant alias: ${error.message}`, error);
+  }
+};
+
+/**
+ * Deletes a merchant alias record
+ * @param {string} userId - User identifier
+ * @param {string} aliasId - Alias identifier
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If deletion fails
+ */
+export const deleteMerchantAlias = async (userId, aliasId) => {
+  try {
+    await commit('merchantAliases', userId, store => {
+      delete userMerchantAliases(userId, store)[aliasId];
+    });
+
+    console.log('Merchant alias deleted from local store:', aliasId);
+
+  } catch (error) {
+    console.error('Error deleting merchant alias:', error);
+    throw new DatabaseError(`Failed to delete merchant alias: ${error.message}`, error);
+  }
+};
+
+/**
+ * Creates an auto-categorization rule for a user
+ * @param {string} userId - User identifier
+ * @param {Object} ruleData - { name, priority, active, conditions, actions }
+ * @returns {Promise<Object>} Created rule record
+ * @throws {DatabaseError} If creation fails
+ */
+export const createCategorizationRule = async (userId, ruleData) => {
+  try {
+    const now = new Date().toISOString();
+
+    const item = {
+      userId: userId,
+      ruleId: `crule-${uuidv4()}`,
+      name: ruleData.name,
+      priority: ruleData.priority,
+      active: ruleData.active !== false,
+      conditions: ruleData.conditions,
+      actions: ruleData.actions,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await commit('categorizationRules', userId, store => {
+      userCategorizationRules(userId, store)[item.ruleId] = item;
+    });
+
+    console.log('Categorization rule created in local store:', item.ruleId);
+    return { ...item };
+
+  } catch (error) {
+    console.error('Error creating categorization rule:', error);
+    throw new DatabaseError(`Failed to create categorization rule: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets a categorization rule by ID
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @returns {Promise<Object|null>} Rule object or null if not found
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getCategorizationRule = async (userId, ruleId) => {
+  try {
+    const item = userCategorizationRules(userId)[ruleId];
+    return item ? { ...item } : null;
+  } catch (error) {
+    console.error('Error getting categorization rule:', error);
+    throw new DatabaseError(`Failed to get categorization rule: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets every categorization rule of a user
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Array of rule objects
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getUserCategorizationRules = async (userId) => {
+  try {
+    return Object.values(userCategorizationRules(userId)).map(item => ({ ...item }));
+  } catch (error) {
+    console.error('Error getting user categorization rules:', error);
+    throw new DatabaseError(`Failed to get user categorization rules: ${error.message}`, error);
+  }
+};
+
+/**
+ * Updates a categorization rule record
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @param {Object} updates - Fields to update (name, priority, active, conditions, actions)
+ * @returns {Promise<Object>} Updated rule object
+ * @throws {DatabaseError} If update fails
+ */
+export const updateCategorizationRule = async (userId, ruleId, updates) => {
+  try {
+    const allowedFields = ['name', 'priority', 'active', 'conditions', 'actions'];
+    const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+
+    if (fields.length === 0) {
+      throw new DatabaseError('No valid fields to update');
+    }
+
+    const item = await commit('categorizationRules', userId, store => {
+      const stored = userCategorizationRules(userId, store)[ruleId];
+      if (!stored) {
+        throw new DatabaseError(`Categorization rule not found: ${ruleId}`);
+      }
+
+      fields.forEach(field => {
+        stored[field] = updates[field];
+      });
+      stored.updatedAt = new Date().toISOString();
+      return stored;
+    });
+
+    console.log('Categorization rule updated in local store:', ruleId);
+    return { ...item };
+
+  } catch (error) {
+    console.error('Error updating categorization rule:', error);
+    throw new DatabaseError(`Failed to update categorization rule: ${error.message}`, error);
+  }
+};
+
+/**
+ * Deletes a categorization rule record
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If deletion fails
+ */
+export const deleteCategorizationRule = async (userId, ruleId) => {
+  try {
+    await commit('categorizationRules', userId, store => {
+      delete userCategorizationRules(userId, store)[ruleId];
+    });
+
+    console.log('Categorization rule deleted from local store:', ruleId);
+
+  } catch (error) {
+    console.error('Error deleting categorization rule:', error);
+    throw new DatabaseError(`Failed to delete categorization rule: ${error.message}`, error);
+  }
+};
+
+/**
+ * Records a user's correction of an extracted transaction
+ * @param {string} userId - User identifier
+ * @param {Object} correctionData - { transactionId, source, text, original, corrected }
+ * @returns {Promise<Object>} Created correction record
+ * @throws {DatabaseError} If creation fails
+ */
+export const createCorrection = async (userId, correctionData) => {
+  try {
+    const item = {
+      userId: userId,
+      correctionId: `corr-${uuidv4()}`,
+      transactionId: correctionData.transactionId,
+      source: correctionData.source,
+      text: correctionData.text || '',
+      original: correctionData.original,
+      corrected: correctionData.corrected,
+      createdAt: new Date().toISOString()
+    };
+
+    await commit('corrections', userId, store => {
+      userCorrections(userId, store)[item.correctionId] = item;
+    });
+
+    console.log('Correction created in local store:', item.correctionId);
+    return { ...item };
+
+  } catch (error) {
+    console.error('Error creating correction:', error);
+    throw new DatabaseError(`Failed to create correction: ${error.message}`, error);
+  }
+};
+
+/**
+ * Gets every correction of a user
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Array of correction objects
+ * @throws {DatabaseError} If the data file cannot be read
+ */
+export const getUserCorrections = async (userId) => {
+  try {
+    return Object.values(userCorrections(userId)).map(item => ({ ...item }));
+  } catch (error) {
+    console.error('Error getting user corrections:', error);
+    throw new DatabaseError(`Failed to get user corrections: ${error.message}`, error);
+  }
+};
+
+/**
+ * Deletes a correction record
+ * @param {string} userId - User identifier
+ * @param {string} correctionId - Correction identifier
+ * @returns {Promise<void>}
+ * @throws {DatabaseError} If deletion fails
+ */
+export const deleteCorrection = async (userId, correctionId) => {
+  try {
+    await commit('corrections', userId, store => {
+      delete userCorrections(userId, store)[correctionId];
+    });
+
+    console.log('Correction deleted from local store:', correctionId);
+
+  } catch (error) {
+    console.error('Error deleting correction:', error);
+    throw new DatabaseError(`Failed to delete correction: ${error.message}`, error);
+  }
+};
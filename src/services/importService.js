@@ -0,0 +1,601 @@
+// src/services/importService.js
+import { categorizeTransactions } from './llmservices.js';
+import { parseCategory } from './ruleParserService.js';
+import { parseImportDate, parseImportAmount, parseOfx, parseQif, detectStatementFormat } from './statementParserService.js';
+import { createTransactions, findTransactionByExternalId } from './storageService.js';
+import { checkForDuplicates } from './duplicateService.js';
+import { getBaseCurrency, withBaseAmount } from './currencyService.js';
+import { getCategoryTree, mapOntoTree } from './categoryService.js';
+import { getMerchantAliases, normalizeTransactionMerchant } from './merchantService.js';
+import { getCategorizationRules, applyCategorizationRules } from './categorizationRuleService.js';
+import { validateTransaction, validateUserId } from '../utils/validation.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Bank statement import
+ * OFX/QFX and QIF statements are self-describing: they are parsed by
+ * statementParserService.js and go straight to preview / commit.
+ *
+ * A bank CSV export becomes transactions in three steps, driven by the import page:
+ * 1. Upload without a mapping -> headers, sample rows and a suggested column mapping
+ * 2. Preview with a mapping   -> every row parsed, validated and duplicate-checked (nothing saved)
+ * 3. Commit                   -> new rows saved with source 'import'; rows without a
+ *                                category are categorized by the LLM in batches
+ *
+ * Column mapping (columns are referenced by header name, or by 0-based index):
+ * {
+ *   hasHeader: true,
+ *   date: 'Date',                  // required
+ *   amount: 'Amount',              // signed amount column, or...
+ *   debit: 'Debit', credit: 'Credit',  // ...separate money-out / money-in columns
+ *   description: 'Description',
+ *   merchant: 'Payee',             // optional, defaults to the description
+ *   category: 'Category',          // optional, empty cells are categorized by the LLM
+ *   dateFormat: 'auto',            // or e.g. 'MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD'
+ *   amountSign: 'negative-expense',  // or 'positive-expense' (credit card statements)
+ *   decimalSeparator: '.',         // or ',' for "1.234,56"
+ *   currency: 'USD'
+ * }
+ */
+
+// Upper limits for one import
+const MAX_IMPORT_ROWS = 5000;
+const CATEGORIZE_BATCH_SIZE = 25;
+
+// Mapping keys that reference a column
+const COLUMN_FIELDS = ['date', 'amount', 'debit', 'credit', 'description', 'merchant', 'category'];
+
+// Header names recognized when suggesting a mapping
+const HEADER_HINTS = {
+  date: ['date', 'transaction date', 'posting date', 'posted date', 'booking date', 'value date', 'trans date'],
+  amount: ['amount', 'transaction amount', 'amount (usd)', 'value', 'sum'],
+  debit: ['debit', 'debits', 'withdrawal', 'withdrawals', 'money out', 'paid out', 'debit amount'],
+  credit: ['credit', 'credits', 'deposit', 'deposits', 'money in', 'paid in', 'credit amount'],
+  description: ['description', 'details', 'transaction description', 'memo', 'narrative', 'reference', 'name'],
+  merchant: ['payee', 'merchant', 'merchant name', 'counterparty'],
+  category: ['category', 'categories']
+};
+
+/**
+ * Guesses the delimiter of a CSV file from its first line
+ * @param {string} text - CSV text
+ * @returns {string} ',', ';' or '\t'
+ */
+export const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 0 ? counts[0].delimiter : ',';
+};
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, "" escapes, newlines inside quotes)
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Rows of fields (blank lines skipped)
+ */
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark (Excel exports)
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Suggests a column mapping from header names
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} Mapping with the columns that could be recognized
+ */
+export const suggestMapping = (headers) => {
+  const normalized = headers.map(header => header.trim().toLowerCase());
+  const mapping = { hasHeader: true, dateFormat: 'auto', amountSign: 'negative-expense', decimalSeparator: '.' };
+
+  Object.entries(HEADER_HINTS).forEach(([field, hints]) => {
+    const index = normalized.findIndex(header => hints.includes(header));
+    if (index !== -1) {
+      mapping[field] = headers[index];
+    }
+  });
+
+  // A signed amount column wins over debit/credit guesses
+  if (mapping.amount) {
+    delete mapping.debit;
+    delete mapping.credit;
+  }
+
+  return mapping;
+};
+
+/**
+ * Finds the index of a mapped column
+ * @param {string|number} column - Header name or 0-based index
+ * @param {Array<string>} headers - Header row (empty if the file has none)
+ * @returns {number} Column index, or -1 if not mapped
+ */
+const resolveColumn = (column, headers) => {
+  if (column === undefined || column === null || column === '') {
+    return -1;
+  }
+
+  if (typeof column === 'number' || /^\d+$/.test(String(column))) {
+    return parseInt(column);
+  }
+
+  const name = String(column).trim().toLowerCase();
+  return headers.findIndex(header => header.trim().toLowerCase() === name);
+};
+
+/**
+ * Derives a merchant name from a bank description
+ * ("POS PURCHASE STARBUCKS #1234 SEATTLE WA 01/31" -> "STARBUCKS #1234 SEATTLE WA")
+ * @param {string} description - Bank description
+ * @returns {string} Merchant name
+ */
+const merchantFromDescription = (description) => {
+  const cleaned = description
+    .replace(/^(?:pos|debit card|card|visa|purchase|pos purchase|debit card purchase|recurring payment|ach)\s+(?:purchase\s+)?/i, '')
+    .replace(/\s+\d{1,2}\/\d{1,2}(?:\/\d{2,4})?\s*$/, '')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+
+  return (cleaned || description).slice(0, 200);
+};
+
+/**
+ * Checks a mapping before rows are parsed
+ * @param {Object} mapping - Column mapping
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} Column indexes by field
+ * @throws {ValidationError} If required columns are missing or unknown
+ */
+const resolveMapping = (mapping, headers) => {
+  const columns = {};
+
+  COLUMN_FIELDS.forEach(field => {
+    columns[field] = resolveColumn(mapping[field], headers);
+    if (mapping[field] !== undefined && mapping[field] !== null && mapping[field] !== '' && columns[field] === -1) {
+      throw new ValidationError(`Column "${mapping[field]}" mapped to ${field} was not found in the file`, field);
+    }
+  });
+
+  if (columns.date === -1) {
+    throw new ValidationError('Map a column to the transaction date', 'date');
+  }
+
+  if (columns.amount === -1 && columns.debit === -1 && columns.credit === -1) {
+    throw new ValidationError('Map either an amount column or debit/credit columns', 'amount');
+  }
+
+  if (columns.description === -1 && columns.merchant === -1) {
+    throw new ValidationError('Map a description or merchant column', 'description');
+  }
+
+  return columns;
+};
+
+/**
+ * Converts parsed CSV rows into transaction data using a column mapping
+ * @param {Array<Array<string>>} rows - Data rows (without the header)
+ * @param {Object} mapping - Column mapping
+ * @param {Object} columns - Resolved column indexes
+ * @param {string} delimiter - Delimiter (used to rebuild the raw line)
+ * @param {number} firstRowNumber - Line number of the first data row (for messages)
+ * @returns {Array} [{ row, transaction, error }]
+ */
+const mapRows = (rows, mapping, columns, delimiter, firstRowNumber) => {
+  const cell = (values, field) => (columns[field] === -1 ? '' : (values[columns[field]] || '').trim());
+
+  return rows.map((values, index) => {
+    const row = firstRowNumber + index;
+
+    try {
+      const date = parseImportDate(cell(values, 'date'), mapping.dateFormat);
+      if (!date) {
+        throw new ValidationError(`Unrecognized date "${cell(values, 'date')}"`, 'date');
+      }
+
+      let signedAmount = null;
+      if (columns.amount !== -1) {
+        signedAmount = parseImportAmount(cell(values, 'amount'), mapping.decimalSeparator);
+        if (signedAmount !== null && mapping.amountSign === 'positive-expense') {
+          signedAmount = -signedAmount;
+        }
+      } else {
+        const debit = parseImportAmount(cell(values, 'debit'), mapping.decimalSeparator);
+        const credit = parseImportAmount(cell(values, 'credit'), mapping.decimalSeparator);
+        if (debit) {
+          signedAmount = -Math.abs(debit);
+        } else if (credit) {
+          signedAmount = Math.abs(credit);
+        }
+      }
+
+      if (signedAmount === null || signedAmount === 0) {
+        throw new ValidationError('Missing or zero amount', 'amount');
+      }
+
+      const description = cell(values, 'description');
+      const merchant = cell(values, 'merchant') || merchantFromDescription(description);
+
+      return {
+        row,
+        transaction: {
+          amount: Math.abs(signedAmount),
+          type: signedAmount < 0 ? 'expense' : 'income',
+          date,
+          merchant,
+          category: cell(values, 'category'),
+          currency: mapping.currency || 'USD',
+          description,
+          source: 'import',
+          rawText: values.join(delimiter)
+        },
+        error: null
+      };
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      return { row, transaction: null, error: { message: error.message, field: error.field } };
+    }
+  });
+};
+
+/**
+ * Normalizes merchants, applies the user's rules, validates mapped rows and checks each one for duplicates
+ * Rows with a bank transaction ID (externalId) are matched on it exactly; similar
+ * stored transactions with a different bank ID are separate transactions, not duplicates.
+ * Rows are only compared with stored transactions, so identical rows inside one
+ * file (two coffees on the same day) are all imported
+ * @param {string} userId - Validated user ID
+ * @param {Array} mappedRows - Output of mapRows or a statement parser
+ * @returns {Promise<Array>} [{ row, status: 'new'|'duplicate'|'invalid', transaction, needsCategory, error?, duplicateTransaction?, matchedBy?, matchScore? }]
+ */
+const checkRows = async (userId, mappedRows) => {
+  const results = [];
+  const seenExternalIds = new Map();
+  const merchantAliases = await getMerchantAliases(userId);
+  const rules = await getCategorizationRules(userId);
+
+  for (const mapped of mappedRows) {
+    if (mapped.error) {
+      results.push({ row: mapped.row, status: 'invalid', transaction: null, error: mapped.error });
+      continue;
+    }
+
+    let validatedData;
+    let needsCategory;
+    try {
+      // A category set by a rule is kept; other uncategorized rows get a placeholder until the LLM has categorized them
+      const transactionData = applyCategorizationRules(rules, normalizeTransactionMerchant(merchantAliases, mapped.transaction));
+      needsCategory = !transactionData.category;
+
+      validatedData = validateTransaction({
+        ...transactionData,
+        category: transactionData.category || (transactionData.type === 'income' ? 'Income' : 'Other')
+      });
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      results.push({ row: mapped.row, status: 'invalid', transaction: mapped.transaction, error: { message: error.message, field: error.field } });
+      continue;
+    }
+
+    const { externalId } = validatedData;
+    if (externalId) {
+      // Overlapping statements concatenated into one file repeat the same bank IDs
+      const earlierRow = seenExternalIds.get(externalId);
+      const existing = earlierRow ? earlierRow.transaction : await findTransactionByExternalId(userId, externalId);
+      if (existing) {
+        results.push({ row: mapped.row, status: 'duplicate', transaction: validatedData, needsCategory, duplicateTransaction: existing, matchedBy: 'externalId' });
+        continue;
+      }
+    }
+
+    const duplicates = (await checkForDuplicates(userId, validatedData))
+      .filter(candidate => !externalId || !candidate.transaction.externalId);
+    if (duplicates.length > 0) {
+      results.push({ row: mapped.row, status: 'duplicate', transaction: validatedData, needsCategory, duplicateTransaction: duplicates[0].transaction, matchedBy: 'similar', matchScore: duplicates[0].score });
+      continue;
+    }
+
+    const result = { row: mapped.row, status: 'new', transaction: validatedData, needsCategory };
+    if (externalId) {
+      seenExternalIds.set(externalId, result);
+    }
+    results.push(result);
+  }
+
+  return results;
+};
+
+/**
+ * Fills in categories for rows that had none
+ * Uses the LLM in batches; if it fails, falls back to keyword matching so the import still completes
+ * @param {Array} rows - Rows with status 'new' and needsCategory
+ * @param {Array} categoryTree - The user's category tree (offered to the LLM)
+ * @returns {Promise<void>}
+ */
+const categorizeRows = async (rows, categoryTree) => {
+  for (let start = 0; start < rows.length; start += CATEGORIZE_BATCH_SIZE) {
+    const batch = rows.slice(start, start + CATEGORIZE_BATCH_SIZE);
+
+    let categories = [];
+    try {
+      categories = await categorizeTransactions(batch.map(row => row.transaction), { categoryTree });
+    } catch (error) {
+      console.warn(`LLM categorization failed (${error.message}). Using keyword categories instead.`);
+    }
+
+    batch.forEach((row, index) => {
+      const { transaction } = row;
+      transaction.category = categories[index]
+        || parseCategory(`${transaction.merchant} ${transaction.description}`, transaction.type).category;
+    });
+  }
+};
+
+/**
+ * Saves every 'new' row with source 'import'
+ * @param {string} userId - Validated user ID
+ * @param {Array} rows - Output of checkRows
+ * @param {string} label - File format for the log line
+ * @returns {Promise<Object>} { rows: [{ row, status: 'created'|'duplicate'|'invalid', transaction, ... }], summary }
+ */
+const commitRows = async (userId, rows, label) => {
+  // Only spend LLM calls on rows that will actually be saved
+  const { categories, tree } = await getCategoryTree(userId);
+  await categorizeRows(rows.filter(row => row.status === 'new' && row.needsCategory), tree);
+
+  const baseCurrency = await getBaseCurrency(userId);
+
+  // One storage write for the whole file instead of one per row
+  const newRows = rows.filter(row => row.status === 'new');
+  const createdTransactions = await createTransactions(userId, newRows.map(row => withBaseAmount(mapOntoTree(categories, row.transaction), baseCurrency)));
+  const createdByRow = new Map(newRows.map((row, index) => [row, createdTransactions[index]]));
+
+  const results = rows.map(row => (createdByRow.has(row)
+    ? { row: row.row, status: 'created', transaction: createdByRow.get(row) }
+    : toResultRow(row)));
+
+  const summary = summarize(results);
+  console.log(`${label} import for ${userId}: ${summary.created || 0} created, ${summary.duplicate || 0} duplicate, ${summary.invalid || 0} invalid`);
+
+  return { rows: results, summary };
+};
+
+/**
+ * Reads the CSV and applies the mapping
+ * @param {string} csvText - CSV file contents
+ * @param {Object|null} mapping - Column mapping (null to only read headers)
+ * @returns {Object} { delimiter, headers, dataRows, firstRowNumber }
+ * @throws {ValidationError} If the file is empty or too large
+ */
+const readCsv = (csvText, mapping) => {
+  if (!csvText || typeof csvText !== 'string' || csvText.trim().length === 0) {
+    throw new ValidationError('CSV file is empty', 'file');
+  }
+
+  const delimiter = mapping && mapping.delimiter ? mapping.delimiter : detectDelimiter(csvText);
+  const rows = parseCsv(csvText, delimiter);
+  const hasHeader = !mapping || mapping.hasHeader !== false;
+
+  const headers = hasHeader ? rows[0].map(header => header.trim()) : rows[0].map((_, index) => `Column ${index + 1}`);
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+
+  if (dataRows.length === 0) {
+    throw new ValidationError('CSV file has no data rows', 'file');
+  }
+
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError(`CSV file has too many rows (${dataRows.length}, max ${MAX_IMPORT_ROWS}). Split it into smaller files.`, 'file');
+  }
+
+  return { delimiter, headers, dataRows, firstRowNumber: hasHeader ? 2 : 1 };
+};
+
+/**
+ * Drops internal fields from a checked row; placeholder categories are shown as empty
+ * @param {Object} row - Output of checkRows
+ * @returns {Object} Row for the response
+ */
+const toResultRow = ({ needsCategory, ...row }) => ({
+  ...row,
+  transaction: row.transaction && needsCategory ? { ...row.transaction, category: '' } : row.transaction
+});
+
+/**
+ * Counts rows by status
+ * @param {Array} rows - Result rows
+ * @returns {Object} { total, <status>: count }
+ */
+const summarize = (rows) => rows.reduce((summary, row) => {
+  summary[row.status] = (summary[row.status] || 0) + 1;
+  return summary;
+}, { total: rows.length });
+
+/**
+ * Previews a CSV import without saving anything
+ * Without a mapping, returns the headers, sample rows and a suggested mapping
+ * @param {string} userId - User identifier
+ * @param {string} csvText - CSV file contents
+ * @param {Object|null} mapping - Column mapping
+ * @returns {Promise<Object>} { headers, sampleRows, suggestedMapping, mapping?, rows?, summary? }
+ * @throws {ValidationError} If the file or mapping is invalid
+ */
+export const previewCsvImport = async (userId, csvText, mapping = null) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const { delimiter, headers, dataRows, firstRowNumber } = readCsv(csvText, mapping);
+
+    const response = {
+      delimiter,
+      headers,
+      sampleRows: dataRows.slice(0, 5),
+      suggestedMapping: suggestMapping(headers)
+    };
+
+    if (!mapping) {
+      return response;
+    }
+
+    const columns = resolveMapping(mapping, headers);
+    const rows = await checkRows(validUserId, mapRows(dataRows, mapping, columns, delimiter, firstRowNumber));
+
+    return {
+      ...response,
+      mapping,
+      rows: rows.map(toResultRow),
+      summary: summarize(rows)
+    };
+  } catch (error) {
+    console.error('Error previewing CSV import:', error);
+    throw error;
+  }
+};
+
+/**
+ * Imports a CSV file: saves every valid, non-duplicate row with source 'import'
+ * @param {string} userId - User identifier
+ * @param {string} csvText - CSV file contents
+ * @param {Object} mapping - Column mapping
+ * @returns {Promise<Object>} { rows: [{ row, status: 'created'|'duplicate'|'invalid', transaction, ... }], summary }
+ * @throws {ValidationError} If the file or mapping is invalid
+ */
+export const importCsvTransactions = async (userId, csvText, mapping) => {
+  try {
+    const validUserId = validateUserId(userId);
+
+    if (!mapping || typeof mapping !== 'object') {
+      throw new ValidationError('A column mapping is required to import', 'mapping');
+    }
+
+    const { delimiter, headers, dataRows, firstRowNumber } = readCsv(csvText, mapping);
+    const columns = resolveMapping(mapping, headers);
+    const rows = await checkRows(validUserId, mapRows(dataRows, mapping, columns, delimiter, firstRowNumber));
+
+    return await commitRows(validUserId, rows, 'CSV');
+  } catch (error) {
+    console.error('Error importing CSV:', error);
+    throw error;
+  }
+};
+
+/**
+ * Reads an OFX/QFX or QIF statement
+ * @param {string} text - File contents
+ * @param {Object} options - { format?, fileName?, dateFormat?, currency? }
+ * @returns {Object} { format, entries }
+ * @throws {ValidationError} If the format is unknown, or the file is empty or too large
+ */
+const readStatement = (text, options) => {
+  if (!text || typeof text !== 'string' || text.trim().length === 0) {
+    throw new ValidationError('Statement file is empty', 'file');
+  }
+
+  const format = options.format || detectStatementFormat(text, options.fileName);
+  if (format !== 'ofx' && format !== 'qif') {
+    throw new ValidationError('Unsupported statement format. Use an OFX, QFX or QIF file.', 'format');
+  }
+
+  const entries = format === 'ofx' ? parseOfx(text) : parseQif(text, options);
+
+  if (entries.length === 0) {
+    throw new ValidationError('Statement has no transactions', 'file');
+  }
+
+  if (entries.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError(`Statement has too many transactions (${entries.length}, max ${MAX_IMPORT_ROWS}). Split it into smaller files.`, 'file');
+  }
+
+  return { format, entries };
+};
+
+/**
+ * Previews an OFX/QFX or QIF statement import without saving anything
+ * @param {string} userId - User identifier
+ * @param {string} text - File contents
+ * @param {Object} options - { format?: 'ofx'|'qif', fileName?, dateFormat? (QIF), currency? (QIF) }
+ * @returns {Promise<Object>} { format, rows: [{ row, status: 'new'|'duplicate'|'invalid', ... }], summary }
+ * @throws {ValidationError} If the file is invalid
+ */
+export const previewStatementImport = async (userId, text, options = {}) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const { format, entries } = readStatement(text, options);
+    const rows = await checkRows(validUserId, entries);
+
+    return { format, rows: rows.map(toResultRow), summary: summarize(rows) };
+  } catch (error) {
+    console.error('Error previewing statement import:', error);
+    throw error;
+  }
+};
+
+/**
+ * Imports an OFX/QFX or QIF statement: saves every valid, non-duplicate transaction with source 'import'
+ * Importing the same statement again creates nothing (bank IDs match exactly)
+ * @param {string} userId - User identifier
+ * @param {string} text - File contents
+ * @param {Object} options - { format?: 'ofx'|'qif', fileName?, dateFormat? (QIF), currency? (QIF) }
+ * @returns {Promise<Object>} { format, rows: [{ row, status: 'created'|'duplicate'|'invalid', ... }], summary }
+ * @throws {ValidationError} If the file is invalid
+ */
+export const importStatementTransactions = async (userId, text, options = {}) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const { format, entries } = readStatement(text, options);
+    const rows = await checkRows(validUserId, entries);
+
+    return { format, ...(await commitRows(validUserId, rows, format.toUpperCase())) };
+  } catch (error) {
+    console.error('Error importing statement:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,129 @@
+// src/services/jobService.js
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Background jobs for slow work (e.g. OCR of multi-page PDFs)
+ * A job runs in this process and its state is kept in memory, so clients can
+ * poll GET /api/jobs/:jobId. Jobs are only visible to the user who created them
+ * and are forgotten JOB_TTL_MS after they finish (or when the server restarts).
+ *
+ * Job shape (as returned to clients):
+ * {
+ *   jobId, type,
+ *   status: 'queued' | 'processing' | 'succeeded' | 'failed',
+ *   progress: { stage, message, page?, pages? } | null,
+ *   result: Object | null,                       // task return value when succeeded
+ *   error: { message, type, statusCode } | null, // when failed
+ *   createdAt, updatedAt
+ * }
+ */
+
+// How long finished jobs stay available for polling
+const JOB_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const jobs = new Map();
+
+/**
+ * Removes finished jobs older than JOB_TTL_MS
+ */
+const removeExpiredJobs = () => {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [jobId, job] of jobs) {
+    if (job.finishedAt && job.finishedAt < cutoff) {
+      jobs.delete(jobId);
+    }
+  }
+};
+
+// Sweep periodically; unref() so the timer never keeps the process alive
+setInterval(removeExpiredJobs, 10 * 60 * 1000).unref();
+
+/**
+ * Returns the client-facing copy of a job (without the owner or internal fields)
+ * @param {Object} job - Stored job
+ * @returns {Object} Job
+ */
+const toPublicJob = (job) => ({
+  jobId: job.jobId,
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  result: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt
+});
+
+/**
+ * Starts a background job
+ * @param {string} userId - Owner of the job
+ * @param {string} type - Job type (e.g. 'receipt')
+ * @param {Function} task - async ({ updateProgress }) => result
+ * @returns {Object} The queued job
+ */
+export const createJob = (userId, type, task) => {
+  const now = new Date().toISOString();
+  const job = {
+    jobId: `job-${uuidv4()}`,
+    userId,
+    type,
+    status: 'queued',
+    progress: null,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null
+  };
+
+  jobs.set(job.jobId, job);
+
+  const update = (changes) => {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  };
+
+  const updateProgress = (progress) => {
+    update({ progress });
+  };
+
+  // Run after the response for the request that created the job has been sent
+  setImmediate(async () => {
+    update({ status: 'processing' });
+
+    try {
+      const result = await task({ updateProgress });
+      update({ status: 'succeeded', result, progress: null, finishedAt: Date.now() });
+      console.log(`Job ${job.jobId} (${type}) succeeded`);
+    } catch (error) {
+      console.error(`Job ${job.jobId} (${type}) failed:`, error);
+      update({
+        status: 'failed',
+        error: {
+          message: error.message || 'Job failed',
+          type: error.name || 'Error',
+          statusCode: error.statusCode || 500
+        },
+        finishedAt: Date.now()
+      });
+    }
+  });
+
+  console.log(`Job ${job.jobId} (${type}) queued for user ${userId}`);
+  return toPublicJob(job);
+};
+
+/**
+ * Gets a job owned by the given user
+ * @param {string} userId - User identifier
+ * @param {string} jobId - Job identifier
+ * @returns {Object|null} Job, or null if it doesn't exist, has expired or belongs to someone else
+ */
+export const getJob = (userId, jobId) => {
+  const job = jobs.get(jobId);
+
+  if (!job || job.userId !== userId) {
+    return null;
+  }
+
+  return toPublicJob(job);
+};
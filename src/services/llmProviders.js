@@ -0,0 +1,147 @@
+// src/services/llmProviders.js
+import OpenAI from 'openai';
+import { LLM_PROVIDER, LLM_PROVIDERS } from '../config/llm.js';
+import { LLMError } from '../utils/errors.js';
+
+/**
+ * LLM provider layer
+ * llmservices.js builds prompts and parses results; providers only send chat
+ * completions. Every provider exposes:
+ * - name: provider key ("openai", "local")
+ * - model: model name from config
+ * - isConfigured(): whether the provider has what it needs to make calls
+ * - complete({ system, user, temperature, maxTokens }): Promise<string> raw response text
+ *
+ * The provider is chosen with the LLM_PROVIDER env var (see config/llm.js).
+ */
+
+/**
+ * Maps an OpenAI SDK (or OpenAI-compatible server) error to an LLMError
+ * @param {string} label - Human readable provider name for messages
+ * @param {Object} config - Provider config
+ * @param {Error} error - Original error
+ * @returns {LLMError} Error to throw
+ */
+const toLLMError = (label, config, error) => {
+  if (error instanceof LLMError) {
+    return error;
+  }
+
+  if (error instanceof OpenAI.APIConnectionError) {
+    return new LLMError(`${label} is not reachable${config.baseURL ? ` at ${config.baseURL}` : ''}. Please check that the server is running.`, error);
+  }
+
+  const statusCode = error.status || error.response?.status;
+
+  if (statusCode === 401) {
+    return new LLMError(`${label} API key is invalid. Please check your .env file.`, error);
+  }
+
+  if (statusCode === 404) {
+    return new LLMError(`${label} model "${config.model}" was not found.`, error);
+  }
+
+  if (statusCode === 429) {
+    return new LLMError(`${label} rate limit exceeded. Please try again later.`, error);
+  }
+
+  if (statusCode === 500) {
+    return new LLMError(`${label} server error. Please try again later.`, error);
+  }
+
+  if (statusCode === 503) {
+    return new LLMError(`${label} service is temporarily unavailable. Please try again later.`, error);
+  }
+
+  return new LLMError(`${label} error: ${error.message}`, error);
+};
+
+/**
+ * Creates a provider for the OpenAI API or any OpenAI-compatible server
+ * (llama.cpp server, Ollama, vLLM, LM Studio all speak the same protocol)
+ * @param {string} name - Provider key
+ * @param {Object} config - Provider config from config/llm.js
+ * @returns {Object} LLM provider
+ */
+export const createOpenAICompatibleProvider = (name, config) => {
+  const label = name === 'openai' ? 'OpenAI' : `Local LLM (${config.model})`;
+
+  // Client is created on first use so a missing key doesn't crash startup
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({
+        apiKey: config.apiKey,
+        baseURL: config.baseURL
+      });
+    }
+    return client;
+  };
+
+  return {
+    name,
+    model: config.model,
+
+    isConfigured() {
+      return !config.requiresApiKey || Boolean(config.apiKey);
+    },
+
+    async complete({ system, user, temperature, maxTokens }) {
+      if (!this.isConfigured()) {
+        throw new LLMError(`${label} API key is not configured. Please set OPENAI_API_KEY in your .env file.`);
+      }
+
+      try {
+        const completion = await getClient().chat.completions.create({
+          model: config.model,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: user }
+          ],
+          temperature: temperature ?? config.temperature,
+          max_tokens: maxTokens ?? config.maxTokens,
+          // Force JSON output where the server supports it
+          ...(config.jsonMode && { response_format: { type: 'json_object' } })
+        });
+
+        const content = completion.choices[0]?.message?.content;
+        if (!content) {
+          throw new LLMError(`Empty response from ${label}`);
+        }
+
+        return content;
+      } catch (error) {
+        throw toLLMError(label, config, error);
+      }
+    }
+  };
+};
+
+// Provider factories by name
+const providerFactories = {
+  openai: createOpenAICompatibleProvider,
+  local: createOpenAICompatibleProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Gets the configured LLM provider (created once)
+ * @returns {Object} LLM provider
+ * @throws {LLMError} If LLM_PROVIDER is not supported
+ */
+export const getLLMProvider = () => {
+  if (activeProvider) {
+    return activeProvider;
+  }
+
+  const factory = providerFactories[LLM_PROVIDER];
+  const config = LLM_PROVIDERS[LLM_PROVIDER];
+
+  if (!factory || !config) {
+    throw new LLMError(`Unsupported LLM_PROVIDER "${LLM_PROVIDER}". Use one of: ${Object.keys(providerFactories).join(', ')}`);
+  }
+
+  activeProvider = factory(LLM_PROVIDER, config);
+  return activeProvider;
+};
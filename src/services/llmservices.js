@@ -1,14 +1,53 @@
-// src/services/llmService.js
-import OpenAI from 'openai';
-import dotenv from 'dotenv';
+// src/services/llmservices.js
 import { LLMError } from '../utils/errors.js';
+import { getLLMProvider } from './llmProviders.js';
 
-dotenv.config();
+// Categories the LLM is asked to choose from when no user category tree is given
+const DEFAULT_CATEGORIES = ['Food', 'Transport', 'Shopping', 'Entertainment', 'Bills', 'Healthcare', 'Education', 'Income', 'Other'];
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+/**
+ * Describes a user's category tree for a prompt, one top-level category per line
+ * ("- Food (expense): Groceries, Dining Out, Coffee")
+ * @param {Array|null} categoryTree - Root categories with children (see categoryService.getCategoryTree)
+ * @returns {string} Category instructions
+ */
+const describeCategories = (categoryTree) => {
+  if (!Array.isArray(categoryTree) || categoryTree.length === 0) {
+    return `choose the best matching category from common ones: ${DEFAULT_CATEGORIES.join(', ')}`;
+  }
+
+  const lines = categoryTree.map(root => {
+    const children = (root.children || []).map(child => child.name);
+    return `- ${root.name} (${root.kind})${children.length > 0 ? `: ${children.join(', ')}` : ''}`;
+  });
+
+  return `use the exact name of the most specific matching category from the user's categories (top-level category, its kind, then its subcategories). Only use a category whose kind matches the transaction type:
+${lines.join('\n')}`;
+};
+
+/**
+ * Describes a user's past corrections as few-shot examples for the extraction prompt
+ * @param {Array} corrections - Similar corrections (see correctionService.findSimilarCorrections)
+ * @returns {string} Prompt section, or '' when there are none
+ */
+const describeCorrections = (corrections) => {
+  if (!Array.isArray(corrections) || corrections.length === 0) {
+    return '';
+  }
+
+  const describe = ({ merchant, category, type }) => `merchant "${merchant}", category "${category}", type "${type}"`;
+
+  const examples = corrections.map((correction, index) => `Example ${index + 1}:
+- Text: "${String(correction.text || correction.original.rawMerchant || correction.original.merchant).replace(/\s+/g, ' ').slice(0, 300)}"
+- Extracted: ${describe(correction.original)}
+- Corrected by the user to: ${describe(correction.corrected)}`);
+
+  return `
+
+THIS USER'S CORRECTIONS (IMPORTANT):
+The user corrected these earlier extractions. For similar text (same merchant or same kind of purchase), use the corrected values:
+${examples.join('\n\n')}`;
+};
 
 /**
  * System prompt that instructs the LLM to extract transaction data
@@ -18,28 +57,35 @@ const SYSTEM_PROMPT = `You are a transaction data extraction assistant. Your job
 
 IMPORTANT RULES:
 1. You MUST return ONLY valid JSON, no explanations, no markdown, no code blocks
-2. The JSON must match this exact structure:
+2. The JSON must match this exact structure, with one entry per transaction:
 {
-  "amount": <number>,
-  "date": "<YYYY-MM-DD>",
-  "merchant": "<string>",
-  "category": "<string>",
-  "type": "income" or "expense",
-  "currency": "USD" (or other 3-letter code),
-  "description": "<string>"
+  "transactions": [
+    {
+      "amount": <number>,
+      "date": "<YYYY-MM-DD>",
+      "merchant": "<string>",
+      "category": "<string>",
+      "type": "income" or "expense",
+      "currency": "USD" (or other 3-letter code),
+      "description": "<string>"
+    }
+  ]
 }
 
 3. Transaction types: "income" for money received, "expense" for money spent
 4. If date is not mentioned, use today's date in YYYY-MM-DD format
-5. If category is unclear, choose the best matching category from common ones: Food, Transport, Shopping, Entertainment, Bills, Healthcare, Education, Income, Other
+5. For the category, {{CATEGORIES}}
 6. Amount should always be a positive number
 7. If information is missing or unclear, make reasonable inferences based on context
-8. For receipts, extract merchant name, total amount, and date from the text
+8. For receipts, extract merchant name, total amount, and date from the text. A receipt is ONE transaction (its total), not one per line item
+9. A message may mention several transactions ("coffee $4 at Blue Bottle and lunch $14 at Chipotle"): return each one as a separate entry, in the order mentioned. A date or verb stated once applies to every transaction it covers
 
 Example valid responses:
-{"amount": 50.00, "date": "2024-01-15", "merchant": "Target", "category": "Shopping", "type": "expense", "currency": "USD", "description": "Groceries"}
+{"transactions": [{"amount": 50.00, "date": "2024-01-15", "merchant": "Target", "category": "Shopping", "type": "expense", "currency": "USD", "description": "Groceries"}]}
+
+{"transactions": [{"amount": 1200.00, "date": "2024-01-01", "merchant": "Employer", "category": "Income", "type": "income", "currency": "USD", "description": "Monthly salary"}]}
 
-{"amount": 1200.00, "date": "2024-01-01", "merchant": "Employer", "category": "Income", "type": "income", "currency": "USD", "description": "Monthly salary"}`;
+{"transactions": [{"amount": 4.00, "date": "2024-01-15", "merchant": "Blue Bottle", "category": "Food", "type": "expense", "currency": "USD", "description": "Coffee"}, {"amount": 14.00, "date": "2024-01-15", "merchant": "Chipotle", "category": "Food", "type": "expense", "currency": "USD", "description": "Lunch"}]}`;
 
 /**
  * Gets today's date in YYYY-MM-DD format
@@ -51,24 +97,186 @@ const getTodayDate = () => {
 };
 
 /**
- * Extracts structured transaction data from text using OpenAI
+ * Pulls the JSON object (or array) out of a model response
+ * Local models without JSON mode often wrap output in markdown fences or prose
+ * @param {string} responseContent - Raw model response
+ * @returns {string} JSON text
+ */
+const extractJsonText = (responseContent) => {
+  const withoutFences = responseContent.replace(/```(?:json)?/gi, '').trim();
+  const objectStart = withoutFences.indexOf('{');
+  const arrayStart = withoutFences.indexOf('[');
+  const isArray = arrayStart !== -1 && (objectStart === -1 || arrayStart < objectStart);
+  const start = isArray ? arrayStart : objectStart;
+  const end = withoutFences.lastIndexOf(isArray ? ']' : '}');
+
+  if (start !== -1 && end > start) {
+    return withoutFences.slice(start, end + 1);
+  }
+
+  return withoutFences;
+};
+
+/**
+ * Checks and cleans one transaction from the LLM response
+ * Fixes the amount type, corrects implausible dates and sets defaults
+ * @param {Object} transactionData - Transaction object from the LLM
+ * @param {Object} dateContext - { today, mentionsToday, mentionsYesterday }
+ * @returns {Object} Cleaned transaction data
+ * @throws {LLMError} If required fields are missing
+ */
+const normalizeTransaction = (transactionData, { today, mentionsToday, mentionsYesterday }) => {
+  // Validate required fields
+  const requiredFields = ['amount', 'date', 'merchant', 'category', 'type'];
+  const missingFields = requiredFields.filter(field => transactionData[field] === undefined || transactionData[field] === null);
+
+  if (missingFields.length > 0) {
+    console.error('LLM Response Data:', JSON.stringify(transactionData, null, 2));
+    console.error('Missing fields:', missingFields);
+    throw new LLMError(`Missing required fields in LLM response: ${missingFields.join(', ')}. Response: ${JSON.stringify(transactionData)}`);
+  }
+
+  // Ensure numeric fields are numbers
+  if (typeof transactionData.amount === 'string') {
+    transactionData.amount = parseFloat(transactionData.amount);
+  }
+
+  // Ensure date is in correct format (YYYY-MM-DD)
+  if (transactionData.date && !/^\d{4}-\d{2}-\d{2}$/.test(transactionData.date)) {
+    // Try to parse and reformat
+    const parsedDate = new Date(transactionData.date);
+    if (!isNaN(parsedDate.getTime())) {
+      transactionData.date = parsedDate.toISOString().split('T')[0];
+    } else {
+      // If can't parse, use today's date
+      transactionData.date = getTodayDate();
+    }
+  }
+
+  // Validate and correct date based on user input
+  // Get current date for comparison
+  const todayDateObj = new Date();
+  todayDateObj.setHours(0, 0, 0, 0);
+  const currentYear = todayDateObj.getFullYear();
+  
+  console.log(`Date check - mentionsToday: ${mentionsToday}, mentionsYesterday: ${mentionsYesterday}, LLM date: ${transactionData.date}`);
+  
+  // If user explicitly said "yesterday", ALWAYS use yesterday's date (override LLM completely)
+  if (mentionsYesterday) {
+    const yesterdayDate = new Date(todayDateObj);
+    yesterdayDate.setDate(yesterdayDate.getDate() - 1);
+    transactionData.date = yesterdayDate.toISOString().split('T')[0];
+    console.log(`✅ OVERRIDE: User said "yesterday", forcing date to: ${transactionData.date}`);
+  }
+  // If user explicitly said "today", ALWAYS use today's date (override LLM completely)
+  else if (mentionsToday) {
+    transactionData.date = today;
+    console.log(`✅ OVERRIDE: User said "today", forcing date to: ${transactionData.date}`);
+  }
+  // Otherwise, validate the LLM's date - if it's clearly wrong, fix it
+  else if (transactionData.date) {
+    const transactionDate = new Date(transactionData.date + 'T00:00:00');
+    transactionDate.setHours(0, 0, 0, 0);
+    const transactionYear = transactionDate.getFullYear();
+    
+    console.log(`Validating LLM date: ${transactionData.date} (year: ${transactionYear}), Current year: ${currentYear}`);
+    
+    // If date is from 2023 or earlier when we're in 2025+, it's definitely wrong
+    if (currentYear >= 2025 && transactionYear < 2025) {
+      console.warn(`⚠️ Date ${transactionData.date} is from ${transactionYear} (we're in ${currentYear}). Using today's date.`);
+      transactionData.date = today;
+    }
+    // Check if date is more than 30 days old (likely wrong for recent transactions)
+    else {
+      const daysDiff = Math.floor((todayDateObj - transactionDate) / (1000 * 60 * 60 * 24));
+      if (daysDiff > 30) {
+        console.warn(`⚠️ Date ${transactionData.date} is ${daysDiff} days old. Using today's date.`);
+        transactionData.date = today;
+      }
+    }
+    
+    // Check if date is in the future (more than 1 day ahead)
+    const tomorrow = new Date(todayDateObj);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    if (transactionDate > tomorrow) {
+      console.warn(`⚠️ Date ${transactionData.date} is in the future. Using today's date.`);
+      transactionData.date = today;
+    }
+  }
+
+  // Final safety check: If date is still from an old year AND we didn't explicitly set it from user input, force today
+  // But DON'T override if user said "yesterday" or "today"
+  if (transactionData.date && !mentionsYesterday && !mentionsToday) {
+    const finalCheck = new Date(transactionData.date + 'T00:00:00');
+    const finalYear = finalCheck.getFullYear();
+    if (currentYear >= 2025 && finalYear < 2025) {
+      console.warn(`⚠️ Final safety: Date ${transactionData.date} (year ${finalYear}) is wrong for year ${currentYear}. Using today.`);
+      transactionData.date = today;
+    }
+  }
+  
+  // If date is still missing or invalid, use today's date
+  if (!transactionData.date) {
+    transactionData.date = today;
+  }
+  
+  console.log(`✅ FINAL transaction date set to: ${transactionData.date}`);
+
+  // Set defaults for optional fields
+  transactionData.currency = transactionData.currency || 'USD';
+  transactionData.description = transactionData.description || '';
+
+  return transactionData;
+};
+
+/**
+ * Gets the list of transactions from a parsed LLM response
+ * Accepts { transactions: [...] }, a bare array, or a single transaction object
+ * (models don't always follow the requested wrapper)
+ * @param {*} parsed - Parsed JSON
+ * @returns {Array} Transaction objects
+ */
+const toTransactionList = (parsed) => {
+  if (Array.isArray(parsed)) {
+    return parsed;
+  }
+
+  if (parsed && Array.isArray(parsed.transactions)) {
+    return parsed.transactions;
+  }
+
+  if (parsed && typeof parsed === 'object' && 'amount' in parsed) {
+    return [parsed];
+  }
+
+  return [];
+};
+
+/**
+ * Extracts every transaction mentioned in a text using the configured LLM provider
  * @param {string} text - User message or OCR text
- * @returns {Promise<Object>} Structured transaction data
- * @throws {LLMError} If extraction fails
+ * @param {Object} options - {
+ *   categoryTree: the user's categories to choose from (optional),
+ *   corrections: the user's similar past corrections, added as examples (optional)
+ * }
+ * @returns {Promise<Array>} Structured transaction data, one object per transaction
+ * @throws {LLMError} If extraction fails or no transaction is found
  */
-export const extractTransactionFromText = async (text) => {
+export const extractTransactionsFromText = async (text, { categoryTree = null, corrections = [] } = {}) => {
   try {
     // Validate input
     if (!text || typeof text !== 'string' || text.trim().length === 0) {
       throw new LLMError('Text input is required and cannot be empty');
     }
 
-    // Check if OpenAI API key is configured
-    if (!process.env.OPENAI_API_KEY) {
+    const provider = getLLMProvider();
+
+    // Check if the provider is configured (e.g. OpenAI API key is set)
+    if (!provider.isConfigured()) {
       throw new LLMError('OpenAI API key is not configured. Please set OPENAI_API_KEY in your .env file.');
     }
 
-    console.log('Calling OpenAI to extract transaction data...');
+    console.log(`Calling ${provider.name} (${provider.model}) to extract transaction data...`);
     console.log('Input text:', text.substring(0, 200) + (text.length > 200 ? '...' : ''));
 
     // Get current date information for the LLM
@@ -79,7 +287,7 @@ export const extractTransactionFromText = async (text) => {
     const yesterday = yesterdayDate.toISOString().split('T')[0];
 
     // Enhanced system prompt with current date context
-    const enhancedPrompt = `${SYSTEM_PROMPT}
+    const enhancedPrompt = `${SYSTEM_PROMPT.replace('{{CATEGORIES}}', describeCategories(categoryTree))}
 
 CURRENT DATE CONTEXT (IMPORTANT):
 - Today's date is: ${today} (YYYY-MM-DD)
@@ -88,33 +296,15 @@ CURRENT DATE CONTEXT (IMPORTANT):
 When the user says "today", use: ${today}
 When the user says "yesterday", use: ${yesterday}
 When the user says "this week", use a date within the last 7 days from ${today}
-When no date is mentioned, use: ${today}`;
-
-    // Call OpenAI API
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini', // Using cost-effective model, can switch to 'gpt-4' for better accuracy
-      messages: [
-        {
-          role: 'system',
-          content: enhancedPrompt
-        },
-        {
-          role: 'user',
-          content: `Extract transaction information from this text: ${text}`
-        }
-      ],
-      temperature: 0.1, // Low temperature for consistent, structured output
-      max_tokens: 200, // Limit response length
-      response_format: { type: 'json_object' } // Force JSON output (requires gpt-4o-mini, gpt-4, or gpt-3.5-turbo)
-    });
+When no date is mentioned, use: ${today}${describeCorrections(corrections)}`;
 
-    const responseContent = completion.choices[0]?.message?.content;
-
-    if (!responseContent) {
-      throw new LLMError('Empty response from OpenAI');
-    }
+    // Call the provider (model, temperature and token limit come from config/llm.js)
+    const responseContent = await provider.complete({
+      system: enhancedPrompt,
+      user: `Extract transaction information from this text: ${text}`
+    });
 
-    console.log('OpenAI raw response:', responseContent);
+    console.log('LLM raw response:', responseContent);
 
     // Check if user mentioned "today" or "yesterday" - we'll validate the date more strictly
     const textLower = text.toLowerCase();
@@ -122,174 +312,66 @@ When no date is mentioned, use: ${today}`;
     const mentionsYesterday = textLower.includes('yesterday');
     
     // Parse JSON response
-    let transactionData;
+    let parsedResponse;
     try {
-      // Remove markdown code blocks if present (backup in case response_format doesn't work)
-      const cleanJson = responseContent.replace(/\n?/g, '').replace(/```\n?/g, '').trim();
-      transactionData = JSON.parse(cleanJson);
+      // Remove markdown code blocks if present (backup in case JSON mode isn't supported)
+      parsedResponse = JSON.parse(extractJsonText(responseContent));
     } catch (parseError) {
       console.error('JSON Parse Error:', parseError);
       console.error('Failed to parse:', responseContent);
-      throw new LLMError(`Failed to parse JSON response from OpenAI: ${parseError.message}`, parseError);
-    }
-
-    // Validate required fields
-    const requiredFields = ['amount', 'date', 'merchant', 'category', 'type'];
-    const missingFields = requiredFields.filter(field => transactionData[field] === undefined || transactionData[field] === null);
-    
-        if (missingFields.length > 0) {
-          console.error('LLM Response Data:', JSON.stringify(transactionData, null, 2));
-          console.error('Missing fields:', missingFields);
-          throw new LLMError(`Missing required fields in LLM response: ${missingFields.join(', ')}. Response: ${JSON.stringify(transactionData)}`);
-        }
-
-    // Ensure numeric fields are numbers
-    if (typeof transactionData.amount === 'string') {
-      transactionData.amount = parseFloat(transactionData.amount);
-    }
-
-    // Ensure date is in correct format (YYYY-MM-DD)
-    if (transactionData.date && !/^\d{4}-\d{2}-\d{2}$/.test(transactionData.date)) {
-      // Try to parse and reformat
-      const parsedDate = new Date(transactionData.date);
-      if (!isNaN(parsedDate.getTime())) {
-        transactionData.date = parsedDate.toISOString().split('T')[0];
-      } else {
-        // If can't parse, use today's date
-        transactionData.date = getTodayDate();
-      }
+      throw new LLMError(`Failed to parse JSON response from LLM: ${parseError.message}`, parseError);
     }
 
-    // Validate and correct date based on user input
-    // Get current date for comparison
-    const todayDateObj = new Date();
-    todayDateObj.setHours(0, 0, 0, 0);
-    const currentYear = todayDateObj.getFullYear();
-    
-    console.log(`Date check - mentionsToday: ${mentionsToday}, mentionsYesterday: ${mentionsYesterday}, LLM date: ${transactionData.date}`);
-    
-    // If user explicitly said "yesterday", ALWAYS use yesterday's date (override LLM completely)
-    if (mentionsYesterday) {
-      const yesterdayDate = new Date(todayDateObj);
-      yesterdayDate.setDate(yesterdayDate.getDate() - 1);
-      transactionData.date = yesterdayDate.toISOString().split('T')[0];
-      console.log(`✅ OVERRIDE: User said "yesterday", forcing date to: ${transactionData.date}`);
-    }
-    // If user explicitly said "today", ALWAYS use today's date (override LLM completely)
-    else if (mentionsToday) {
-      transactionData.date = today;
-      console.log(`✅ OVERRIDE: User said "today", forcing date to: ${transactionData.date}`);
-    }
-    // Otherwise, validate the LLM's date - if it's clearly wrong, fix it
-    else if (transactionData.date) {
-      const transactionDate = new Date(transactionData.date + 'T00:00:00');
-      transactionDate.setHours(0, 0, 0, 0);
-      const transactionYear = transactionDate.getFullYear();
-      
-      console.log(`Validating LLM date: ${transactionData.date} (year: ${transactionYear}), Current year: ${currentYear}`);
-      
-      // If date is from 2023 or earlier when we're in 2025+, it's definitely wrong
-      if (currentYear >= 2025 && transactionYear < 2025) {
-        console.warn(`⚠️ Date ${transactionData.date} is from ${transactionYear} (we're in ${currentYear}). Using today's date.`);
-        transactionData.date = today;
-      }
-      // Check if date is more than 30 days old (likely wrong for recent transactions)
-      else {
-        const daysDiff = Math.floor((todayDateObj - transactionDate) / (1000 * 60 * 60 * 24));
-        if (daysDiff > 30) {
-          console.warn(`⚠️ Date ${transactionData.date} is ${daysDiff} days old. Using today's date.`);
-          transactionData.date = today;
-        }
-      }
-      
-      // Check if date is in the future (more than 1 day ahead)
-      const tomorrow = new Date(todayDateObj);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      if (transactionDate > tomorrow) {
-        console.warn(`⚠️ Date ${transactionData.date} is in the future. Using today's date.`);
-        transactionData.date = today;
-      }
+    const items = toTransactionList(parsedResponse);
+    if (items.length === 0) {
+      throw new LLMError(`No transactions found in LLM response: ${JSON.stringify(parsedResponse)}`);
     }
 
-    // Final safety check: If date is still from an old year AND we didn't explicitly set it from user input, force today
-    // But DON'T override if user said "yesterday" or "today"
-    if (transactionData.date && !mentionsYesterday && !mentionsToday) {
-      const finalCheck = new Date(transactionData.date + 'T00:00:00');
-      const finalYear = finalCheck.getFullYear();
-      if (currentYear >= 2025 && finalYear < 2025) {
-        console.warn(`⚠️ Final safety: Date ${transactionData.date} (year ${finalYear}) is wrong for year ${currentYear}. Using today.`);
-        transactionData.date = today;
-      }
-    }
-    
-    // If date is still missing or invalid, use today's date
-    if (!transactionData.date) {
-      transactionData.date = today;
-    }
-    
-    console.log(`✅ FINAL transaction date set to: ${transactionData.date}`);
+    // "today"/"yesterday" overrides only make sense when they can't refer to different
+    // transactions ("coffee yesterday and lunch today" keeps the LLM's per-item dates)
+    const ambiguousDates = items.length > 1 && mentionsToday && mentionsYesterday;
+    const dateContext = {
+      today,
+      mentionsToday: mentionsToday && !ambiguousDates,
+      mentionsYesterday: mentionsYesterday && !ambiguousDates
+    };
 
-    // Set defaults for optional fields
-    transactionData.currency = transactionData.currency || 'USD';
-    transactionData.description = transactionData.description || '';
+    const transactions = items.map(item => normalizeTransaction(item, dateContext));
 
-    console.log('Transaction data extracted successfully:', transactionData);
-    return transactionData;
+    console.log(`Extracted ${transactions.length} transaction(s) successfully:`, transactions);
+    return transactions;
 
   } catch (error) {
     console.error('LLM Service Error:', error);
 
-    // If it's already an LLMError, re-throw it
+    // If it's already an LLMError (providers map their own API errors), re-throw it
     if (error instanceof LLMError) {
       throw error;
     }
 
-    // Handle OpenAI-specific errors
-    if (error.response) {
-      const statusCode = error.response.status;
-      const errorMessage = error.response.data?.error?.message || error.message;
-
-      if (statusCode === 401) {
-        throw new LLMError('OpenAI API key is invalid. Please check your OPENAI_API_KEY in .env file.', error);
-      }
-
-      if (statusCode === 429) {
-        throw new LLMError('OpenAI API rate limit exceeded. Please try again later.', error);
-      }
-
-      if (statusCode === 500) {
-        throw new LLMError('OpenAI API server error. Please try again later.', error);
-      }
-
-      if (statusCode === 503) {
-        throw new LLMError('OpenAI API service is temporarily unavailable. Please try again later.', error);
-      }
-
-      throw new LLMError(`OpenAI API error: ${errorMessage}`, error);
-    }
-
-    // Handle OpenAI SDK errors
-    if (error instanceof OpenAI.APIError) {
-      if (error.status === 401) {
-        throw new LLMError('OpenAI API key is invalid', error);
-      }
-      if (error.status === 429) {
-        throw new LLMError('OpenAI API rate limit exceeded', error);
-      }
-      throw new LLMError(`OpenAI API error: ${error.message}`, error);
-    }
-
     throw new LLMError(`Failed to extract transaction data: ${error.message}`, error);
   }
 };
 
+/**
+ * Extracts a single transaction from text (e.g. a receipt's OCR text)
+ * @param {string} text - User message or OCR text
+ * @param {Object} options - { categoryTree, corrections } (see extractTransactionsFromText)
+ * @returns {Promise<Object>} Structured transaction data (the first transaction found)
+ * @throws {LLMError} If extraction fails
+ */
+export const extractTransactionFromText = async (text, options = {}) => {
+  const transactions = await extractTransactionsFromText(text, options);
+  return transactions[0];
+};
+
 /**
  * Uses LLM to resolve transaction issues (duplicates, missing fields, etc.)
- * Optional function for advanced issue resolution
+ * Used to suggest what to do with a potential duplicate (see duplicateService)
  * @param {string} issueDescription - Description of the issue
  * @param {Object} transactionData - Current transaction data
  * @param {Object} existingTransaction - Existing transaction if duplicate
- * @returns {Promise<Object>} Resolution recommendation
+ * @returns {Promise<Object>} Resolution recommendation { action: 'save'|'merge'|'skip', reason, confidence }
  */
 export const resolveTransactionIssue = async (issueDescription, transactionData, existingTransaction = null) => {
   try {
@@ -303,30 +385,21 @@ ${JSON.stringify(existingTransaction, null, 2)}` : ''}
 
 Please provide a resolution recommendation in JSON format:
 {
-  "action": "save" | "skip" | "update",
+  "action": "save" | "merge" | "skip",
   "reason": "<explanation>",
-  "confidence": <0-1>,
-  "updatedData": {<if action is update, provide corrected data>}
-}`;
-
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a transaction validation assistant. Analyze transaction issues and provide resolution recommendations in JSON format.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.2,
-      max_tokens: 300,
-      response_format: { type: 'json_object' }
+  "confidence": <0-1>
+}
+
+- save: it is a separate transaction and should be recorded (e.g. two coffees on the same day)
+- merge: it is the same transaction; add its details (receipt items, description) to the existing one
+- skip: it is the same transaction with nothing new; discard it`;
+
+    const responseContent = await getLLMProvider().complete({
+      system: 'You are a transaction validation assistant. Analyze transaction issues and provide resolution recommendations in JSON format.',
+      user: prompt
     });
 
-    const response = JSON.parse(completion.choices[0].message.content);
+    const response = JSON.parse(extractJsonText(responseContent));
     return response;
 
   } catch (error) {
@@ -340,3 +413,64 @@ Please provide a resolution recommendation in JSON format:
   }
 };
 
+/**
+ * System prompt for categorizing already-structured transactions (e.g. bank imports)
+ */
+const CATEGORIZE_PROMPT = `You are a transaction categorization assistant. You receive a JSON array of bank transactions and return ONLY valid JSON, no explanations, no markdown.
+
+Return exactly one category per transaction, in the same order:
+{"categories": ["<category>", ...]}
+
+For each category, {{CATEGORIES}}
+Use an income category for money received and "Other" when nothing fits.`;
+
+/**
+ * Categorizes transactions that have no category (one LLM call per batch)
+ * @param {Array} transactions - [{ merchant, description, amount, type }]
+ * @param {Object} options - { categoryTree: the user's categories to choose from (optional) }
+ * @returns {Promise<Array<string|null>>} One category per transaction (null where the LLM gave none)
+ * @throws {LLMError} If the LLM call fails
+ */
+export const categorizeTransactions = async (transactions, { categoryTree = null } = {}) => {
+  if (transactions.length === 0) {
+    return [];
+  }
+
+  const provider = getLLMProvider();
+  if (!provider.isConfigured()) {
+    throw new LLMError('OpenAI API key is not configured. Please set OPENAI_API_KEY in your .env file.');
+  }
+
+  const items = transactions.map((transaction, index) => ({
+    index,
+    merchant: transaction.merchant,
+    description: transaction.description,
+    amount: transaction.amount,
+    type: transaction.type
+  }));
+
+  console.log(`Calling ${provider.name} (${provider.model}) to categorize ${items.length} transaction(s)...`);
+  const responseContent = await provider.complete({
+    system: CATEGORIZE_PROMPT.replace('{{CATEGORIES}}', describeCategories(categoryTree)),
+    user: `Categorize these transactions: ${JSON.stringify(items)}`,
+    // Roughly 10 tokens per category plus the JSON wrapper
+    maxTokens: Math.max(200, items.length * 12)
+  });
+
+  let parsed;
+  try {
+    parsed = JSON.parse(extractJsonText(responseContent));
+  } catch (parseError) {
+    throw new LLMError(`Failed to parse JSON response from LLM: ${parseError.message}`, parseError);
+  }
+
+  const categories = Array.isArray(parsed) ? parsed : parsed.categories;
+  if (!Array.isArray(categories)) {
+    throw new LLMError(`Unexpected categorization response from LLM: ${JSON.stringify(parsed)}`);
+  }
+
+  return items.map((item, index) => {
+    const category = categories[index];
+    return typeof category === 'string' && category.trim().length > 0 ? category.trim() : null;
+  });
+};
@@ -0,0 +1,394 @@
+// src/services/merchantService.js
+import {
+  createMerchantAlias,
+  getMerchantAlias,
+  getUserMerchantAliases,
+  updateMerchantAlias,
+  deleteMerchantAlias,
+  getTransactionPages,
+  updateTransaction
+} from './storageService.js';
+import { validateUserId, validateMerchant } from '../utils/validation.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * Merchant normalization
+ * OCR and bank statements spell one merchant many ways ("STARBUCKS STORE #11873",
+ * "AMZN Mktp US*2K4"). Before a transaction is validated its merchant is reduced
+ * to a canonical name, in this order:
+ * 1. the user's aliases (pattern -> merchant, longest matching pattern wins)
+ * 2. BUILT_IN_MERCHANTS (well-known brands)
+ * 3. cleanup rules (payment processor prefixes, reference codes, store numbers, casing)
+ * The string as extracted is stored as rawMerchant when it differs, so duplicate
+ * detection and per-merchant totals group on the canonical name without losing the original.
+ */
+
+// Fields a user may set on a merchant alias
+const ALIAS_FIELDS = ['pattern', 'merchant'];
+
+const MAX_PATTERN_LENGTH = 100;
+
+// Well-known brands as they appear on receipts and statements (checked in order)
+export const BUILT_IN_MERCHANTS = [
+  { pattern: /\b(?:AMAZON|AMZN)\s*PRIME\b|\bPRIME\s*VIDEO\b/, merchant: 'Amazon Prime' },
+  { pattern: /\bAMZN\b|\bAMAZON\b/, merchant: 'Amazon' },
+  { pattern: /\bSTARBUCKS\b/, merchant: 'Starbucks' },
+  { pattern: /\bUBER\s*\*?\s*EATS\b|\bUBEREATS\b/, merchant: 'Uber Eats' },
+  { pattern: /\bUBER\b/, merchant: 'Uber' },
+  { pattern: /\bLYFT\b/, merchant: 'Lyft' },
+  { pattern: /\bDOORDASH\b/, merchant: 'DoorDash' },
+  { pattern: /\bNETFLIX\b/, merchant: 'Netflix' },
+  { pattern: /\bSPOTIFY\b/, merchant: 'Spotify' },
+  { pattern: /\bAPPLE\.COM\b|\bAPL\s*\*|\bITUNES\b/, merchant: 'Apple' },
+  { pattern: /\bGOOGLE\s*\*|\bGGL\s*\*/, merchant: 'Google' },
+  { pattern: /\bWAL-?MART\b|\bWM SUPERCENTER\b/, merchant: 'Walmart' },
+  { pattern: /\bTARGET\b/, merchant: 'Target' },
+  { pattern: /\bCOSTCO\b/, merchant: 'Costco' },
+  { pattern: /\bWHOLE\s?FOODS\b|\bWHOLEFDS\b/, merchant: 'Whole Foods' },
+  { pattern: /\bTRADER JOE'?S?\b/, merchant: "Trader Joe's" },
+  { pattern: /\bMC ?DONALD'?S?\b/, merchant: "McDonald's" },
+  { pattern: /\bCHIPOTLE\b/, merchant: 'Chipotle' },
+  { pattern: /\bCVS\b/, merchant: 'CVS' },
+  { pattern: /\bWALGREENS\b/, merchant: 'Walgreens' },
+  { pattern: /\b7-?ELEVEN\b/, merchant: '7-Eleven' },
+  { pattern: /\bHOME DEPOT\b/, merchant: 'The Home Depot' },
+  { pattern: /\bSHELL\b/, merchant: 'Shell' },
+  { pattern: /\bCHEVRON\b/, merchant: 'Chevron' }
+];
+
+// Card processor and bank prefixes in front of the merchant ("SQ *BLUE BOTTLE", "POS DEBIT ...")
+const PREFIX_PATTERNS = [
+  /^(?:SQ|SQU|TST|SP|PAYPAL|PP|IC|PY|CKE)\s?\*\s*/i,
+  /^(?:POS|DEBIT CARD|CHECKCARD|VISA|PURCHASE)(?:\s+(?:DEBIT|PURCHASE|AUTHORIZED ON))?\s+(?:\d{1,2}\/\d{1,2}\s+)?/i
+];
+
+/**
+ * Reduces a merchant string to a comparison key ("Trader Joe's #123" -> "trader joe s 123")
+ * @param {string} value - Merchant or pattern
+ * @returns {string} Lowercase words separated by single spaces
+ */
+const merchantKey = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Checks whether an alias pattern matches a raw merchant (as whole words)
+ * @param {Object} alias - { pattern }
+ * @param {string} rawMerchant - Merchant as extracted
+ * @returns {boolean} true if every word of the pattern appears in order
+ */
+const aliasMatches = (alias, rawMerchant) => {
+  const pattern = merchantKey(alias.pattern);
+  return pattern.length > 0 && ` ${merchantKey(rawMerchant)} `.includes(` ${pattern} `);
+};
+
+/**
+ * Title-cases an all-caps merchant ("BLUE BOTTLE COFFEE" -> "Blue Bottle Coffee")
+ * Short words without vowels stay upper case, as they are usually initials ("CVS", "BP")
+ * @param {string} merchant - Cleaned merchant
+ * @returns {string} Merchant with readable casing
+ */
+const toTitleCase = (merchant) => merchant
+  .split(' ')
+  .map(word => (word.length <= 3 && !/[AEIOUY]/.test(word)
+    ? word
+    : word.toLowerCase().replace(/(^|[\s\-&/.])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase())))
+  .join(' ');
+
+/**
+ * Applies the cleanup rules to a merchant string
+ * Store numbers and trailing codes are only stripped from all-caps strings (statements
+ * and receipts), so names typed by the user ("Studio 519") are left alone
+ * @param {string} rawMerchant - Merchant as extracted
+ * @returns {string} Cleaned merchant (the input if cleanup would leave nothing)
+ */
+export const cleanMerchant = (rawMerchant) => {
+  const original = String(rawMerchant || '').replace(/\s+/g, ' ').trim();
+  const allCaps = /[A-Z]/.test(original) && !/[a-z]/.test(original);
+
+  let cleaned = PREFIX_PATTERNS.reduce((value, pattern) => value.replace(pattern, ''), original);
+
+  cleaned = cleaned
+    .replace(/\s*\*.*$/, '') // reference codes: "NETFLIX.COM*1234", "AMZN MKTP US*2K4"
+    .replace(/^(?:WWW\.)/i, '')
+    .replace(/\.(?:COM|NET|ORG|CO|IO)\b.*$/i, '') // "NETFLIX.COM", "HELP.UBER.COM"
+    .replace(/\s*#\s*\d+.*$/, ''); // "#11873 SEATTLE WA"
+
+  if (allCaps) {
+    cleaned = cleaned
+      .replace(/\s+(?:STORE|STR|NO\.?)\s*#?\s*\d+.*$/, '') // "STORE 0042 PORTLAND OR"
+      .replace(/\s+T-\d+.*$/, '') // "TARGET T-1234"
+      .replace(/\s+\d{1,2}\/\d{1,2}(?:\/\d{2,4})?$/, '') // trailing dates
+      .replace(/\s+\d{3,}.*$/, ''); // terminal and store IDs: "CHEVRON 0208734 SAN JOSE CA"
+  }
+
+  cleaned = cleaned.replace(/^[\s\-*#,.]+|[\s\-*#,]+$/g, '').replace(/\s{2,}/g, ' ');
+
+  if (!cleaned) {
+    return original;
+  }
+
+  return allCaps ? toTitleCase(cleaned) : cleaned;
+};
+
+/**
+ * Normalizes a merchant string to its canonical name
+ * @param {string} rawMerchant - Merchant as extracted
+ * @param {Array} aliases - The user's merchant aliases
+ * @returns {Object} { merchant, rawMerchant, matchedBy: 'alias'|'builtin'|'cleanup'|'none', aliasId? }
+ */
+export const normalizeMerchant = (rawMerchant, aliases = []) => {
+  const raw = String(rawMerchant || '').replace(/\s+/g, ' ').trim();
+
+  const alias = aliases
+    .filter(item => aliasMatches(item, raw))
+    .sort((a, b) => merchantKey(b.pattern).length - merchantKey(a.pattern).length)[0];
+  if (alias) {
+    return { merchant: alias.merchant, rawMerchant: raw, matchedBy: 'alias', aliasId: alias.aliasId };
+  }
+
+  const upper = raw.toUpperCase();
+  const brand = BUILT_IN_MERCHANTS.find(item => item.pattern.test(upper));
+  if (brand) {
+    return { merchant: brand.merchant, rawMerchant: raw, matchedBy: 'builtin' };
+  }
+
+  const cleaned = cleanMerchant(raw);
+  return { merchant: cleaned, rawMerchant: raw, matchedBy: cleaned === raw ? 'none' : 'cleanup' };
+};
+
+/**
+ * Replaces extracted transaction data's merchant with its canonical name (before validation)
+ * @param {Array} aliases - The user's merchant aliases
+ * @param {Object} transactionData - Extracted transaction
+ * @returns {Object} Copy with the canonical merchant and rawMerchant (the extracted string)
+ */
+export const normalizeTransactionMerchant = (aliases, transactionData) => {
+  if (!transactionData.merchant || typeof transactionData.merchant !== 'string') {
+    return transactionData;
+  }
+
+  const { merchant, rawMerchant } = normalizeMerchant(transactionData.merchant, aliases);
+  return { ...transactionData, merchant, rawMerchant };
+};
+
+/**
+ * Gets a user's merchant aliases, sorted by pattern
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Alias records
+ */
+export const getMerchantAliases = async (userId) => (await getUserMerchantAliases(userId))
+  .sort((a, b) => a.pattern.localeCompare(b.pattern));
+
+/**
+ * Loads the user's aliases and normalizes transaction data's merchant
+ * @param {string} userId - User identifier
+ * @param {Object} transactionData - Extracted transaction
+ * @returns {Promise<Object>} Copy with the canonical merchant and rawMerchant
+ */
+export const applyMerchantAliases = async (userId, transactionData) => normalizeTransactionMerchant(await getMerchantAliases(userId), transactionData);
+
+/**
+ * Shows how a merchant string would be normalized for a user
+ * @param {string} userId - User identifier
+ * @param {string} merchant - Merchant string to try
+ * @returns {Promise<Object>} { merchant, rawMerchant, matchedBy, aliasId? }
+ * @throws {ValidationError} If the merchant is missing
+ */
+export const previewMerchant = async (userId, merchant) => {
+  try {
+    const validUserId = validateUserId(userId);
+    return normalizeMerchant(validateMerchant(merchant), await getMerchantAliases(validUserId));
+  } catch (error) {
+    console.error('Error previewing merchant:', error);
+    throw error;
+  }
+};
+
+/**
+ * Validates merchant alias fields
+ * @param {Object} aliasData - { pattern, merchant }
+ * @returns {Object} Validated { pattern, merchant }
+ * @throws {ValidationError} If a field is missing or invalid
+ */
+const validateAliasData = (aliasData) => {
+  const pattern = typeof aliasData.pattern === 'string' ? aliasData.pattern.replace(/\s+/g, ' ').trim() : '';
+
+  if (!merchantKey(pattern)) {
+    throw new ValidationError('Pattern is required and must contain letters or digits', 'pattern');
+  }
+
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new ValidationError(`Pattern is too long (max ${MAX_PATTERN_LENGTH} characters)`, 'pattern');
+  }
+
+  return { pattern, merchant: validateMerchant(aliasData.merchant) };
+};
+
+/**
+ * Checks that no other alias of the user has the same pattern
+ * @param {Array} aliases - The user's aliases
+ * @param {Object} alias - Validated alias
+ * @param {string|null} aliasId - ID of the alias being edited (null when adding)
+ * @throws {ValidationError} If the pattern is taken
+ */
+const assertUniquePattern = (aliases, alias, aliasId = null) => {
+  const taken = aliases.find(item => item.aliasId !== aliasId && merchantKey(item.pattern) === merchantKey(alias.pattern));
+  if (taken) {
+    throw new ValidationError(`An alias for "${taken.pattern}" already exists (${taken.merchant})`, 'pattern');
+  }
+};
+
+/**
+ * Renames the user's stored transactions matched by an alias to its merchant
+ * Matching uses the stored rawMerchant (or the merchant for older transactions)
+ * @param {string} userId - Validated user ID
+ * @param {Object} alias - Alias record
+ * @returns {Promise<number>} Number of transactions updated
+ */
+const applyAliasToRecords = async (userId, alias) => {
+  // Collect first, then update, so backends never page over records being rewritten
+  const transactions = [];
+  for await (const page of getTransactionPages(userId)) {
+    transactions.push(...page.filter(transaction => transaction.merchant !== alias.merchant && aliasMatches(alias, transaction.rawMerchant || transaction.merchant)));
+  }
+
+  for (const transaction of transactions) {
+    await updateTransaction(userId, transaction.transactionId, {
+      merchant: alias.merchant,
+      rawMerchant: transaction.rawMerchant || transaction.merchant
+    });
+  }
+
+  return transactions.length;
+};
+
+/**
+ * Lists a user's merchant aliases
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Alias records
+ */
+export const listMerchantAliases = async (userId) => {
+  try {
+    const validUserId = validateUserId(userId);
+    return await getMerchantAliases(validUserId);
+  } catch (error) {
+    console.error('Error listing merchant aliases:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets a single merchant alias
+ * @param {string} userId - User identifier
+ * @param {string} aliasId - Alias identifier
+ * @returns {Promise<Object>} Alias record
+ * @throws {NotFoundError} If the alias does not exist
+ */
+export const getMerchantAliasDetails = async (userId, aliasId) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const alias = await getMerchantAlias(validUserId, aliasId);
+
+    if (!alias) {
+      throw new NotFoundError(`Merchant alias not found: ${aliasId}`);
+    }
+
+    return alias;
+  } catch (error) {
+    console.error('Error getting merchant alias details:', error);
+    throw error;
+  }
+};
+
+/**
+ * Adds a merchant alias and applies it to the user's stored transactions
+ * @param {string} userId - User identifier
+ * @param {Object} aliasData - { pattern: 'AMZN MKTP', merchant: 'Amazon' }
+ * @returns {Promise<Object>} Created alias with updatedTransactions (number of transactions renamed)
+ * @throws {ValidationError} If a field is invalid or the pattern already has an alias
+ */
+export const addMerchantAlias = async (userId, aliasData) => {
+  try {
+    const validUserId = validateUserId(userId);
+
+    if (!aliasData || typeof aliasData !== 'object') {
+      throw new ValidationError('Alias data must be an object');
+    }
+
+    const alias = validateAliasData(aliasData);
+    assertUniquePattern(await getUserMerchantAliases(validUserId), alias);
+
+    const created = await createMerchantAlias(validUserId, alias);
+    const updatedTransactions = await applyAliasToRecords(validUserId, created);
+
+    console.log(`Merchant alias ${created.pattern} -> ${created.merchant} applied to ${updatedTransactions} transaction(s)`);
+
+    return { ...created, updatedTransactions };
+  } catch (error) {
+    console.error('Error adding merchant alias:', error);
+    throw error;
+  }
+};
+
+/**
+ * Edits a merchant alias and applies the result to the user's stored transactions
+ * Transactions renamed under the old alias keep their name until they match another one
+ * @param {string} userId - User identifier
+ * @param {string} aliasId - Alias identifier
+ * @param {Object} updates - Any of { pattern, merchant }
+ * @returns {Promise<Object>} Updated alias with updatedTransactions
+ * @throws {ValidationError} If no editable fields are given or the result is invalid
+ * @throws {NotFoundError} If the alias does not exist
+ */
+export const editMerchantAlias = async (userId, aliasId, updates) => {
+  try {
+    const validUserId = validateUserId(userId);
+
+    if (!updates || typeof updates !== 'object') {
+      throw new ValidationError('Updates must be an object');
+    }
+
+    const unknownFields = Object.keys(updates).filter(key => !ALIAS_FIELDS.includes(key));
+    if (unknownFields.length > 0) {
+      throw new ValidationError(`Fields cannot be edited: ${unknownFields.join(', ')}`, unknownFields[0]);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      throw new ValidationError(`Provide at least one field to update: ${ALIAS_FIELDS.join(', ')}`);
+    }
+
+    const existing = await getMerchantAliasDetails(validUserId, aliasId);
+
+    const alias = validateAliasData({ ...existing, ...updates });
+    assertUniquePattern(await getUserMerchantAliases(validUserId), alias, aliasId);
+
+    const updated = await updateMerchantAlias(validUserId, aliasId, alias);
+    const updatedTransactions = await applyAliasToRecords(validUserId, updated);
+
+    return { ...updated, updatedTransactions };
+  } catch (error) {
+    console.error('Error editing merchant alias:', error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes a merchant alias
+ * Stored transactions keep their canonical merchant; rawMerchant still holds the original
+ * @param {string} userId - User identifier
+ * @param {string} aliasId - Alias identifier
+ * @returns {Promise<Object>} The deleted alias
+ * @throws {NotFoundError} If the alias does not exist
+ */
+export const removeMerchantAlias = async (userId, aliasId) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const existing = await getMerchantAliasDetails(validUserId, aliasId);
+
+    await deleteMerchantAlias(validUserId, aliasId);
+
+    return existing;
+  } catch (error) {
+    console.error('Error removing merchant alias:', error);
+    throw error;
+  }
+};
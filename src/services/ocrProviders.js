@@ -0,0 +1,550 @@
+// src/services/ocrProviders.js
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { textract, s3 } from '../config/aws.js';
+import { OCR_PROVIDER, OCR_ANALYZE_EXPENSE, TESSERACT_CONFIG, TEXTRACT_ASYNC_CONFIG } from '../config/ocr.js';
+import { OCRError } from '../utils/errors.js';
+
+/**
+ * OCR provider layer
+ * ocrServices.js handles files and validation; providers only turn document
+ * bytes into text. Every provider exposes:
+ * - name: provider key ("textract", "tesseract")
+ * - recognize(bytes): Promise<OCRResult>
+ *
+ * OCRResult (same shape for every engine):
+ * {
+ *   text: string,                                   // all lines joined with "\n", pages in order
+ *   lines: [{ text: string, confidence: number }],  // confidence is 0-100
+ *   engine: string,
+ *   pages: number,
+ *   expense: ExpenseDetails | null                  // only from analyzeExpense
+ * }
+ *
+ * Providers that can read receipts structurally also expose
+ * analyzeExpense(bytes): Promise<OCRResult> with expense filled in:
+ * {
+ *   merchant, date, total, subtotal, tax, tip, paymentMethod, currency,  // null when not found
+ *   lineItems: [{ name, quantity, unitPrice, total }]
+ * }
+ *
+ * Multi-page PDFs go through recognizePdf(bytes, { onProgress }): Promise<OCRResult>,
+ * which reads every page (slow, so it reports progress for background jobs).
+ *
+ * The provider is chosen with the OCR_PROVIDER env var (see config/ocr.js).
+ */
+
+/**
+ * Checks whether document bytes are a PDF (magic number: %PDF)
+ * @param {Buffer} bytes - Document bytes
+ * @returns {boolean} True for PDF documents
+ */
+export const isPdf = (bytes) => bytes.subarray(0, 4).toString() === '%PDF';
+
+/**
+ * Builds an OCRResult from recognized lines
+ * @param {string} engine - Provider name
+ * @param {Array} lines - [{ text, confidence }]
+ * @param {number} pages - Number of pages read
+ * @returns {Object} OCRResult
+ */
+const toOCRResult = (engine, lines, pages = 1) => {
+  const cleanLines = lines
+    .map(line => ({
+      text: (line.text || '').trim(),
+      confidence: Math.round((line.confidence || 0) * 100) / 100
+    }))
+    .filter(line => line.text.length > 0);
+
+  return {
+    text: cleanLines.map(line => line.text).join('\n'),
+    lines: cleanLines,
+    engine,
+    pages,
+    expense: null
+  };
+};
+
+/**
+ * Parses a money string from a receipt ("$1,234.50", "12.00 USD")
+ * @param {string} value - Text value
+ * @returns {number|null} Amount or null if not a number
+ */
+export const parseMoney = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const cleaned = String(value).replace(/[^0-9.,-]/g, '').replace(/,(?=\d{3}(?:\D|$))/g, '').replace(',', '.');
+  const amount = parseFloat(cleaned);
+  return isNaN(amount) ? null : Math.round(amount * 100) / 100;
+};
+
+/**
+ * Finds how a receipt was paid ("Visa ****1234", "Cash")
+ * @param {string} text - Receipt text
+ * @returns {string|null} Payment method or null if not found
+ */
+export const detectPaymentMethod = (text) => {
+  const methods = [
+    ['American Express', /\b(?:amex|american express)\b/i],
+    ['Mastercard', /\bmaster\s?card\b|\bmc\b/i],
+    ['Visa', /\bvisa\b/i],
+    ['Discover', /\bdiscover\b/i],
+    ['Apple Pay', /\bapple\s?pay\b/i],
+    ['Google Pay', /\bgoogle\s?pay\b/i],
+    ['Debit card', /\bdebit\b/i],
+    ['Credit card', /\bcredit\b/i],
+    ['Cash', /\bcash\b/i]
+  ];
+
+  const match = methods.find(([, pattern]) => pattern.test(text));
+  if (!match) {
+    return null;
+  }
+
+  // Last four card digits ("XXXX1234", "****1234")
+  const lastFour = text.match(/[*xX#]{2,}\s?(\d{4})\b/);
+  return lastFour && match[0] !== 'Cash' ? `${match[0]} ****${lastFour[1]}` : match[0];
+};
+
+/**
+ * Maps an AWS Textract error to an OCRError (other errors are returned unchanged)
+ * @param {Error} error - Original error
+ * @returns {Error} Error to throw
+ */
+const toTextractError = (error) => {
+  if (error.code === 'InvalidParameterException' || error.code === 'UnsupportedDocumentException') {
+    return new OCRError('Invalid image format. Supported formats: PNG, JPEG, PDF. Please ensure the file is a valid image.', error);
+  }
+
+  if (error.code === 'AccessDeniedException') {
+    return new OCRError('AWS Textract access denied. Check your AWS credentials and IAM permissions for Textract.', error);
+  }
+
+  if (error.code === 'InvalidS3ObjectException') {
+    return new OCRError('Invalid S3 object (if using S3). Check the file path and permissions.', error);
+  }
+
+  if (error.code === 'ProvisionedThroughputExceededException') {
+    return new OCRError('AWS Textract throughput limit exceeded. Please try again in a few moments.', error);
+  }
+
+  if (error.code === 'ThrottlingException') {
+    return new OCRError('AWS Textract request was throttled. Please try again later.', error);
+  }
+
+  if (error.code === 'NoSuchBucket' || error.code === 'AccessDenied') {
+    return new OCRError(`Cannot use S3 bucket "${TEXTRACT_ASYNC_CONFIG.s3Bucket}" for PDF analysis. Check TEXTRACT_S3_BUCKET and your IAM permissions.`, error);
+  }
+
+  return error;
+};
+
+/**
+ * Gets LINE blocks as OCR lines, in page order
+ * @param {Array} blocks - Textract blocks (from one or many result pages)
+ * @returns {Array} [{ text, confidence }]
+ */
+const linesFromBlocks = (blocks) => blocks
+  .filter(block => block.BlockType === 'LINE')
+  .map((block, index) => ({ block, index }))
+  .sort((a, b) => ((a.block.Page || 1) - (b.block.Page || 1)) || (a.index - b.index))
+  .map(({ block }) => ({ text: block.Text, confidence: block.Confidence }));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Waits for an asynchronous Textract job and collects every result page
+ * @param {Function} getResults - (params) => AWS request (getDocumentTextDetection or getExpenseAnalysis)
+ * @param {string} jobId - Textract job ID
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Array>} All responses (NextToken pages followed)
+ * @throws {OCRError} If the job fails or takes too long
+ */
+const waitForTextractJob = async (getResults, jobId, onProgress) => {
+  const { pollIntervalMs, timeoutMs } = TEXTRACT_ASYNC_CONFIG;
+  const deadline = Date.now() + timeoutMs;
+
+  let response = await getResults({ JobId: jobId }).promise();
+  while (response.JobStatus === 'IN_PROGRESS') {
+    if (Date.now() > deadline) {
+      throw new OCRError(`AWS Textract job ${jobId} did not finish within ${Math.round(timeoutMs / 1000)} seconds`);
+    }
+
+    onProgress({ stage: 'ocr', message: 'Waiting for AWS Textract to read every page...' });
+    await sleep(pollIntervalMs);
+    response = await getResults({ JobId: jobId }).promise();
+  }
+
+  if (response.JobStatus === 'FAILED') {
+    throw new OCRError(`AWS Textract could not read the document: ${response.StatusMessage || 'job failed'}`);
+  }
+
+  if (response.JobStatus === 'PARTIAL_SUCCESS') {
+    console.warn(`AWS Textract job ${jobId} only partially succeeded:`, response.StatusMessage);
+  }
+
+  // Large documents are split into several result pages
+  const responses = [response];
+  while (response.NextToken) {
+    response = await getResults({ JobId: jobId, NextToken: response.NextToken }).promise();
+    responses.push(response);
+  }
+
+  return responses;
+};
+
+/**
+ * Gets the value of the first Textract expense field of the given type(s)
+ * @param {Array} fields - SummaryFields or LineItemExpenseFields
+ * @param {Array<string>} types - Field types in order of preference (e.g. ['TOTAL', 'AMOUNT_PAID'])
+ * @returns {Object|null} The matching field or null
+ */
+const findExpenseField = (fields, types) => {
+  for (const type of types) {
+    const field = (fields || []).find(item => item.Type?.Text === type && item.ValueDetection?.Text);
+    if (field) {
+      return field;
+    }
+  }
+  return null;
+};
+
+/**
+ * Converts a Textract AnalyzeExpense response into ExpenseDetails
+ * @param {Object} response - AnalyzeExpense response
+ * @param {string} text - Receipt text (used to find the payment method)
+ * @returns {Object} ExpenseDetails
+ */
+export const parseExpenseDocuments = (response, text = '') => {
+  const documents = response.ExpenseDocuments || [];
+  const summaryFields = documents.flatMap(document => document.SummaryFields || []);
+  const valueOf = (types) => findExpenseField(summaryFields, types)?.ValueDetection.Text.trim() || null;
+  const moneyOf = (types) => parseMoney(valueOf(types));
+
+  const lineItems = documents
+    .flatMap(document => document.LineItemGroups || [])
+    .flatMap(group => group.LineItems || [])
+    .map(lineItem => {
+      const fields = lineItem.LineItemExpenseFields || [];
+      const name = findExpenseField(fields, ['ITEM', 'PRODUCT_CODE', 'EXPENSE_ROW'])?.ValueDetection.Text.trim() || null;
+      const quantity = parseFloat(findExpenseField(fields, ['QUANTITY'])?.ValueDetection.Text) || 1;
+      let unitPrice = parseMoney(findExpenseField(fields, ['UNIT_PRICE'])?.ValueDetection.Text);
+      const total = parseMoney(findExpenseField(fields, ['PRICE'])?.ValueDetection.Text) ?? (unitPrice !== null ? Math.round(unitPrice * quantity * 100) / 100 : null);
+
+      if (unitPrice === null && total !== null) {
+        unitPrice = Math.round((total / quantity) * 100) / 100;
+      }
+
+      return { name, quantity, unitPrice, total };
+    })
+    .filter(item => item.name && item.total !== null);
+
+  const totalField = findExpenseField(summaryFields, ['TOTAL', 'AMOUNT_PAID', 'AMOUNT_DUE']);
+  const paymentText = summaryFields
+    .filter(field => /payment|card|tender|paid/i.test(field.LabelDetection?.Text || ''))
+    .map(field => `${field.LabelDetection.Text} ${field.ValueDetection?.Text || ''}`)
+    .join('\n');
+
+  return {
+    merchant: valueOf(['VENDOR_NAME', 'NAME']),
+    date: valueOf(['INVOICE_RECEIPT_DATE', 'ORDER_DATE']),
+    total: totalField ? parseMoney(totalField.ValueDetection.Text) : null,
+    subtotal: moneyOf(['SUBTOTAL']),
+    tax: moneyOf(['TAX']),
+    tip: moneyOf(['GRATUITY']),
+    paymentMethod: detectPaymentMethod(paymentText) || detectPaymentMethod(text),
+    currency: totalField?.Currency?.Code || null,
+    lineItems
+  };
+};
+
+/**
+ * AWS Textract provider
+ */
+export const textractProvider = {
+  name: 'textract',
+
+  async recognize(bytes) {
+    try {
+      const params = {
+        Document: {
+          Bytes: bytes
+        }
+      };
+
+      console.log('Calling AWS Textract...');
+      const response = await textract.detectDocumentText(params).promise();
+
+      // Textract returns blocks of text with different types
+      // We're interested in LINE blocks (complete lines of text)
+      const lines = linesFromBlocks(response.Blocks || []);
+
+      return toOCRResult(this.name, lines);
+
+    } catch (error) {
+      // Handle AWS-specific errors
+      throw toTextractError(error);
+    }
+  },
+
+  async analyzeExpense(bytes) {
+    try {
+      const params = {
+        Document: {
+          Bytes: bytes
+        }
+      };
+
+      console.log('Calling AWS Textract AnalyzeExpense...');
+      const response = await textract.analyzeExpense(params).promise();
+
+      // Each expense document carries the same LINE blocks detectDocumentText returns
+      const lines = linesFromBlocks((response.ExpenseDocuments || []).flatMap(document => document.Blocks || []));
+
+      const result = toOCRResult(this.name, lines);
+      result.expense = parseExpenseDocuments(response, result.text);
+
+      console.log(`AnalyzeExpense found ${result.expense.lineItems.length} line item(s)`);
+      return result;
+
+    } catch (error) {
+      throw toTextractError(error);
+    }
+  },
+
+  async recognizePdf(bytes, { onProgress = () => {} } = {}) {
+    const { s3Bucket, s3Prefix } = TEXTRACT_ASYNC_CONFIG;
+
+    // Inline bytes only work for single-page documents
+    if (!s3Bucket) {
+      console.warn('TEXTRACT_S3_BUCKET is not set; sending the PDF inline (single-page documents only)');
+      return OCR_ANALYZE_EXPENSE ? this.analyzeExpense(bytes) : this.recognize(bytes);
+    }
+
+    const key = `${s3Prefix}${uuidv4()}.pdf`;
+
+    try {
+      onProgress({ stage: 'upload', message: 'Uploading document for analysis...' });
+      await s3.putObject({ Bucket: s3Bucket, Key: key, Body: bytes, ContentType: 'application/pdf' }).promise();
+
+      const params = {
+        DocumentLocation: {
+          S3Object: { Bucket: s3Bucket, Name: key }
+        }
+      };
+
+      if (OCR_ANALYZE_EXPENSE) {
+        console.log('Starting asynchronous AWS Textract expense analysis...');
+        const { JobId } = await textract.startExpenseAnalysis(params).promise();
+        const responses = await waitForTextractJob(request => textract.getExpenseAnalysis(request), JobId, onProgress);
+
+        const merged = { ExpenseDocuments: responses.flatMap(response => response.ExpenseDocuments || []) };
+        const lines = linesFromBlocks(merged.ExpenseDocuments.flatMap(document => document.Blocks || []));
+        const result = toOCRResult(this.name, lines, responses[0].DocumentMetadata?.Pages || 1);
+        result.expense = parseExpenseDocuments(merged, result.text);
+        return result;
+      }
+
+      console.log('Starting asynchronous AWS Textract text detection...');
+      const { JobId } = await textract.startDocumentTextDetection(params).promise();
+      const responses = await waitForTextractJob(request => textract.getDocumentTextDetection(request), JobId, onProgress);
+
+      const lines = linesFromBlocks(responses.flatMap(response => response.Blocks || []));
+      return toOCRResult(this.name, lines, responses[0].DocumentMetadata?.Pages || 1);
+
+    } catch (error) {
+      throw toTextractError(error);
+    } finally {
+      s3.deleteObject({ Bucket: s3Bucket, Key: key }).promise()
+        .catch(error => console.error('Error deleting temporary S3 object:', error));
+    }
+  }
+};
+
+/**
+ * Parses Tesseract TSV output into lines with an average word confidence
+ * TSV columns: level page_num block_num par_num line_num word_num left top width height conf text
+ * @param {string} tsv - Tesseract TSV output
+ * @returns {Array} [{ text, confidence }] in reading order
+ */
+export const parseTesseractTsv = (tsv) => {
+  const lines = new Map();
+
+  tsv.split('\n').slice(1).forEach(row => {
+    const columns = row.split('\t');
+    if (columns.length < 12 || columns[0] !== '5') return; // level 5 = word
+
+    const [, page, block, paragraph, line] = columns;
+    const confidence = parseFloat(columns[10]);
+    const word = columns.slice(11).join('\t').trim();
+    if (!word) return;
+
+    const key = `${page}-${block}-${paragraph}-${line}`;
+    if (!lines.has(key)) {
+      lines.set(key, { words: [], confidences: [] });
+    }
+
+    const entry = lines.get(key);
+    entry.words.push(word);
+    if (confidence >= 0) {
+      entry.confidences.push(confidence);
+    }
+  });
+
+  return [...lines.values()].map(entry => ({
+    text: entry.words.join(' '),
+    confidence: entry.confidences.length > 0
+      ? entry.confidences.reduce((sum, value) => sum + value, 0) / entry.confidences.length
+      : 0
+  }));
+};
+
+/**
+ * Runs a CLI tool and collects its output
+ * @param {string} binaryPath - Program to run
+ * @param {Array<string>} args - Arguments
+ * @param {Buffer} input - Data for stdin (optional)
+ * @returns {Promise<string>} stdout
+ */
+const runCommand = (binaryPath, args, input = null) => {
+  const name = path.basename(binaryPath);
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(binaryPath, args, { timeout: TESSERACT_CONFIG.timeoutMs });
+
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(new Error(signal ? `${name} was stopped (${signal})` : `${name} exited with code ${code}: ${stderr.trim()}`));
+      }
+    });
+
+    child.stdin.on('error', () => {}); // Reported through 'close' instead
+    child.stdin.end(input);
+  });
+};
+
+/**
+ * Runs the tesseract CLI on image bytes (passed through stdin)
+ * @param {Buffer} bytes - Image bytes
+ * @returns {Promise<string>} TSV output
+ */
+const runTesseract = (bytes) => {
+  const args = ['stdin', 'stdout', '-l', TESSERACT_CONFIG.language, 'tsv'];
+  return runCommand(TESSERACT_CONFIG.binaryPath, args, bytes);
+};
+
+/**
+ * Renders every page of a PDF to a PNG with pdftoppm
+ * @param {string} pdfPath - PDF file
+ * @param {string} workDir - Directory for the page images
+ * @returns {Promise<Array<string>>} Page image paths, in page order
+ */
+const renderPdfPages = async (pdfPath, workDir) => {
+  const prefix = path.join(workDir, 'page');
+  await runCommand(TESSERACT_CONFIG.pdftoppmPath, ['-r', String(TESSERACT_CONFIG.pdfDpi), '-png', pdfPath, prefix]);
+
+  // pdftoppm names pages page-1.png or page-01.png depending on the page count
+  const pageNumber = (file) => parseInt(file.match(/^page-(\d+)\.png$/)[1]);
+  return (await fs.promises.readdir(workDir))
+    .filter(file => /^page-\d+\.png$/.test(file))
+    .sort((a, b) => pageNumber(a) - pageNumber(b))
+    .map(file => path.join(workDir, file));
+};
+
+/**
+ * Local Tesseract provider (no network calls)
+ * Requires the tesseract binary (https://github.com/tesseract-ocr/tesseract)
+ */
+export const tesseractProvider = {
+  name: 'tesseract',
+
+  async recognize(bytes) {
+    // Tesseract reads images only; PDFs go through recognizePdf
+    if (isPdf(bytes)) {
+      return this.recognizePdf(bytes);
+    }
+
+    try {
+      console.log('Calling local Tesseract...');
+      const tsv = await runTesseract(bytes);
+      return toOCRResult(this.name, parseTesseractTsv(tsv));
+
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new OCRError(`Tesseract is not installed or not found at "${TESSERACT_CONFIG.binaryPath}". Install it or set TESSERACT_PATH.`, error);
+      }
+
+      throw new OCRError(`Tesseract OCR failed: ${error.message}`, error);
+    }
+  },
+
+  async recognizePdf(bytes, { onProgress = () => {} } = {}) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'receipt-pdf-'));
+
+    try {
+      const pdfPath = path.join(workDir, 'document.pdf');
+      await fs.promises.writeFile(pdfPath, bytes);
+
+      onProgress({ stage: 'render', message: 'Rendering PDF pages...' });
+      let pageFiles;
+      try {
+        pageFiles = await renderPdfPages(pdfPath, workDir);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new OCRError(`pdftoppm is not installed or not found at "${TESSERACT_CONFIG.pdftoppmPath}". Install poppler-utils or set PDFTOPPM_PATH.`, error);
+        }
+        throw new OCRError(`Could not render the PDF: ${error.message}`, error);
+      }
+
+      if (pageFiles.length === 0) {
+        throw new OCRError('The PDF does not contain any pages that could be read.');
+      }
+
+      const lines = [];
+      for (const [index, pageFile] of pageFiles.entries()) {
+        onProgress({ stage: 'ocr', page: index + 1, pages: pageFiles.length, message: `Reading page ${index + 1} of ${pageFiles.length}...` });
+        const pageResult = await this.recognize(await fs.promises.readFile(pageFile));
+        lines.push(...pageResult.lines);
+      }
+
+      return toOCRResult(this.name, lines, pageFiles.length);
+
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+};
+
+// Providers by name
+const providers = {
+  textract: textractProvider,
+  tesseract: tesseractProvider
+};
+
+/**
+ * Gets the configured OCR provider
+ * @returns {Object} OCR provider
+ * @throws {OCRError} If OCR_PROVIDER is not supported
+ */
+export const getOCRProvider = () => {
+  const provider = providers[OCR_PROVIDER];
+
+  if (!provider) {
+    throw new OCRError(`Unsupported OCR_PROVIDER "${OCR_PROVIDER}". Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return provider;
+};
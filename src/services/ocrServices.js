@@ -1,6 +1,7 @@
-// src/services/ocrService.js
-import { textract } from '../config/aws.js';
+// src/services/ocrServices.js
 import { OCRError } from '../utils/errors.js';
+import { getOCRProvider, isPdf } from './ocrProviders.js';
+import { OCR_ANALYZE_EXPENSE } from '../config/ocr.js';
 import fs from 'fs';
 import { promisify } from 'util';
 
@@ -9,12 +10,42 @@ const readFile = promisify(fs.readFile);
 const unlink = promisify(fs.unlink);
 
 /**
- * Extracts text from an image using AWS Textract
- * @param {string} imagePath - Path to the image file
- * @returns {Promise<string>} Extracted text from the image
+ * Runs the configured OCR provider and checks that text came back
+ * PDFs are read page by page (every page, in order); images use structured
+ * expense analysis when the provider supports it and OCR_ANALYZE_EXPENSE is on,
+ * so the result carries line items, tax, etc.
+ * @param {Buffer} bytes - Document bytes
+ * @param {Object} options - { onProgress } called with { stage, message, page?, pages? }
+ * @returns {Promise<Object>} OCRResult ({ text, lines: [{ text, confidence }], engine, pages, expense })
+ * @throws {OCRError} If no text could be extracted
+ */
+const recognizeDocument = async (bytes, options = {}) => {
+  const provider = getOCRProvider();
+
+  let result;
+  if (isPdf(bytes) && typeof provider.recognizePdf === 'function') {
+    result = await provider.recognizePdf(bytes, options);
+  } else if (OCR_ANALYZE_EXPENSE && typeof provider.analyzeExpense === 'function') {
+    result = await provider.analyzeExpense(bytes);
+  } else {
+    result = await provider.recognize(bytes);
+  }
+
+  if (!result.text || result.text.trim().length === 0) {
+    throw new OCRError('No text could be extracted from the image. Please ensure the image contains readable text.');
+  }
+
+  return result;
+};
+
+/**
+ * Extracts text from an image or PDF using the configured OCR provider
+ * @param {string} imagePath - Path to the image or PDF file
+ * @param {Object} options - { onProgress } for multi-page documents
+ * @returns {Promise<Object>} OCRResult ({ text, lines: [{ text, confidence }], engine, pages, expense })
  * @throws {OCRError} If OCR extraction fails
  */
-export const extractTextFromImage = async (imagePath) => {
+export const extractTextFromImage = async (imagePath, options = {}) => {
   try {
     // Validate image path
     if (!imagePath || typeof imagePath !== 'string') {
@@ -36,38 +67,12 @@ export const extractTextFromImage = async (imagePath) => {
       throw new OCRError(`Image file is too large. Maximum size is 10 MB. Current size: ${(imageBytes.length / 1024 / 1024).toFixed(2)} MB`);
     }
 
-    // Call AWS Textract
-    const params = {
-      Document: {
-        Bytes: imageBytes
-      }
-    };
-
-    console.log('Calling AWS Textract...');
-    const response = await textract.detectDocumentText(params).promise();
-
-    // Extract text from Textract response
-    let extractedText = '';
-    
-    if (response.Blocks) {
-      // Textract returns blocks of text with different types
-      // We're interested in LINE blocks (complete lines of text)
-      const textBlocks = response.Blocks
-        .filter(block => block.BlockType === 'LINE')
-        .map(block => block.Text)
-        .filter(text => text && text.trim().length > 0);
-
-      extractedText = textBlocks.join('\n');
-    }
-
-    if (!extractedText || extractedText.trim().length === 0) {
-      throw new OCRError('No text could be extracted from the image. Please ensure the image contains readable text.');
-    }
+    const result = await recognizeDocument(imageBytes, options);
 
-    console.log('Text extracted successfully. Length:', extractedText.length, 'characters');
-    console.log('Preview:', extractedText.substring(0, 100) + '...');
+    console.log(`Text extracted successfully with ${result.engine} (${result.pages} page(s)). Length:`, result.text.length, 'characters');
+    console.log('Preview:', result.text.substring(0, 100) + '...');
     
-    return extractedText.trim();
+    return result;
 
   } catch (error) {
     console.error('OCR Error:', error);
@@ -77,27 +82,6 @@ export const extractTextFromImage = async (imagePath) => {
       throw error;
     }
 
-    // Handle AWS-specific errors
-    if (error.code === 'InvalidParameterException') {
-      throw new OCRError('Invalid image format. Supported formats: PNG, JPEG, PDF. Please ensure the file is a valid image.', error);
-    }
-
-    if (error.code === 'AccessDeniedException') {
-      throw new OCRError('AWS Textract access denied. Check your AWS credentials and IAM permissions for Textract.', error);
-    }
-
-    if (error.code === 'InvalidS3ObjectException') {
-      throw new OCRError('Invalid S3 object (if using S3). Check the file path and permissions.', error);
-    }
-
-    if (error.code === 'ProvisionedThroughputExceededException') {
-      throw new OCRError('AWS Textract throughput limit exceeded. Please try again in a few moments.', error);
-    }
-
-    if (error.code === 'ThrottlingException') {
-      throw new OCRError('AWS Textract request was throttled. Please try again later.', error);
-    }
-
     // Generic error handling
     throw new OCRError(`OCR extraction failed: ${error.message}`, error);
   }
@@ -106,11 +90,12 @@ export const extractTextFromImage = async (imagePath) => {
 /**
  * Extracts text from image buffer (alternative method)
  * Useful when image is already in memory (e.g., from multer)
- * @param {Buffer} imageBuffer - Image buffer
- * @returns {Promise<string>} Extracted text
+ * @param {Buffer} imageBuffer - Image or PDF buffer
+ * @param {Object} options - { onProgress } for multi-page documents
+ * @returns {Promise<Object>} OCRResult ({ text, lines: [{ text, confidence }], engine, pages, expense })
  * @throws {OCRError} If OCR extraction fails
  */
-export const extractTextFromBuffer = async (imageBuffer) => {
+export const extractTextFromBuffer = async (imageBuffer, options = {}) => {
   try {
     // Validate buffer
     if (!Buffer.isBuffer(imageBuffer)) {
@@ -123,33 +108,11 @@ export const extractTextFromBuffer = async (imageBuffer) => {
       throw new OCRError(`Image buffer is too large. Maximum size is 10 MB. Current size: ${(imageBuffer.length / 1024 / 1024).toFixed(2)} MB`);
     }
 
-    const params = {
-      Document: {
-        Bytes: imageBuffer
-      }
-    };
-
-    console.log('Calling AWS Textract with buffer...');
-    const response = await textract.detectDocumentText(params).promise();
+    const result = await recognizeDocument(imageBuffer, options);
 
-    let extractedText = '';
+    console.log(`Text extracted from buffer successfully with ${result.engine}. Length:`, result.text.length, 'characters');
     
-    if (response.Blocks) {
-      const textBlocks = response.Blocks
-        .filter(block => block.BlockType === 'LINE')
-        .map(block => block.Text)
-        .filter(text => text && text.trim().length > 0);
-
-      extractedText = textBlocks.join('\n');
-    }
-
-    if (!extractedText || extractedText.trim().length === 0) {
-      throw new OCRError('No text could be extracted from the image buffer');
-    }
-
-    console.log('Text extracted from buffer successfully. Length:', extractedText.length, 'characters');
-    
-    return extractedText.trim();
+    return result;
   } catch (error) {
     console.error('OCR Buffer Error:', error);
     
@@ -157,15 +120,6 @@ export const extractTextFromBuffer = async (imageBuffer) => {
       throw error;
     }
 
-    // Handle AWS-specific errors (same as extractTextFromImage)
-    if (error.code === 'InvalidParameterException') {
-      throw new OCRError('Invalid image format. Supported formats: PNG, JPEG, PDF.', error);
-    }
-
-    if (error.code === 'AccessDeniedException') {
-      throw new OCRError('AWS Textract access denied. Check your AWS credentials and IAM permissions.', error);
-    }
-
     throw new OCRError(`OCR extraction from buffer failed: ${error.message}`, error);
   }
 };
@@ -0,0 +1,422 @@
+// src/services/recurringRuleService.js
+import {
+  createRecurringRule,
+  getRecurringRule,
+  getUserRecurringRules,
+  getDueRecurringRules,
+  updateRecurringRule,
+  deleteRecurringRule,
+  createTransaction,
+  findExternalIdsByPrefix
+} from './storageService.js';
+import { CADENCES, addCadence } from './recurringService.js';
+import { convertToBaseCurrency } from './currencyService.js';
+import { applyCategoryTree } from './categoryService.js';
+import { applyMerchantAliases } from './merchantService.js';
+import { RECURRING_SCHEDULER_ENABLED, RECURRING_SCHEDULER_INTERVAL_MINUTES } from '../config/scheduler.js';
+import { validateUserId, validateTransaction } from '../utils/validation.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * Scheduled recurring transactions (rent, salary, loan payments, ...)
+ * A rule describes a transaction that repeats on a cadence between a start and
+ * an optional end date. The scheduler posts every occurrence that is due with
+ * createTransaction (source: 'recurring') and then moves the rule's nextRunDate on.
+ *
+ * Each occurrence is saved with externalId "recurring:<ruleId>:<date>" and the
+ * rule's posted keys are read before posting, so a restart (or a crash between saving the
+ * transaction and advancing the rule) never posts the same occurrence twice.
+ * Occurrences missed while the server was down are posted on the next run.
+ */
+
+// Fields a user may change on an existing rule (the cadence and start date are fixed)
+const EDITABLE_RULE_FIELDS = ['amount', 'currency', 'merchant', 'category', 'type', 'description', 'endDate', 'active'];
+
+// Guards against overlapping scheduler runs in this process
+let running = false;
+
+// The run in progress for each rule (ruleId -> promise), so the scheduler and the
+// backfill of a new rule never post one rule's occurrences side by side
+const ruleRuns = new Map();
+
+/**
+ * Today's date (UTC, like the rest of the app)
+ * @returns {string} YYYY-MM-DD
+ */
+const todayDate = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Validates a strict YYYY-MM-DD date
+ * @param {string} value - Date
+ * @param {string} field - Field name for error messages
+ * @returns {string} Validated date
+ * @throws {ValidationError} If the date is malformed or doesn't exist
+ */
+const validateRuleDate = (value, field) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(date.getTime()) || date.toISOString().split('T')[0] !== value) {
+    throw new ValidationError(`${field} must be a date in YYYY-MM-DD format`, field);
+  }
+  return value;
+};
+
+/**
+ * Builds the prefix shared by the keys of a rule's occurrences
+ * @param {string} ruleId - Rule identifier
+ * @returns {string} externalId prefix
+ */
+const occurrencePrefix = (ruleId) => `recurring:${ruleId}:`;
+
+/**
+ * Builds the key that makes one occurrence of a rule unique
+ * @param {string} ruleId - Rule identifier
+ * @param {string} date - Occurrence date
+ * @returns {string} externalId of the posted transaction
+ */
+const occurrenceKey = (ruleId, date) => `${occurrencePrefix(ruleId)}${date}`;
+
+/**
+ * Gets the occurrence after a date, or null when it falls after the rule's end date
+ * Monthly and yearly rules keep the start date's day of month (clamped in short months)
+ * @param {Object} rule - Rule ({ cadence, startDate, endDate })
+ * @param {string} date - Current occurrence date
+ * @returns {string|null} Next occurrence date
+ */
+const nextOccurrence = (rule, date) => {
+  const next = addCadence(date, rule.cadence, Number(rule.startDate.slice(8, 10)));
+  return rule.endDate && next > rule.endDate ? null : next;
+};
+
+/**
+ * Gets the first occurrence on or after a date
+ * @param {Object} rule - Rule ({ cadence, startDate, endDate })
+ * @param {string} date - Earliest date
+ * @returns {string|null} Occurrence date, or null if the rule has ended by then
+ */
+const firstOccurrenceFrom = (rule, date) => {
+  let occurrence = rule.startDate;
+  while (occurrence && occurrence < date) {
+    occurrence = nextOccurrence(rule, occurrence);
+  }
+  return occurrence && (!rule.endDate || occurrence <= rule.endDate) ? occurrence : null;
+};
+
+/**
+ * Validates the transaction fields of a rule with the same rules used for transactions
+ * @param {Object} ruleData - Rule fields
+ * @returns {Object} Validated { amount, currency, merchant, category, type, description }
+ * @throws {ValidationError} If a field is invalid
+ */
+const validateRuleTransaction = (ruleData) => {
+  const { amount, currency, merchant, category, type, description } = validateTransaction({ ...ruleData, date: todayDate() });
+  return { amount, currency, merchant, category, type, description };
+};
+
+/**
+ * Validates an optional end date against the start date
+ * @param {string|null} endDate - End date
+ * @param {string} startDate - Start date
+ * @returns {string|null} Validated end date
+ * @throws {ValidationError} If it is malformed or before the start date
+ */
+const validateEndDate = (endDate, startDate) => {
+  if (endDate === undefined || endDate === null || endDate === '') {
+    return null;
+  }
+
+  validateRuleDate(endDate, 'endDate');
+  if (endDate < startDate) {
+    throw new ValidationError('endDate must be on or after startDate', 'endDate');
+  }
+  return endDate;
+};
+
+/**
+ * Lists a user's recurring rules
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Rules sorted by next run date (ended rules last)
+ */
+export const listRecurringRules = async (userId) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const rules = await getUserRecurringRules(validUserId);
+
+    return rules.sort((a, b) => (a.nextRunDate || '9999').localeCompare(b.nextRunDate || '9999'));
+  } catch (error) {
+    console.error('Error listing recurring rules:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets a single recurring rule
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @returns {Promise<Object>} Rule object
+ * @throws {NotFoundError} If the rule does not exist
+ */
+export const getRecurringRuleDetails = async (userId, ruleId) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const rule = await getRecurringRule(validUserId, ruleId);
+
+    if (!rule) {
+      throw new NotFoundError(`Recurring rule not found: ${ruleId}`);
+    }
+
+    return rule;
+  } catch (error) {
+    console.error('Error getting recurring rule details:', error);
+    throw error;
+  }
+};
+
+/**
+ * Creates a recurring rule
+ * A start date in the past is allowed: the missed occurrences are posted on the next scheduler run
+ * @param {string} userId - User identifier
+ * @param {Object} ruleData - { amount, merchant, category, type, currency?, description?,
+ *                              cadence: 'weekly'|'monthly'|'yearly', startDate, endDate? }
+ * @returns {Promise<Object>} Created rule
+ * @throws {ValidationError} If a field is invalid
+ */
+export const addRecurringRule = async (userId, ruleData) => {
+  try {
+    const validUserId = validateUserId(userId);
+
+    if (!ruleData || typeof ruleData !== 'object') {
+      throw new ValidationError('Recurring rule must be an object');
+    }
+
+    if (!CADENCES[ruleData.cadence]) {
+      throw new ValidationError(`Cadence must be one of: ${Object.keys(CADENCES).join(', ')}`, 'cadence');
+    }
+
+    const startDate = validateRuleDate(ruleData.startDate, 'startDate');
+    const rule = {
+      ...validateRuleTransaction(ruleData),
+      cadence: ruleData.cadence,
+      startDate,
+      endDate: validateEndDate(ruleData.endDate, startDate),
+      nextRunDate: startDate
+    };
+
+    const created = await createRecurringRule(validUserId, rule);
+
+    // Post anything already due instead of waiting for the next scheduled run
+    if (created.nextRunDate <= todayDate()) {
+      return await postRuleOccurrences(created);
+    }
+
+    return created;
+  } catch (error) {
+    console.error('Error adding recurring rule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Edits a recurring rule
+ * Changes apply to occurrences that haven't been posted yet. Resuming a paused
+ * rule (active: true) skips the occurrences that fell due while it was paused.
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @param {Object} updates - Any of { amount, currency, merchant, category, type, description, endDate, active }
+ * @returns {Promise<Object>} Updated rule
+ * @throws {ValidationError} If no editable fields are given or a value is invalid
+ * @throws {NotFoundError} If the rule does not exist
+ */
+export const editRecurringRule = async (userId, ruleId, updates) => {
+  try {
+    const validUserId = validateUserId(userId);
+
+    if (!updates || typeof updates !== 'object') {
+      throw new ValidationError('Updates must be an object');
+    }
+
+    const unknownFields = Object.keys(updates).filter(key => !EDITABLE_RULE_FIELDS.includes(key));
+    if (unknownFields.length > 0) {
+      throw new ValidationError(`Fields cannot be edited: ${unknownFields.join(', ')}`, unknownFields[0]);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      throw new ValidationError(`Provide at least one field to update: ${EDITABLE_RULE_FIELDS.join(', ')}`);
+    }
+
+    if (updates.active !== undefined && typeof updates.active !== 'boolean') {
+      throw new ValidationError('active must be true or false', 'active');
+    }
+
+    const existing = await getRecurringRuleDetails(validUserId, ruleId);
+    const merged = { ...existing, ...updates };
+
+    const changes = {
+      ...validateRuleTransaction(merged),
+      endDate: validateEndDate(merged.endDate, existing.startDate),
+      active: merged.active
+    };
+
+    // Work out the next occurrence again when the end date changes or a paused rule resumes
+    const resumed = existing.active === false && changes.active === true;
+    if (resumed || changes.endDate !== existing.endDate) {
+      const rule = { ...existing, endDate: changes.endDate };
+      const after = existing.lastRunDate ? nextOccurrence({ ...rule, endDate: null }, existing.lastRunDate) : existing.startDate;
+      changes.nextRunDate = firstOccurrenceFrom(rule, resumed && after < todayDate() ? todayDate() : after);
+    }
+
+    return await updateRecurringRule(validUserId, ruleId, changes);
+  } catch (error) {
+    console.error('Error editing recurring rule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes a recurring rule (transactions it already posted are kept)
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @returns {Promise<Object>} The deleted rule
+ * @throws {NotFoundError} If the rule does not exist
+ */
+export const removeRecurringRule = async (userId, ruleId) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const existing = await getRecurringRuleDetails(validUserId, ruleId);
+
+    await deleteRecurringRule(validUserId, ruleId);
+
+    return existing;
+  } catch (error) {
+    console.error('Error removing recurring rule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Posts every due occurrence of one rule, oldest first
+ * @param {Object} rule - Stored rule
+ * @param {string} today - Post occurrences up to this date (YYYY-MM-DD)
+ * @returns {Promise<Object>} The rule after its nextRunDate was advanced
+ */
+const postDueOccurrences = async (rule, today = todayDate()) => {
+  let current = rule;
+
+  if (!(current.active && current.nextRunDate && current.nextRunDate <= today)) {
+    return current;
+  }
+
+  // One read per run: occurrences already posted (e.g. the server stopped before the rule was advanced)
+  const posted = new Set(await findExternalIdsByPrefix(rule.userId, occurrencePrefix(rule.ruleId)));
+
+  while (current.active && current.nextRunDate && current.nextRunDate <= today) {
+    const date = current.nextRunDate;
+    const externalId = occurrenceKey(rule.ruleId, date);
+
+    if (!posted.has(externalId)) {
+      const transaction = validateTransaction(await applyMerchantAliases(rule.userId, {
+        amount: rule.amount,
+        currency: rule.currency,
+        merchant: rule.merchant,
+        category: rule.category,
+        type: rule.type,
+        description: rule.description,
+        date,
+        source: 'recurring',
+        rawText: '',
+        externalId
+      }));
+
+      const created = await createTransaction(rule.userId, await convertToBaseCurrency(rule.userId, await applyCategoryTree(rule.userId, transaction)));
+      console.log(`Posted recurring transaction ${created.transactionId} for rule ${rule.ruleId} (${date})`);
+    }
+
+    current = await updateRecurringRule(rule.userId, rule.ruleId, {
+      lastRunDate: date,
+      nextRunDate: nextOccurrence(rule, date)
+    });
+  }
+
+  return current;
+};
+
+/**
+ * Posts a rule's due occurrences once any run of the same rule in progress has finished
+ * The rule is read again when its turn comes, so it picks up after what the earlier
+ * run posted instead of posting the same dates again.
+ * @param {Object} rule - Stored rule
+ * @param {string} today - Post occurrences up to this date (YYYY-MM-DD)
+ * @returns {Promise<Object>} The rule after its nextRunDate was advanced (as given if it was deleted meanwhile)
+ */
+const postRuleOccurrences = (rule, today = todayDate()) => {
+  const previous = ruleRuns.get(rule.ruleId) || Promise.resolve();
+
+  const run = previous.catch(() => {}).then(async () => {
+    const latest = await getRecurringRule(rule.userId, rule.ruleId);
+    return latest ? postDueOccurrences(latest, today) : rule;
+  });
+
+  ruleRuns.set(rule.ruleId, run);
+  run.catch(() => {}).then(() => {
+    if (ruleRuns.get(rule.ruleId) === run) {
+      ruleRuns.delete(rule.ruleId);
+    }
+  });
+
+  return run;
+};
+
+/**
+ * Posts the due occurrences of every user's rules
+ * A failing rule is logged and retried on the next run; it doesn't stop the others.
+ * @param {string} today - Post occurrences up to this date (default: today)
+ * @returns {Promise<Object>} { rules: number of due rules, failed: number of rules that failed }
+ */
+export const runDueRecurringRules = async (today = todayDate()) => {
+  if (running) {
+    console.log('Recurring rules run already in progress, skipping');
+    return { rules: 0, failed: 0 };
+  }
+
+  running = true;
+  try {
+    const dueRules = await getDueRecurringRules(today);
+    let failed = 0;
+
+    for (const rule of dueRules) {
+      try {
+        await postRuleOccurrences(rule, today);
+      } catch (error) {
+        failed++;
+        console.error(`Error posting recurring rule ${rule.ruleId}:`, error);
+      }
+    }
+
+    if (dueRules.length > 0) {
+      console.log(`Recurring rules run: ${dueRules.length} due rule(s), ${failed} failed`);
+    }
+
+    return { rules: dueRules.length, failed };
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Starts the in-process scheduler (runs once now, then every RECURRING_SCHEDULER_INTERVAL_MINUTES)
+ * Does nothing when RECURRING_SCHEDULER_ENABLED is false
+ * @returns {Object|null} The interval timer, or null when disabled
+ */
+export const startRecurringScheduler = () => {
+  if (!RECURRING_SCHEDULER_ENABLED) {
+    return null;
+  }
+
+  const run = () => runDueRecurringRules().catch(error => {
+    console.error('Recurring scheduler run failed:', error);
+  });
+
+  run();
+
+  // unref() so the timer never keeps the process alive on its own
+  return setInterval(run, RECURRING_SCHEDULER_INTERVAL_MINUTES * 60 * 1000).unref();
+};
@@ -0,0 +1,246 @@
+// src/services/recurringService.js
+import { getTransactionPages } from './storageService.js';
+import { getBaseCurrency, convertAmount } from './currencyService.js';
+import { validateUserId } from '../utils/validation.js';
+
+/**
+ * Recurring transaction detection
+ * Scans a user's history for charges that repeat on a schedule: the same
+ * (normalized) merchant, a similar amount and a weekly, monthly or yearly gap
+ * between dates. Each pattern gets the next expected date and amount, and a
+ * price change is reported when the latest charge costs more than the one before.
+ */
+
+// Supported cadences: expected gap in days, accepted gap range, and occurrences needed
+export const CADENCES = {
+  weekly: { days: 7, minDays: 5, maxDays: 9, minOccurrences: 3 },
+  monthly: { days: 30, minDays: 26, maxDays: 35, minOccurrences: 3 },
+  yearly: { days: 365, minDays: 350, maxDays: 380, minOccurrences: 2 }
+};
+
+// Amounts within this share of the typical amount count as "similar"
+const AMOUNT_TOLERANCE = 0.25;
+
+// Share of gaps that must match the cadence (allows one skipped or late charge in longer histories)
+const MIN_MATCHING_GAPS = 0.75;
+
+// Price changes smaller than this are treated as rounding / FX noise
+const MIN_PRICE_CHANGE = 0.01;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalizes a merchant name so charges from the same merchant group together
+ * ("NETFLIX.COM*1234", "Netflix Inc." -> "netflix")
+ * @param {string} merchant - Merchant name
+ * @returns {string} Grouping key
+ */
+const merchantKey = (merchant) => String(merchant || '')
+  .toLowerCase()
+  .replace(/[*#].*$/, '')
+  .replace(/\.(com|net|org|io)\b/g, ' ')
+  .replace(/\b(inc|llc|ltd|corp|co)\b\.?/g, ' ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .replace(/\b\d+\b/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Converts a YYYY-MM-DD date to a day number
+ * @param {string} date - Date
+ * @returns {number} Days since the epoch
+ */
+const toDay = (date) => Math.round(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+
+/**
+ * Returns the median of a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number} Median
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Rounds to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Adds one cadence period to a date; monthly and yearly keep the day of month
+ * (clamped to the month's length, so Jan 31 -> Feb 28)
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} cadence - 'weekly' | 'monthly' | 'yearly'
+ * @param {number} dayOfMonth - Day of month to keep (monthly/yearly)
+ * @returns {string} Next date (YYYY-MM-DD)
+ */
+export const addCadence = (date, cadence, dayOfMonth = Number(date.slice(8, 10))) => {
+  const [year, month] = date.split('-').map(Number);
+
+  if (cadence === 'weekly') {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + 7 * DAY_MS).toISOString().split('T')[0];
+  }
+
+  const targetYear = cadence === 'yearly' ? year + 1 : year + (month === 12 ? 1 : 0);
+  const targetMonth = cadence === 'yearly' ? month : (month % 12) + 1;
+  const daysInMonth = new Date(Date.UTC(targetYear, targetMonth, 0)).getUTCDate();
+
+  return new Date(Date.UTC(targetYear, targetMonth - 1, Math.min(dayOfMonth, daysInMonth))).toISOString().split('T')[0];
+};
+
+/**
+ * Finds the cadence that fits a series of charges
+ * @param {Array<number>} gaps - Days between consecutive charges
+ * @returns {string|null} Cadence name or null
+ */
+const detectCadence = (gaps) => {
+  const typicalGap = median(gaps);
+
+  const match = Object.entries(CADENCES).find(([, cadence]) => {
+    if (gaps.length + 1 < cadence.minOccurrences || typicalGap < cadence.minDays || typicalGap > cadence.maxDays) {
+      return false;
+    }
+
+    const matching = gaps.filter(gap => gap >= cadence.minDays && gap <= cadence.maxDays).length;
+    return matching / gaps.length >= MIN_MATCHING_GAPS;
+  });
+
+  return match ? match[0] : null;
+};
+
+/**
+ * Analyzes the charges of one merchant
+ * @param {Array} transactions - Same merchant and type, oldest first
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {Object|null} Recurring pattern or null
+ */
+const analyzeSeries = (transactions, today) => {
+  // Keep the charges close to the typical amount (drops one-off purchases at the same merchant)
+  const typicalAmount = median(transactions.map(transaction => transaction.amount));
+  const charges = transactions.filter(transaction => Math.abs(transaction.amount - typicalAmount) <= typicalAmount * AMOUNT_TOLERANCE);
+
+  if (charges.length < 2) {
+    return null;
+  }
+
+  const gaps = charges.slice(1).map((charge, index) => toDay(charge.date) - toDay(charges[index].date));
+  const cadence = detectCadence(gaps);
+  if (!cadence) {
+    return null;
+  }
+
+  const last = charges[charges.length - 1];
+  const previous = charges[charges.length - 2];
+
+  // Monthly and yearly charges keep their usual day of month
+  const dayOfMonth = Math.floor(median(charges.map(charge => Number(charge.date.slice(8, 10)))));
+  let nextExpectedDate = addCadence(last.date, cadence, dayOfMonth);
+
+  // A pattern is lapsed when more than one charge in a row has been missed
+  const missed = toDay(today) - toDay(nextExpectedDate) > CADENCES[cadence].maxDays;
+  while (nextExpectedDate < today && !missed) {
+    nextExpectedDate = addCadence(nextExpectedDate, cadence, dayOfMonth);
+  }
+
+  const change = roundMoney(last.amount - previous.amount);
+  const priceChange = Math.abs(change) >= MIN_PRICE_CHANGE
+    ? {
+      previousAmount: previous.amount,
+      currentAmount: last.amount,
+      change,
+      percent: roundMoney((change / previous.amount) * 100),
+      changedOn: last.date,
+      direction: change > 0 ? 'increase' : 'decrease'
+    }
+    : null;
+
+  return {
+    merchant: last.merchant,
+    merchantKey: merchantKey(last.merchant),
+    category: last.category,
+    type: last.type,
+    currency: last.currency || 'USD',
+    cadence,
+    occurrences: charges.length,
+    averageAmount: roundMoney(charges.reduce((sum, charge) => sum + charge.amount, 0) / charges.length),
+    lastAmount: last.amount,
+    lastDate: last.date,
+    firstDate: charges[0].date,
+    nextExpectedDate,
+    nextExpectedAmount: last.amount,
+    status: missed ? 'lapsed' : 'active',
+    priceChange,
+    transactionIds: charges.map(charge => charge.transactionId)
+  };
+};
+
+/**
+ * Detects recurring transactions (subscriptions, rent, salary, ...) in a user's history
+ * @param {string} userId - User identifier
+ * @param {Object} options - { today?: 'YYYY-MM-DD' } (defaults to the current date)
+ * @returns {Promise<Object>} {
+ *   recurring: [{ merchant, merchantKey, category, type, currency, cadence, occurrences, averageAmount,
+ *                 lastAmount, lastDate, firstDate, nextExpectedDate, nextExpectedAmount,
+ *                 status: 'active'|'lapsed', priceChange, transactionIds }],
+ *   priceIncreases: active patterns whose latest charge went up,
+ *   monthlyCost: estimated monthly total of active recurring expenses (in baseCurrency),
+ *   baseCurrency: the user's base currency
+ * }
+ */
+export const detectRecurringTransactions = async (userId, { today = new Date().toISOString().split('T')[0] } = {}) => {
+  try {
+    const validUserId = validateUserId(userId);
+
+    // Group the whole history by merchant and type (only dates and amounts are kept)
+    const groups = new Map();
+    for await (const page of getTransactionPages(validUserId)) {
+      page.forEach(transaction => {
+        const key = merchantKey(transaction.merchant);
+        if (!key || !transaction.date || !(transaction.amount > 0)) {
+          return;
+        }
+
+        const groupKey = `${transaction.type}:${key}`;
+        if (!groups.has(groupKey)) {
+          groups.set(groupKey, []);
+        }
+        groups.get(groupKey).push({
+          transactionId: transaction.transactionId,
+          date: transaction.date,
+          amount: Number(transaction.amount),
+          merchant: transaction.merchant,
+          category: transaction.category,
+          type: transaction.type,
+          currency: transaction.currency
+        });
+      });
+    }
+
+    const recurring = [...groups.values()]
+      .filter(transactions => transactions.length >= 2)
+      .map(transactions => analyzeSeries(transactions.sort((a, b) => a.date.localeCompare(b.date)), today))
+      .filter(Boolean)
+      .sort((a, b) => (a.status === b.status ? a.nextExpectedDate.localeCompare(b.nextExpectedDate) : a.status === 'active' ? -1 : 1));
+
+    const active = recurring.filter(pattern => pattern.status === 'active');
+    const perMonth = { weekly: 52 / 12, monthly: 1, yearly: 1 / 12 };
+    const baseCurrency = await getBaseCurrency(validUserId);
+
+    // Patterns in a currency without an exchange rate are left out of the total
+    return {
+      recurring,
+      priceIncreases: active.filter(pattern => pattern.priceChange && pattern.priceChange.direction === 'increase'),
+      monthlyCost: roundMoney(active
+        .filter(pattern => pattern.type === 'expense')
+        .reduce((sum, pattern) => sum + (convertAmount(pattern.nextExpectedAmount, pattern.currency, baseCurrency, today) || 0) * perMonth[pattern.cadence], 0)),
+      baseCurrency
+    };
+  } catch (error) {
+    console.error('Error detecting recurring transactions:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,432 @@
+// src/services/ruleParserService.js
+
+/**
+ * Rule-based transaction parser
+ * A deterministic regex/keyword extractor for common phrasings such as
+ * "Spent $12.50 at Starbucks yesterday" or "Received 500 salary from work".
+ * Returns the same JSON shape as extractTransactionFromText, so it can stand
+ * in for the LLM when it is down, rate-limited or unconfigured, and can run
+ * first to save LLM calls on simple inputs.
+ */
+
+// Currency symbols and words mapped to ISO 4217 codes
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+const CURRENCY_WORDS = {
+  dollar: 'USD', dollars: 'USD', bucks: 'USD', usd: 'USD',
+  euro: 'EUR', euros: 'EUR', eur: 'EUR',
+  pound: 'GBP', pounds: 'GBP', gbp: 'GBP',
+  yen: 'JPY', jpy: 'JPY',
+  rupee: 'INR', rupees: 'INR', inr: 'INR',
+  cad: 'CAD', aud: 'AUD', chf: 'CHF', mxn: 'MXN'
+};
+
+// Verbs that decide the transaction type
+const EXPENSE_WORDS = ['spent', 'spend', 'paid', 'pay', 'bought', 'buy', 'purchased', 'purchase', 'charged', 'cost', 'ordered', 'tipped'];
+const INCOME_WORDS = ['received', 'receive', 'earned', 'earn', 'got paid', 'salary', 'paycheck', 'refund', 'refunded', 'reimbursed', 'deposit', 'deposited', 'income', 'bonus'];
+
+// Keyword hints for the categories listed in the LLM system prompt
+const CATEGORY_KEYWORDS = {
+  Food: ['starbucks', 'coffee', 'cafe', 'lunch', 'dinner', 'breakfast', 'restaurant', 'pizza', 'burger', 'groceries', 'grocery', 'whole foods', 'trader joe', 'chipotle', 'mcdonald', 'blue bottle', 'food', 'snack', 'bakery'],
+  Transport: ['uber', 'lyft', 'taxi', 'gas', 'fuel', 'shell', 'chevron', 'parking', 'train', 'bus', 'metro', 'subway', 'toll', 'flight', 'airline'],
+  Shopping: ['amazon', 'target', 'walmart', 'costco', 'ikea', 'clothes', 'shoes', 'mall', 'best buy', 'shopping'],
+  Entertainment: ['netflix', 'spotify', 'movie', 'cinema', 'concert', 'game', 'steam', 'hulu', 'disney', 'theater'],
+  Bills: ['rent', 'electric', 'electricity', 'water bill', 'internet', 'phone bill', 'utility', 'utilities', 'insurance', 'comcast', 'verizon', 'at&t'],
+  Healthcare: ['pharmacy', 'cvs', 'walgreens', 'doctor', 'dentist', 'hospital', 'clinic', 'medicine', 'prescription'],
+  Education: ['tuition', 'course', 'udemy', 'coursera', 'textbook', 'school', 'university', 'class']
+};
+
+// Words that end a merchant name ("at Starbucks yesterday" -> "Starbucks")
+const MERCHANT_STOP_WORDS = 'today|yesterday|tonight|this|last|on|for|and|with|in|via|using|by|ago|\\d+\\s+days?';
+
+// A number that may be an amount ("1,234.50", "12.50", "500")
+const NUMBER_PATTERN = '(\\d{1,3}(?:,\\d{3})+(?:\\.\\d{1,2})?|\\d+(?:\\.\\d{1,2})?)';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Formats a Date as YYYY-MM-DD (same convention as llmservices.js)
+ * @param {Date} date - Date to format
+ * @returns {string} ISO date string
+ */
+const toIsoDate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Escapes a string for use inside a RegExp
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Checks whether text contains a word or phrase (whole words only)
+ * @param {string} text - Lowercase text
+ * @param {string} phrase - Lowercase word or phrase
+ * @returns {boolean} True if found
+ */
+const containsWord = (text, phrase) => new RegExp(`(^|[^a-z])${escapeRegExp(phrase)}([^a-z]|$)`).test(text);
+
+/**
+ * Parses a number like "1,234.50"
+ * @param {string} value - Number text
+ * @returns {number} Parsed number
+ */
+const parseNumber = (value) => parseFloat(value.replace(/,/g, ''));
+
+/**
+ * Removes date-like tokens so their digits aren't mistaken for amounts
+ * @param {string} text - Input text
+ * @returns {string} Text without dates
+ */
+const stripDates = (text) => text
+  .replace(/\b\d{4}-\d{2}-\d{2}\b/g, ' ')
+  .replace(/\b\d{1,2}\/\d{1,2}(?:\/\d{2,4})?\b/g, ' ')
+  .replace(/\b\d+\s+days?\s+ago\b/gi, ' ');
+
+/**
+ * Finds the amount and currency in the text
+ * @param {string} text - Input text
+ * @returns {Object|null} { amount, currency, explicit } or null if no amount found
+ */
+export const parseAmount = (text) => {
+  const source = stripDates(text);
+  const number = NUMBER_PATTERN;
+
+  // "$12.50", "€5"
+  const symbolMatch = source.match(new RegExp(`([$€£¥₹])\\s?${number}`));
+  if (symbolMatch) {
+    return { amount: parseNumber(symbolMatch[2]), currency: CURRENCY_SYMBOLS[symbolMatch[1]], explicit: true };
+  }
+
+  // "12.50 dollars", "500 EUR"
+  const wordPattern = Object.keys(CURRENCY_WORDS).join('|');
+  const suffixMatch = source.match(new RegExp(`${number}\\s?(${wordPattern})\\b`, 'i'));
+  if (suffixMatch) {
+    return { amount: parseNumber(suffixMatch[1]), currency: CURRENCY_WORDS[suffixMatch[2].toLowerCase()], explicit: true };
+  }
+
+  // "USD 12.50"
+  const prefixMatch = source.match(new RegExp(`\\b(${wordPattern})\\s?${number}`, 'i'));
+  if (prefixMatch) {
+    return { amount: parseNumber(prefixMatch[2]), currency: CURRENCY_WORDS[prefixMatch[1].toLowerCase()], explicit: true };
+  }
+
+  // Bare number ("Received 500 salary") - only trusted when it's the only number
+  const bareNumbers = source.match(new RegExp(`\\b${number}\\b`, 'g')) || [];
+  if (bareNumbers.length > 0) {
+    return { amount: parseNumber(bareNumbers[0]), currency: null, explicit: bareNumbers.length === 1 };
+  }
+
+  return null;
+};
+
+/**
+ * Counts the numbers in the text that could be amounts (dates are not counted)
+ * @param {string} text - Input text
+ * @returns {number} How many amounts the text may contain
+ */
+const countAmounts = (text) => (stripDates(text).match(new RegExp(`\\b${NUMBER_PATTERN}\\b`, 'g')) || []).length;
+
+/**
+ * Finds the transaction date in the text
+ * @param {string} text - Input text
+ * @param {Date} now - Current date (injectable for tests)
+ * @returns {Object} { date: 'YYYY-MM-DD', explicit: boolean }
+ */
+export const parseDate = (text, now = new Date()) => {
+  const lower = text.toLowerCase();
+  const today = new Date(now);
+
+  const daysAgo = (days) => {
+    const date = new Date(today);
+    date.setDate(date.getDate() - days);
+    return toIsoDate(date);
+  };
+
+  if (containsWord(lower, 'yesterday')) {
+    return { date: daysAgo(1), explicit: true };
+  }
+
+  if (containsWord(lower, 'today') || containsWord(lower, 'tonight') || containsWord(lower, 'this morning')) {
+    return { date: toIsoDate(today), explicit: true };
+  }
+
+  const agoMatch = lower.match(/\b(\d+)\s+days?\s+ago\b/);
+  if (agoMatch) {
+    return { date: daysAgo(parseInt(agoMatch[1])), explicit: true };
+  }
+
+  const isoMatch = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  if (isoMatch && !isNaN(new Date(isoMatch[1]).getTime())) {
+    return { date: isoMatch[1], explicit: true };
+  }
+
+  // US style MM/DD or MM/DD/YYYY
+  const usMatch = text.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
+  if (usMatch) {
+    const year = usMatch[3] ? (usMatch[3].length === 2 ? 2000 + parseInt(usMatch[3]) : parseInt(usMatch[3])) : today.getUTCFullYear();
+    const month = String(parseInt(usMatch[1])).padStart(2, '0');
+    const day = String(parseInt(usMatch[2])).padStart(2, '0');
+    const candidate = `${year}-${month}-${day}`;
+    if (!isNaN(new Date(candidate).getTime())) {
+      return { date: candidate, explicit: true };
+    }
+  }
+
+  // "on Monday", "last Friday" -> most recent such weekday (today counts for "on")
+  const weekdayMatch = lower.match(new RegExp(`\\b(last|on)?\\s*(${WEEKDAYS.join('|')})\\b`));
+  if (weekdayMatch) {
+    const target = WEEKDAYS.indexOf(weekdayMatch[2]);
+    let diff = (today.getUTCDay() - target + 7) % 7;
+    if (diff === 0 && weekdayMatch[1] === 'last') {
+      diff = 7;
+    }
+    return { date: daysAgo(diff), explicit: true };
+  }
+
+  return { date: toIsoDate(today), explicit: false };
+};
+
+/**
+ * Finds the transaction type from verbs and keywords
+ * @param {string} text - Input text
+ * @returns {Object} { type: 'income'|'expense', explicit: boolean }
+ */
+export const parseType = (text) => {
+  const lower = text.toLowerCase();
+
+  if (INCOME_WORDS.some(word => containsWord(lower, word))) {
+    return { type: 'income', explicit: true };
+  }
+
+  if (EXPENSE_WORDS.some(word => containsWord(lower, word))) {
+    return { type: 'expense', explicit: true };
+  }
+
+  // Spending is by far the most common chat entry
+  return { type: 'expense', explicit: false };
+};
+
+/**
+ * Capitalizes an all-lowercase name ("whole foods" -> "Whole Foods")
+ * Names that already contain capitals are kept as typed
+ * @param {string} name - Name to format
+ * @returns {string} Formatted name
+ */
+const formatName = (name) => {
+  if (name !== name.toLowerCase()) {
+    return name;
+  }
+  return name.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+};
+
+/**
+ * Finds the merchant ("at X", "from X", "to X")
+ * @param {string} text - Input text
+ * @param {string} type - Transaction type (income uses "from", expenses "at"/"to")
+ * @returns {string|null} Merchant name or null if not found
+ */
+export const parseMerchant = (text, type) => {
+  const prepositions = type === 'income' ? 'from|at|by' : 'at|from|to|@';
+  const pattern = new RegExp(`(?:^|\\s)(?:${prepositions})\\s+(?:the\\s+)?(.+?)(?=\\s+(?:${MERCHANT_STOP_WORDS})\\b|\\s+[$€£¥₹]|\\s+\\d|[,;!?]|\\.(?:\\s|$)|$)`, 'i');
+  const match = text.match(pattern);
+
+  if (!match) {
+    return null;
+  }
+
+  const merchant = match[1].trim().replace(/[.\s]+$/, '');
+  if (!merchant || /^\d/.test(merchant) || merchant.length > 100) {
+    return null;
+  }
+
+  return formatName(merchant);
+};
+
+/**
+ * Finds a short description ("Bought groceries at ..." -> "groceries")
+ * @param {string} text - Input text
+ * @returns {string} Description (may be empty)
+ */
+const parseDescription = (text) => {
+  const verbs = [...EXPENSE_WORDS, ...INCOME_WORDS].filter(word => !word.includes(' ')).join('|');
+  const currencyWords = Object.keys(CURRENCY_WORDS).join('|');
+  const noPreposition = '(?!(?:at|from|to|for|on|of|a|an)\\b)';
+  const phraseEnd = '(?=\\s+(?:at|from|to|for|today|yesterday|on|and)\\b|\\s+[$€£¥₹\\d]|[,.;!?]|$)';
+
+  // "for groceries", "for lunch"
+  const forMatch = text.match(new RegExp(`\\bfor\\s+(?![$€£¥₹\\d])${noPreposition}([a-z][a-z ]*?)${phraseEnd}`, 'i'));
+  if (forMatch) {
+    return forMatch[1].trim();
+  }
+
+  // "Bought groceries at", "Received $500 salary from", "Paid 1,200 dollars rent to"
+  const objectMatch = text.match(new RegExp(`\\b(?:${verbs})\\s+(?:[$€£¥₹]?\\s?[\\d.,]+\\s+(?:(?:${currencyWords})\\s+)?)?${noPreposition}([a-z][a-z ]*?)${phraseEnd}`, 'i'));
+  if (objectMatch) {
+    return objectMatch[1].trim();
+  }
+
+  // "coffee $4 at Blue Bottle", "Uber ride 23.40"
+  const leadingMatch = text.match(/^\s*([a-z][a-z ]*?)\s+[$€£¥₹]?\s?\d/i);
+  if (leadingMatch && !new RegExp(`\\b(?:${verbs})\\b`, 'i').test(leadingMatch[1])) {
+    return leadingMatch[1].split(/\s+(?:at|from|to|for|on)\s+/i)[0].trim();
+  }
+
+  return '';
+};
+
+/**
+ * Picks a category from keywords in the merchant and description
+ * @param {string} text - Text to search
+ * @param {string} type - Transaction type
+ * @returns {Object} { category, explicit }
+ */
+export const parseCategory = (text, type) => {
+  const lower = text.toLowerCase();
+
+  for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+    if (keywords.some(keyword => containsWord(lower, keyword))) {
+      return { category, explicit: true };
+    }
+  }
+
+  return { category: type === 'income' ? 'Income' : 'Other', explicit: type === 'income' };
+};
+
+/**
+ * Splits a message into one segment per purchase
+ * ("coffee $4 at Blue Bottle and lunch $14 at Chipotle today" -> two segments).
+ * Pieces without an amount ("Paid rent and utilities $1500") stay joined.
+ * @param {string} text - User message
+ * @returns {Array<string>} Segments
+ */
+const splitSegments = (text) => {
+  const pieces = text.split(/\s+and\s+|\s*;\s*|,\s+/i).filter(piece => piece.trim().length > 0);
+  const segments = [];
+
+  pieces.forEach(piece => {
+    const previous = segments[segments.length - 1];
+    if (previous !== undefined && (!parseAmount(piece) || !parseAmount(previous))) {
+      segments[segments.length - 1] = `${previous} and ${piece}`;
+    } else {
+      segments.push(piece);
+    }
+  });
+
+  return segments;
+};
+
+/**
+ * Parses a single segment, using the whole message for anything the segment
+ * doesn't say itself (e.g. a trailing "today" or a leading "Spent")
+ * @param {string} segment - One purchase
+ * @param {string} text - The whole message
+ * @param {Object} options - { strict, now }
+ * @returns {Object|null} Transaction data or null
+ */
+const parseSegment = (segment, text, { strict, now }) => {
+  const amount = parseAmount(segment);
+  if (!amount || !(amount.amount > 0)) {
+    return null;
+  }
+
+  const segmentType = parseType(segment);
+  const { type, explicit: typeExplicit } = segmentType.explicit ? segmentType : parseType(text);
+  const merchant = parseMerchant(segment, type);
+
+  if (strict && (!amount.explicit || !typeExplicit || !merchant)) {
+    return null;
+  }
+
+  const description = parseDescription(segment);
+  const { category } = parseCategory(`${merchant || ''} ${description} ${segment}`, type);
+  const segmentDate = parseDate(segment, now);
+  const { date } = segmentDate.explicit ? segmentDate : parseDate(text, now);
+  const currency = amount.currency || parseAmount(text)?.currency || 'USD';
+
+  return {
+    amount: amount.amount,
+    date,
+    merchant: merchant || (type === 'income' ? 'Unknown Payer' : 'Unknown Merchant'),
+    category,
+    type,
+    currency,
+    description
+  };
+};
+
+/**
+ * Parses every transaction in a message without calling an LLM
+ * @param {string} text - User message
+ * @param {Object} options - Options
+ * @param {boolean} options.strict - Only return results when amount, type and merchant
+ *   were stated explicitly for every transaction (safe to use instead of the LLM);
+ *   a message with several purchases is only parsed when every one of them is
+ * @param {Date} options.now - Current date (injectable for tests)
+ * @returns {Array<Object>|null} Transactions in the extractTransactionsFromText shape,
+ *   or null if the text couldn't be parsed
+ */
+export const parseTransactionsText = (text, { strict = false, now = new Date() } = {}) => {
+  if (!text || typeof text !== 'string' || text.trim().length === 0) {
+    return null;
+  }
+
+  const segments = splitSegments(text.trim());
+  if (segments.length > 1) {
+    const transactions = segments.map(segment => parseSegment(segment, text, { strict, now }));
+    if (transactions.every(Boolean)) {
+      return transactions;
+    }
+
+    // Re-parsing the whole message as one purchase would drop or mix up the others
+    if (strict) {
+      return null;
+    }
+  }
+
+  // Single purchase (or, outside strict mode, segments that didn't all parse)
+  const transaction = parseTransactionText(text, { strict, now });
+  return transaction ? [transaction] : null;
+};
+
+/**
+ * Parses a single transaction from text without calling an LLM
+ * @param {string} text - User message
+ * @param {Object} options - Options
+ * @param {boolean} options.strict - Only return a result when amount, type and merchant
+ *   were all stated explicitly and the text has a single amount (safe to use instead of the LLM)
+ * @param {Date} options.now - Current date (injectable for tests)
+ * @returns {Object|null} Transaction data in the extractTransactionFromText shape,
+ *   or null if the text couldn't be parsed
+ */
+export const parseTransactionText = (text, { strict = false, now = new Date() } = {}) => {
+  if (!text || typeof text !== 'string' || text.trim().length === 0) {
+    return null;
+  }
+
+  const amount = parseAmount(text);
+  if (!amount || !(amount.amount > 0)) {
+    return null;
+  }
+
+  const { type, explicit: typeExplicit } = parseType(text);
+  const merchant = parseMerchant(text, type);
+
+  // Several amounts ("$4 at Starbucks and $14 on lunch") may be several transactions
+  if (strict && (!amount.explicit || !typeExplicit || !merchant || countAmounts(text) > 1)) {
+    return null;
+  }
+
+  const description = parseDescription(text);
+  const { category } = parseCategory(`${merchant || ''} ${description} ${text}`, type);
+  const { date } = parseDate(text, now);
+
+  return {
+    amount: amount.amount,
+    date,
+    merchant: merchant || (type === 'income' ? 'Unknown Payer' : 'Unknown Merchant'),
+    category,
+    type,
+    currency: amount.currency || 'USD',
+    description
+  };
+};
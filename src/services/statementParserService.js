@@ -0,0 +1,344 @@
+// src/services/statementParserService.js
+import crypto from 'crypto';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Bank statement parsers
+ * Turn OFX/QFX and QIF downloads into transaction data in the shape
+ * createTransaction expects. Each parser returns one entry per statement record:
+ * { row, transaction, error }
+ * - row: 1-based record number in the file (for messages)
+ * - transaction: { amount, type, date, merchant, category, currency, description,
+ *                  source: 'import', rawText, externalId? } or null
+ * - error: { message, field } when the record could not be read, else null
+ *
+ * externalId is the bank's transaction ID (OFX FITID, prefixed with the account ID
+ * when the statement has one) and is used as an exact duplicate key. QIF has no
+ * transaction IDs, so QIF records get a content hash instead.
+ *
+ * The date and amount helpers are shared with the CSV import.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Parses a date cell into YYYY-MM-DD
+ * @param {string} value - Date text
+ * @param {string} format - 'auto' or a pattern of YYYY/YY, MM, DD with any separators
+ * @returns {string|null} ISO date, or null if the value doesn't match
+ */
+export const parseImportDate = (value, format = 'auto') => {
+  const text = String(value || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  const toIso = (year, month, day) => {
+    const fullYear = year < 100 ? 2000 + year : year;
+    const date = new Date(Date.UTC(fullYear, month - 1, day));
+    if (date.getUTCFullYear() !== fullYear || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    return date.toISOString().split('T')[0];
+  };
+
+  if (format && format !== 'auto') {
+    const order = format.toUpperCase().match(/YYYY|YY|MM|DD/g) || [];
+    const parts = text.match(/\d+/g) || [];
+    if (order.length !== 3 || parts.length < 3) {
+      return null;
+    }
+
+    const values = {};
+    order.forEach((token, index) => {
+      values[token.startsWith('Y') ? 'year' : token === 'MM' ? 'month' : 'day'] = parseInt(parts[index]);
+    });
+    return toIso(values.year, values.month, values.day);
+  }
+
+  // 2024-01-31, 2024/01/31, 20240131
+  let match = text.match(/^(\d{4})[-/.]?(\d{2})[-/.]?(\d{2})/);
+  if (match) {
+    return toIso(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]));
+  }
+
+  // 31.01.2024 (dots are day-first everywhere they are used)
+  match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2,4})/);
+  if (match) {
+    return toIso(parseInt(match[3]), parseInt(match[2]), parseInt(match[1]));
+  }
+
+  // 01/31/2024 (US); falls back to day-first when the first number can't be a month
+  match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2,4})/);
+  if (match) {
+    const first = parseInt(match[1]);
+    const second = parseInt(match[2]);
+    return first > 12
+      ? toIso(parseInt(match[3]), second, first)
+      : toIso(parseInt(match[3]), first, second);
+  }
+
+  // "Jan 31, 2024", "31 Jan 2024"
+  const lower = text.toLowerCase();
+  match = lower.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})/) || lower.match(/^(\d{1,2})\s+([a-z]{3})[a-z]*\.?,?\s+(\d{4})/);
+  if (match) {
+    const [monthText, dayText] = /^\d/.test(match[1]) ? [match[2], match[1]] : [match[1], match[2]];
+    const month = MONTHS.indexOf(monthText) + 1;
+    return month > 0 ? toIso(parseInt(match[3]), month, parseInt(dayText)) : null;
+  }
+
+  return null;
+};
+
+/**
+ * Parses an amount cell ("$1,234.56", "(12.00)", "-12.00", "12.00-", "1.234,56")
+ * @param {string} value - Amount text
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {number|null} Signed amount, or null if empty / not a number
+ */
+export const parseImportAmount = (value, decimalSeparator = '.') => {
+  let text = String(value || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text) || /^[^\d]*-/.test(text);
+  text = text.replace(/[^\d.,]/g, '');
+
+  if (decimalSeparator === ',') {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(text);
+  if (isNaN(amount)) {
+    return null;
+  }
+
+  return negative ? -amount : amount;
+};
+
+/**
+ * Decodes the XML/SGML entities banks use in OFX text fields
+ * @param {string} value - Raw value
+ * @returns {string} Decoded value
+ */
+const decodeEntities = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Reads the first value of an OFX element
+ * Works for both OFX 1.x SGML (<NAME>Value, no closing tag) and OFX 2.x XML
+ * @param {string} block - OFX text to search
+ * @param {string} tag - Element name
+ * @returns {string} Value ('' if missing)
+ */
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1]).trim() : '';
+};
+
+/**
+ * Returns the contents of every <TAG>...</TAG> aggregate
+ * @param {string} text - OFX text
+ * @param {string} tag - Aggregate name
+ * @returns {Array<string>} Aggregate bodies
+ */
+const ofxBlocks = (text, tag) => {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)<\\/${tag}>`, 'gi');
+  return [...text.matchAll(pattern)].map(match => match[1]);
+};
+
+/**
+ * Parses an OFX date (YYYYMMDD[HHMMSS[.XXX]][[-5:EST]]) into YYYY-MM-DD
+ * The calendar date is taken as written; banks post dates in their own timezone
+ * @param {string} value - OFX date
+ * @returns {string|null} ISO date, or null if invalid
+ */
+const parseOfxDate = (value) => (/^\d{8}/.test(value) ? parseImportDate(value.slice(0, 8)) : null);
+
+/**
+ * Parses an OFX or QFX statement (bank, credit card or both, any number of accounts)
+ * TRNAMT is signed from the account holder's view: negative amounts are money out
+ * @param {string} text - File contents
+ * @returns {Array} [{ row, transaction, error }]
+ * @throws {ValidationError} If the file is not an OFX statement
+ */
+export const parseOfx = (text) => {
+  if (!/<OFX>/i.test(text)) {
+    throw new ValidationError('File is not an OFX/QFX statement', 'file');
+  }
+
+  // Bank (STMTRS) and credit card (CCSTMTRS) statements have the same transaction layout
+  const statements = [...ofxBlocks(text, 'STMTRS'), ...ofxBlocks(text, 'CCSTMTRS')];
+  const entries = [];
+
+  statements.forEach(statement => {
+    const currency = ofxValue(statement, 'CURDEF') || 'USD';
+    const accountId = ofxValue(statement, 'ACCTID');
+
+    ofxBlocks(statement, 'STMTTRN').forEach(block => {
+      const row = entries.length + 1;
+      const rawText = block.replace(/\s+/g, ' ').trim();
+
+      const date = parseOfxDate(ofxValue(block, 'DTPOSTED'));
+      const signedAmount = parseImportAmount(ofxValue(block, 'TRNAMT'));
+      const fitId = ofxValue(block, 'FITID');
+
+      if (!date) {
+        entries.push({ row, transaction: null, error: { message: `Unrecognized date "${ofxValue(block, 'DTPOSTED')}"`, field: 'date' } });
+        return;
+      }
+
+      if (signedAmount === null || signedAmount === 0) {
+        entries.push({ row, transaction: null, error: { message: 'Missing or zero amount', field: 'amount' } });
+        return;
+      }
+
+      // NAME may also sit inside a PAYEE aggregate; ofxValue finds it either way
+      const name = ofxValue(block, 'NAME');
+      // A <CURRENCY> aggregate means TRNAMT is in that currency instead of CURDEF
+      const currencyBlock = ofxBlocks(block, 'CURRENCY')[0];
+      const transactionCurrency = currencyBlock ? ofxValue(currencyBlock, 'CURSYM') : '';
+      const memo = ofxValue(block, 'MEMO');
+
+      entries.push({
+        row,
+        transaction: {
+          amount: Math.abs(signedAmount),
+          type: signedAmount < 0 ? 'expense' : 'income',
+          date,
+          merchant: (name || memo || ofxValue(block, 'TRNTYPE') || 'Unknown').slice(0, 200),
+          category: '',
+          currency: transactionCurrency || currency,
+          description: [name, memo].filter(Boolean).join(' - ').slice(0, 500),
+          source: 'import',
+          rawText,
+          ...(fitId && { externalId: accountId ? `${accountId}:${fitId}` : fitId })
+        },
+        error: null
+      });
+    });
+  });
+
+  return entries;
+};
+
+/**
+ * Parses a QIF file (Quicken Interchange Format, !Type:Bank / CCard / Cash)
+ * Records are lines of <code letter><value> ended by "^"
+ * @param {string} text - File contents
+ * @param {Object} options - { dateFormat: 'auto' | 'MM/DD/YYYY' | 'DD/MM/YYYY', currency }
+ * @returns {Array} [{ row, transaction, error }]
+ * @throws {ValidationError} If the file is not a QIF file
+ */
+export const parseQif = (text, { dateFormat = 'auto', currency = 'USD' } = {}) => {
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  if (!/^\s*!Type:/i.test(source)) {
+    throw new ValidationError('File is not a QIF file (missing !Type header)', 'file');
+  }
+
+  const entries = [];
+  const occurrences = new Map();
+  let record = {};
+  let lines = [];
+
+  const endRecord = () => {
+    if (lines.length === 0) {
+      return;
+    }
+
+    const row = entries.length + 1;
+    // Quicken writes years after 1999 as 1/5'26
+    const dateText = (record.D || '').replace(/'/g, '/').replace(/\s+/g, '');
+    const date = parseImportDate(dateText, dateFormat);
+    const signedAmount = parseImportAmount(record.T || record.U);
+    const rawText = lines.join('\n');
+
+    if (!date) {
+      entries.push({ row, transaction: null, error: { message: `Unrecognized date "${record.D || ''}"`, field: 'date' } });
+    } else if (signedAmount === null || signedAmount === 0) {
+      entries.push({ row, transaction: null, error: { message: 'Missing or zero amount', field: 'amount' } });
+    } else {
+      // Same content twice in one file is two transactions, so the hash includes the occurrence
+      const hash = crypto.createHash('sha1').update(`${date}|${signedAmount}|${record.P || ''}|${record.M || ''}|${record.N || ''}`).digest('hex');
+      const occurrence = (occurrences.get(hash) || 0) + 1;
+      occurrences.set(hash, occurrence);
+
+      // "[Savings]" is a transfer to another account, not a category
+      const category = record.L && !record.L.startsWith('[') ? record.L.split(':')[0].trim() : '';
+
+      entries.push({
+        row,
+        transaction: {
+          amount: Math.abs(signedAmount),
+          type: signedAmount < 0 ? 'expense' : 'income',
+          date,
+          merchant: (record.P || record.M || 'Unknown').slice(0, 200),
+          category: category.slice(0, 100),
+          currency,
+          description: [record.P, record.M].filter(Boolean).join(' - ').slice(0, 500),
+          source: 'import',
+          rawText,
+          externalId: `qif:${hash.slice(0, 16)}:${occurrence}`
+        },
+        error: null
+      });
+    }
+
+    record = {};
+    lines = [];
+  };
+
+  source.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+
+    if (trimmed === '' || trimmed.startsWith('!')) {
+      return;
+    }
+
+    if (trimmed === '^') {
+      endRecord();
+      return;
+    }
+
+    lines.push(trimmed);
+    const code = trimmed[0].toUpperCase();
+    // Split lines (S/E/$) repeat per split; the first value of a code wins
+    if (record[code] === undefined) {
+      record[code] = trimmed.slice(1).trim();
+    }
+  });
+
+  // Some exporters omit the final "^"
+  endRecord();
+
+  return entries;
+};
+
+/**
+ * Detects the statement format from the file name and contents
+ * @param {string} text - File contents
+ * @param {string} fileName - Original file name (optional)
+ * @returns {string|null} 'ofx', 'qif' or null if unknown
+ */
+export const detectStatementFormat = (text, fileName = '') => {
+  const extension = fileName.toLowerCase().split('.').pop();
+
+  if (extension === 'ofx' || extension === 'qfx' || /<OFX>/i.test(text)) {
+    return 'ofx';
+  }
+
+  if (extension === 'qif' || /^﻿?\s*!Type:/i.test(text)) {
+    return 'qif';
+  }
+
+  return null;
+};
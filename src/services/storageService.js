@@ -0,0 +1,135 @@
+// src/services/storageService.js
+import * as dynamodbBackend from './dynamodbService.js';
+import * as fileBackend from './fileStorageService.js';
+import { STORAGE_BACKEND } from '../config/storage.js';
+
+/**
+ * Storage repository
+ * Every module persists data through these functions instead of talking to
+ * a database directly. The backend is chosen with the STORAGE_BACKEND env var:
+ * - "dynamodb" (default): dynamodbService.js (AWS DynamoDB)
+ * - "local": fileStorageService.js (JSON file, no AWS credentials needed)
+ *
+ * A backend must export every function listed in REPOSITORY_FUNCTIONS with
+ * the same signature and error behavior as dynamodbService.js.
+ */
+
+// Functions every storage backend must implement
+export const REPOSITORY_FUNCTIONS = [
+  'createTransaction',
+  'createTransactions',
+  'getTransaction',
+  'getUserTransactions',
+  'findTransactionByExternalId',
+  'findExternalIdsByPrefix',
+  'updateTransaction',
+  'deleteTransaction',
+  'getTransactionsByDateRange',
+  'getTransactionPages',
+  'getUserDrafts',
+  'createUser',
+  'getUserByEmail',
+  'createBudget',
+  'getBudget',
+  'getUserBudgets',
+  'updateBudget',
+  'deleteBudget',
+  'createRecurringRule',
+  'getRecurringRule',
+  'getUserRecurringRules',
+  'getDueRecurringRules',
+  'updateRecurringRule',
+  'deleteRecurringRule',
+  'getUserSettings',
+  'saveUserSettings',
+  'createCategory',
+  'getCategory',
+  'getUserCategories',
+  'updateCategory',
+  'deleteCategory',
+  'createMerchantAlias',
+  'getMerchantAlias',
+  'getUserMerchantAliases',
+  'updateMerchantAlias',
+  'deleteMerchantAlias',
+  'createCategorizationRule',
+  'getCategorizationRule',
+  'getUserCategorizationRules',
+  'updateCategorizationRule',
+  'deleteCategorizationRule',
+  'createCorrection',
+  'getUserCorrections',
+  'deleteCorrection'
+];
+
+const backends = {
+  dynamodb: dynamodbBackend,
+  local: fileBackend
+};
+
+/**
+ * Gets the configured storage backend
+ * @returns {Object} Backend module implementing REPOSITORY_FUNCTIONS
+ * @throws {Error} If the backend is unknown or incomplete
+ */
+export const getStorageBackend = () => {
+  const backend = backends[STORAGE_BACKEND];
+
+  if (!backend) {
+    throw new Error(`Unsupported STORAGE_BACKEND "${STORAGE_BACKEND}". Use one of: ${Object.keys(backends).join(', ')}`);
+  }
+
+  const missing = REPOSITORY_FUNCTIONS.filter(name => typeof backend[name] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Storage backend "${STORAGE_BACKEND}" is missing: ${missing.join(', ')}`);
+  }
+
+  return backend;
+};
+
+const backend = getStorageBackend();
+
+export const createTransaction = (userId, transactionData) => backend.createTransaction(userId, transactionData);
+export const createTransactions = (userId, transactionsData) => backend.createTransactions(userId, transactionsData);
+export const getTransaction = (userId, transactionId) => backend.getTransaction(userId, transactionId);
+export const getUserTransactions = (userId, limit) => backend.getUserTransactions(userId, limit);
+export const findTransactionByExternalId = (userId, externalId) => backend.findTransactionByExternalId(userId, externalId);
+export const findExternalIdsByPrefix = (userId, prefix) => backend.findExternalIdsByPrefix(userId, prefix);
+export const updateTransaction = (userId, transactionId, updates) => backend.updateTransaction(userId, transactionId, updates);
+export const deleteTransaction = (userId, transactionId) => backend.deleteTransaction(userId, transactionId);
+export const getTransactionsByDateRange = (userId, startDate, endDate) => backend.getTransactionsByDateRange(userId, startDate, endDate);
+export const getTransactionPages = (userId, filters) => backend.getTransactionPages(userId, filters);
+export const getUserDrafts = (userId) => backend.getUserDrafts(userId);
+export const createUser = (userData) => backend.createUser(userData);
+export const getUserByEmail = (email) => backend.getUserByEmail(email);
+export const createBudget = (userId, budgetData) => backend.createBudget(userId, budgetData);
+export const getBudget = (userId, budgetId) => backend.getBudget(userId, budgetId);
+export const getUserBudgets = (userId, month) => backend.getUserBudgets(userId, month);
+export const updateBudget = (userId, budgetId, updates) => backend.updateBudget(userId, budgetId, updates);
+export const deleteBudget = (userId, budgetId) => backend.deleteBudget(userId, budgetId);
+export const createRecurringRule = (userId, ruleData) => backend.createRecurringRule(userId, ruleData);
+export const getRecurringRule = (userId, ruleId) => backend.getRecurringRule(userId, ruleId);
+export const getUserRecurringRules = (userId) => backend.getUserRecurringRules(userId);
+export const getDueRecurringRules = (date) => backend.getDueRecurringRules(date);
+export const updateRecurringRule = (userId, ruleId, updates) => backend.updateRecurringRule(userId, ruleId, updates);
+export const deleteRecurringRule = (userId, ruleId) => backend.deleteRecurringRule(userId, ruleId);
+export const getUserSettings = (userId) => backend.getUserSettings(userId);
+export const saveUserSettings = (userId, settings) => backend.saveUserSettings(userId, settings);
+export const createCategory = (userId, categoryData) => backend.createCategory(userId, categoryData);
+export const getCategory = (userId, categoryId) => backend.getCategory(userId, categoryId);
+export const getUserCategories = (userId) => backend.getUserCategories(userId);
+export const updateCategory = (userId, categoryId, updates) => backend.updateCategory(userId, categoryId, updates);
+export const deleteCategory = (userId, categoryId) => backend.deleteCategory(userId, categoryId);
+export const createMerchantAlias = (userId, aliasData) => backend.createMerchantAlias(userId, aliasData);
+export const getMerchantAlias = (userId, aliasId) => backend.getMerchantAlias(userId, aliasId);
+export const getUserMerchantAliases = (userId) => backend.getUserMerchantAliases(userId);
+export const updateMerchantAlias = (userId, aliasId, updates) => backend.updateMerchantAlias(userId, aliasId, updates);
+export const deleteMerchantAlias = (userId, aliasId) => backend.deleteMerchantAlias(userId, aliasId);
+export const createCategorizationRule = (userId, ruleData) => backend.createCategorizationRule(userId, ruleData);
+export const getCategorizationRule = (userId, ruleId) => backend.getCategorizationRule(userId, ruleId);
+export const getUserCategorizationRules = (userId) => backend.getUserCategorizationRules(userId);
+export const updateCategorizationRule = (userId, ruleId, updates) => backend.updateCategorizationRule(userId, ruleId, updates);
+export const deleteCategorizationRule = (userId, ruleId) => backend.deleteCategorizationRule(userId, ruleId);
+export const createCorrection = (userId, correctionData) => backend.createCorrection(userId, correctionData);
+export const getUserCorrections = (userId) => backend.getUserCorrections(userId);
+export const deleteCorrection = (userId, correctionId) => backend.deleteCorrection(userId, correctionId);
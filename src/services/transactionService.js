@@ -1,59 +1,346 @@
 // src/services/transactionService.js
-import { extractTextFromImage, extractTextFromBuffer, cleanupImageFile } from './services./ocrServices.js';
-import { extractTransactionFromText } from './services/llmServices.js';
+import { extractTextFromImage, extractTextFromBuffer, cleanupImageFile } from './ocrServices.js';
+import { extractTransactionFromText, extractTransactionsFromText } from './llmservices.js';
+import { parseTransactionsText } from './ruleParserService.js';
+import { checkBudgetThresholds } from './budgetService.js';
+import { convertToBaseCurrency, formatMoney } from './currencyService.js';
+import { getCategoryTree, mapOntoTree } from './categoryService.js';
+import { getMerchantAliases, normalizeTransactionMerchant } from './merchantService.js';
+import { getCategorizationRules, applyCategorizationRules } from './categorizationRuleService.js';
+import { getCorrectionExamples, recordCorrection } from './correctionService.js';
+import { DUPLICATE_ACTIONS, checkForDuplicates, holdDuplicate, takePendingDuplicate, restorePendingDuplicate } from './duplicateService.js';
+import { EXTRACTION_MODE } from '../config/llm.js';
+import { DRAFT_TTL_HOURS, RECEIPT_FIELDS } from '../config/storage.js';
 
 import { 
   createTransaction, 
-  checkForDuplicates, 
   getUserTransactions,
-  getTransaction 
-} from './services./dynamodbService.js';
+  getTransaction,
+  updateTransaction,
+  deleteTransaction,
+  getUserDrafts
+} from './storageService.js';
 import { validateTransaction, validateUserId } from '../utils/validation.js';
-import { ValidationError } from '../utils/errors.js';
+import { ValidationError, NotFoundError, LLMError } from '../utils/errors.js';
+
+// Fields a user may change on a stored transaction
+const EDITABLE_FIELDS = ['amount', 'date', 'merchant', 'category', 'type', 'currency', 'description', 'tags'];
+
+/**
+ * Extracts every transaction in a chat message
+ * Uses the LLM and/or the rule-based parser depending on EXTRACTION_MODE:
+ * - rules-first: unambiguous messages are parsed locally, saving an LLM call
+ * - llm-first/rules-first: if the LLM fails, fall back to the rule-based parser
+ *   so the user's entry isn't lost
+ * @param {string} text - User message
+ * @param {Array} categoryTree - The user's category tree (offered to the LLM)
+ * @param {Array} corrections - The user's similar past corrections (shown to the LLM as examples)
+ * @returns {Promise<Object>} { transactions: Array, extractedBy: 'llm'|'rules' }
+ * @throws {LLMError} If the LLM fails and the message can't be parsed locally
+ */
+const extractFromMessage = async (text, categoryTree, corrections) => {
+  if (EXTRACTION_MODE === 'rules-first') {
+    const parsed = parseTransactionsText(text, { strict: true });
+    if (parsed) {
+      console.log('Parsed transaction(s) with rule-based parser (no LLM call)');
+      return { transactions: parsed, extractedBy: 'rules' };
+    }
+  }
+
+  try {
+    const transactions = await extractTransactionsFromText(text, { categoryTree, corrections });
+    return { transactions, extractedBy: 'llm' };
+  } catch (error) {
+    if (!(error instanceof LLMError) || EXTRACTION_MODE === 'llm-only') {
+      throw error;
+    }
+
+    const parsed = parseTransactionsText(text);
+    if (!parsed) {
+      throw error;
+    }
+
+    console.warn(`LLM extraction failed (${error.message}). Using rule-based parser instead.`);
+    return { transactions: parsed, extractedBy: 'rules' };
+  }
+};
 
 /**
- * Processes a transaction from text input
+ * Adds itemized receipt details from structured expense analysis to the extracted data
+ * The analyzed total is preferred over the LLM's, which sometimes picks the subtotal
+ * @param {Object} transactionData - Data extracted by the LLM
+ * @param {Object|null} expense - OCRResult.expense (null when the engine can't itemize)
+ * @returns {Object} Transaction data with lineItems, subtotal, tax, tip and paymentMethod
+ */
+const applyReceiptDetails = (transactionData, expense) => {
+  if (!expense) {
+    return transactionData;
+  }
+
+  if (expense.total > 0 && expense.total !== transactionData.amount) {
+    console.log(`Using analyzed receipt total ${expense.total} instead of extracted amount ${transactionData.amount}`);
+    transactionData.amount = expense.total;
+  }
+
+  if (expense.currency) {
+    transactionData.currency = expense.currency;
+  }
+
+  if (expense.lineItems.length > 0) {
+    transactionData.lineItems = expense.lineItems;
+  }
+
+  ['subtotal', 'tax', 'tip', 'paymentMethod'].forEach(field => {
+    if (expense[field] !== null && expense[field] !== undefined) {
+      transactionData[field] = expense[field];
+    }
+  });
+
+  return transactionData;
+};
+
+/**
+ * Looks up a budget warning for a just-saved transaction
+ * A failed check is logged and skipped: the transaction is already saved
  * @param {string} userId - User identifier
- * @param {string} text - User message or text input
- * @returns {Promise<Object>} Created transaction and confirmation message
+ * @param {Object} transaction - Created transaction
+ * @returns {Promise<Object|null>} Budget alert (see checkBudgetThresholds) or null
  */
-export const processTransactionFromText = async (userId, text) => {
+const getBudgetAlert = async (userId, transaction) => {
   try {
-    // Validate user ID
-    const validUserId = validateUserId(userId);
+    return await checkBudgetThresholds(userId, transaction);
+  } catch (error) {
+    console.error('Error checking budget thresholds:', error);
+    return null;
+  }
+};
 
-    // Extract transaction data using LLM
-    let transactionData = await extractTransactionFromText(text);
+/**
+ * Checks whether a transaction is a draft nobody confirmed in time
+ * @param {Object} transaction - Stored transaction
+ * @returns {boolean} true if the draft's expiresAt has passed
+ */
+const isExpiredDraft = (transaction) => transaction.status === 'draft' && new Date(transaction.expiresAt) <= new Date();
+
+/**
+ * Deletes the user's expired drafts
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} The drafts still waiting for confirmation
+ */
+const removeExpiredDrafts = async (userId) => {
+  const drafts = await getUserDrafts(userId);
 
-    // Add source and raw text
-    transactionData.source = 'manual';
-    transactionData.rawText = text;
+  for (const expired of drafts.filter(isExpiredDraft)) {
+    await deleteTransaction(userId, expired.transactionId);
+    console.log('Expired draft removed:', expired.transactionId);
+  }
 
-    // Validate transaction data
-    const validatedData = validateTransaction(transactionData);
+  return drafts.filter(draft => !isExpiredDraft(draft));
+};
 
-    // Check for duplicates
-    const duplicates = await checkForDuplicates(validUserId, validatedData);
-    
-    if (duplicates.length > 0) {
-      return {
-        transaction: null,
-        message: `⚠️ Potential duplicate transaction detected. Similar transaction found: $${duplicates[0].amount} at ${duplicates[0].merchant} on ${duplicates[0].date}. Transaction ID: ${duplicates[0].transactionId}`,
-        isDuplicate: true,
-        duplicateTransaction: duplicates[0]
-      };
+/**
+ * Saves an extracted transaction, or keeps it as a draft for the user to review and confirm
+ * Drafts get no budget warning: they don't count until they are confirmed
+ * @param {string} userId - User identifier
+ * @param {Object} validatedData - Validated transaction data
+ * @param {Object} options - { draft, fromReceipt }
+ * @returns {Promise<Object>} { transaction, message, budgetAlert? }
+ */
+const saveExtractedTransaction = async (userId, validatedData, { draft = false, fromReceipt = false } = {}) => {
+  const convertedData = await convertToBaseCurrency(userId, validatedData);
+
+  if (draft) {
+    await removeExpiredDrafts(userId);
+
+    const expiresAt = new Date(Date.now() + DRAFT_TTL_HOURS * 60 * 60 * 1000).toISOString();
+    const transaction = await createTransaction(userId, { ...convertedData, status: 'draft', expiresAt });
+
+    return { transaction, message: generateDraftMessage(transaction) };
+  }
+
+  const transaction = await createTransaction(userId, convertedData);
+
+  // Warn when this expense pushes its category past 80% / 100% of the month's budget
+  const budgetAlert = await getBudgetAlert(userId, transaction);
+
+  return {
+    transaction,
+    message: generateConfirmationMessage(transaction, fromReceipt, budgetAlert),
+    ...(budgetAlert && { budgetAlert })
+  };
+};
+
+/**
+ * Describes the saved transaction a new one was matched with, and how closely
+ * @param {Object} candidate - Duplicate candidate (see duplicateService.checkForDuplicates)
+ * @returns {string} e.g. "$4.50 at Starbucks on 2024-01-15 (94% match). Transaction ID: txn-..."
+ */
+const describeDuplicateMatch = (candidate) => {
+  const { transaction, score } = candidate;
+  return `${formatMoney(transaction.amount, transaction.currency)} at ${transaction.merchant} on ${transaction.date} (${Math.round(score * 100)}% match). Transaction ID: ${transaction.transactionId}`;
+};
+
+/**
+ * Tells the user how to resolve a held duplicate
+ * @param {Object} pendingDuplicate - Held duplicate (see duplicateService)
+ * @returns {string} e.g. "Save it anyway, merge it or skip it (suggested: skip)"
+ */
+const describeDuplicateChoice = (pendingDuplicate) => {
+  const { action, reason } = pendingDuplicate.suggestion;
+  return `Save it anyway, merge it or skip it (suggested: ${action}${reason ? ` - ${reason}` : ''}).`;
+};
+
+/**
+ * Works out what merging a duplicate adds to the saved transaction
+ * The saved amount, date, merchant, category and type are kept; details it is
+ * missing (description, receipt items and totals, raw merchant) are filled in
+ * and tags are combined.
+ * @param {Object} existing - Saved transaction
+ * @param {Object} incoming - Held duplicate extraction
+ * @returns {Object} Fields to update (empty when there is nothing to add)
+ */
+const getMergeChanges = (existing, incoming) => {
+  const changes = {};
+
+  ['description', ...RECEIPT_FIELDS, 'rawMerchant'].forEach(field => {
+    const missing = existing[field] === undefined || existing[field] === null || existing[field] === '' ||
+      (Array.isArray(existing[field]) && existing[field].length === 0);
+    const offered = incoming[field] !== undefined && incoming[field] !== null && incoming[field] !== '';
+
+    if (missing && offered) {
+      changes[field] = incoming[field];
     }
+  });
+
+  const existingTags = existing.tags || [];
+  const newTags = (incoming.tags || []).filter(tag => !existingTags.some(existingTag => existingTag.toLowerCase() === tag.toLowerCase()));
+  if (newTags.length > 0) {
+    changes.tags = [...existingTags, ...newTags];
+  }
 
-    // Create transaction in database
-    const createdTransaction = await createTransaction(validUserId, validatedData);
+  return changes;
+};
+
+/**
+ * Learns from an edit of an extracted transaction (see correctionService)
+ * A failure is logged and skipped: the edit is already saved
+ * @param {string} userId - User identifier
+ * @param {Object} before - Transaction before the edit
+ * @param {Object} after - Transaction after the edit
+ * @returns {Promise<void>}
+ */
+const learnFromEdit = async (userId, before, after) => {
+  try {
+    await recordCorrection(userId, before, after);
+  } catch (error) {
+    console.error('Error recording correction:', error);
+  }
+};
+
+/**
+ * Processes the transactions in a text message
+ * A message can contain several transactions ("coffee $4 at Blue Bottle and
+ * lunch $14 at Chipotle today"); each one is validated, duplicate-checked and
+ * saved on its own, so one bad entry doesn't drop the others
+ * @param {string} userId - User identifier
+ * @param {string} text - User message or text input
+ * @param {Object} options - { draft } true to keep the entries as drafts until confirmed (see confirmTransaction)
+ * @returns {Promise<Object>} {
+ *   results: [{ status: 'created'|'draft'|'duplicate'|'invalid', transaction, message, duplicateTransaction?, pendingDuplicate?, error?, budgetAlert? }],
+ *   transactions: created transactions,
+ *   drafts: drafts waiting for confirmation,
+ *   transaction: first created transaction (or null),
+ *   message: combined confirmation message,
+ *   isDuplicate: true if any entry was held back as a duplicate
+ * }
+ */
+export const processTransactionFromText = async (userId, text, { draft = false } = {}) => {
+  try {
+    // Validate user ID
+    const validUserId = validateUserId(userId);
+
+    // Extract transaction data using LLM (or the rule-based parser, see extractFromMessage);
+    // the user's similar past corrections are shown to the LLM; merchants are then normalized,
+    // the user's rules applied and categories mapped onto their tree
+    const { categories, tree } = await getCategoryTree(validUserId);
+    const merchantAliases = await getMerchantAliases(validUserId);
+    const rules = await getCategorizationRules(validUserId);
+    const corrections = await getCorrectionExamples(validUserId, text);
+    const { transactions, extractedBy } = await extractFromMessage(text, tree, corrections);
+
+    const results = [];
+    const createdIds = new Set();
+
+    for (const transactionData of transactions) {
+      // Add source and raw text (the whole message, shared by every entry)
+      transactionData.source = 'manual';
+      transactionData.rawText = text;
+
+      // Validate transaction data
+      let validatedData;
+      try {
+        validatedData = mapOntoTree(categories, validateTransaction(applyCategorizationRules(rules, normalizeTransactionMerchant(merchantAliases, transactionData))));
+      } catch (error) {
+        if (!(error instanceof ValidationError)) {
+          throw error;
+        }
+
+        results.push({
+          status: 'invalid',
+          transaction: null,
+          message: `❌ Could not record "${transactionData.description || transactionData.merchant || 'transaction'}": ${error.message}`,
+          error: { message: error.message, field: error.field }
+        });
+        continue;
+      }
+
+      // Check for duplicates (entries saved from this same message don't count)
+      const duplicates = (await checkForDuplicates(validUserId, validatedData))
+        .filter(candidate => !createdIds.has(candidate.transaction.transactionId));
+
+      if (duplicates.length > 0) {
+        // Held for the user to save anyway, merge or skip
+        const pendingDuplicate = await holdDuplicate(validUserId, { transaction: validatedData, candidate: duplicates[0], options: { draft } });
+
+        results.push({
+          status: 'duplicate',
+          transaction: null,
+          message: `⚠️ Potential duplicate transaction detected. Similar transaction found: ${describeDuplicateMatch(duplicates[0])}. ${describeDuplicateChoice(pendingDuplicate)}`,
+          duplicateTransaction: duplicates[0].transaction,
+          pendingDuplicate
+        });
+        continue;
+      }
+
+      // Create transaction (or draft) in database
+      const saved = await saveExtractedTransaction(validUserId, validatedData, { draft });
+      createdIds.add(saved.transaction.transactionId);
+
+      results.push({
+        status: draft ? 'draft' : 'created',
+        ...saved
+      });
+    }
+
+    if (extractedBy === 'rules' && EXTRACTION_MODE !== 'rules-first' && results.length > 0) {
+      results[results.length - 1].message += ' (AI extraction was unavailable; parsed with built-in rules, please double-check the details)';
+    }
 
     // Generate confirmation message
-    const confirmationMessage = generateConfirmationMessage(createdTransaction);
+    const confirmationMessage = results.map(result => result.message).join('\n');
+
+    const created = results.filter(result => result.status === 'created').map(result => result.transaction);
+    const drafts = results.filter(result => result.status === 'draft').map(result => result.transaction);
+    const firstDuplicate = results.find(result => result.status === 'duplicate');
 
     return {
-      transaction: createdTransaction,
+      results,
+      transactions: created,
+      drafts,
+      transaction: created[0] || null,
       message: confirmationMessage,
-      isDuplicate: false
+      isDuplicate: Boolean(firstDuplicate),
+      duplicateTransaction: firstDuplicate ? firstDuplicate.duplicateTransaction : undefined
     };
 
   } catch (error) {
@@ -63,74 +350,89 @@ export const processTransactionFromText = async (userId, text) => {
 };
 
 /**
- * Processes a transaction from uploaded image (receipt)
- * @param {string} userId - User identifier
- * @param {string} imagePath - Path to uploaded image file
- * @returns {Promise<Object>} Created transaction and confirmation message
+ * Turns a read receipt into a transaction: extracts it with the LLM, adds the itemized
+ * details, normalizes the merchant ("STARBUCKS STORE #11873" -> "Starbucks"), applies the
+ * user's rules, validates it, maps the category onto the user's tree, checks for
+ * duplicates and saves it (or keeps it as a draft)
+ * @param {string} userId - Validated user ID
+ * @param {Object} ocrResult - OCRResult from extractTextFromImage / extractTextFromBuffer
+ * @param {Object} options - { draft }
+ * @returns {Promise<Object>} Created transaction (or draft, with isDraft) and confirmation message;
+ *   for a potential duplicate, the held pendingDuplicate instead (see resolveDuplicate)
  */
-export const processTransactionFromImage = async (userId, imagePath) => {
-  let cleanedUp = false;
+const processReceipt = async (userId, ocrResult, { draft = false } = {}) => {
+  const extractedText = ocrResult.text;
 
-  try {
-    // Validate user ID
-    const validUserId = validateUserId(userId);
+  // Extract transaction data from OCR text using LLM
+  console.log('Extracting transaction data from OCR text...');
+  const { categories, tree } = await getCategoryTree(userId);
+  const corrections = await getCorrectionExamples(userId, extractedText);
+  let transactionData = await extractTransactionFromText(extractedText, { categoryTree: tree, corrections });
+  transactionData = applyReceiptDetails(transactionData, ocrResult.expense);
 
-    // Extract text from image using OCR
-    console.log('Extracting text from image...');
-    const extractedText = await extractTextFromImage(imagePath);
+  // Add source and raw text
+  transactionData.source = 'ocr';
+  transactionData.rawText = extractedText;
 
-    // Extract transaction data from OCR text using LLM
-    console.log('Extracting transaction data from OCR text...');
-    let transactionData = await extractTransactionFromText(extractedText);
+  const merchantAliases = await getMerchantAliases(userId);
+  const rules = await getCategorizationRules(userId);
+  const normalizedData = applyCategorizationRules(rules, normalizeTransactionMerchant(merchantAliases, transactionData));
+  const validatedData = mapOntoTree(categories, validateTransaction(normalizedData));
 
-    // Add source and raw text
-    transactionData.source = 'ocr';
-    transactionData.rawText = extractedText;
+  // Check for duplicates
+  const duplicates = await checkForDuplicates(userId, validatedData);
 
-    // Validate transaction data
-    const validatedData = validateTransaction(transactionData);
+  if (duplicates.length > 0) {
+    // Held for the user to save anyway, merge or skip
+    const pendingDuplicate = await holdDuplicate(userId, { transaction: validatedData, candidate: duplicates[0], options: { draft, fromReceipt: true } });
 
-    // Check for duplicates
-    const duplicates = await checkForDuplicates(validUserId, validatedData);
-    
-    if (duplicates.length > 0) {
-      // Cleanup image file
-      await cleanupImageFile(imagePath);
-      cleanedUp = true;
+    return {
+      transaction: null,
+      message: `⚠️ Potential duplicate transaction detected from receipt. Similar transaction found: ${describeDuplicateMatch(duplicates[0])}. ${describeDuplicateChoice(pendingDuplicate)}`,
+      isDuplicate: true,
+      duplicateTransaction: duplicates[0].transaction,
+      pendingDuplicate
+    };
+  }
 
-      return {
-        transaction: null,
-        message: `⚠️ Potential duplicate transaction detected from receipt. Similar transaction found: $${duplicates[0].amount} at ${duplicates[0].merchant} on ${duplicates[0].date}. Transaction ID: ${duplicates[0].transactionId}`,
-        isDuplicate: true,
-        duplicateTransaction: duplicates[0]
-      };
-    }
+  // Create transaction (or draft) in database, with a budget warning if this receipt crossed a threshold
+  const saved = await saveExtractedTransaction(userId, validatedData, { draft, fromReceipt: true });
 
-    // Create transaction in database
-    const createdTransaction = await createTransaction(validUserId, validatedData);
+  return {
+    ...saved,
+    isDuplicate: false,
+    isDraft: draft
+  };
+};
 
-    // Cleanup image file after successful processing
-    await cleanupImageFile(imagePath);
-    cleanedUp = true;
+/**
+ * Processes a transaction from uploaded image (receipt) or PDF (every page is read)
+ * The uploaded file is deleted afterwards, whatever the outcome
+ * @param {string} userId - User identifier
+ * @param {string} imagePath - Path to uploaded image file
+ * @param {Object} options - { onProgress, draft }
+ *   onProgress: called with { stage, message, page?, pages? } (used by background jobs for multi-page documents)
+ *   draft: true to keep the transaction as a draft until confirmed (see confirmTransaction)
+ * @returns {Promise<Object>} See processReceipt
+ */
+export const processTransactionFromImage = async (userId, imagePath, { onProgress = () => {}, draft = false } = {}) => {
+  try {
+    // Validate user ID
+    const validUserId = validateUserId(userId);
 
-    // Generate confirmation message
-    const confirmationMessage = generateConfirmationMessage(createdTransaction, true);
+    // Extract text from image using OCR
+    console.log('Extracting text from image...');
+    onProgress({ stage: 'ocr', message: 'Reading document...' });
+    const ocrResult = await extractTextFromImage(imagePath, { onProgress });
 
-    return {
-      transaction: createdTransaction,
-      message: confirmationMessage,
-      isDuplicate: false
-    };
+    onProgress({ stage: 'extract', message: `Extracting transaction details from ${ocrResult.pages} page(s)...` });
+    return await processReceipt(validUserId, ocrResult, { draft });
 
   } catch (error) {
     console.error('Error processing transaction from image:', error);
-    
-    // Cleanup image file on error (if not already cleaned up)
-    if (!cleanedUp) {
-      await cleanupImageFile(imagePath);
-    }
-    
     throw error;
+  } finally {
+    await cleanupImageFile(imagePath);
   }
 };
 
@@ -138,85 +440,326 @@ export const processTransactionFromImage = async (userId, imagePath) => {
  * Processes a transaction from image buffer (from multer)
  * @param {string} userId - User identifier
  * @param {Buffer} imageBuffer - Image buffer
- * @returns {Promise<Object>} Created transaction and confirmation message
+ * @param {Object} options - { draft } true to keep the transaction as a draft until confirmed (see confirmTransaction)
+ * @returns {Promise<Object>} See processReceipt
  */
-export const processTransactionFromBuffer = async (userId, imageBuffer) => {
+export const processTransactionFromBuffer = async (userId, imageBuffer, { draft = false } = {}) => {
   try {
     // Validate user ID
     const validUserId = validateUserId(userId);
 
     // Extract text from image buffer using OCR
     console.log('Extracting text from image buffer...');
-    const extractedText = await extractTextFromBuffer(imageBuffer);
+    const ocrResult = await extractTextFromBuffer(imageBuffer);
 
-    // Extract transaction data from OCR text using LLM
-    console.log('Extracting transaction data from OCR text...');
-    let transactionData = await extractTransactionFromText(extractedText);
+    return await processReceipt(validUserId, ocrResult, { draft });
 
-    // Add source and raw text
-    transactionData.source = 'ocr';
-    transactionData.rawText = extractedText;
+  } catch (error) {
+    console.error('Error processing transaction from buffer:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets all transactions for a user
+ * @param {string} userId - User identifier
+ * @param {number} limit - Maximum number of transactions to return
+ * @returns {Promise<Array>} Array of transactions
+ */
+export const getUserTransactionHistory = async (userId, limit = 100) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const transactions = await getUserTransactions(validUserId, limit);
+    return transactions;
+  } catch (error) {
+    console.error('Error getting user transaction history:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets the user's drafts waiting for confirmation, newest first
+ * Expired drafts are deleted on the way
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array>} Array of drafts
+ */
+export const getUserDraftTransactions = async (userId) => {
+  try {
+    const validUserId = validateUserId(userId);
+    return await removeExpiredDrafts(validUserId);
+  } catch (error) {
+    console.error('Error getting user drafts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets a single transaction (or draft) for a user
+ * @param {string} userId - User identifier
+ * @param {string} transactionId - Transaction identifier
+ * @returns {Promise<Object>} Transaction object
+ * @throws {NotFoundError} If the transaction does not exist or is an expired draft
+ */
+export const getTransactionDetails = async (userId, transactionId) => {
+  try {
+    const validUserId = validateUserId(userId);
+    const transaction = await getTransaction(validUserId, transactionId);
+
+    if (!transaction) {
+      throw new NotFoundError(`Transaction not found: ${transactionId}`);
+    }
+
+    if (isExpiredDraft(transaction)) {
+      await deleteTransaction(validUserId, transactionId);
+      throw new NotFoundError(`Draft expired without being confirmed: ${transactionId}`);
+    }
+
+    return transaction;
+  } catch (error) {
+    console.error('Error getting transaction details:', error);
+    throw error;
+  }
+};
+
+/**
+ * Edits a stored transaction (e.g. to correct a wrong LLM extraction)
+ * The existing record is merged with the updates and re-validated as a whole,
+ * so an edit can never leave a transaction in a state creation would reject.
+ * Merchant, category and type changes are recorded as corrections for later extractions
+ * @param {string} userId - User identifier
+ * @param {string} transactionId - Transaction identifier
+ * @param {Object} updates - Fields to change (amount, date, merchant, category, type, currency, description, tags)
+ * @returns {Promise<Object>} Updated transaction object
+ * @throws {ValidationError} If no editable fields are given or the result is invalid
+ * @throws {NotFoundError} If the transaction does not exist
+ */
+export const editTransaction = async (userId, transactionId, updates) => {
+  try {
+    const validUserId = validateUserId(userId);
+
+    if (!updates || typeof updates !== 'object') {
+      throw new ValidationError('Updates must be an object');
+    }
+
+    const unknownFields = Object.keys(updates).filter(key => !EDITABLE_FIELDS.includes(key));
+    if (unknownFields.length > 0) {
+      throw new ValidationError(`Fields cannot be edited: ${unknownFields.join(', ')}`, unknownFields[0]);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      throw new ValidationError(`Provide at least one field to update: ${EDITABLE_FIELDS.join(', ')}`);
+    }
+
+    const existing = await getTransactionDetails(validUserId, transactionId);
+
+    // Validate the merged record, not just the changed fields
+    // (an edited merchant is kept as typed; rawMerchant still holds the extracted one)
+    const { categories } = await getCategoryTree(validUserId);
+    const merged = validateTransaction({ ...existing, ...updates });
+    let validatedData = mapOntoTree(categories, merged);
+
+    // A category only holds transactions of its kind: after a type change the old
+    // category falls back to the new kind's default (e.g. Groceries -> Income)
+    const mapped = categories.find(category => category.categoryId === validatedData.categoryId);
+    if (mapped && mapped.kind !== validatedData.type) {
+      validatedData = mapOntoTree(categories, { ...merged, category: '' });
+    }
 
-    // Validate transaction data
-    const validatedData = validateTransaction(transactionData);
+    // categoryId is always re-derived (null when the tree has no match), never kept from before
+    const changes = { categoryId: validatedData.categoryId || null };
+    EDITABLE_FIELDS.filter(field => validatedData[field] !== undefined).forEach(field => {
+      changes[field] = validatedData[field];
+    });
 
-    // Check for duplicates
-    const duplicates = await checkForDuplicates(validUserId, validatedData);
-    
+    // Amount, currency or date changes need a fresh conversion to the base currency
+    const { baseCurrency, baseAmount, exchangeRate } = await convertToBaseCurrency(validUserId, validatedData);
+
+    const updated = await updateTransaction(validUserId, transactionId, { ...changes, baseCurrency, baseAmount, exchangeRate });
+
+    // A corrected merchant, category or type teaches future extractions
+    await learnFromEdit(validUserId, existing, updated);
+
+    return updated;
+  } catch (error) {
+    console.error('Error editing transaction:', error);
+    throw error;
+  }
+};
+
+/**
+ * Confirms a draft, saving it as a transaction
+ * Edits sent with the confirmation are applied first (and learned from, like any edit);
+ * the draft is checked for duplicates again, since something similar may have been
+ * saved while it waited, and converted to the current base currency.
+ * @param {string} userId - User identifier
+ * @param {string} transactionId - Draft's transaction identifier
+ * @param {Object} updates - Optional edits (same fields as editTransaction)
+ * @returns {Promise<Object>} { transaction, message, budgetAlert? }
+ * @throws {ValidationError} If the transaction is not a draft, an edit is invalid or it duplicates a saved transaction
+ * @throws {NotFoundError} If the draft does not exist or has expired
+ */
+export const confirmTransaction = async (userId, transactionId, updates = {}) => {
+  try {
+    const validUserId = validateUserId(userId);
+    let draft = await getTransactionDetails(validUserId, transactionId);
+
+    if (draft.status !== 'draft') {
+      throw new ValidationError(`Transaction is already confirmed: ${transactionId}`);
+    }
+
+    if (updates && Object.keys(updates).length > 0) {
+      draft = await editTransaction(validUserId, transactionId, updates);
+    }
+
+    // Drafts are never returned as duplicates, so this only finds saved transactions
+    const duplicates = await checkForDuplicates(validUserId, draft);
     if (duplicates.length > 0) {
-      return {
-        transaction: null,
-        message: `⚠️ Potential duplicate transaction detected from receipt. Similar transaction found: $${duplicates[0].amount} at ${duplicates[0].merchant} on ${duplicates[0].date}. Transaction ID: ${duplicates[0].transactionId}`,
-        isDuplicate: true,
-        duplicateTransaction: duplicates[0]
-      };
+      throw new ValidationError(`⚠️ Potential duplicate transaction. Similar transaction found: ${describeDuplicateMatch(duplicates[0])}`);
     }
 
-    // Create transaction in database
-    const createdTransaction = await createTransaction(validUserId, validatedData);
+    // setBaseCurrency only re-converts saved transactions, so convert again in case the base changed while the draft waited
+    const { baseCurrency, baseAmount, exchangeRate } = await convertToBaseCurrency(validUserId, draft);
 
-    // Generate confirmation message
-    const confirmationMessage = generateConfirmationMessage(createdTransaction, true);
+    const confirmed = await updateTransaction(validUserId, transactionId, { status: 'confirmed', expiresAt: null, baseCurrency, baseAmount, exchangeRate });
+    console.log('Draft confirmed:', transactionId);
+
+    // Warn when this expense pushes its category past 80% / 100% of the month's budget
+    const budgetAlert = await getBudgetAlert(validUserId, confirmed);
 
     return {
-      transaction: createdTransaction,
-      message: confirmationMessage,
-      isDuplicate: false
+      transaction: confirmed,
+      message: generateConfirmationMessage(confirmed, confirmed.source === 'ocr', budgetAlert),
+      ...(budgetAlert && { budgetAlert })
     };
+  } catch (error) {
+    console.error('Error confirming transaction:', error);
+    throw error;
+  }
+};
+
+/**
+ * Resolves a potential duplicate held when it was extracted
+ * - save: records it anyway (as a draft if it was extracted in draft mode)
+ * - merge: adds its missing details to the existing transaction
+ * - skip: discards it
+ * @param {string} userId - User identifier
+ * @param {string} pendingId - Pending duplicate identifier
+ * @param {string} action - 'save' | 'merge' | 'skip'
+ * @returns {Promise<Object>} { action, transaction (saved, merged or kept), message, budgetAlert? }
+ * @throws {ValidationError} If the action is unknown
+ * @throws {NotFoundError} If the pending duplicate does not exist or has expired, or the existing transaction is gone (merge)
+ */
+export const resolveDuplicate = async (userId, pendingId, action) => {
+  try {
+    const validUserId = validateUserId(userId);
 
+    if (!DUPLICATE_ACTIONS.includes(action)) {
+      throw new ValidationError(`Action must be one of: ${DUPLICATE_ACTIONS.join(', ')}`, 'action');
+    }
+
+    // Taken out first so a second resolve of the same duplicate gets a 404 instead of saving it twice
+    const pendingDuplicate = takePendingDuplicate(validUserId, pendingId);
+    if (!pendingDuplicate) {
+      throw new NotFoundError(`Pending duplicate not found or expired: ${pendingId}`);
+    }
+
+    const { transaction: incoming, duplicateTransaction, options } = pendingDuplicate;
+    let result;
+
+    try {
+      if (action === 'save') {
+        result = await saveExtractedTransaction(validUserId, incoming, options);
+      } else if (action === 'merge') {
+        const existing = await getTransactionDetails(validUserId, duplicateTransaction.transactionId);
+        const changes = getMergeChanges(existing, incoming);
+        const merged = Object.keys(changes).length > 0
+          ? await updateTransaction(validUserId, existing.transactionId, changes)
+          : existing;
+
+        result = {
+          transaction: merged,
+          message: Object.keys(changes).length > 0
+            ? `🔗 Merged into ${formatTransactionAmount(merged)} at ${merged.merchant} on ${merged.date} (added ${Object.keys(changes).join(', ')}). Transaction ID: ${merged.transactionId}`
+            : `🔗 Nothing new to add to ${formatTransactionAmount(merged)} at ${merged.merchant} on ${merged.date}. Transaction ID: ${merged.transactionId}`
+        };
+      } else {
+        result = {
+          transaction: duplicateTransaction,
+          message: `⏭️ Skipped. Kept the existing ${formatTransactionAmount(duplicateTransaction)} at ${duplicateTransaction.merchant} on ${duplicateTransaction.date}. Transaction ID: ${duplicateTransaction.transactionId}`
+        };
+      }
+    } catch (error) {
+      // Nothing was resolved, so the user can try again
+      restorePendingDuplicate(validUserId, pendingDuplicate);
+      throw error;
+    }
+
+    console.log(`Duplicate ${pendingId} resolved: ${action}`);
+
+    return { action, ...result };
   } catch (error) {
-    console.error('Error processing transaction from buffer:', error);
+    console.error('Error resolving duplicate:', error);
     throw error;
   }
 };
 
 /**
- * Gets all transactions for a user
+ * Deletes a stored transaction
  * @param {string} userId - User identifier
- * @param {number} limit - Maximum number of transactions to return
- * @returns {Promise<Array>} Array of transactions
+ * @param {string} transactionId - Transaction identifier
+ * @returns {Promise<Object>} The deleted transaction
+ * @throws {NotFoundError} If the transaction does not exist
  */
-export const getUserTransactionHistory = async (userId, limit = 100) => {
+export const removeTransaction = async (userId, transactionId) => {
   try {
     const validUserId = validateUserId(userId);
-    const transactions = await getUserTransactions(validUserId, limit);
-    return transactions;
+    const existing = await getTransactionDetails(validUserId, transactionId);
+
+    await deleteTransaction(validUserId, transactionId);
+
+    return existing;
   } catch (error) {
-    console.error('Error getting user transaction history:', error);
+    console.error('Error removing transaction:', error);
     throw error;
   }
 };
 
+/**
+ * Formats a transaction's amount; foreign-currency amounts also show their value in the user's base currency
+ * @param {Object} transaction - Transaction object
+ * @returns {string} e.g. "€12.00 (≈ $13.05)"
+ */
+const formatTransactionAmount = (transaction) => {
+  const converted = transaction.baseCurrency && transaction.baseCurrency !== transaction.currency && typeof transaction.baseAmount === 'number';
+  return formatMoney(transaction.amount, transaction.currency) + (converted ? ` (≈ ${formatMoney(transaction.baseAmount, transaction.baseCurrency)})` : '');
+};
+
+/**
+ * Generates the message for a draft waiting for confirmation
+ * @param {Object} transaction - Draft transaction
+ * @returns {string} Draft message
+ */
+const generateDraftMessage = (transaction) => {
+  const typeText = transaction.type === 'income' ? 'income' : 'expense';
+
+  return `📝 Please review: ${formatTransactionAmount(transaction)} ${typeText} at ${transaction.merchant} (${transaction.category}) on ${transaction.date}. Confirm it within ${DRAFT_TTL_HOURS} hour(s) to save it. Draft ID: ${transaction.transactionId}`;
+};
+
 /**
  * Generates a confirmation message for a transaction
  * @param {Object} transaction - Transaction object
  * @param {boolean} fromReceipt - Whether transaction came from receipt/image
+ * @param {Object|null} budgetAlert - Budget threshold warning to append (see checkBudgetThresholds)
  * @returns {string} Confirmation message
  */
-const generateConfirmationMessage = (transaction, fromReceipt = false) => {
+const generateConfirmationMessage = (transaction, fromReceipt = false, budgetAlert = null) => {
   const sourceText = fromReceipt ? 'from receipt' : '';
   const typeEmoji = transaction.type === 'income' ? '💰' : '💸';
   const typeText = transaction.type === 'income' ? 'income' : 'expense';
   
-  return `✅ Transaction recorded ${sourceText}: $${transaction.amount.toFixed(2)} ${typeText} at ${transaction.merchant} (${transaction.category}). Transaction ID: ${transaction.transactionId}`;
+  const itemsText = transaction.lineItems && transaction.lineItems.length > 0 ? `, ${transaction.lineItems.length} item${transaction.lineItems.length === 1 ? '' : 's'}` : '';
+
+  const budgetText = budgetAlert ? `\n${budgetAlert.message}` : '';
+
+  return `✅ Transaction recorded ${sourceText}: ${formatTransactionAmount(transaction)} ${typeText} at ${transaction.merchant} (${transaction.category}${itemsText}). Transaction ID: ${transaction.transactionId}${budgetText}`;
 };
\ No newline at end of file
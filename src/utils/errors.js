@@ -57,6 +57,42 @@ export class ValidationError extends Error {
     }
   }
   
+  /**
+   * AuthenticationError - Thrown when a request has no valid session
+   * Used for missing/expired/tampered session tokens and bad credentials
+   */
+  export class AuthenticationError extends Error {
+    constructor(message = 'Authentication required') {
+      super(message);
+      this.name = 'AuthenticationError';
+      this.statusCode = 401; // HTTP 401 Unauthorized
+    }
+  }
+  
+  /**
+   * AuthorizationError - Thrown when an authenticated user accesses another user's data
+   * Used when a userId in the URL/body doesn't match the session
+   */
+  export class AuthorizationError extends Error {
+    constructor(message = 'You do not have access to this resource') {
+      super(message);
+      this.name = 'AuthorizationError';
+      this.statusCode = 403; // HTTP 403 Forbidden
+    }
+  }
+  
+  /**
+   * NotFoundError - Thrown when a requested record does not exist
+   * Used for lookups by ID (transactions, etc.)
+   */
+  export class NotFoundError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'NotFoundError';
+      this.statusCode = 404; // HTTP 404 Not Found
+    }
+  }
+  
   /**
    * Error handler middleware for Express
    * Catches all errors and returns consistent JSON error responses
@@ -65,7 +101,12 @@ export class ValidationError extends Error {
    * app.use(errorHandler);
    */
   export const errorHandler = (err, req, res, next) => {
-    console.error('Error:', err);
+    // Access failures are expected traffic; log them without a stack trace
+    if (err instanceof AuthenticationError || err instanceof AuthorizationError) {
+      console.warn(`${err.name} on ${req.method} ${req.originalUrl}${req.user ? ` (user: ${req.user.userId})` : ''}: ${err.message}`);
+    } else {
+      console.error('Error:', err);
+    }
   
     // Get status code from error or default to 500
     const statusCode = err.statusCode || 500;
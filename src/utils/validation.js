@@ -160,6 +160,158 @@ export const validateCurrency = (currency) => {
   return upperCurrency;
 };
 
+/**
+ * Validates an optional money field from a receipt (subtotal, tax, tip)
+ * @param {number|string} value - Amount (may be missing)
+ * @param {string} field - Field name for error messages
+ * @returns {number|undefined} Validated amount, or undefined if not provided
+ * @throws {ValidationError} If the amount is invalid
+ */
+export const validateOptionalAmount = (value, field) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  const numAmount = typeof value === 'string' ? parseFloat(value) : value;
+
+  if (typeof numAmount !== 'number' || !isFinite(numAmount) || numAmount < 0) {
+    throw new ValidationError(`${field} must be a number of 0 or more`, field);
+  }
+
+  return Math.round(numAmount * 100) / 100;
+};
+
+/**
+ * Validates itemized receipt lines
+ * @param {Array} lineItems - [{ name, quantity, unitPrice, total }]
+ * @returns {Array} Validated line items
+ * @throws {ValidationError} If a line item is invalid
+ */
+export const validateLineItems = (lineItems) => {
+  if (!Array.isArray(lineItems)) {
+    throw new ValidationError('Line items must be an array', 'lineItems');
+  }
+
+  if (lineItems.length > 200) {
+    throw new ValidationError('Too many line items (max 200)', 'lineItems');
+  }
+
+  const toNumber = (value) => (typeof value === 'string' ? parseFloat(value) : value);
+
+  return lineItems.map((item, index) => {
+    const name = item && typeof item.name === 'string' ? item.name.trim() : '';
+    if (name.length === 0 || name.length > 200) {
+      throw new ValidationError(`Line item ${index + 1} needs a name (max 200 characters)`, 'lineItems');
+    }
+
+    const quantity = item.quantity === undefined || item.quantity === null ? 1 : toNumber(item.quantity);
+    if (typeof quantity !== 'number' || !isFinite(quantity) || quantity <= 0) {
+      throw new ValidationError(`Line item ${index + 1} quantity must be greater than 0`, 'lineItems');
+    }
+
+    // Discount lines can be negative
+    const total = toNumber(item.total);
+    if (typeof total !== 'number' || !isFinite(total)) {
+      throw new ValidationError(`Line item ${index + 1} total must be a number`, 'lineItems');
+    }
+
+    const unitPrice = item.unitPrice === undefined || item.unitPrice === null ? null : toNumber(item.unitPrice);
+    if (unitPrice !== null && (typeof unitPrice !== 'number' || !isFinite(unitPrice))) {
+      throw new ValidationError(`Line item ${index + 1} unit price must be a number`, 'lineItems');
+    }
+
+    return { name, quantity, unitPrice, total };
+  });
+};
+
+/**
+ * Validates the optional itemized-receipt fields of a transaction
+ * Only fields that are present are returned, so plain chat transactions stay unchanged
+ * @param {Object} transaction - Transaction object
+ * @returns {Object} { lineItems?, subtotal?, tax?, tip?, paymentMethod? }
+ * @throws {ValidationError} If a field is invalid
+ */
+export const validateReceiptDetails = (transaction) => {
+  const details = {};
+
+  if (transaction.lineItems !== undefined && transaction.lineItems !== null) {
+    details.lineItems = validateLineItems(transaction.lineItems);
+  }
+
+  ['subtotal', 'tax', 'tip'].forEach(field => {
+    const value = validateOptionalAmount(transaction[field], field);
+    if (value !== undefined) {
+      details[field] = value;
+    }
+  });
+
+  if (transaction.paymentMethod) {
+    const paymentMethod = String(transaction.paymentMethod).trim();
+    if (paymentMethod.length > 100) {
+      throw new ValidationError('Payment method is too long (max 100 characters)', 'paymentMethod');
+    }
+    details.paymentMethod = paymentMethod;
+  }
+
+  return details;
+};
+
+/**
+ * Validates a bank transaction ID (OFX FITID) from a statement import
+ * @param {string} externalId - Bank transaction ID
+ * @returns {string} Validated ID (trimmed)
+ * @throws {ValidationError} If the ID is empty or too long
+ */
+export const validateExternalId = (externalId) => {
+  const trimmed = String(externalId).trim();
+
+  if (trimmed.length === 0 || trimmed.length > 255) {
+    throw new ValidationError('External ID must be between 1 and 255 characters', 'externalId');
+  }
+
+  return trimmed;
+};
+
+/**
+ * Validates transaction tags
+ * @param {Array<string>} tags - Tags
+ * @returns {Array<string>} Trimmed tags without empty entries or (case-insensitive) repeats
+ * @throws {ValidationError} If tags is not an array of strings, or there are too many or too long
+ */
+export const validateTags = (tags) => {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    throw new ValidationError('Tags must be an array of strings', 'tags');
+  }
+
+  const unique = tags
+    .map(tag => tag.trim())
+    .filter((tag, index, all) => tag.length > 0 && all.findIndex(other => other.toLowerCase() === tag.toLowerCase()) === index);
+
+  if (unique.length > 20) {
+    throw new ValidationError('Too many tags (max 20)', 'tags');
+  }
+
+  if (unique.some(tag => tag.length > 50)) {
+    throw new ValidationError('Tags are too long (max 50 characters each)', 'tags');
+  }
+
+  return unique;
+};
+
+/**
+ * Validates a calendar month (budgets are set per month)
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {string} Validated month
+ * @throws {ValidationError} If the month is missing or malformed
+ */
+export const validateMonth = (month) => {
+  if (!month || typeof month !== 'string' || !/^\d{4}-(0[1-9]|1[0-2])$/.test(month.trim())) {
+    throw new ValidationError('Month must be in YYYY-MM format', 'month');
+  }
+
+  return month.trim();
+};
+
 /**
  * Validates complete transaction object
  * @param {Object} transaction - Transaction object to validate
@@ -185,6 +337,24 @@ export const validateTransaction = (transaction) => {
       throw new ValidationError('Description is too long (max 500 characters)', 'description');
     }
 
+    // Itemized receipt details (line items, subtotal, tax, tip, payment method)
+    Object.assign(validated, validateReceiptDetails(transaction));
+
+    // Bank transaction ID from statement imports
+    if (transaction.externalId !== undefined && transaction.externalId !== null && transaction.externalId !== '') {
+      validated.externalId = validateExternalId(transaction.externalId);
+    }
+
+    // Labels such as "business", set by the user or by auto-categorization rules
+    if (transaction.tags !== undefined && transaction.tags !== null) {
+      validated.tags = validateTags(transaction.tags);
+    }
+
+    // Merchant as extracted, kept when normalization changed it (OCR lines can be long, so it is truncated, not rejected)
+    if (transaction.rawMerchant && typeof transaction.rawMerchant === 'string' && transaction.rawMerchant.trim() !== validated.merchant) {
+      validated.rawMerchant = transaction.rawMerchant.trim().slice(0, 500);
+    }
+
     return validated;
   } catch (error) {
     // If it's already a ValidationError, re-throw it
@@ -217,5 +387,68 @@ export const validateUserId = (userId) => {
     throw new ValidationError('User ID is too long (max 100 characters)', 'userId');
   }
 
+  return trimmed;
+};
+
+/**
+ * Validates email address
+ * @param {string} email - Email address
+ * @returns {string} Validated email (trimmed, lowercase)
+ * @throws {ValidationError} If email is invalid
+ */
+export const validateEmail = (email) => {
+  if (!email || typeof email !== 'string') {
+    throw new ValidationError('Email is required and must be a string', 'email');
+  }
+
+  const normalized = email.trim().toLowerCase();
+
+  if (normalized.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) {
+    throw new ValidationError('Email address is invalid', 'email');
+  }
+
+  return normalized;
+};
+
+/**
+ * Validates password strength
+ * @param {string} password - Plain text password
+ * @returns {string} The password (unchanged)
+ * @throws {ValidationError} If password is invalid
+ */
+export const validatePassword = (password) => {
+  if (!password || typeof password !== 'string') {
+    throw new ValidationError('Password is required and must be a string', 'password');
+  }
+
+  if (password.length < 6) {
+    throw new ValidationError('Password must be at least 6 characters long', 'password');
+  }
+
+  if (password.length > 200) {
+    throw new ValidationError('Password is too long (max 200 characters)', 'password');
+  }
+
+  return password;
+};
+
+/**
+ * Validates a person's name (first or last)
+ * @param {string} name - Name to validate
+ * @param {string} field - Field name used in error messages
+ * @returns {string} Validated name (trimmed)
+ * @throws {ValidationError} If name is invalid
+ */
+export const validateName = (name, field = 'name') => {
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    throw new ValidationError(`${field} is required`, field);
+  }
+
+  const trimmed = name.trim();
+
+  if (trimmed.length > 100) {
+    throw new ValidationError(`${field} is too long (max 100 characters)`, field);
+  }
+
   return trimmed;
 };
\ No newline at end of file
@@ -0,0 +1,209 @@
+// src/utils/xlsx.js
+import zlib from 'zlib';
+
+/**
+ * Minimal XLSX writer (one worksheet, text and number cells)
+ * An .xlsx file is a ZIP of a few XML parts; this builds them directly so the
+ * export needs no spreadsheet library. Rows are added in batches as they are
+ * read, and the workbook is zipped once at the end.
+ */
+
+// CRC-32 lookup table (ZIP checksum)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Computes the CRC-32 of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC-32
+ */
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Builds a ZIP archive (deflate) from in-memory files
+ * @param {Array} files - [{ name, content: string|Buffer }]
+ * @returns {Buffer} ZIP file
+ */
+const buildZip = (files) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  // MS-DOS time/date fields are required; a fixed 1980-01-01 keeps output reproducible
+  const dosTime = 0;
+  const dosDate = (1 << 5) | 1;
+
+  files.forEach(({ name, content }) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0); // local file header signature
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(0, 28); // extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0); // central directory signature
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42); // local header offset (other fields stay 0)
+
+    localParts.push(local, nameBuffer, compressed);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // end of central directory signature
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+/**
+ * Escapes text for XML, dropping characters XML 1.0 doesn't allow
+ * @param {*} value - Cell value
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => String(value)
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Converts a 0-based column index to a spreadsheet column name (0 -> A, 26 -> AA)
+ * @param {number} index - Column index
+ * @returns {string} Column name
+ */
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+/**
+ * Renders one worksheet row
+ * Numbers become numeric cells; everything else is written as inline text
+ * @param {Array} values - Cell values
+ * @param {number} rowNumber - 1-based row number
+ * @returns {string} <row> XML
+ */
+const renderRow = (values, rowNumber) => {
+  const cells = values.map((value, index) => {
+    const ref = `${columnName(index)}${rowNumber}`;
+
+    if (value === null || value === undefined || value === '') {
+      return '';
+    }
+
+    if (typeof value === 'number' && isFinite(value)) {
+      return `<c r="${ref}"><v>${value}</v></c>`;
+    }
+
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+  });
+
+  return `<row r="${rowNumber}">${cells.join('')}</row>`;
+};
+
+/**
+ * Creates a single-sheet workbook builder
+ * @param {string} sheetName - Worksheet name
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} { addRows(rows), toBuffer() }
+ */
+export const createXlsxWorkbook = (sheetName, headers) => {
+  const rows = [renderRow(headers, 1)];
+
+  return {
+    /**
+     * Appends rows (arrays of cell values) to the sheet
+     * @param {Array<Array>} values - Rows
+     */
+    addRows(values) {
+      values.forEach(row => rows.push(renderRow(row, rows.length + 1)));
+    },
+
+    /**
+     * Zips the workbook
+     * @returns {Buffer} .xlsx file contents
+     */
+    toBuffer() {
+      const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `<sheetData>${rows.join('')}</sheetData></worksheet>`;
+
+      return buildZip([
+        {
+          name: '[Content_Types].xml',
+          content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+            + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            + '</Types>'
+        },
+        {
+          name: '_rels/.rels',
+          content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            + '</Relationships>'
+        },
+        {
+          name: 'xl/workbook.xml',
+          content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+            + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+            + '</workbook>'
+        },
+        {
+          name: 'xl/_rels/workbook.xml.rels',
+          content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            + '</Relationships>'
+        },
+        { name: 'xl/worksheets/sheet1.xml', content: sheet }
+      ]);
+    }
+  };
+};
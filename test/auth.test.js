@@ -0,0 +1,125 @@
+// test/auth.test.js
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import express from 'express';
+import { hashPassword, verifyPassword, createSessionToken, verifySessionToken } from '../src/services/authService.js';
+import { getSessionToken, requireAuth, authorizeUser } from '../src/middleware/auth.js';
+import chatRoutes from '../src/routes/chat.js';
+import authRoutes from '../src/routes/auth.js';
+import { errorHandler, AuthenticationError, AuthorizationError } from '../src/utils/errors.js';
+
+const user = { userId: 'user-a', email: 'a@example.com' };
+
+/**
+ * Runs a middleware and resolves with what it passed to next()
+ */
+const runMiddleware = (middleware, req) => new Promise(resolve => middleware(req, {}, resolve));
+
+test('verifyPassword accepts the hashed password only', async () => {
+  const hash = await hashPassword('correct horse');
+
+  assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.equal(await verifyPassword('correct horse', hash), true);
+  assert.equal(await verifyPassword('wrong horse', hash), false);
+  assert.notEqual(await hashPassword('correct horse'), hash); // random salt
+});
+
+test('verifyPassword rejects malformed stored hashes', async () => {
+  assert.equal(await verifyPassword('x', ''), false);
+  assert.equal(await verifyPassword('x', undefined), false);
+  assert.equal(await verifyPassword('x', 'bcrypt$salt$hash'), false);
+});
+
+test('session tokens round-trip and reject tampering and expiry', () => {
+  const token = createSessionToken(user);
+  const session = verifySessionToken(token);
+  assert.equal(session.userId, 'user-a');
+  assert.equal(session.email, 'a@example.com');
+
+  const [encoded, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'user-b', email: 'b@example.com', exp: Date.now() + 60000 })).toString('base64url');
+  assert.throws(() => verifySessionToken(`${forged}.${signature}`), AuthenticationError);
+  assert.throws(() => verifySessionToken(`${encoded}.${signature.slice(1)}`), AuthenticationError);
+  assert.throws(() => verifySessionToken(encoded), AuthenticationError);
+  assert.throws(() => verifySessionToken(null), AuthenticationError);
+
+  const expired = Buffer.from(JSON.stringify({ sub: 'user-a', exp: Date.now() - 1000 })).toString('base64url');
+  const expiredSignature = crypto.createHmac('sha256', process.env.SESSION_SECRET).update(expired).digest('base64url');
+  assert.throws(() => verifySessionToken(`${expired}.${expiredSignature}`), /expired/);
+});
+
+test('getSessionToken reads the session cookie only', () => {
+  const token = createSessionToken(user);
+
+  assert.equal(getSessionToken({ headers: { cookie: `theme=dark; session=${encodeURIComponent(token)}` } }), token);
+  assert.equal(getSessionToken({ headers: { authorization: `Bearer ${token}` } }), null);
+  assert.equal(getSessionToken({ headers: {} }), null);
+});
+
+test('a malformed session cookie is treated as no session (401, not 500)', async () => {
+  const req = { headers: { cookie: 'session=%E0%A4%A' } };
+
+  assert.equal(getSessionToken(req), null);
+  assert.ok(await runMiddleware(requireAuth, req) instanceof AuthenticationError);
+});
+
+test('authorizeUser rejects a userId that is not the session user', async () => {
+  const session = { userId: 'user-a' };
+
+  assert.equal(await runMiddleware(authorizeUser, { user: session, params: { userId: 'user-a' }, query: {}, body: {} }), undefined);
+  assert.ok(await runMiddleware(authorizeUser, { user: session, params: {}, query: { userId: 'user-b' }, body: {} }) instanceof AuthorizationError);
+  assert.ok(await runMiddleware(authorizeUser, { user: session, params: {}, query: {}, body: { userId: 'user-b' } }) instanceof AuthorizationError);
+});
+
+test('uploads rejected with 403 leave no file behind', async (t) => {
+  const app = express();
+  app.use('/api', chatRoutes);
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/api/chat/upload`;
+
+  const filesBefore = fs.readdirSync('uploads').length;
+  const headers = { cookie: `session=${encodeURIComponent(createSessionToken(user))}` };
+  const form = (fields) => {
+    const body = new FormData();
+    Object.entries(fields).forEach(([name, value]) => body.append(name, value));
+    body.append('file', new Blob([Buffer.from('not really a receipt')], { type: 'image/png' }), 'receipt.png');
+    return body;
+  };
+
+  const viaQuery = await fetch(`${url}?userId=user-b`, { method: 'POST', headers, body: form({}) });
+  assert.equal(viaQuery.status, 403);
+
+  const viaField = await fetch(url, { method: 'POST', headers, body: form({ userId: 'user-b' }) });
+  assert.equal(viaField.status, 403);
+
+  assert.equal(fs.readdirSync('uploads').length, filesBefore);
+});
+
+test('the session token is only sent as a cookie and a bearer copy of it is refused', async (t) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authRoutes);
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/api/auth`;
+
+  const signup = await fetch(`${url}/signup`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ firstName: 'Ada', lastName: 'Lovelace', email: 'cookie-only@example.com', password: 'correct horse battery' })
+  });
+  assert.equal(signup.status, 201);
+  assert.equal((await signup.json()).data.token, undefined);
+
+  const token = decodeURIComponent(signup.headers.get('set-cookie').match(/session=([^;]+)/)[1]);
+  assert.equal((await fetch(`${url}/me`, { headers: { cookie: `session=${encodeURIComponent(token)}` } })).status, 200);
+  assert.equal((await fetch(`${url}/me`, { headers: { authorization: `Bearer ${token}` } })).status, 401);
+});
@@ -0,0 +1,81 @@
+// test/categorizationRuleService.test.js
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyCategorizationRules, addCategorizationRule } from '../src/services/categorizationRuleService.js';
+import { ValidationError } from '../src/utils/errors.js';
+
+const ride = {
+  amount: 23.4,
+  currency: 'USD',
+  date: '2026-01-15',
+  merchant: 'Uber',
+  rawMerchant: 'UBER *TRIP HELP.UBER.COM',
+  category: 'Taxi & Rideshare',
+  type: 'expense',
+  description: 'Airport ride for client visit'
+};
+
+/**
+ * Builds a stored-looking rule
+ */
+const rule = (conditions, actions, extra = {}) => ({ priority: 0, active: true, createdAt: '2026-01-01T00:00:00.000Z', conditions, actions, ...extra });
+
+test('every condition of a rule must match', () => {
+  const rules = [rule({ merchantContains: 'help.uber', amountMin: 10, amountMax: 50, descriptionMatches: 'client|customer', type: 'expense' }, { category: 'Business Travel' })];
+
+  assert.equal(applyCategorizationRules(rules, ride).category, 'Business Travel');
+  assert.equal(applyCategorizationRules(rules, { ...ride, amount: 75 }).category, 'Taxi & Rideshare');
+  assert.equal(applyCategorizationRules(rules, { ...ride, description: 'ride home' }).category, 'Taxi & Rideshare');
+  assert.equal(applyCategorizationRules(rules, { ...ride, type: 'income' }).category, 'Taxi & Rideshare');
+});
+
+test('description patterns ignore case', () => {
+  const rules = [rule({ descriptionMatches: '^airport\\s+ride' }, { category: 'Business Travel' })];
+
+  assert.equal(applyCategorizationRules(rules, ride).category, 'Business Travel');
+});
+
+test('the first rule by priority wins a field and tags from every match are combined', () => {
+  const rules = [
+    rule({ merchantContains: 'uber' }, { category: 'Commute', tags: ['rides'] }, { priority: 5 }),
+    rule({ merchantContains: 'uber' }, { category: 'Business Travel', tags: ['business'] }, { priority: 1 }),
+    rule({ merchantContains: 'uber' }, { category: 'Ignored' }, { priority: 0, active: false })
+  ];
+
+  const result = applyCategorizationRules(rules, ride);
+  assert.equal(result.category, 'Business Travel');
+  assert.deepEqual(result.tags, ['business', 'rides']);
+});
+
+test('patterns RE2 can\'t run are rejected when a rule is saved', async () => {
+  for (const descriptionMatches of ['(a)\\1', '(?<word>a)\\k<word>', 'uber(?= trip)', '(?<!lyft )ride']) {
+    await assert.rejects(
+      addCategorizationRule('rules-a', { conditions: { descriptionMatches }, actions: { category: 'Coffee' } }),
+      ValidationError,
+      descriptionMatches
+    );
+  }
+
+  for (const descriptionMatches of ['(uber|lyft) trip', '\\d+ (ride)?', '(a+)+$', '[(a+)+]', 'a\\\\1']) {
+    const saved = await addCategorizationRule('rules-a', { conditions: { descriptionMatches }, actions: { category: 'Coffee' } });
+    assert.equal(saved.conditions.descriptionMatches, descriptionMatches);
+  }
+});
+
+test('patterns that would backtrack for a long time match in linear time', () => {
+  const description = ' '.repeat(120);
+
+  const started = Date.now();
+  for (const descriptionMatches of ['\\s*\\s*\\s*\\s*\\s*\\s*\\s*\\s*x', '.*.*.*.*x', '(\\s+)+x', '(\\w|\\s)*x']) {
+    const rules = [rule({ descriptionMatches }, { category: 'Business Travel' })];
+    assert.equal(applyCategorizationRules(rules, { ...ride, description }).category, 'Taxi & Rideshare');
+  }
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('a pattern saved before RE2 was used and that it can\'t run never matches', () => {
+  const rules = [rule({ descriptionMatches: 'airport(?= ride)' }, { category: 'Business Travel' })];
+
+  assert.equal(applyCategorizationRules(rules, ride).category, 'Taxi & Rideshare');
+});
@@ -0,0 +1,63 @@
+// test/categoryService.test.js
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCategoryTree, editCategory, removeCategory } from '../src/services/categoryService.js';
+import { addCategorizationRule, getCategorizationRuleDetails } from '../src/services/categorizationRuleService.js';
+import { addRecurringRule, getRecurringRuleDetails } from '../src/services/recurringRuleService.js';
+import { addBudget, getBudgetDetails, removeBudget } from '../src/services/budgetService.js';
+import { ValidationError } from '../src/utils/errors.js';
+
+// Far enough ahead that nothing is posted while the test runs
+const nextMonth = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+/**
+ * Finds a category of the user's (default) tree by name
+ */
+const findCategory = async (userId, name) => (await getCategoryTree(userId)).categories.find(category => category.name === name);
+
+/**
+ * Gives a user a budget, a categorization rule and a recurring rule that all name Coffee
+ */
+const useCoffee = async (userId) => ({
+  budget: await addBudget(userId, { category: 'Coffee', month: '2026-01', amount: 40 }),
+  rule: await addCategorizationRule(userId, { conditions: { merchantContains: 'roastery' }, actions: { category: 'Coffee' } }),
+  recurring: await addRecurringRule(userId, {
+    amount: 12, merchant: 'Bean Club', category: 'Coffee', type: 'expense', cadence: 'monthly', startDate: nextMonth
+  })
+});
+
+test('renaming a category renames it on budgets, categorization rules and recurring rules', async () => {
+  const { budget, rule, recurring } = await useCoffee('category-a');
+  const coffee = await findCategory('category-a', 'Coffee');
+
+  const renamed = await editCategory('category-a', coffee.categoryId, { name: 'Cafés' });
+  assert.ok(renamed.aliases.includes('Coffee'));
+
+  assert.equal((await getBudgetDetails('category-a', budget.budgetId)).category, 'Cafés');
+  assert.equal((await getCategorizationRuleDetails('category-a', rule.ruleId)).actions.category, 'Cafés');
+  assert.equal((await getRecurringRuleDetails('category-a', recurring.ruleId)).category, 'Cafés');
+});
+
+test('a category still named by a budget or rule cannot be deleted', async () => {
+  const { budget } = await useCoffee('category-b');
+  const coffee = await findCategory('category-b', 'Coffee');
+
+  await assert.rejects(removeCategory('category-b', coffee.categoryId), error => {
+    assert.ok(error instanceof ValidationError);
+    assert.match(error.message, /budget for 2026-01/);
+    assert.match(error.message, /recurring Bean Club/);
+    return true;
+  });
+  assert.ok(await findCategory('category-b', 'Coffee'));
+
+  await removeBudget('category-b', budget.budgetId);
+  await assert.rejects(removeCategory('category-b', coffee.categoryId), /rule "/);
+});
+
+test('an unused category can be deleted', async () => {
+  const groceries = await findCategory('category-c', 'Groceries');
+
+  await removeCategory('category-c', groceries.categoryId);
+  assert.equal(await findCategory('category-c', 'Groceries'), undefined);
+});
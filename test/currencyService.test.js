@@ -0,0 +1,70 @@
+// test/currencyService.test.js
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getExchangeRate, convertAmount, withBaseAmount, getBaseAmount, setBaseCurrency } from '../src/services/currencyService.js';
+import { createTransaction, getTransaction } from '../src/services/storageService.js';
+import { confirmTransaction } from '../src/services/transactionService.js';
+import { ValidationError } from '../src/utils/errors.js';
+
+const lunch = {
+  amount: 50,
+  currency: 'USD',
+  date: '2026-01-15',
+  merchant: 'Corner Bistro',
+  category: 'Food & Dining',
+  type: 'expense'
+};
+
+test('getExchangeRate uses the latest rate on or before the date', () => {
+  assert.equal(getExchangeRate('USD', 'EUR', '2026-01-15'), 0.92);
+  assert.equal(getExchangeRate('USD', 'EUR', '2026-02-10'), 0.93);
+  // Before the first rate, the earliest one is used
+  assert.equal(getExchangeRate('USD', 'EUR', '2025-06-01'), 0.92);
+  assert.equal(getExchangeRate('EUR', 'EUR', '2026-01-15'), 1);
+});
+
+test('cross rates go through the table base and unknown currencies have no rate', () => {
+  assert.equal(getExchangeRate('EUR', 'GBP', '2026-01-15'), Math.round((0.79 / 0.92) * 1e6) / 1e6);
+  assert.equal(getExchangeRate('USD', 'JPY', '2026-01-15'), null);
+  assert.equal(convertAmount(10, 'USD', 'JPY', '2026-01-15'), null);
+});
+
+test('convertAmount rounds to cents', () => {
+  assert.equal(convertAmount(10, 'USD', 'GBP', '2026-02-01'), 7.8);
+  assert.equal(convertAmount(33.33, 'EUR', 'USD', '2026-01-15'), 36.23);
+});
+
+test('withBaseAmount and getBaseAmount agree, and stored conversions are reused', () => {
+  const converted = withBaseAmount({ ...lunch, currency: 'EUR', amount: 46 }, 'USD');
+
+  assert.deepEqual([converted.baseCurrency, converted.baseAmount], ['USD', 50]);
+  assert.equal(getBaseAmount(converted, 'USD'), 50);
+  assert.equal(getBaseAmount({ ...converted, baseAmount: 49.99 }, 'USD'), 49.99);
+  // A stored conversion to another base is ignored
+  assert.equal(getBaseAmount(converted, 'GBP'), convertAmount(46, 'EUR', 'GBP', '2026-01-15'));
+});
+
+test('setBaseCurrency re-converts saved transactions and rejects currencies without rates', async () => {
+  const saved = await createTransaction('currency-a', withBaseAmount(lunch, 'USD'));
+
+  const settings = await setBaseCurrency('currency-a', 'EUR');
+  assert.equal(settings.baseCurrency, 'EUR');
+  assert.equal(settings.converted, 1);
+
+  const stored = await getTransaction('currency-a', saved.transactionId);
+  assert.deepEqual([stored.baseCurrency, stored.baseAmount, stored.exchangeRate], ['EUR', 46, 0.92]);
+
+  await assert.rejects(setBaseCurrency('currency-a', 'JPY'), ValidationError);
+});
+
+test('a draft confirmed after a base currency change is converted to the new base', async () => {
+  const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const draft = await createTransaction('currency-b', { ...withBaseAmount(lunch, 'USD'), status: 'draft', expiresAt });
+
+  await setBaseCurrency('currency-b', 'GBP');
+  const { transaction } = await confirmTransaction('currency-b', draft.transactionId);
+
+  assert.equal(transaction.status, 'confirmed');
+  assert.deepEqual([transaction.baseCurrency, transaction.baseAmount], ['GBP', 39.5]);
+});
@@ -0,0 +1,121 @@
+// test/duplicateService.test.js
+import './setup.js';
+import { llm } from './fakeLlm.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkForDuplicates, holdDuplicate, getPendingDuplicate } from '../src/services/duplicateService.js';
+import { resolveDuplicate } from '../src/services/transactionService.js';
+import { createTransaction, deleteTransaction, getUserTransactions } from '../src/services/storageService.js';
+import { NotFoundError } from '../src/utils/errors.js';
+
+const coffee = {
+  amount: 4.5,
+  currency: 'USD',
+  date: '2026-01-15',
+  merchant: 'Blue Bottle',
+  category: 'Coffee',
+  type: 'expense'
+};
+
+/**
+ * Saves a coffee and holds a second one as its duplicate
+ */
+const holdSecondCoffee = async (userId) => {
+  await createTransaction(userId, coffee);
+  const incoming = { ...coffee, description: 'second latte' };
+  const [candidate] = await checkForDuplicates(userId, incoming);
+  return holdDuplicate(userId, { transaction: incoming, candidate });
+};
+
+beforeEach(() => {
+  llm.reply = () => ({ action: 'save', reason: 'two coffees', confidence: 0.6 });
+});
+
+test('two concurrent resolves of one duplicate save it only once', async () => {
+  const { pendingId } = await holdSecondCoffee('duplicates-a');
+
+  const results = await Promise.allSettled([
+    resolveDuplicate('duplicates-a', pendingId, 'save'),
+    resolveDuplicate('duplicates-a', pendingId, 'save')
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.ok(results.find(result => result.status === 'rejected').reason instanceof NotFoundError);
+  assert.equal((await getUserTransactions('duplicates-a')).length, 2);
+});
+
+test('a failed resolve puts the duplicate back so it can be resolved again', async () => {
+  const pendingDuplicate = await holdSecondCoffee('duplicates-b');
+
+  // The transaction it would be merged into is gone
+  await deleteTransaction('duplicates-b', pendingDuplicate.duplicateTransaction.transactionId);
+  await assert.rejects(resolveDuplicate('duplicates-b', pendingDuplicate.pendingId, 'merge'), NotFoundError);
+
+  const restored = getPendingDuplicate('duplicates-b', pendingDuplicate.pendingId);
+  assert.equal(restored.expiresAt, pendingDuplicate.expiresAt);
+
+  const { transaction } = await resolveDuplicate('duplicates-b', pendingDuplicate.pendingId, 'save');
+  assert.equal(transaction.description, 'second latte');
+  assert.equal(getPendingDuplicate('duplicates-b', pendingDuplicate.pendingId), null);
+});
+
+test('a user cannot resolve someone else\'s duplicate', async () => {
+  const { pendingId } = await holdSecondCoffee('duplicates-c');
+
+  await assert.rejects(resolveDuplicate('duplicates-d', pendingId, 'skip'), NotFoundError);
+  assert.ok(getPendingDuplicate('duplicates-c', pendingId));
+});
+
+test('an identical purchase scores 1 and merchant variants of it still match', async () => {
+  await createTransaction('scoring-a', coffee);
+
+  const [exact] = await checkForDuplicates('scoring-a', coffee);
+  assert.equal(exact.score, 1);
+
+  // One name inside the other (store numbers are dropped) scores 0.9
+  const [variant] = await checkForDuplicates('scoring-a', { ...coffee, merchant: 'BLUE BOTTLE COFFEE #12' });
+  assert.equal(variant.matches.merchantSimilarity, 0.9);
+  assert.equal(variant.score, 0.96);
+
+  // A typo is caught by letter pairs
+  const [typo] = await checkForDuplicates('scoring-a', { ...coffee, merchant: 'Blue Botle' });
+  assert.equal(typo.matches.merchantSimilarity, 0.94);
+});
+
+test('amount and date differences lower the score within their limits', async () => {
+  await createTransaction('scoring-b', coffee);
+
+  // 1 day apart in a 1-day window, 2% apart with a 5% tolerance
+  const [candidate] = await checkForDuplicates('scoring-b', { ...coffee, amount: 4.59, date: '2026-01-16' });
+  assert.deepEqual(candidate.matches, { merchantSimilarity: 1, amountDifference: 0.0196, daysApart: 1, sameText: false });
+  assert.equal(candidate.score, Math.round((0.4 + 0.35 * (1 - 0.0196078 / 0.05) + 0.25 * 0.5) * 100) / 100);
+
+  assert.deepEqual(await checkForDuplicates('scoring-b', { ...coffee, amount: 5 }), []);
+  assert.deepEqual(await checkForDuplicates('scoring-b', { ...coffee, date: '2026-01-18' }), []);
+  assert.equal((await checkForDuplicates('scoring-b', { ...coffee, date: '2026-01-18' }, { dateWindowDays: 3 })).length, 1);
+});
+
+test('a different type, currency or merchant is never a duplicate', async () => {
+  await createTransaction('scoring-c', coffee);
+
+  assert.deepEqual(await checkForDuplicates('scoring-c', { ...coffee, type: 'income' }), []);
+  assert.deepEqual(await checkForDuplicates('scoring-c', { ...coffee, currency: 'EUR' }), []);
+  assert.deepEqual(await checkForDuplicates('scoring-c', { ...coffee, merchant: 'Philz' }), []);
+});
+
+test('the same source text is a duplicate whatever the merchant was read as', async () => {
+  const rawText = 'BLUE BOTTLE COFFEE 1 LATTE 4.50 TOTAL 4.50 VISA 1234';
+  await createTransaction('scoring-d', { ...coffee, rawText });
+
+  const [candidate] = await checkForDuplicates('scoring-d', { ...coffee, merchant: 'Unknown', rawText });
+  assert.equal(candidate.score, 1);
+  assert.equal(candidate.matches.sameText, true);
+});
+
+test('candidates are ordered best first', async () => {
+  await createTransaction('scoring-e', { ...coffee, date: '2026-01-14' });
+  await createTransaction('scoring-e', coffee);
+
+  const candidates = await checkForDuplicates('scoring-e', coffee);
+  assert.deepEqual(candidates.map(candidate => candidate.transaction.date), ['2026-01-15', '2026-01-14']);
+});
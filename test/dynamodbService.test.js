@@ -0,0 +1,97 @@
+// test/dynamodbService.test.js
+import './setup.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { dynamoDB } from '../src/config/aws.js';
+import { getUserTransactions, findExternalIdsByPrefix, createTransactions } from '../src/services/dynamodbService.js';
+
+const realQuery = dynamoDB.query;
+const realBatchWrite = dynamoDB.batchWrite;
+let queries;
+
+/**
+ * Stands in for DocumentClient.query on one partition, newest first
+ * Like DynamoDB, Limit caps the items read, and the filter runs after it
+ * @param {Array} items - Partition contents
+ * @param {Function} filter - FilterExpression stand-in
+ */
+const stubPartition = (items, filter) => {
+  dynamoDB.query = (params) => ({
+    promise: async () => {
+      queries.push({ ...params });
+      const start = params.ExclusiveStartKey ? params.ExclusiveStartKey.index : 0;
+      const end = Math.min(start + (params.Limit || items.length), items.length);
+
+      return {
+        Items: items.slice(start, end).filter(filter),
+        ...(end < items.length && { LastEvaluatedKey: { index: end } })
+      };
+    }
+  });
+};
+
+const isSaved = (item) => item.status !== 'draft';
+
+beforeEach(() => {
+  queries = [];
+});
+
+afterEach(() => {
+  dynamoDB.query = realQuery;
+  dynamoDB.batchWrite = realBatchWrite;
+});
+
+test('getUserTransactions keeps reading past drafts until it has limit saved items', async () => {
+  const items = [
+    ...Array.from({ length: 5 }, (_, index) => ({ transactionId: `draft-${index}`, status: 'draft' })),
+    ...Array.from({ length: 5 }, (_, index) => ({ transactionId: `tx-${index}`, status: 'confirmed' }))
+  ];
+  stubPartition(items, isSaved);
+
+  const transactions = await getUserTransactions('user-a', 3);
+
+  assert.deepEqual(transactions.map(item => item.transactionId), ['tx-0', 'tx-1', 'tx-2']);
+  assert.equal(queries.length, 3);
+  assert.ok(queries.every(query => query.ScanIndexForward === false));
+});
+
+test('getUserTransactions stops when the partition runs out', async () => {
+  stubPartition([{ transactionId: 'draft-0', status: 'draft' }, { transactionId: 'tx-0', status: 'confirmed' }], isSaved);
+
+  const transactions = await getUserTransactions('user-a', 10);
+
+  assert.deepEqual(transactions.map(item => item.transactionId), ['tx-0']);
+  assert.equal(queries.length, 1);
+});
+
+test('findExternalIdsByPrefix reads every page of the partition', async () => {
+  const items = Array.from({ length: 7 }, (_, index) => ({ externalId: index % 2 === 0 ? `recurring:r1:2026-0${index + 1}-01` : `other:${index}` }));
+  stubPartition(items, item => item.externalId.startsWith('recurring:r1:'));
+  const query = dynamoDB.query;
+  // DynamoDB pages by size; three items per page here
+  dynamoDB.query = (params) => query({ ...params, Limit: 3 });
+
+  const externalIds = await findExternalIdsByPrefix('user-a', 'recurring:r1:');
+
+  assert.deepEqual(externalIds, ['recurring:r1:2026-01-01', 'recurring:r1:2026-03-01', 'recurring:r1:2026-05-01', 'recurring:r1:2026-07-01']);
+  assert.equal(queries.length, 3);
+  assert.equal(queries[0].ExpressionAttributeValues[':prefix'], 'recurring:r1:');
+});
+
+test('createTransactions writes 25 items per batch and retries unprocessed items', async () => {
+  const batches = [];
+  dynamoDB.batchWrite = (params) => ({
+    promise: async () => {
+      const [[table, requests]] = Object.entries(params.RequestItems);
+      batches.push(requests.length);
+      // Throttle the last item of the first batch once
+      return batches.length === 1 ? { UnprocessedItems: { [table]: requests.slice(-1) } } : { UnprocessedItems: {} };
+    }
+  });
+
+  const created = await createTransactions('user-a', Array.from({ length: 30 }, (_, index) => ({ amount: index + 1, date: '2026-01-15', type: 'expense' })));
+
+  assert.equal(created.length, 30);
+  assert.deepEqual(created.map(item => item.amount), Array.from({ length: 30 }, (_, index) => index + 1));
+  assert.deepEqual(batches, [25, 1, 5]);
+});
@@ -0,0 +1,125 @@
+// test/exportService.test.js
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'stream';
+import { createTransaction } from '../src/services/storageService.js';
+import { exportTransactions, validateExportOptions } from '../src/services/exportService.js';
+import { setBaseCurrency } from '../src/services/currencyService.js';
+
+const coffee = {
+  amount: 4.5,
+  currency: 'USD',
+  date: '2026-01-15',
+  merchant: 'Blue Bottle',
+  category: 'Food & Dining',
+  type: 'expense'
+};
+
+/**
+ * Collects everything written to it
+ */
+const collector = () => {
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  output.text = () => Buffer.concat(chunks).toString();
+  return output;
+};
+
+/**
+ * A client that stops reading: its buffer fills after the first chunk and never drains
+ */
+const stalledClient = () => new Writable({
+  highWaterMark: 1,
+  write() {}
+});
+
+test('exportTransactions writes a CSV with a header row', async () => {
+  await createTransaction('export-a', coffee);
+  await createTransaction('export-a', { ...coffee, merchant: '=cmd()', date: '2026-01-16' });
+
+  const output = collector();
+  const count = await exportTransactions('export-a', validateExportOptions({ format: 'csv' }), output);
+
+  const lines = output.text().trim().split('\r\n');
+  assert.equal(count, 2);
+  assert.equal(lines.length, 3);
+  assert.ok(lines[0].startsWith('transactionId,date,type,amount,currency,baseAmount,baseCurrency'));
+  // Formula-like text is escaped for spreadsheet apps
+  assert.ok(lines.some(line => line.includes(",'=cmd(),")));
+});
+
+test('exportTransactions stops when the client disconnects while the output is full', async () => {
+  await createTransaction('export-b', coffee);
+
+  const output = stalledClient();
+  const exporting = exportTransactions('export-b', validateExportOptions({ format: 'csv' }), output);
+  setImmediate(() => output.destroy());
+
+  await assert.rejects(exporting, /closed before the export finished/);
+});
+
+test('exportTransactions stops when the output fails while the output is full', async () => {
+  await createTransaction('export-c', coffee);
+
+  const output = stalledClient();
+  output.on('error', () => {});
+  const exporting = exportTransactions('export-c', validateExportOptions({ format: 'json' }), output);
+  setImmediate(() => output.destroy(new Error('socket reset')));
+
+  await assert.rejects(exporting, /socket reset|closed before the export finished/);
+});
+
+test('exportTransactions rejects an output that is already closed', async () => {
+  await createTransaction('export-d', coffee);
+
+  const output = collector();
+  output.destroy();
+
+  await assert.rejects(exportTransactions('export-d', validateExportOptions({ format: 'xlsx' }), output), /closed before the export finished/);
+});
+
+test('OFX exports are in the base currency and the balance adds converted amounts', async () => {
+  await setBaseCurrency('export-e', 'EUR');
+  await createTransaction('export-e', { ...coffee, amount: 10, currency: 'EUR' });
+  await createTransaction('export-e', { ...coffee, amount: 100, type: 'income', category: 'Income', merchant: 'ACME' });
+
+  const output = collector();
+  await exportTransactions('export-e', validateExportOptions({ format: 'ofx' }), output);
+  const ofx = output.text();
+
+  assert.match(ofx, /<CURDEF>EUR<\/CURDEF>/);
+  // 100 USD at 0.92 on 2026-01-15, less the 10 EUR coffee
+  assert.match(ofx, /<BALAMT>82\.00<\/BALAMT>/);
+  assert.match(ofx, /<TRNAMT>100\.00<\/TRNAMT><FITID>[^<]+<\/FITID><NAME>ACME<\/NAME><CURRENCY><CURRATE>0\.92<\/CURRATE><CURSYM>USD<\/CURSYM><\/CURRENCY>/);
+  assert.match(ofx, /<TRNAMT>-10\.00<\/TRNAMT><FITID>[^<]+<\/FITID><NAME>Blue Bottle<\/NAME><\/STMTTRN>/);
+});
+
+test('CSV base columns hold the converted amount and stay empty without a rate', async () => {
+  await setBaseCurrency('export-f', 'EUR');
+  await createTransaction('export-f', { ...coffee, amount: 100 });
+  await createTransaction('export-f', { ...coffee, amount: 500, currency: 'JPY', date: '2026-01-16' });
+
+  const output = collector();
+  await exportTransactions('export-f', validateExportOptions({ format: 'csv' }), output);
+  const rows = output.text().trim().split('\r\n').slice(1).map(line => line.split(',').slice(3, 7));
+
+  assert.deepEqual(rows.sort(), [['100', 'USD', '92', 'EUR'], ['500', 'JPY', '', '']]);
+});
+
+test('OFX lines without a known rate have no CURRENCY aggregate and say so in the memo', async () => {
+  await createTransaction('export-g', { ...coffee, amount: 500, currency: 'JPY' });
+
+  const output = collector();
+  await exportTransactions('export-g', validateExportOptions({ format: 'ofx' }), output);
+  const ofx = output.text();
+
+  assert.doesNotMatch(ofx, /<CURRENCY>/);
+  assert.match(ofx, /<MEMO>Amount in JPY, no exchange rate to USD<\/MEMO>/);
+  assert.match(ofx, /<BALAMT>0\.00<\/BALAMT>/);
+});
@@ -0,0 +1,51 @@
+// test/fakeLlm.js
+// An OpenAI-compatible server answering with whatever the test sets
+// (setup.js selects the local provider; its client is created on first use)
+import http from 'http';
+import { LLM_PROVIDERS } from '../src/config/llm.js';
+
+export const llm = {
+  // Requests received: [{ system, user }]
+  requests: [],
+
+  // Returns the JSON the "model" answers with, or throws to make the request fail
+  reply: () => {
+    throw new Error('No fake LLM reply set');
+  }
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const { messages = [], model } = JSON.parse(body || '{}');
+    const request = {
+      system: messages.find(message => message.role === 'system')?.content || '',
+      user: messages.find(message => message.role === 'user')?.content || ''
+    };
+    llm.requests.push(request);
+
+    let content;
+    try {
+      content = JSON.stringify(llm.reply(request));
+    } catch (error) {
+      res.statusCode = 400;
+      res.end(JSON.stringify({ error: { message: error.message } }));
+      return;
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      id: 'fake',
+      object: 'chat.completion',
+      created: 0,
+      model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+    }));
+  });
+});
+
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+server.unref();
+
+LLM_PROVIDERS.local.baseURL = `http://127.0.0.1:${server.address().port}/v1`;
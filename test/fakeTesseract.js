@@ -0,0 +1,30 @@
+// test/fakeTesseract.js
+// A stand-in tesseract binary that "reads" whatever text the test sets.
+// Import it after setup.js and before any app module: OCR settings are read on import.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-tesseract-'));
+const tsvFile = path.join(dir, 'output.tsv');
+const binary = path.join(dir, 'tesseract');
+
+fs.writeFileSync(binary, `#!/bin/sh\ncat >/dev/null\ncat "${tsvFile}"\n`, { mode: 0o755 });
+
+/**
+ * Sets the lines of text the next OCR run returns
+ * @param {Array<string>} lines - Receipt lines
+ */
+export const setReceiptText = (lines) => {
+  const header = 'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext';
+  const rows = lines.flatMap((line, lineIndex) => line.split(' ').map((word, wordIndex) =>
+    ['5', '1', '1', '1', lineIndex + 1, wordIndex + 1, '0', '0', '1', '1', '95', word].join('\t')));
+  fs.writeFileSync(tsvFile, [header, ...rows].join('\n') + '\n');
+};
+
+setReceiptText([]);
+
+process.env.OCR_PROVIDER = 'tesseract';
+process.env.TESSERACT_PATH = binary;
+
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
@@ -0,0 +1,118 @@
+// test/fileStorageService.test.js
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import {
+  createTransaction,
+  createTransactions,
+  getUserTransactions,
+  updateTransaction,
+  deleteTransaction,
+  getTransaction
+} from '../src/services/fileStorageService.js';
+import { DatabaseError } from '../src/utils/errors.js';
+
+const tempFile = `${process.env.LOCAL_DATA_FILE}.tmp`;
+
+const coffee = { amount: 4.5, date: '2026-01-15', merchant: 'Blue Bottle', category: 'Food & Dining', type: 'expense' };
+
+/**
+ * Makes every write fail (the temp file path is taken by a directory) while fn runs
+ */
+const withFailingWrites = async (fn) => {
+  fs.mkdirSync(tempFile, { recursive: true });
+  try {
+    await fn();
+  } finally {
+    fs.rmSync(tempFile, { recursive: true, force: true });
+  }
+};
+
+test('writes are persisted to the data file', async () => {
+  const created = await createTransaction('user-a', coffee);
+
+  const onDisk = JSON.parse(fs.readFileSync(process.env.LOCAL_DATA_FILE, 'utf8'));
+  assert.equal(onDisk.transactions['user-a'][created.transactionId].merchant, 'Blue Bottle');
+});
+
+test('a failed write changes nothing in memory', async () => {
+  const saved = await createTransaction('user-fail', coffee);
+
+  await withFailingWrites(async () => {
+    await assert.rejects(createTransaction('user-fail', { ...coffee, amount: 9 }), DatabaseError);
+    await assert.rejects(updateTransaction('user-fail', saved.transactionId, { amount: 7 }), DatabaseError);
+    await assert.rejects(deleteTransaction('user-fail', saved.transactionId), DatabaseError);
+  });
+
+  const transactions = await getUserTransactions('user-fail');
+  assert.equal(transactions.length, 1);
+  assert.equal(transactions[0].amount, 4.5);
+});
+
+test('writes succeed again after a failed write', async () => {
+  await withFailingWrites(async () => {
+    await assert.rejects(createTransaction('user-recover', coffee), DatabaseError);
+  });
+
+  const created = await createTransaction('user-recover', coffee);
+  const updated = await updateTransaction('user-recover', created.transactionId, { amount: 5 });
+  assert.equal(updated.amount, 5);
+  assert.equal((await getTransaction('user-recover', created.transactionId)).amount, 5);
+});
+
+test('concurrent writes are all kept', async () => {
+  await Promise.all([1, 2, 3, 4, 5].map(amount => createTransaction('user-many', { ...coffee, amount })));
+
+  const onDisk = JSON.parse(fs.readFileSync(process.env.LOCAL_DATA_FILE, 'utf8'));
+  assert.equal(Object.keys(onDisk.transactions['user-many']).length, 5);
+});
+
+test('updating a missing transaction fails without writing', async () => {
+  await assert.rejects(updateTransaction('user-a', 'tx-missing', { amount: 1 }), /not found/);
+});
+
+test('createTransactions saves every item with one write, or none of them', async () => {
+  const rename = fs.promises.rename;
+  let writes = 0;
+  fs.promises.rename = (...args) => {
+    writes++;
+    return rename(...args);
+  };
+
+  try {
+    const created = await createTransactions('user-bulk', [1, 2, 3].map(amount => ({ ...coffee, amount })));
+    assert.deepEqual(created.map(transaction => transaction.amount), [1, 2, 3]);
+    assert.equal(writes, 1);
+  } finally {
+    fs.promises.rename = rename;
+  }
+
+  await withFailingWrites(async () => {
+    await assert.rejects(createTransactions('user-bulk', [{ ...coffee, amount: 4 }, { ...coffee, amount: 5 }]), DatabaseError);
+  });
+  assert.equal((await getUserTransactions('user-bulk')).length, 3);
+});
+
+test('a write copies only the partition it changes', async () => {
+  await createTransaction('user-other', coffee);
+
+  const clone = globalThis.structuredClone;
+  const copied = [];
+  globalThis.structuredClone = (value) => {
+    copied.push(value);
+    return clone(value);
+  };
+
+  try {
+    await createTransaction('user-partition', coffee);
+    await createTransaction('user-partition', coffee);
+  } finally {
+    globalThis.structuredClone = clone;
+  }
+
+  // The first write has nothing to copy; the second copies user-partition's transactions only
+  assert.equal(copied.length, 1);
+  assert.equal(Object.values(copied[0])[0].userId, 'user-partition');
+  assert.equal((await getUserTransactions('user-other')).length, 1);
+});
@@ -0,0 +1,114 @@
+// test/importService.test.js
+import './setup.js';
+import { llm } from './fakeLlm.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectDelimiter, parseCsv, suggestMapping, previewCsvImport, importCsvTransactions } from '../src/services/importService.js';
+import { getUserTransactions } from '../src/services/storageService.js';
+import { ValidationError } from '../src/utils/errors.js';
+
+const statement = [
+  'Date,Description,Amount,Category',
+  '2026-01-03,POS PURCHASE BLUE BOTTLE #12 01/03,-4.50,Food & Dining',
+  '2026-01-05,ACME PAYROLL,2500.00,',
+  '2026-01-06,Mystery row,abc,',
+  'not a date,Bad date row,-1.00,'
+].join('\n');
+
+const mapping = { date: 'Date', description: 'Description', amount: 'Amount', category: 'Category' };
+
+beforeEach(() => {
+  llm.reply = ({ user }) => ({ categories: JSON.parse(user.slice(user.indexOf('['))).map(() => 'Income') });
+});
+
+test('parseCsv handles quotes, escaped quotes, newlines in quotes, a BOM and blank lines', () => {
+  const text = '﻿a,b\r\n"x, y","say ""hi"""\r\n\r\n"two\nlines",z\n';
+
+  assert.deepEqual(parseCsv(text, ','), [
+    ['a', 'b'],
+    ['x, y', 'say "hi"'],
+    ['two\nlines', 'z']
+  ]);
+});
+
+test('detectDelimiter picks the most frequent separator of the first line', () => {
+  assert.equal(detectDelimiter('Datum;Betrag;Text\n01.02.2026;-1,50;x'), ';');
+  assert.equal(detectDelimiter('Date\tAmount\tMemo'), '\t');
+  assert.equal(detectDelimiter('single column'), ',');
+});
+
+test('suggestMapping prefers a signed amount column over debit/credit', () => {
+  assert.deepEqual(
+    suggestMapping(['Posting Date', 'Payee', 'Debit', 'Credit', 'Amount']),
+    { hasHeader: true, dateFormat: 'auto', amountSign: 'negative-expense', decimalSeparator: '.', date: 'Posting Date', merchant: 'Payee', amount: 'Amount' }
+  );
+  assert.equal(suggestMapping(['Date', 'Memo', 'Money Out', 'Money In']).debit, 'Money Out');
+});
+
+test('previewCsvImport without a mapping only reads headers', async () => {
+  const preview = await previewCsvImport('import-a', statement);
+
+  assert.deepEqual(preview.headers, ['Date', 'Description', 'Amount', 'Category']);
+  assert.equal(preview.sampleRows.length, 4);
+  assert.equal(preview.suggestedMapping.amount, 'Amount');
+  assert.equal(preview.rows, undefined);
+});
+
+test('previewCsvImport reports invalid rows by line number and saves nothing', async () => {
+  const preview = await previewCsvImport('import-b', statement, mapping);
+
+  assert.deepEqual(preview.summary, { total: 4, new: 2, invalid: 2 });
+  assert.deepEqual(preview.rows.filter(row => row.status === 'invalid').map(row => [row.row, row.error.field]), [[4, 'amount'], [5, 'date']]);
+
+  const [coffee, salary] = preview.rows;
+  // The bank prefix and trailing date are cut, then the alias registry normalizes the name
+  assert.equal(coffee.transaction.merchant, 'Blue Bottle');
+  assert.equal(coffee.transaction.type, 'expense');
+  // Rows the LLM still has to categorize are shown without a category
+  assert.equal(salary.transaction.category, '');
+  assert.equal((await getUserTransactions('import-b')).length, 0);
+});
+
+test('previewCsvImport reads day-first dates and comma decimals', async () => {
+  const text = 'Datum;Text;Betrag\n31.01.2026;Bäckerei;"-1.234,56"';
+  const preview = await previewCsvImport('import-c', text, {
+    date: 'Datum', description: 'Text', amount: 'Betrag', decimalSeparator: ',', currency: 'EUR'
+  });
+
+  const [row] = preview.rows;
+  assert.equal(row.transaction.date, '2026-01-31');
+  assert.equal(row.transaction.amount, 1234.56);
+  assert.equal(row.transaction.currency, 'EUR');
+});
+
+test('a mapping that names a missing column is rejected', async () => {
+  await assert.rejects(importCsvTransactions('import-d', statement, { ...mapping, amount: 'Value' }), ValidationError);
+  await assert.rejects(importCsvTransactions('import-d', statement, null), ValidationError);
+});
+
+test('importCsvTransactions saves new rows, asks the LLM for missing categories and skips them on re-import', async () => {
+  const first = await importCsvTransactions('import-e', statement, mapping);
+
+  assert.deepEqual(first.summary, { total: 4, created: 2, invalid: 2 });
+  const saved = await getUserTransactions('import-e');
+  // "Food & Dining" from the file is mapped onto the default tree
+  assert.deepEqual(saved.map(transaction => transaction.category).sort(), ['Dining Out', 'Income']);
+  assert.ok(saved.every(transaction => transaction.source === 'import'));
+
+  const second = await importCsvTransactions('import-e', statement, mapping);
+  assert.deepEqual(second.summary, { total: 4, duplicate: 2, invalid: 2 });
+  assert.equal((await getUserTransactions('import-e')).length, 2);
+});
+
+test('importCsvTransactions falls back to keyword categories when the LLM fails', async () => {
+  llm.reply = () => {
+    throw new Error('model unavailable');
+  };
+
+  const result = await importCsvTransactions('import-f', 'Date,Description,Amount\n2026-01-08,UBER TRIP,-18.20', {
+    date: 'Date', description: 'Description', amount: 'Amount'
+  });
+
+  assert.equal(result.summary.created, 1);
+  assert.ok(result.rows[0].transaction.category);
+});
@@ -0,0 +1,82 @@
+// test/receipts.test.js
+import './setup.js';
+import { setReceiptText } from './fakeTesseract.js';
+import { llm } from './fakeLlm.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { processTransactionFromImage, processTransactionFromBuffer } from '../src/services/transactionService.js';
+import { getUserTransactions } from '../src/services/storageService.js';
+import { LLMError } from '../src/utils/errors.js';
+
+const receipt = {
+  amount: 12.5,
+  currency: 'USD',
+  date: '2026-01-15',
+  merchant: 'STARBUCKS STORE #11873',
+  category: 'Food & Dining',
+  type: 'expense',
+  description: 'coffee'
+};
+
+/**
+ * Writes a stand-in upload (the fake tesseract ignores its bytes)
+ */
+const writeUpload = () => {
+  const file = path.join(os.tmpdir(), `receipt-${process.pid}-${Math.random().toString(36).slice(2)}.png`);
+  fs.writeFileSync(file, 'png bytes');
+  return file;
+};
+
+beforeEach(() => {
+  setReceiptText(['STARBUCKS STORE #11873', 'TOTAL 12.50']);
+  llm.reply = ({ system }) => system.includes('validation assistant')
+    ? { action: 'skip', reason: 'same receipt', confidence: 0.9 }
+    : receipt;
+});
+
+test('a receipt image is read, normalized, saved and the upload deleted', async () => {
+  const file = writeUpload();
+
+  const result = await processTransactionFromImage('user-img', file);
+
+  assert.equal(result.isDuplicate, false);
+  assert.equal(result.transaction.merchant, 'Starbucks');
+  assert.equal(result.transaction.rawMerchant, 'STARBUCKS STORE #11873');
+  assert.equal(result.transaction.source, 'ocr');
+  assert.match(result.transaction.rawText, /TOTAL 12\.50/);
+  assert.equal(fs.existsSync(file), false);
+});
+
+test('the same receipt again is held as a duplicate and the upload deleted', async () => {
+  await processTransactionFromImage('user-dup', writeUpload());
+  const file = writeUpload();
+
+  const result = await processTransactionFromImage('user-dup', file);
+
+  assert.equal(result.isDuplicate, true);
+  assert.equal(result.pendingDuplicate.suggestion.action, 'skip');
+  assert.equal((await getUserTransactions('user-dup')).length, 1);
+  assert.equal(fs.existsSync(file), false);
+});
+
+test('the upload is deleted when extraction fails', async () => {
+  llm.reply = () => {
+    throw new Error('model unavailable');
+  };
+  const file = writeUpload();
+
+  await assert.rejects(processTransactionFromImage('user-fail', file), LLMError);
+  assert.equal(fs.existsSync(file), false);
+});
+
+test('a receipt buffer goes through the same pipeline, including drafts', async () => {
+  const result = await processTransactionFromBuffer('user-buffer', Buffer.from('png bytes'), { draft: true });
+
+  assert.equal(result.isDraft, true);
+  assert.equal(result.transaction.status, 'draft');
+  assert.equal(result.transaction.merchant, 'Starbucks');
+  assert.deepEqual(await getUserTransactions('user-buffer'), []);
+});
@@ -0,0 +1,65 @@
+// test/recurringRuleService.test.js
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addCadence } from '../src/services/recurringService.js';
+import { addRecurringRule, runDueRecurringRules } from '../src/services/recurringRuleService.js';
+import { getUserTransactions, updateRecurringRule, getDueRecurringRules } from '../src/services/storageService.js';
+
+// Last year, so every occurrence is due and within the validation window
+const year = new Date().getUTCFullYear() - 1;
+const february = new Date(Date.UTC(year, 2, 0)).getUTCDate();
+
+const rent = {
+  amount: 1200,
+  currency: 'USD',
+  merchant: 'Landlord',
+  category: 'Housing',
+  type: 'expense',
+  cadence: 'monthly',
+  startDate: `${year}-01-31`,
+  endDate: `${year}-04-15`
+};
+
+test('addCadence keeps the day of month and clamps short months', () => {
+  assert.equal(addCadence('2026-01-31', 'monthly'), '2026-02-28');
+  assert.equal(addCadence('2026-02-28', 'monthly', 31), '2026-03-31');
+  assert.equal(addCadence('2026-12-15', 'monthly'), '2027-01-15');
+  assert.equal(addCadence('2024-02-29', 'yearly'), '2025-02-28');
+  assert.equal(addCadence('2026-12-29', 'weekly'), '2027-01-05');
+});
+
+test('a rule starting in the past posts each missed occurrence up to its end date', async () => {
+  const rule = await addRecurringRule('recurring-a', rent);
+
+  assert.equal(rule.nextRunDate, null);
+  assert.equal(rule.lastRunDate, `${year}-03-31`);
+
+  const posted = await getUserTransactions('recurring-a');
+  assert.deepEqual(posted.map(transaction => transaction.date).sort(), [`${year}-01-31`, `${year}-02-${february}`, `${year}-03-31`]);
+  assert.ok(posted.every(transaction => transaction.source === 'recurring' && transaction.externalId.startsWith(`recurring:${rule.ruleId}:`)));
+});
+
+test('occurrences posted before a restart are not posted again', async () => {
+  const rule = await addRecurringRule('recurring-b', rent);
+
+  // As if the server stopped after saving the transactions but before advancing the rule
+  await updateRecurringRule('recurring-b', rule.ruleId, { nextRunDate: rent.startDate, lastRunDate: null });
+  const run = await runDueRecurringRules(`${year}-12-31`);
+
+  assert.equal(run.failed, 0);
+  assert.equal((await getUserTransactions('recurring-b')).length, 3);
+});
+
+test('a scheduler run during the backfill of a new rule does not post its occurrences twice', async () => {
+  const adding = addRecurringRule('recurring-c', rent);
+  // Start the run once the rule is stored but before its backfill has advanced it
+  while ((await getDueRecurringRules(`${year}-12-31`)).every(rule => rule.userId !== 'recurring-c')) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  const [rule, run] = await Promise.all([adding, runDueRecurringRules(`${year}-12-31`)]);
+
+  assert.equal(run.failed, 0);
+  assert.equal(rule.nextRunDate, null);
+  assert.equal((await getUserTransactions('recurring-c')).length, 3);
+});
@@ -0,0 +1,114 @@
+// test/ruleParserService.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseAmount,
+  parseDate,
+  parseType,
+  parseMerchant,
+  parseCategory,
+  parseTransactionText,
+  parseTransactionsText
+} from '../src/services/ruleParserService.js';
+
+// Thursday
+const now = new Date('2026-01-15T12:00:00Z');
+
+test('parseAmount reads symbols, currency words and bare numbers', () => {
+  assert.deepEqual(parseAmount('Spent $12.50 at Starbucks'), { amount: 12.5, currency: 'USD', explicit: true });
+  assert.deepEqual(parseAmount('Paid 1,200 euros rent'), { amount: 1200, currency: 'EUR', explicit: true });
+  assert.deepEqual(parseAmount('GBP 30 at Boots'), { amount: 30, currency: 'GBP', explicit: true });
+  assert.deepEqual(parseAmount('Received 500 salary'), { amount: 500, currency: null, explicit: true });
+  assert.equal(parseAmount('Bought 2 coffees for 9').explicit, false);
+  assert.equal(parseAmount('lunch at Chipotle'), null);
+});
+
+test('parseAmount ignores dates', () => {
+  assert.equal(parseAmount('Paid 45 at Shell on 2026-01-10').amount, 45);
+  assert.equal(parseAmount('Paid 45 at Shell 3 days ago').amount, 45);
+});
+
+test('parseDate resolves relative and absolute dates', () => {
+  assert.deepEqual(parseDate('coffee yesterday', now), { date: '2026-01-14', explicit: true });
+  assert.deepEqual(parseDate('lunch today', now), { date: '2026-01-15', explicit: true });
+  assert.deepEqual(parseDate('taxi 3 days ago', now), { date: '2026-01-12', explicit: true });
+  assert.deepEqual(parseDate('rent on 2026-01-01', now), { date: '2026-01-01', explicit: true });
+  assert.deepEqual(parseDate('rent on 1/2/2026', now), { date: '2026-01-02', explicit: true });
+  assert.deepEqual(parseDate('dinner on Monday', now), { date: '2026-01-12', explicit: true });
+  assert.deepEqual(parseDate('dinner last Thursday', now), { date: '2026-01-08', explicit: true });
+  assert.deepEqual(parseDate('dinner', now), { date: '2026-01-15', explicit: false });
+});
+
+test('parseType prefers income words and defaults to an unconfirmed expense', () => {
+  assert.deepEqual(parseType('Got paid 2000'), { type: 'income', explicit: true });
+  assert.deepEqual(parseType('Spent 20 at Target'), { type: 'expense', explicit: true });
+  assert.deepEqual(parseType('coffee 4'), { type: 'expense', explicit: false });
+});
+
+test('parseMerchant stops at dates, amounts and punctuation', () => {
+  assert.equal(parseMerchant('Spent $12.50 at Starbucks yesterday', 'expense'), 'Starbucks');
+  assert.equal(parseMerchant('groceries at whole foods for $80', 'expense'), 'Whole Foods');
+  assert.equal(parseMerchant('Received 500 from Acme Corp, thanks', 'income'), 'Acme Corp');
+  assert.equal(parseMerchant('Spent 20 on lunch', 'expense'), null);
+});
+
+test('parseCategory matches keywords', () => {
+  assert.equal(parseCategory('Uber ride', 'expense').category, 'Transport');
+  assert.equal(parseCategory('something', 'expense').category, 'Other');
+  assert.equal(parseCategory('something', 'income').category, 'Income');
+});
+
+test('parseTransactionText parses a single stated purchase', () => {
+  assert.deepEqual(parseTransactionText('Spent $12.50 at Starbucks yesterday', { strict: true, now }), {
+    amount: 12.5,
+    date: '2026-01-14',
+    merchant: 'Starbucks',
+    category: 'Food',
+    type: 'expense',
+    currency: 'USD',
+    description: ''
+  });
+});
+
+test('strict parsing needs an explicit amount, type and merchant', () => {
+  assert.equal(parseTransactionText('coffee 4', { strict: true, now }), null);
+  assert.equal(parseTransactionText('Spent 20 on lunch', { strict: true, now }), null);
+  assert.equal(parseTransactionText('coffee 4', { now }).merchant, 'Unknown Merchant');
+});
+
+test('parseTransactionsText splits several purchases', () => {
+  const transactions = parseTransactionsText('Spent $4 at Blue Bottle and $14 at Chipotle today', { strict: true, now });
+
+  assert.deepEqual(transactions.map(({ amount, merchant, date }) => ({ amount, merchant, date })), [
+    { amount: 4, merchant: 'Blue Bottle', date: '2026-01-15' },
+    { amount: 14, merchant: 'Chipotle', date: '2026-01-15' }
+  ]);
+});
+
+test('strict parsing leaves a message to the LLM when one of its purchases is unclear', () => {
+  // The $14 has no merchant: parsing only the $4 would lose it
+  assert.equal(parseTransactionsText('Spent $4 at Starbucks and $14 on lunch', { strict: true, now }), null);
+
+  // Not one income of 12.50 "salary"
+  assert.equal(parseTransactionsText('Spent $12.50 at Starbucks yesterday and got paid 2000 salary', { strict: true, now }), null);
+});
+
+test('strict parsing leaves text with several amounts to the LLM', () => {
+  assert.equal(parseTransactionsText('Paid $30 at Shell plus 5 tip', { strict: true, now }), null);
+  assert.equal(parseTransactionsText('Paid $30 at Shell on 1/10', { strict: true, now })[0].amount, 30);
+});
+
+test('outside strict mode every purchase is kept', () => {
+  const transactions = parseTransactionsText('Spent $12.50 at Starbucks yesterday and got paid 2000 salary', { now });
+
+  assert.deepEqual(transactions.map(({ amount, type }) => ({ amount, type })), [
+    { amount: 12.5, type: 'expense' },
+    { amount: 2000, type: 'income' }
+  ]);
+});
+
+test('parseTransactionsText rejects empty input', () => {
+  assert.equal(parseTransactionsText('', { now }), null);
+  assert.equal(parseTransactionsText(null, { now }), null);
+  assert.equal(parseTransactionsText('hello there', { now }), null);
+});
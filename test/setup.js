@@ -0,0 +1,29 @@
+// test/setup.js
+// Imported first by every test file (before any app module reads its config):
+// each test file runs in its own process against a throwaway local data file.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_DATA_FILE = path.join(os.tmpdir(), `ai-transaction-bot-test-${process.pid}.json`);
+process.env.SESSION_SECRET = 'test-session-secret';
+process.env.EXTRACTION_MODE = 'rules-first';
+process.env.LLM_PROVIDER = 'local';
+// Nothing listens here, so a test that reaches the LLM fails instead of calling a real model
+process.env.LOCAL_LLM_BASE_URL = 'http://127.0.0.1:9/v1';
+// USD-based rates for January and February 2026
+process.env.EXCHANGE_RATES_FILE = fileURLToPath(new URL('./fixtures/exchange-rates.json', import.meta.url));
+
+// The services log every step; set TEST_VERBOSE=1 to see it
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+process.on('exit', () => {
+  fs.rmSync(process.env.LOCAL_DATA_FILE, { force: true });
+  fs.rmSync(`${process.env.LOCAL_DATA_FILE}.tmp`, { force: true });
+});
@@ -0,0 +1,147 @@
+// test/statementParserService.test.js
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseImportDate, parseImportAmount, parseOfx, parseQif, detectStatementFormat } from '../src/services/statementParserService.js';
+import { importStatementTransactions } from '../src/services/importService.js';
+import { ValidationError } from '../src/utils/errors.js';
+
+// OFX 1.x SGML: leaf elements have no closing tags
+const ofx = `OFXHEADER:100
+DATA:OFXSGML
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>EUR
+<BANKACCTFROM><BANKID>123<ACCTID>ACC-9<ACCTTYPE>CHECKING</BANKACCTFROM>
+<BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260103120000[-5:EST]<TRNAMT>-4.50<FITID>T1<NAME>Blue Bottle &amp; Co<MEMO>Latte</STMTTRN>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20260105<TRNAMT>2500.00<FITID>T2<NAME>ACME PAYROLL</STMTTRN>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260106<TRNAMT>-20.00<FITID>T3<NAME>Heathrow Shop<CURRENCY><CURRATE>1.15<CURSYM>GBP</CURRENCY></STMTTRN>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>garbage<TRNAMT>-1.00<FITID>T4<NAME>Broken</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+const qif = `!Type:Bank
+D1/03'26
+T-4.50
+PBlue Bottle
+LDining:Coffee
+^
+D1/03'26
+T-4.50
+PBlue Bottle
+LDining:Coffee
+^
+D01/05/2026
+T2,500.00
+PACME Payroll
+L[Savings]
+^
+D01/07/2026
+T-12.00
+PLast record without a caret`;
+
+test('parseImportDate reads the common bank date formats', () => {
+  assert.equal(parseImportDate('2026-01-31'), '2026-01-31');
+  assert.equal(parseImportDate('20260131'), '2026-01-31');
+  assert.equal(parseImportDate('31.01.2026'), '2026-01-31');
+  assert.equal(parseImportDate('01/02/2026'), '2026-01-02');
+  // The first number can't be a month, so the date is day-first
+  assert.equal(parseImportDate('31/01/2026'), '2026-01-31');
+  assert.equal(parseImportDate('Jan 31, 2026'), '2026-01-31');
+  assert.equal(parseImportDate('31 January 2026'), '2026-01-31');
+  assert.equal(parseImportDate('01/02/26', 'DD/MM/YY'), '2026-02-01');
+  assert.equal(parseImportDate('2026-02-30'), null);
+  assert.equal(parseImportDate('soon'), null);
+});
+
+test('parseImportAmount reads signs, thousands and decimal commas', () => {
+  assert.equal(parseImportAmount('$1,234.56'), 1234.56);
+  assert.equal(parseImportAmount('(12.00)'), -12);
+  assert.equal(parseImportAmount('12.00-'), -12);
+  assert.equal(parseImportAmount('-€3'), -3);
+  assert.equal(parseImportAmount('1.234,56', ','), 1234.56);
+  assert.equal(parseImportAmount(''), null);
+  assert.equal(parseImportAmount('n/a'), null);
+});
+
+test('parseOfx reads SGML statements with account-scoped bank IDs', () => {
+  const entries = parseOfx(ofx);
+
+  assert.equal(entries.length, 4);
+  const [coffee, salary, abroad, broken] = entries;
+
+  assert.deepEqual(
+    { ...coffee.transaction, rawText: undefined },
+    {
+      amount: 4.5,
+      type: 'expense',
+      date: '2026-01-03',
+      merchant: 'Blue Bottle & Co',
+      category: '',
+      currency: 'EUR',
+      description: 'Blue Bottle & Co - Latte',
+      source: 'import',
+      rawText: undefined,
+      externalId: 'ACC-9:T1'
+    }
+  );
+  assert.equal(salary.transaction.type, 'income');
+  assert.equal(salary.transaction.externalId, 'ACC-9:T2');
+  // A <CURRENCY> aggregate overrides CURDEF for that transaction
+  assert.equal(abroad.transaction.currency, 'GBP');
+  assert.deepEqual(broken, { row: 4, transaction: null, error: { message: 'Unrecognized date "garbage"', field: 'date' } });
+});
+
+test('parseOfx rejects files that are not OFX', () => {
+  assert.throws(() => parseOfx('Date,Amount\n2026-01-01,1'), ValidationError);
+});
+
+test('parseQif reads records, transfers and a missing final caret', () => {
+  const entries = parseQif(qif);
+
+  assert.equal(entries.length, 4);
+  const [first, second, transfer, last] = entries;
+
+  assert.equal(first.transaction.date, '2026-01-03');
+  assert.equal(first.transaction.category, 'Dining');
+  // Identical records are two transactions with distinct IDs
+  assert.notEqual(first.transaction.externalId, second.transaction.externalId);
+  assert.equal(first.transaction.externalId.replace(/:1$/, ':2'), second.transaction.externalId);
+
+  assert.equal(transfer.transaction.amount, 2500);
+  assert.equal(transfer.transaction.type, 'income');
+  assert.equal(transfer.transaction.category, '');
+
+  assert.equal(last.transaction.merchant, 'Last record without a caret');
+  // Hashes depend only on the content, so re-reading the file gives the same IDs
+  assert.deepEqual(parseQif(qif).map(entry => entry.transaction.externalId), entries.map(entry => entry.transaction.externalId));
+});
+
+test('parseQif uses the given date format and currency', () => {
+  const [entry] = parseQif('!Type:CCard\nD02/01/2026\nT-9.99\nPNetflix\n^', { dateFormat: 'DD/MM/YYYY', currency: 'GBP' });
+
+  assert.equal(entry.transaction.date, '2026-01-02');
+  assert.equal(entry.transaction.currency, 'GBP');
+  assert.throws(() => parseQif('D01/01/2026\nT-1\n^'), ValidationError);
+});
+
+test('detectStatementFormat uses the extension, then the contents', () => {
+  assert.equal(detectStatementFormat('', 'export.QFX'), 'ofx');
+  assert.equal(detectStatementFormat(ofx), 'ofx');
+  assert.equal(detectStatementFormat('', 'money.qif'), 'qif');
+  assert.equal(detectStatementFormat(qif), 'qif');
+  assert.equal(detectStatementFormat('Date,Amount', 'bank.csv'), null);
+});
+
+test('importing the same OFX statement twice creates nothing the second time', async () => {
+  const first = await importStatementTransactions('statement-a', ofx, { fileName: 'bank.ofx' });
+  assert.equal(first.format, 'ofx');
+  assert.deepEqual(first.summary, { total: 4, created: 3, invalid: 1 });
+
+  const second = await importStatementTransactions('statement-a', ofx, { fileName: 'bank.ofx' });
+  assert.deepEqual(second.summary, { total: 4, duplicate: 3, invalid: 1 });
+  assert.ok(second.rows.filter(row => row.status === 'duplicate').every(row => row.matchedBy === 'externalId'));
+});
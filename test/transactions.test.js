@@ -0,0 +1,61 @@
+// test/transactions.test.js
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTransaction } from '../src/services/storageService.js';
+import { getTransactionDetails, editTransaction, removeTransaction } from '../src/services/transactionService.js';
+import { applyCategoryTree, getCategoryTree } from '../src/services/categoryService.js';
+import { NotFoundError, ValidationError } from '../src/utils/errors.js';
+
+const coffee = {
+  amount: 4.5,
+  currency: 'USD',
+  date: '2026-01-15',
+  merchant: 'Blue Bottle',
+  category: 'Food & Dining',
+  type: 'expense'
+};
+
+test('getTransactionDetails returns the user\'s own transaction only', async () => {
+  const created = await createTransaction('user-a', coffee);
+
+  assert.equal((await getTransactionDetails('user-a', created.transactionId)).amount, 4.5);
+  await assert.rejects(getTransactionDetails('user-b', created.transactionId), NotFoundError);
+});
+
+test('editTransaction re-validates the merged record', async () => {
+  const created = await createTransaction('user-a', coffee);
+
+  const updated = await editTransaction('user-a', created.transactionId, { amount: 5.25, description: 'oat latte' });
+  assert.equal(updated.amount, 5.25);
+  assert.equal(updated.description, 'oat latte');
+  assert.equal(updated.merchant, 'Blue Bottle');
+
+  await assert.rejects(editTransaction('user-a', created.transactionId, { amount: -3 }), ValidationError);
+  await assert.rejects(editTransaction('user-a', created.transactionId, { userId: 'user-b' }), ValidationError);
+  await assert.rejects(editTransaction('user-a', created.transactionId, {}), ValidationError);
+});
+
+test('removeTransaction deletes the transaction and returns it', async () => {
+  const created = await createTransaction('user-a', coffee);
+
+  const removed = await removeTransaction('user-a', created.transactionId);
+  assert.equal(removed.transactionId, created.transactionId);
+  await assert.rejects(getTransactionDetails('user-a', created.transactionId), NotFoundError);
+  await assert.rejects(removeTransaction('user-a', created.transactionId), NotFoundError);
+});
+
+test('editTransaction re-maps the categoryId when the category or type changes', async () => {
+  const created = await createTransaction('user-c', await applyCategoryTree('user-c', coffee));
+  const { categories } = await getCategoryTree('user-c');
+  const categoryName = (categoryId) => categories.find(category => category.categoryId === categoryId).name;
+
+  const recategorized = await editTransaction('user-c', created.transactionId, { category: 'supermarket' });
+  assert.equal(recategorized.category, 'Groceries');
+  assert.equal(categoryName(recategorized.categoryId), 'Groceries');
+
+  // Groceries only holds expenses, so a refund moves to the income default
+  const refund = await editTransaction('user-c', created.transactionId, { type: 'income' });
+  assert.equal(refund.category, 'Income');
+  assert.equal(categoryName(refund.categoryId), 'Income');
+});